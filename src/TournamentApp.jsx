@@ -1,8 +1,101 @@
 // src/TournamentApp.jsx
-import React, { useEffect, useMemo, useState } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { collection, doc, onSnapshot, setDoc, updateDoc } from "firebase/firestore";
+import { collection, deleteDoc, doc, onSnapshot, setDoc, updateDoc } from "firebase/firestore";
 import { db } from "./firebase";
+import {
+  STABLEFORD_KEYS,
+  STABLEFORD_PRESETS,
+  stablefordFromDiff,
+  resolveStablefordTable,
+  stablefordPresetId,
+  strokesReceivedOnHole,
+  netScore,
+  ALLOWANCE_KEYS,
+  resolveAllowances,
+  matchPlayingHcps,
+  formatHcp,
+  parseHcpInput,
+  dayPlayersById,
+  describeCourseHcp,
+  playerCourseHcp,
+  foursomesTeamHcp,
+  greensomesTeamHcp,
+  scrambleTeamHcp,
+  greensomesDriveCounts,
+  computeMatchHoles,
+  computeMatchStatus,
+  holeConcededTo,
+  matchConcededTo,
+  matchParticipants,
+  matchLineupOnHole,
+  matchHasScores,
+  substitutionPatch,
+  resolveMustHaveWinner,
+  scorecardHole,
+  PICK_UP,
+  MAX_SCORE_TYPES,
+  isPickUp,
+  holeGross,
+  resolveMaxScore,
+  normalizeMaxScore,
+  describeMaxScore,
+  resolveRound,
+  roundHoles,
+  roundLabel,
+  STROKE_PLAY_SCORING,
+  STROKE_PLAY_METHODS,
+  isStrokePlayDay,
+  normalizeStrokePlay,
+  resolveMatchPoints,
+  resolveBonusPoints,
+  normalizeCup,
+  resolveStrokePlay,
+  playingHcp,
+  pointsForFinalMatch,
+  computeTournamentTotals,
+  computeWinProbabilities,
+  winProbabilityKey,
+  DEFAULT_TEAMS,
+  TEAM_COLORS,
+  normalizeTeams,
+  leadingTeams,
+  roundRobinSessions,
+  SCENARIO_HALVE,
+  openMatchCards,
+  leaderWinsScenario,
+  applyScenario,
+  minimalWinningSets,
+  computeBroadcastScoreboard,
+  computeSkinsStandings,
+  SKINS_BASIS,
+  normalizeSkins,
+  resolveSkins,
+  CONTEST_TYPES,
+  normalizeContests,
+  resolveContests,
+  contestOnHole,
+  suggestedContests,
+  contestMeasurements,
+  computeContests,
+  computeMoneyLedger,
+  DEFAULT_NASSAU,
+  normalizeNassau,
+  computeNassau,
+  GROUP_GAMES,
+  availableGroupGames,
+  computeGroupGame,
+  SCORE_TYPES,
+  STAT_LEADERS,
+  computePlayerStats,
+  computePlayerRecords,
+  normalizeEdition,
+  parseEditionsImport,
+  snapshotEdition,
+  computeAllTime,
+  computeHeadToHead,
+  COURSES,
+} from "./scoring/index.js";
 
 import {
   getAuth,
@@ -24,6 +117,13 @@ import {
   Pencil,
   Crown,
   UserCheck,
+  Repeat,
+  Split,
+  ListOrdered,
+  Calculator,
+  BarChart3,
+  Medal,
+  History,
 } from "lucide-react";
 
 // =========================================================
@@ -37,6 +137,7 @@ import {
 // Tournament constants
 // -----------------------
 const TOURNAMENT_TITLE = "FRELLIS CUP 2026";
+const TOURNAMENT_YEAR = 2026;
 const TOURNAMENT_SUBTITLE = "Live Scoring — Player Claim + Real-Time Standings";
 
 // Dates (America/New_York)
@@ -150,20 +251,108 @@ function usePhoenixWeather() {
   return wx;
 }
 
-const TEAM = {
-  JC: "Jumping Chollas",
-  SG: "Saguaros",
+// -----------------------
+// Teams (tournament.teams — see scoring/teams.js)
+// -----------------------
+// Tailwind classes per team colour (full strings so the build keeps them)
+const TEAM_PALETTE = {
+  red: {
+    badge: "bg-red-500/20 text-red-100 border-red-400/30",
+    soft: "bg-red-500/15 border-red-400/25 text-red-50",
+    card: "border-red-500/30 bg-red-500/10",
+    text: "text-red-200",
+    bar: "bg-red-500/80",
+    strip: "bg-red-500/40",
+    stroke: "rgb(239 68 68 / 0.7)",
+  },
+  yellow: {
+    badge: "bg-yellow-400/20 text-yellow-100 border-yellow-300/30",
+    soft: "bg-yellow-400/15 border-yellow-300/25 text-yellow-50",
+    card: "border-yellow-400/30 bg-yellow-400/10",
+    text: "text-yellow-200",
+    bar: "bg-yellow-400/80",
+    strip: "bg-yellow-400/40",
+    stroke: "rgb(250 204 21 / 0.7)",
+  },
+  blue: {
+    badge: "bg-sky-500/20 text-sky-100 border-sky-400/30",
+    soft: "bg-sky-500/15 border-sky-400/25 text-sky-50",
+    card: "border-sky-500/30 bg-sky-500/10",
+    text: "text-sky-200",
+    bar: "bg-sky-500/80",
+    strip: "bg-sky-500/40",
+    stroke: "rgb(14 165 233 / 0.7)",
+  },
+  green: {
+    badge: "bg-emerald-500/20 text-emerald-100 border-emerald-400/30",
+    soft: "bg-emerald-500/15 border-emerald-400/25 text-emerald-50",
+    card: "border-emerald-500/30 bg-emerald-500/10",
+    text: "text-emerald-200",
+    bar: "bg-emerald-500/80",
+    strip: "bg-emerald-500/40",
+    stroke: "rgb(16 185 129 / 0.7)",
+  },
+  purple: {
+    badge: "bg-violet-500/20 text-violet-100 border-violet-400/30",
+    soft: "bg-violet-500/15 border-violet-400/25 text-violet-50",
+    card: "border-violet-500/30 bg-violet-500/10",
+    text: "text-violet-200",
+    bar: "bg-violet-500/80",
+    strip: "bg-violet-500/40",
+    stroke: "rgb(139 92 246 / 0.7)",
+  },
+  orange: {
+    badge: "bg-orange-500/20 text-orange-100 border-orange-400/30",
+    soft: "bg-orange-500/15 border-orange-400/25 text-orange-50",
+    card: "border-orange-500/30 bg-orange-500/10",
+    text: "text-orange-200",
+    bar: "bg-orange-500/80",
+    strip: "bg-orange-500/40",
+    stroke: "rgb(249 115 22 / 0.7)",
+  },
 };
 
-const TEAM_ABBR = {
-  JC: "JCGC",
-  SG: "SGC",
+const NEUTRAL_PALETTE = {
+  badge: "bg-white/10 text-white border-white/10",
+  soft: "bg-white/5 border-white/10 text-white/90",
+  card: "border-white/10 bg-white/[0.04]",
+  text: "text-white/80",
+  bar: "bg-white/40",
+  strip: "bg-white/15",
+  stroke: "rgb(255 255 255 / 0.3)",
 };
 
-const TEAM_COLOR = {
-  JC: "bg-red-500/20 text-red-100 border-red-400/30",
-  SG: "bg-yellow-400/20 text-yellow-100 border-yellow-300/30",
-};
+// Lookups over the tournament's team list (unknown ids fall back to the id itself)
+function teamDirectory(teamList) {
+  const byId = Object.fromEntries(teamList.map((t) => [t.id, t]));
+  return {
+    list: teamList,
+    ids: teamList.map((t) => t.id),
+    name: (id) => byId[id]?.name ?? id ?? "—",
+    abbr: (id) => byId[id]?.abbr ?? id ?? "—",
+    palette: (id) => TEAM_PALETTE[byId[id]?.color] ?? NEUTRAL_PALETTE,
+    logo: (id) => byId[id]?.logo ?? null,
+    // Pill tone for a team ("team:red", ...)
+    tone: (id) => (TEAM_PALETTE[byId[id]?.color] ? `team:${byId[id].color}` : "neutral"),
+    // Display order for two sides: the team listed first goes on the left
+    order: (sideA, sideB) => {
+      const ia = teamList.findIndex((t) => t.id === sideA.teamId);
+      const ib = teamList.findIndex((t) => t.id === sideB.teamId);
+      return ib !== -1 && (ia === -1 || ib < ia) ? [sideB, sideA] : [sideA, sideB];
+    },
+  };
+}
+
+const TeamsContext = createContext(teamDirectory(DEFAULT_TEAMS));
+
+function useTeams() {
+  return useContext(TeamsContext);
+}
+
+// "10.5–7.5" (every team, in display order)
+function scoreLine(points, teamIds) {
+  return teamIds.map((t) => (points?.[t] ?? 0).toFixed(1)).join("–");
+}
 
 // Phoenix-local tournament day auto-detect
 function getPhoenixTournamentDay() {
@@ -188,236 +377,6 @@ function getPhoenixTournamentDay() {
 
 const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
 
-// -----------------------
-// Scoring helpers
-// -----------------------
-
-function stablefordFromDiff(diff) {
-  if (diff <= -3) return 10;
-  if (diff === -2) return 6;
-  if (diff === -1) return 3;
-  if (diff === 0) return 1;
-  if (diff === 1) return -1;
-  return -2;
-}
-
-// -----------------------
-// Handicap / Net helpers
-// -----------------------
-function strokesReceivedOnHole(courseHcp, holeHcpRank) {
-  const hcp = Number(courseHcp) || 0;
-  const rank = Number(holeHcpRank) || 0;
-
-  const full = Math.floor(hcp / 18);
-  const rem = hcp % 18;
-
-  // ranks are 1..18 (lower rank = harder hole)
-  const extra = rank > 0 && rank <= rem ? 1 : 0;
-
-  return full + extra;
-}
-
-function netScore(gross, courseHcp, holeHcpRank) {
-  if (gross == null) return null;
-  const g = Number(gross);
-  if (!Number.isFinite(g)) return null;
-
-  const sr = strokesReceivedOnHole(courseHcp, holeHcpRank);
-  return g - sr;
-}
-
-// -----------------------
-// Match play status (Days 1 & 3, etc.) — "clinch locks" the final
-// We still allow entering holes after the match is decided,
-// but the displayed final result stays the clinch score (e.g. 4&3).
-// -----------------------
-function matchStatusFromHoles(holes, sideAId, sideBId) {
-  let a = 0;
-  let b = 0;
-  let played = 0;
-
-  const totalHoles = Array.isArray(holes) && holes.length ? holes.length : 18;
-
-  // Track the earliest clinch moment (if any)
-  // clinchedAt = hole number when the match was first decided
-  // clinchUp / clinchToPlay = the "X&Y" at that moment
-  let clinchedAt = null;
-  let clinchLeader = "AS"; // "A" | "B" | "AS"
-  let clinchUp = 0;
-  let clinchToPlay = 0;
-
-  // Evaluate holes in order so we can capture the first clinch moment
-  for (let i = 0; i < holes.length; i++) {
-    const h = holes[i];
-    const holeNum = i + 1;
-
-    if (!h?.played) continue;
-
-    played += 1;
-
-    if (h.winnerSideId === sideAId) a += 1;
-    else if (h.winnerSideId === sideBId) b += 1;
-
-    const remaining = totalHoles - played;
-    const diff = a - b;
-    const abs = Math.abs(diff);
-    const leader = diff > 0 ? "A" : diff < 0 ? "B" : "AS";
-
-    // Clinched once abs > remaining. Capture the FIRST time only.
-    if (clinchedAt == null && played > 0 && abs > remaining) {
-      clinchedAt = holeNum;
-      clinchLeader = leader;
-      clinchUp = abs;
-      clinchToPlay = remaining;
-    }
-  }
-
-  // Not started
-  if (played === 0) {
-    return {
-      aHoles: 0,
-      bHoles: 0,
-      played: 0,
-      isFinal: false,
-      text: "Not Started",
-      leaderSideId: null,
-      isTied: false,
-    };
-  }
-
-  // If match was clinched at some point, lock final display to that clinch
-  if (clinchedAt != null) {
-    const leaderSideId = clinchLeader === "A" ? sideAId : clinchLeader === "B" ? sideBId : null;
-
-    return {
-      aHoles: a,
-      bHoles: b,
-      played,
-      isFinal: true,
-      // You can change this text if you prefer "Final 4&3" etc.
-      text: clinchLeader === "AS" ? "Final AS" : `Final ${clinchUp}&${clinchToPlay}`,
-      leaderSideId,
-      isTied: clinchLeader === "AS",
-      clinchedAtHole: clinchedAt, // optional debugging/useful metadata
-    };
-  }
-
-  // If NOT clinched, compute current live status normally
-  const diff = a - b;
-  const abs = Math.abs(diff);
-  const leaderSideId = diff > 0 ? sideAId : diff < 0 ? sideBId : null;
-
-  // Finished all holes (no clinch means it came down to 18)
-  if (played === totalHoles) {
-    if (diff === 0) {
-      return {
-        aHoles: a,
-        bHoles: b,
-        played,
-        isFinal: true,
-        text: "Final AS",
-        leaderSideId: null,
-        isTied: true,
-      };
-    }
-    return {
-      aHoles: a,
-      bHoles: b,
-      played,
-      isFinal: true,
-      text: `Final ${abs} Up`,
-      leaderSideId,
-      isTied: false,
-    };
-  }
-
-  // In progress
-  if (diff === 0) {
-    return {
-      aHoles: a,
-      bHoles: b,
-      played,
-      isFinal: false,
-      text: `AS Thru ${played}`,
-      leaderSideId: null,
-      isTied: true,
-    };
-  }
-
-  return {
-    aHoles: a,
-    bHoles: b,
-    played,
-    isFinal: false,
-    text: `${abs} Up Thru ${played}`,
-    leaderSideId,
-    isTied: false,
-  };
-}
-
-// -----------------------
-// Day 2 match status (Scramble Stableford) — show running totals like "12–9"
-// -----------------------
-function stablefordTotalsStatusFromHoles(matchHoles, sideAId, sideBId) {
-  let aTotal = 0;
-  let bTotal = 0;
-  let played = 0;
-
-  for (const h of matchHoles) {
-    if (!h.played) continue;
-    if (h.details?.type !== "scramble") continue;
-
-    const aPts = h.details?.aPts;
-    const bPts = h.details?.bPts;
-    if (aPts == null || bPts == null) continue;
-
-    played += 1;
-    aTotal += aPts;
-    bTotal += bPts;
-  }
-
-  if (played === 0) {
-    return {
-      played: 0,
-      isFinal: false,
-      text: "—",
-      leaderSideId: null,
-      isTied: true,
-      aTotalPts: 0,
-      bTotalPts: 0,
-    };
-  }
-
-  const diff = aTotal - bTotal;
-  const leaderSideId = diff > 0 ? sideAId : diff < 0 ? sideBId : null;
-  const isTied = diff === 0;
-
-  return {
-    played,
-    isFinal: played === 18,
-    text: `${aTotal}–${bTotal}`, // show only running totals
-    leaderSideId,
-    isTied,
-    aTotalPts: aTotal,
-    bTotalPts: bTotal,
-  };
-}
-
-// -----------------------
-// Points for overall team tally (match is still worth 1 point total)
-// -----------------------
-function pointsForFinalMatch(status, sideA, sideB) {
-  if (!status.isFinal) return { [sideA.teamId]: 0, [sideB.teamId]: 0 };
-
-  if (status.isTied) return { [sideA.teamId]: 0.5, [sideB.teamId]: 0.5 };
-
-  const winnerSideId = status.leaderSideId;
-  const winnerTeam = winnerSideId === sideA.id ? sideA.teamId : sideB.teamId;
-  const loserTeam = winnerTeam === sideA.teamId ? sideB.teamId : sideA.teamId;
-
-  return { [winnerTeam]: 1, [loserTeam]: 0 };
-}
-
 // -----------------------
 // Broadcast Scoreboard helpers
 // -----------------------
@@ -427,191 +386,34 @@ function formatToPar(n) {
   return n > 0 ? `+${n}` : `${n}`;
 }
 
-function computeBroadcastScoreboard({ tournament, day, totals, playersById }) {
-  const holes = tournament.courses?.[day]?.holes || [];
-  const daySummary = totals.daySummaries?.find((x) => x.day === day);
-  const matchCards = daySummary?.matchCards || [];
-
-  // Day 2: duos ranked by total Stableford points
-  if (day === 2) {
-    const duos = [];
-
-    for (const mc of matchCards) {
-      const m = mc.match;
-      if (!m || m.format !== "SCRAMBLE_STABLEFORD") continue;
-
-      for (const side of [m.sideA, m.sideB]) {
-        const pids = side.playerIds || [];
-        const n1 = playersById[pids[0]]?.name || "—";
-        const n2 = playersById[pids[1]]?.name || "—";
-
-        const holesMap = {};
-        let totalPts = 0;
-        let totalStrokes = 0;
-        let parPlayed = 0;
-        let playedAny = false;
-
-        for (let i = 0; i < holes.length; i++) {
-          const holeNum = i + 1;
-          const par = holes[i]?.par ?? 0;
-          const entered = m.scrambleGrossBySide?.[side.id]?.[holeNum] ?? null;
-
-if (entered == null) {
-  holesMap[holeNum] = { display: "—", pts: null, strokes: null };
-  continue;
-}
-
-playedAny = true;
-parPlayed += par; // ✅ only count par when played
-const diff = entered - par;
-          const pts = stablefordFromDiff(diff);
-
-          totalPts += pts;
-          totalStrokes += entered;
-
-          holesMap[holeNum] = { display: String(pts), pts, strokes: entered };
-        }
-
-        const toPar = playedAny ? totalStrokes - parPlayed : null;
-
-        duos.push({
-          key: `${m.id}:${side.id}`,
-          teamId: side.teamId,
-          duoNames: [n1, n2],
-          holes: holesMap,
-          totalPts,
-          totalStrokes: playedAny ? totalStrokes : null,
-          toPar,
-          skinsWon: 0,
-        });
-      }
-    }
-
-    // Skins: unique best points on each hole
-    const skins = computeSkinsDay2Stableford({ entries: duos, holesCount: holes.length });
-
-    // Apply skin flags + per-entry skin counts
-    for (const entry of duos) {
-      entry.skinsWon = skins.countByKey[entry.key] || 0;
-
-      for (const [holeNumStr, winnerKey] of Object.entries(skins.winnerByHole)) {
-        const holeNum = Number(holeNumStr);
-        if (!Number.isFinite(holeNum)) continue;
-        if (entry.holes?.[holeNum]) entry.holes[holeNum].isSkin = winnerKey === entry.key;
-      }
-    }
-
-    // Rank: points desc, tiebreak strokes asc
-    duos.sort((a, b) => {
-      const dp = (b.totalPts ?? 0) - (a.totalPts ?? 0);
-      if (dp !== 0) return dp;
-      const as = a.totalStrokes ?? Number.POSITIVE_INFINITY;
-      const bs = b.totalStrokes ?? Number.POSITIVE_INFINITY;
-      return as - bs;
-    });
-
-    return { rows: duos, skins: { totalSkins: skins.totalSkins } };
-  }
-
-  // Days 1 & 3: individuals ranked by NET to-par (live)
-const players = tournament.players || [];
-
-const rows = players.map((p) => {
-  const holesMap = {};
-  let grossTotal = 0;
-  let netTotal = 0;
-
-  let parPlayed = 0;     // ✅ only count par for holes actually played
-  let playedCount = 0;   // ✅ number of holes with a score
-  let playedAny = false;
-
-  for (let i = 0; i < holes.length; i++) {
-    const holeNum = i + 1;
-    const par = holes[i]?.par ?? 0;
-    const hcpRank = holes[i]?.hcpRank ?? 0;
-
-    const gross = findPlayerGrossForDay({ matchCards, playerId: p.id, holeNum });
-
-    if (gross == null) {
-      holesMap[holeNum] = { display: "—", gross: null, net: null };
-      continue;
-    }
-
-    playedAny = true;
-    playedCount += 1;
-    parPlayed += par;
-
-    const net = netScore(gross, p.courseHcp, hcpRank);
-
-    grossTotal += gross;
-    netTotal += net;
-
-    // show NET per-hole in the table cell
-    holesMap[holeNum] = { display: String(net), gross, net };
-  }
-
-  const toPar = playedAny ? netTotal - parPlayed : null; // ✅ live to-par
-
-  return {
-    key: p.id,
-    teamId: p.teamId,
-    name: p.name,
-    holes: holesMap,
-    grossTotal: playedAny ? grossTotal : null,
-    netTotal: playedAny ? netTotal : null,
-    toPar,
-    playedCount, // ✅ used for tie-breaking
-    skinsWon: 0,
-  };
-});
-
-const skins = computeSkinsDay13Net({ entries: rows, holesCount: holes.length });
-
-for (const r of rows) {
-  r.skinsWon = skins.countByKey[r.key] || 0;
-
-  for (const [holeNumStr, winnerKey] of Object.entries(skins.winnerByHole)) {
-    const holeNum = Number(holeNumStr);
-    if (!Number.isFinite(holeNum)) continue;
-    if (r.holes?.[holeNum]) r.holes[holeNum].isSkin = winnerKey === r.key;
-  }
-}
-
-// ✅ Rank: toPar asc (lower better), then net asc, then holes played desc
-rows.sort((a, b) => {
-  const atp = a.toPar ?? Number.POSITIVE_INFINITY;
-  const btp = b.toPar ?? Number.POSITIVE_INFINITY;
-  if (atp !== btp) return atp - btp;
-
-  const an = a.netTotal ?? Number.POSITIVE_INFINITY;
-  const bn = b.netTotal ?? Number.POSITIVE_INFINITY;
-  if (an !== bn) return an - bn;
-
-  const ap = a.playedCount ?? 0;
-  const bp = b.playedCount ?? 0;
-  return bp - ap;
-});
-
-return { rows, skins: { totalSkins: skins.totalSkins } };
-}
-
 // -----------------------
 // Broadcast Scoreboard UI
 // -----------------------
-const SKINS_POOL = 200;
+// Gross for display: pick-ups show as "X (7)" with the score they count as
+function grossText(gross, pickedUp) {
+  if (gross == null) return "—";
+  return pickedUp ? `X (${gross})` : String(gross);
+}
 
 function money(n) {
   if (!Number.isFinite(n)) return "—";
-  return `$${n.toFixed(0)}`;
+  return n < 0 ? `-$${(-n).toFixed(0)}` : `$${n.toFixed(0)}`;
+}
+
+// One line for a day's skins settings, e.g. "Net • Carryovers • Birdie or better"
+function skinsRulesText(config) {
+  return [
+    config.basis === "GROSS" ? "Gross" : "Net",
+    config.carryover ? "Carryovers" : "Ties dropped",
+    config.birdieOrBetter ? "Birdie or better" : null,
+  ]
+    .filter(Boolean)
+    .join(" • ");
 }
 
 function NamePill({ teamId, children }) {
-  const tone =
-    teamId === "JC"
-      ? "bg-red-500/15 border-red-400/25 text-red-50"
-      : teamId === "SG"
-      ? "bg-yellow-400/15 border-yellow-300/25 text-yellow-50"
-      : "bg-white/5 border-white/10 text-white/90";
+  const teams = useTeams();
+  const tone = teams.palette(teamId).soft;
 
   return (
     <div className={`rounded-xl border px-3 py-2 ${tone}`}>
@@ -623,14 +425,11 @@ function NamePill({ teamId, children }) {
 function BroadcastScoreboard({ tournament, totals, playersById, day }) {
   const sb = computeBroadcastScoreboard({ tournament, day, totals, playersById });
   const rows = sb?.rows || [];
-  const totalSkins = sb?.skins?.totalSkins || 0;
-
-  const skinValue = totalSkins > 0 ? SKINS_POOL / totalSkins : 0;
+  const { totalSkins = 0, pool = 0, skinValue = 0, entrants = 0, carry = 0, config } = sb?.skins || {};
 
   // desktop shows holes; mobile shows summary columns only
-  const isDay2 = day === 2;
-  const holes = tournament.courses?.[day]?.holes || [];
-  const holesCount = holes.length || 18;
+  const isDay2 = day === 2 && !totals.daySummaries?.find((x) => x.day === day)?.strokePlay;
+  const holes = sb?.holes || [];
 
   return (
     <Card className="p-5 mt-6">
@@ -638,8 +437,12 @@ function BroadcastScoreboard({ tournament, totals, playersById, day }) {
         <div>
           <div className="text-white font-semibold">Scoreboard</div>
           <div className="text-white/60 text-xs mt-1">
-            Skins pool: {money(SKINS_POOL)} • {totalSkins} skins • {totalSkins ? `${money(skinValue)} per skin` : "No skins yet"}
+            Skins pool: {money(pool)}
+            {config?.buyIn != null ? ` (${entrants} × ${money(config.buyIn)})` : ""} • {totalSkins} skins •{" "}
+            {totalSkins ? `${money(skinValue)} per skin` : "No skins yet"}
+            {carry ? ` • ${carry} carrying over` : ""}
           </div>
+          {config ? <div className="text-white/40 text-[11px] mt-1">{skinsRulesText(config)}</div> : null}
         </div>
         <Pill>{isDay2 ? "Day 2 • Duos" : "Day " + day + " • Individuals"}</Pill>
       </div>
@@ -669,7 +472,7 @@ function BroadcastScoreboard({ tournament, totals, playersById, day }) {
 
             <tbody>
               {rows.map((r, idx) => {
-                const winnings = (r.skinsWon || 0) * skinValue;
+                const winnings = r.inSkins ? (r.skinsWon || 0) * skinValue : null;
 
                 return (
                   <tr key={r.key} className="border-b border-white/10">
@@ -704,7 +507,7 @@ function BroadcastScoreboard({ tournament, totals, playersById, day }) {
                       </>
                     )}
 
-                    <td className="py-2 text-right text-white font-semibold">{money(winnings)}</td>
+                    <td className="py-2 text-right text-white font-semibold">{winnings == null ? "—" : money(winnings)}</td>
                   </tr>
                 );
               })}
@@ -723,15 +526,12 @@ function BroadcastScoreboard({ tournament, totals, playersById, day }) {
                 <th className="text-left py-2 pr-3 w-[220px]">{isDay2 ? "Duo" : "Player"}</th>
 
                 {/* Holes */}
-                {Array.from({ length: holesCount }, (_, i) => {
-                  const h = holes[i];
-                  return (
-                    <th key={i} className="text-center py-2 px-1 w-9">
-                      <div className="text-white/70">{i + 1}</div>
-                      <div className="text-white/35">{h?.par ?? "—"}</div>
-                    </th>
-                  );
-                })}
+                {holes.map((h) => (
+                  <th key={h.hole} className="text-center py-2 px-1 w-9">
+                    <div className="text-white/70">{h.hole}</div>
+                    <div className="text-white/35">{h.par ?? "—"}</div>
+                  </th>
+                ))}
 
                 {/* Totals */}
                 {isDay2 ? (
@@ -751,7 +551,7 @@ function BroadcastScoreboard({ tournament, totals, playersById, day }) {
 
             <tbody>
               {rows.map((r, idx) => {
-                const winnings = (r.skinsWon || 0) * skinValue;
+                const winnings = r.inSkins ? (r.skinsWon || 0) * skinValue : null;
 
                 return (
                   <tr key={r.key} className="border-b border-white/10">
@@ -770,8 +570,7 @@ function BroadcastScoreboard({ tournament, totals, playersById, day }) {
                       </NamePill>
                     </td>
 
-                    {Array.from({ length: holesCount }, (_, i) => {
-                      const holeNum = i + 1;
+                    {holes.map(({ hole: holeNum }) => {
                       const cell = r.holes?.[holeNum];
                       const text = cell?.display ?? "—";
                       const isSkin = !!cell?.isSkin;
@@ -783,7 +582,7 @@ function BroadcastScoreboard({ tournament, totals, playersById, day }) {
                               "mx-auto w-8 h-8 rounded-lg border flex items-center justify-center text-[12px] font-semibold",
                               isSkin ? "bg-emerald-500/20 border-emerald-400/25 text-emerald-50" : "bg-white/5 border-white/10 text-white/85",
                             ].join(" ")}
-                            title={isSkin ? "Skin" : ""}
+                            title={[isSkin ? "Skin" : "", cell?.pickedUp ? "Pick-up" : ""].filter(Boolean).join(" • ")}
                           >
                             {text}
                           </div>
@@ -807,7 +606,7 @@ function BroadcastScoreboard({ tournament, totals, playersById, day }) {
                       </>
                     )}
 
-                    <td className="py-2 pl-3 text-right text-white font-semibold">{money(winnings)}</td>
+                    <td className="py-2 pl-3 text-right text-white font-semibold">{winnings == null ? "—" : money(winnings)}</td>
                   </tr>
                 );
               })}
@@ -816,130 +615,200 @@ function BroadcastScoreboard({ tournament, totals, playersById, day }) {
         </div>
 
         <div className="mt-3 text-white/50 text-xs">
-          Green cells = skins (unique best hole score). Day 1/3 = best **net** on hole. Day 2 = best **stableford points** on hole.
+          Green cells = skins (unique best hole score
+          {config?.basis === "GROSS" ? ", fewest strokes" : isDay2 ? ", most Stableford points" : ", best net"}
+          {config?.birdieOrBetter ? ", birdie or better" : ""}).{" "}
+          {config?.carryover ? "Tied holes carry over to the next hole." : "Tied holes are dropped."}
         </div>
       </div>
     </Card>
   );
 }
 
-function findPlayerGrossForDay({ matchCards, playerId, holeNum }) {
-  for (const mc of matchCards || []) {
-    const m = mc.match;
-    if (!m) continue;
-
-    const inA = m.sideA?.playerIds?.includes(playerId);
-    const inB = m.sideB?.playerIds?.includes(playerId);
-    if (!inA && !inB) continue;
-
-    // Singles
-    const sg = m.singlesGrossByPlayer?.[playerId]?.[holeNum];
-    if (sg != null) return sg;
+// Skins won across every day (each day's pool and rules are its own)
+function SkinsStandingsCard({ tournament, totals, playersById }) {
+  const standings = useMemo(
+    () => computeSkinsStandings({ tournament, totals, playersById }),
+    [tournament, totals, playersById]
+  );
+  const days = standings.days;
 
-    // Fourball
-    const fg = m.fourballGrossByPlayer?.[playerId]?.[holeNum];
-    if (fg != null) return fg;
-  }
+  return (
+    <Card className="p-5 mt-6">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-white font-semibold">Skins • All Days</div>
+          <div className="text-white/60 text-xs mt-1">
+            Pools: {money(standings.pool)} • Won so far: {money(standings.paid)}
+          </div>
+        </div>
+        <Pill>{days.reduce((s, d) => s + d.totalSkins, 0)} skins</Pill>
+      </div>
 
-  return null;
+      {standings.rows.length ? (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-white/60 text-xs border-b border-white/10">
+                <th className="text-left py-2 pr-2">#</th>
+                <th className="text-left py-2 pr-2">Player</th>
+                {days.map((d) => (
+                  <th key={d.day} className="text-right py-2 pr-2 hidden sm:table-cell">
+                    Day {d.day}
+                  </th>
+                ))}
+                <th className="text-right py-2 pr-2">Skins</th>
+                <th className="text-right py-2">Winnings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {standings.rows.map((r, idx) => (
+                <tr key={r.playerId} className="border-b border-white/10">
+                  <td className="py-2 pr-2 text-white/70">{idx + 1}</td>
+                  <td className="py-2 pr-2">
+                    <NamePill teamId={r.teamId}>
+                      <div className="text-white font-semibold">{playersById[r.playerId]?.name || "—"}</div>
+                    </NamePill>
+                  </td>
+                  {days.map((d) => {
+                    const cell = r.byDay[d.day];
+                    return (
+                      <td key={d.day} className="py-2 pr-2 text-right text-white/80 hidden sm:table-cell">
+                        {cell ? `${cell.skins} • ${money(cell.winnings)}` : "—"}
+                      </td>
+                    );
+                  })}
+                  <td className="py-2 pr-2 text-right text-white/90">{r.skins}</td>
+                  <td className="py-2 text-right text-white font-semibold">{money(r.winnings)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="mt-4 text-white/60 text-sm">No skins entrants yet.</div>
+      )}
+    </Card>
+  );
 }
 
-function computeSkinsDay13Net({ entries, holesCount }) {
-  const winnerByHole = {};
-  const countByKey = {};
-  let totalSkins = 0;
-
-  for (let holeNum = 1; holeNum <= holesCount; holeNum++) {
-    let best = null; // { key, net }
-    let tie = false;
+// -----------------------
+// Side contests + money ledger (Broadcast)
+// -----------------------
+const CONTEST_LABELS = { CTP: "Closest to the Pin", LONG_DRIVE: "Long Drive" };
+const CONTEST_UNITS = { CTP: "ft", LONG_DRIVE: "yds" };
 
-    for (const e of entries) {
-      const net = e.holes?.[holeNum]?.net;
-      if (net == null) continue;
+function measurementText(type, value) {
+  return value == null ? "—" : `${value} ${CONTEST_UNITS[type]}`;
+}
 
-      if (best == null || net < best.net) {
-        best = { key: e.key, net };
-        tie = false;
-      } else if (best && net === best.net) {
-        tie = true;
-      }
-    }
+function ContestsCard({ contests, playersById }) {
+  return (
+    <Card className="p-5 mt-6">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-white font-semibold">Side Contests</div>
+          <div className="text-white/60 text-xs mt-1">Closest to the pin (feet) • Long drive (yards) • Ties split the prize</div>
+        </div>
+        <Pill>{contests.length} contests</Pill>
+      </div>
 
-    if (best && !tie) {
-      winnerByHole[holeNum] = best.key;
-      countByKey[best.key] = (countByKey[best.key] || 0) + 1;
-      totalSkins += 1;
-    }
-  }
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+        {contests.map((c) => {
+          const best = c.entries[0];
+          const names = c.winnerIds.map((pid) => playersById[pid]?.name || "—").join(" & ");
 
-  return { winnerByHole, countByKey, totalSkins };
+          return (
+            <div key={c.hole} className="p-4 rounded-2xl bg-white/5 border border-white/10">
+              <div className="flex items-center justify-between gap-3">
+                <div className="text-white/70 text-xs">
+                  Hole {c.hole} • {CONTEST_LABELS[c.type]}
+                </div>
+                <Pill tone={c.decided ? "final" : "neutral"}>{c.decided ? "Won" : c.source ? "Leader" : "Open"}</Pill>
+              </div>
+              {c.winnerIds.length ? (
+                <div className="mt-3">
+                  <NamePill teamId={playersById[c.winnerIds[0]]?.teamId}>
+                    <div className="text-white font-semibold">{names}</div>
+                  </NamePill>
+                </div>
+              ) : (
+                <div className="mt-3 text-white/50 text-sm">No measurements yet</div>
+              )}
+              <div className="mt-2 text-white/60 text-xs">
+                {c.source === "ADMIN" ? "Set by admin" : best ? measurementText(c.type, best.value) : ""}
+                {c.entries.length > 1 ? ` • ${c.entries.length} measured` : ""} • {money(c.prize)}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </Card>
+  );
 }
 
-function computeSkinsDay2Stableford({ entries, holesCount }) {
-  const winnerByHole = {};
-  const countByKey = {};
-  let totalSkins = 0;
-
-  for (let holeNum = 1; holeNum <= holesCount; holeNum++) {
-    let best = null; // { key, pts }
-    let tie = false;
-
-    for (const e of entries) {
-      const pts = e.holes?.[holeNum]?.pts;
-      if (pts == null) continue;
+const LEDGER_LABELS = { SKINS: "Skins", CTP: "CTP", LONG_DRIVE: "Long Drive", NASSAU: "Nassau" };
 
-      if (best == null || pts > best.pts) {
-        best = { key: e.key, pts };
-        tie = false;
-      } else if (best && pts === best.pts) {
-        tie = true;
-      }
-    }
+function MoneyLedgerCard({ tournament, totals, playersById }) {
+  const ledger = useMemo(
+    () => computeMoneyLedger({ tournament, totals, playersById }),
+    [tournament, totals, playersById]
+  );
+  // Only the columns something has been won in
+  const sources = Object.keys(LEDGER_LABELS).filter((src) => ledger.rows.some((r) => r.bySource[src]));
 
-    if (best && !tie) {
-      winnerByHole[holeNum] = best.key;
-      countByKey[best.key] = (countByKey[best.key] || 0) + 1;
-      totalSkins += 1;
-    }
-  }
+  return (
+    <Card className="p-5 mt-6">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-white font-semibold">Money Ledger</div>
+          <div className="text-white/60 text-xs mt-1">
+            Skins, side contests and Nassau settlements, each counted once decided (skins net of any buy-in)
+          </div>
+        </div>
+        <Pill>{money(ledger.total)}</Pill>
+      </div>
 
-  return { winnerByHole, countByKey, totalSkins };
+      {ledger.rows.length ? (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-white/60 text-xs border-b border-white/10">
+                <th className="text-left py-2 pr-2">Player</th>
+                {sources.map((src) => (
+                  <th key={src} className="text-right py-2 pr-2">
+                    {LEDGER_LABELS[src]}
+                  </th>
+                ))}
+                <th className="text-right py-2">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ledger.rows.map((r) => (
+                <tr key={r.playerId} className="border-b border-white/10">
+                  <td className="py-2 pr-2">
+                    <NamePill teamId={r.teamId}>
+                      <div className="text-white font-semibold">{playersById[r.playerId]?.name || "—"}</div>
+                    </NamePill>
+                  </td>
+                  {sources.map((src) => (
+                    <td key={src} className="py-2 pr-2 text-right text-white/80">
+                      {r.bySource[src] ? money(r.bySource[src]) : "—"}
+                    </td>
+                  ))}
+                  <td className="py-2 text-right text-white font-semibold">{money(r.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="mt-4 text-white/60 text-sm">Nothing won or owed yet.</div>
+      )}
+    </Card>
+  );
 }
 
-// -----------------------
-// Courses
-// -----------------------
-function holesFromParAndHcp(parArr, hcpArr) {
-  return parArr.map((par, i) => ({ hole: i + 1, par, hcpRank: hcpArr[i] }));
-}
-
-const COURSES = {
-  1: {
-    name: "Wildfire Golf Club (Fazio Course)",
-    city: "Phoenix, Arizona",
-    holes: holesFromParAndHcp(
-      [4, 4, 3, 4, 4, 4, 3, 4, 5, 4, 5, 4, 4, 3, 5, 4, 3, 4],
-      [7, 5, 17, 1, 9, 13, 15, 11, 3, 8, 4, 6, 16, 14, 2, 12, 18, 10]
-    ),
-  },
-  2: {
-    name: "Lookout Mountain Golf Club",
-    city: "Phoenix, Arizona",
-    holes: holesFromParAndHcp(
-      [4, 5, 3, 4, 5, 3, 5, 4, 3, 4, 3, 4, 4, 4, 5, 3, 4, 5],
-      [11, 9, 15, 3, 7, 13, 1, 5, 17, 4, 12, 2, 18, 8, 16, 6, 14, 10]
-    ),
-  },
-  3: {
-    name: "Papago Golf Club",
-    city: "Phoenix, Arizona",
-    holes: holesFromParAndHcp(
-      [5, 4, 4, 3, 4, 4, 4, 3, 5, 5, 3, 4, 4, 4, 5, 4, 3, 4],
-      [15, 17, 3, 13, 11, 1, 7, 9, 5, 18, 12, 16, 10, 8, 14, 4, 6, 2]
-    ),
-  },
-};
-
 // -----------------------
 // Local fallback tournament (used only if Firestore empty)
 // -----------------------
@@ -1035,6 +904,7 @@ export function makeInitialTournament() {
     ownerUserId: "OWNER_UID_HERE",
     adminUserIds: ["OWNER_UID_HERE"],
     claims: {},
+    teams: DEFAULT_TEAMS,
     days: [
       {
         day: 1,
@@ -1062,171 +932,26 @@ export function makeInitialTournament() {
 }
 
 // -----------------------
-// Derived scoring
+// UI Components
 // -----------------------
-function computeMatchHoles(match, holes, playersById) {
-  return holes.map((h) => {
-    const hole = h.hole;
-
-    if (match.format === "FOURBALL_NET") {
-      const aP = match.sideA.playerIds;
-      const bP = match.sideB.playerIds;
+function Pill({ children, tone = "neutral" }) {
+  const tones = {
+    neutral: "bg-white/10 text-white border-white/10",
+    warn: "bg-amber-500/15 text-amber-100 border-amber-400/20",
+    final: "bg-emerald-500/15 text-emerald-100 border-emerald-400/20",
+    // "team:red", "team:yellow", ... — a team's colour (see TEAM_PALETTE)
+    ...Object.fromEntries(Object.entries(TEAM_PALETTE).map(([color, p]) => [`team:${color}`, p.badge])),
+  };
+  return (
+    <span className={`inline-flex items-center gap-2 px-3 py-1 rounded-full border text-xs ${tones[tone] || tones.neutral}`}>
+      {children}
+    </span>
+  );
+}
 
-      const getGross = (pid) => match.fourballGrossByPlayer?.[pid]?.[hole] ?? null;
-
-      const aNets = aP
-        .map((pid) => {
-          const gross = getGross(pid);
-          const p = playersById[pid];
-          const net = p ? netScore(gross, p.courseHcp, h.hcpRank) : null;
-          return { pid, gross, net };
-        })
-        .filter((x) => x.gross != null && x.net != null);
-
-      const bNets = bP
-        .map((pid) => {
-          const gross = getGross(pid);
-          const p = playersById[pid];
-          const net = p ? netScore(gross, p.courseHcp, h.hcpRank) : null;
-          return { pid, gross, net };
-        })
-        .filter((x) => x.gross != null && x.net != null);
-
-      if (aNets.length === 0 || bNets.length === 0) {
-        return {
-          hole,
-          played: false,
-          winnerSideId: null,
-          details: { type: "fourball", aBest: null, bBest: null },
-        };
-      }
-
-      const aBest = aNets.reduce((best, cur) => (best == null || cur.net < best.net ? cur : best), null);
-      const bBest = bNets.reduce((best, cur) => (best == null || cur.net < best.net ? cur : best), null);
-
-      let winner = null;
-      if (aBest.net < bBest.net) winner = match.sideA.id;
-      else if (bBest.net < aBest.net) winner = match.sideB.id;
-
-      return { hole, played: true, winnerSideId: winner, details: { type: "fourball", aBest, bBest } };
-    }
-
-    if (match.format === "SCRAMBLE_STABLEFORD") {
-      const getSideGross = (sideId) => match.scrambleGrossBySide?.[sideId]?.[hole] ?? null;
-      const aGross = getSideGross(match.sideA.id);
-      const bGross = getSideGross(match.sideB.id);
-
-      if (aGross == null || bGross == null) {
-        return {
-          hole,
-          played: false,
-          winnerSideId: null,
-          details: { type: "scramble", aGross: null, bGross: null, aPts: null, bPts: null },
-        };
-      }
-
-      const aPts = stablefordFromDiff(aGross - h.par);
-      const bPts = stablefordFromDiff(bGross - h.par);
-
-      let winner = null;
-      if (aPts > bPts) winner = match.sideA.id;
-      else if (bPts > aPts) winner = match.sideB.id;
-
-      return { hole, played: true, winnerSideId: winner, details: { type: "scramble", aGross, bGross, aPts, bPts } };
-    }
-
-    // Singles
-    const aPid = match.sideA.playerIds[0];
-    const bPid = match.sideB.playerIds[0];
-
-    const aGross = match.singlesGrossByPlayer?.[aPid]?.[hole] ?? null;
-    const bGross = match.singlesGrossByPlayer?.[bPid]?.[hole] ?? null;
-
-    if (aGross == null || bGross == null) {
-      return {
-        hole,
-        played: false,
-        winnerSideId: null,
-        details: { type: "singles", aGross: null, bGross: null, aNet: null, bNet: null },
-      };
-    }
-
-    const aP = playersById[aPid];
-    const bP = playersById[bPid];
-    const aNet = aP ? netScore(aGross, aP.courseHcp, h.hcpRank) : null;
-    const bNet = bP ? netScore(bGross, bP.courseHcp, h.hcpRank) : null;
-
-    let winner = null;
-    if (aNet != null && bNet != null) {
-      if (aNet < bNet) winner = match.sideA.id;
-      else if (bNet < aNet) winner = match.sideB.id;
-    }
-
-    return { hole, played: true, winnerSideId: winner, details: { type: "singles", aGross, bGross, aNet, bNet } };
-  });
-}
-
-function computeTournamentTotals(tournament) {
-  const playersById = Object.fromEntries((tournament.players || []).map((p) => [p.id, p]));
-
-  const daySummaries = (tournament.days || []).map((d) => {
-    const holes = tournament.courses?.[d.day]?.holes || [];
-    let jc = 0;
-    let sg = 0;
-
-    const matchCards = (d.matches || []).map((m) => {
-      const mh = computeMatchHoles(m, holes, playersById);
-      const status =
-  m.format === "SCRAMBLE_STABLEFORD"
-    ? stablefordTotalsStatusFromHoles(mh, m.sideA.id, m.sideB.id)
-    : matchStatusFromHoles(
-        mh.map((x) => ({ played: x.played, winnerSideId: x.winnerSideId })),
-        m.sideA.id,
-        m.sideB.id
-      );
-      const pts = pointsForFinalMatch(status, m.sideA, m.sideB);
-      jc += pts.JC ?? 0;
-      sg += pts.SG ?? 0;
-
-      return {
-        match: m,
-        holes: mh,
-        status,
-        points: pts,
-        courseName: tournament.courses?.[d.day]?.name || d.courseName,
-      };
-    });
-
-    return { day: d.day, title: d.title, courseName: d.courseName, jc, sg, matchCards };
-  });
-
-  const totalJC = daySummaries.reduce((s, d) => s + d.jc, 0);
-  const totalSG = daySummaries.reduce((s, d) => s + d.sg, 0);
-
-  return { daySummaries, totalJC, totalSG };
-}
-
-// -----------------------
-// UI Components
-// -----------------------
-function Pill({ children, tone = "neutral" }) {
-  const tones = {
-    neutral: "bg-white/10 text-white border-white/10",
-    warn: "bg-amber-500/15 text-amber-100 border-amber-400/20",
-    jcLead: "bg-red-500/20 text-red-100 border-red-400/30",
-    sgLead: "bg-yellow-400/20 text-yellow-100 border-yellow-300/30",
-    final: "bg-emerald-500/15 text-emerald-100 border-emerald-400/20",
-  };
-  return (
-    <span className={`inline-flex items-center gap-2 px-3 py-1 rounded-full border text-xs ${tones[tone] || tones.neutral}`}>
-      {children}
-    </span>
-  );
-}
-
-function Card({ children, className = "" }) {
-  return <div className={`rounded-2xl bg-white/5 border border-white/10 shadow-sm ${className}`}>{children}</div>;
-}
+function Card({ children, className = "" }) {
+  return <div className={`rounded-2xl bg-white/5 border border-white/10 shadow-sm ${className}`}>{children}</div>;
+}
 
 function Button({ children, onClick, variant = "primary", className = "", disabled, type = "button" }) {
   const styles = {
@@ -1267,15 +992,11 @@ function Segmented({ value, onChange, options }) {
   );
 }
 
-function StatBlock({ label, value, sub, logoSrc, leadTeam = null }) {
+function StatBlock({ label, value, sub, note, projected, logoSrc, leadTeam = null }) {
+  const teams = useTeams();
   const isLeadCard = leadTeam != null;
 
-  const leadStyles =
-    leadTeam === "JC"
-      ? "border-red-500/30 bg-red-500/10"
-      : leadTeam === "SG"
-      ? "border-yellow-400/30 bg-yellow-400/10"
-      : "border-white/10 bg-white/[0.04]";
+  const leadStyles = leadTeam === "TIED" ? NEUTRAL_PALETTE.card : teams.palette(leadTeam).card;
 
   return (
     <div
@@ -1303,11 +1024,16 @@ function StatBlock({ label, value, sub, logoSrc, leadTeam = null }) {
                 />
               </div>
             ) : null}
+
+            {note ? <div className="mt-3 text-white/70 text-sm font-medium text-center">{note}</div> : null}
           </div>
 
-          {/* Right: score */}
-          <div className="shrink-0 text-white text-6xl md:text-7xl font-extrabold leading-none">
-            {value}
+          {/* Right: score (+ projected "if it ended now" when it differs) */}
+          <div className="shrink-0 flex flex-col items-end">
+            <div className="text-white text-6xl md:text-7xl font-extrabold leading-none">{value}</div>
+            {projected != null && projected !== value ? (
+              <div className="mt-2 text-white/60 text-sm font-medium">Proj. {projected}</div>
+            ) : null}
           </div>
         </div>
       ) : (
@@ -1330,30 +1056,91 @@ function StatBlock({ label, value, sub, logoSrc, leadTeam = null }) {
             ) : logoSrc ? (
               <img
                 src={logoSrc}
-                alt={`${leadTeam} leading`}
+                alt={`${teams.name(leadTeam)} leading`}
                 className="h-48 w-48 md:h-56 md:w-56 object-contain"
                 loading="lazy"
               />
+            ) : leadTeam ? (
+              <div className="text-white text-5xl md:text-6xl font-extrabold tracking-tight">{teams.abbr(leadTeam)}</div>
             ) : (
               <div className="text-white/60">—</div>
             )}
           </div>
+
+          {note ? <div className="text-white/70 text-sm font-medium text-center">{note}</div> : null}
         </div>
       )}
     </div>
   );
 }
 
+// One StatBlock per team (official total, projection, Cup note)
+function TeamStatBlocks({ totals }) {
+  const teams = useTeams();
+  return teams.ids.map((teamId) => (
+    <StatBlock
+      key={teamId}
+      label={teams.name(teamId)}
+      value={(totals.points[teamId] ?? 0).toFixed(1)}
+      projected={(totals.projected[teamId] ?? 0).toFixed(1)}
+      note={cupNote(totals.cup, teamId)}
+      logoSrc={teams.logo(teamId)}
+    />
+  ));
+}
+
+// Grid for the team StatBlocks plus one extra card
+function statGridCols(teamCount) {
+  return teamCount >= 3 ? "md:grid-cols-2 xl:grid-cols-4" : "md:grid-cols-3";
+}
+
+// Team StatBlock note: "3.5 points needed to win" until the Cup is decided
+function cupNote(cup, teamId) {
+  if (cup.clinchedBy === teamId) return cup.retained ? "Cup retained" : "Cup clinched";
+  if (cup.decided) return cup.shared ? "Cup shared" : null;
+
+  const verb = cup.holderRetains && cup.holderTeamId === teamId ? "retain" : "win";
+  const needed = cup.needed[teamId];
+  if (needed == null) return `Needs results elsewhere to ${verb}`;
+  return `${needed.toFixed(1)} ${needed === 1 ? "point" : "points"} needed to ${verb}`;
+}
+
+// Lead StatBlock sub line: "14.5 to win • 28 points" (or who clinched it).
+// With three or more teams the winning total moves with the standings, so it shows what's left instead.
+function cupSummary(totals, teams) {
+  const { cup } = totals;
+  if (cup.clinchedBy) return `${teams.name(cup.clinchedBy)} ${cup.retained ? "retain" : "win"} the Cup`;
+  if (cup.shared) return "Cup shared";
+  if (teams.ids.length > 2) return `${totals.remaining.toFixed(1)} of ${totals.available.toFixed(1)} points to play`;
+
+  const ids = Object.keys(cup.target);
+  const challenger = ids.find((t) => !(cup.holderRetains && cup.holderTeamId === t)) ?? ids[0];
+  const holder =
+    cup.holderRetains && cup.target[cup.holderTeamId] != null
+      ? ` • ${teams.abbr(cup.holderTeamId)} retain on ${cup.target[cup.holderTeamId].toFixed(1)}`
+      : "";
+  return `${(cup.target[challenger] ?? 0).toFixed(1)} to win • ${totals.available.toFixed(1)} points${holder}`;
+}
+
 function TeamBadge({ teamId, showFull = false }) {
-  const label = showFull ? TEAM[teamId] : TEAM_ABBR[teamId];
+  const teams = useTeams();
+  const label = showFull ? teams.name(teamId) : teams.abbr(teamId);
   return (
-    <span className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-full border ${TEAM_COLOR[teamId]}`}>
+    <span className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-full border ${teams.palette(teamId).badge}`}>
       <Shield className="w-4 h-4" />
       <span className="text-xs font-medium">{label}</span>
     </span>
   );
 }
 
+const MATCH_FORMAT_OPTIONS = [
+  { value: "FOURBALL_NET", label: "Fourball (Net)" },
+  { value: "SCRAMBLE_STABLEFORD", label: "Scramble (Stableford)" },
+  { value: "FOURSOMES_NET", label: "Foursomes (Net)" },
+  { value: "GREENSOMES_NET", label: "Greensomes (Net)" },
+  { value: "SINGLES_NET", label: "Singles (Net)" },
+];
+
 function MatchFormatPill({ format }) {
   if (format === "FOURBALL_NET")
     return (
@@ -1367,6 +1154,24 @@ function MatchFormatPill({ format }) {
         <Flag className="w-4 h-4" />Scramble (Stableford)
       </Pill>
     );
+  if (format === "FOURSOMES_NET")
+    return (
+      <Pill>
+        <Repeat className="w-4 h-4" />Foursomes (Net)
+      </Pill>
+    );
+  if (format === "GREENSOMES_NET")
+    return (
+      <Pill>
+        <Split className="w-4 h-4" />Greensomes (Net)
+      </Pill>
+    );
+  if (format === "STROKE_PLAY")
+    return (
+      <Pill>
+        <ListOrdered className="w-4 h-4" />Stroke Play
+      </Pill>
+    );
   return (
     <Pill>
       <Trophy className="w-4 h-4" />Singles (Net)
@@ -1374,7 +1179,7 @@ function MatchFormatPill({ format }) {
   );
 }
 
-function statusPillTone(status, match) {
+function statusPillTone(status, match, teams) {
   // Final tied match → green
   if (status.isFinal && status.isTied) return "final";
 
@@ -1385,7 +1190,7 @@ function statusPillTone(status, match) {
         ? match.sideA.teamId
         : match.sideB.teamId;
 
-    return winnerTeam === "JC" ? "jcLead" : "sgLead";
+    return teams.tone(winnerTeam);
   }
 
   // In-progress tied
@@ -1398,7 +1203,7 @@ function statusPillTone(status, match) {
         ? match.sideA.teamId
         : match.sideB.teamId;
 
-    return leaderTeam === "JC" ? "jcLead" : "sgLead";
+    return teams.tone(leaderTeam);
   }
 
   return "neutral";
@@ -1566,13 +1371,15 @@ function AuthModal({ open, onClose, onSignIn, onSignUp, loading, error }) {
   );
 }
 
-function NumberStepper({ value, onChange, min = 1, max = 12, disabled }) {
+// allowPickUp adds an "X" (pick-up) toggle; the value is then "X" instead of a number
+function NumberStepper({ value, onChange, min = 1, max = 12, disabled, allowPickUp = false }) {
   const v = value ?? "";
+  const pickedUp = isPickUp(value);
   return (
     <div className="flex items-center gap-2">
       <button
         disabled={disabled}
-        onClick={() => onChange(value == null ? min : clamp(value - 1, min, max))}
+        onClick={() => onChange(value == null || pickedUp ? max : clamp(value - 1, min, max))}
         className="w-10 h-10 rounded-xl bg-white/5 border border-white/10 text-white hover:bg-white/10 disabled:opacity-40"
       >
         −
@@ -1584,6 +1391,7 @@ function NumberStepper({ value, onChange, min = 1, max = 12, disabled }) {
         onChange={(e) => {
           const raw = e.target.value;
           if (raw === "") return onChange(null);
+          if (allowPickUp && raw.trim().toUpperCase() === PICK_UP) return onChange(PICK_UP);
           const n = Number(raw);
           if (!Number.isFinite(n)) return;
           onChange(clamp(Math.round(n), min, max));
@@ -1592,32 +1400,82 @@ function NumberStepper({ value, onChange, min = 1, max = 12, disabled }) {
         placeholder="—"
       />
       <button
-        disabled={disabled}
+        disabled={disabled || pickedUp}
         onClick={() => onChange(value == null ? min : clamp(value + 1, min, max))}
         className="w-10 h-10 rounded-xl bg-white/5 border border-white/10 text-white hover:bg-white/10 disabled:opacity-40"
       >
         +
       </button>
+      {allowPickUp ? (
+        <button
+          disabled={disabled}
+          onClick={() => onChange(pickedUp ? null : PICK_UP)}
+          title="Pick up (counts as the maximum hole score)"
+          className={`w-10 h-10 rounded-xl border text-sm font-semibold disabled:opacity-40 ${
+            pickedUp ? "bg-white text-zinc-900 border-white" : "bg-white/5 text-white border-white/10 hover:bg-white/10"
+          }`}
+        >
+          X
+        </button>
+      ) : null}
     </div>
   );
 }
 
+// Text-backed number input: keeps the raw text while typing (so "12." or "-" are
+// allowed mid-edit) and commits on blur or Enter — a parsed number, or null when blank.
+// Unparseable text is dropped.
+function NumberInput({ value, onCommit, placeholder, parse = Number, format = String, className = "" }) {
+  const [text, setText] = useState(null);
+  const shown = value == null || value === "" ? "" : format(value);
+
+  const commit = () => {
+    if (text == null) return;
+    setText(null);
+    if (text === shown) return;
+    if (text.trim() === "") return onCommit(null);
+    const n = parse(text);
+    if (Number.isFinite(n)) onCommit(n);
+  };
+
+  return (
+    <input
+      inputMode="decimal"
+      value={text ?? shown}
+      onFocus={() => setText(shown)}
+      onBlur={commit}
+      onChange={(e) => setText(e.target.value)}
+      onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+      placeholder={placeholder}
+      className={`w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm ${className}`}
+    />
+  );
+}
+
 function HoleStrip({ mc }) {
-  // running match lead (JC = +, SG = -)
+  const teams = useTeams();
+  // running match lead (side A = +, side B = -)
   let diff = 0;
 
-  const aId = mc?.match?.sideA?.id; // JC side id
-  const bId = mc?.match?.sideB?.id; // SG side id
+  const aId = mc?.match?.sideA?.id;
+  const bId = mc?.match?.sideB?.id;
+  const aTeam = mc?.match?.sideA?.teamId;
+  const bTeam = mc?.match?.sideB?.teamId;
 
-  const cells = (mc.holes || []).slice(0, 18).map((h, idx) => {
-    const holeNum = idx + 1;
+  const cells = (mc.holes || []).map((h, idx) => {
+    const holeNum = h.hole ?? idx + 1;
+    const label = h.playoff ? `Playoff Hole ${holeNum} (Plays ${h.courseHole})` : `Hole ${holeNum}`;
+    const ring = h.playoff ? "ring-1 ring-amber-300/70" : "";
+    const edge = h.conceded ? "border-dashed border-white/70" : "border-white/10";
 
     // Not played yet
     if (!h.played) {
       return {
         bg: "bg-white/10",
+        ring,
+        edge,
         txt: "",
-        title: `Hole ${holeNum}: Not Played`,
+        title: `${label}: Not Played`,
       };
     }
 
@@ -1629,25 +1487,27 @@ function HoleStrip({ mc }) {
 
     // AFTER this hole, color based on who is currently winning
     const bg =
-      diff > 0 ? "bg-red-500/40" : diff < 0 ? "bg-yellow-400/40" : "bg-white/15";
+      diff > 0 ? teams.palette(aTeam).strip : diff < 0 ? teams.palette(bTeam).strip : "bg-white/15";
 
     // Number should be the lead size (0 if AS)
     const txt = diff === 0 ? "0" : String(Math.abs(diff));
 
     const lead =
-      diff === 0 ? "AS" : diff > 0 ? `JCGC ${Math.abs(diff)} Up` : `SGC ${Math.abs(diff)} Up`;
+      diff === 0 ? "AS" : `${teams.abbr(diff > 0 ? aTeam : bTeam)} ${Math.abs(diff)} Up`;
 
     const holeResult =
       h.winnerSideId == null
         ? "Halved"
         : h.winnerSideId === aId
-        ? "JCGC won"
-        : "SGC won";
+        ? `${teams.abbr(aTeam)} won${h.conceded ? " (Conceded)" : ""}`
+        : `${teams.abbr(bTeam)} won${h.conceded ? " (Conceded)" : ""}`;
 
     return {
       bg,
+      ring,
+      edge,
       txt,
-      title: `Hole ${holeNum}: ${holeResult} (Match ${lead})`,
+      title: `${label}: ${holeResult} (Match ${lead})`,
     };
   });
 
@@ -1657,7 +1517,7 @@ function HoleStrip({ mc }) {
         {cells.map((c, idx) => (
           <div
             key={idx}
-            className={`w-6 h-6 rounded-md ${c.bg} border border-white/10 flex items-center justify-center text-[11px] font-semibold`}
+            className={`w-6 h-6 rounded-md ${c.bg} ${c.ring} border ${c.edge} flex items-center justify-center text-[11px] font-semibold`}
             title={c.title}
           >
             <span className="text-white/90">{c.txt}</span>
@@ -1669,35 +1529,39 @@ function HoleStrip({ mc }) {
 }
 
 function HoleStripDay2({ mc }) {
+  const teams = useTeams();
   let diff = 0;
 
-  const cells = (mc.holes || []).slice(0, 18).map((h, idx) => {
-    const holeNum = idx + 1;
+  const cells = (mc.holes || []).map((h, idx) => {
+    const holeNum = h.hole ?? idx + 1;
+    const label = h.playoff ? `Playoff Hole ${holeNum} (Plays ${h.courseHole})` : `Hole ${holeNum}`;
+    const ring = h.playoff ? "ring-1 ring-amber-300/70" : "";
 
     if (!h.played) {
-      return { bg: "bg-white/10", txt: "", title: `Hole ${holeNum}: Not Played` };
+      return { bg: "bg-white/10", ring, txt: "", title: `${label}: Not Played` };
     }
 
     const aPts = h.details?.type === "scramble" ? h.details?.aPts : null;
     const bPts = h.details?.type === "scramble" ? h.details?.bPts : null;
 
     if (aPts == null || bPts == null) {
-      return { bg: "bg-white/10", txt: "", title: `Hole ${holeNum}: Not Scored` };
+      return { bg: "bg-white/10", ring, txt: "", title: `${label}: Not Scored` };
     }
 
     diff += (Number(aPts) || 0) - (Number(bPts) || 0);
 
     const bg =
-      diff > 0 ? "bg-red-500/40"
-      : diff < 0 ? "bg-yellow-400/40"
+      diff > 0 ? teams.palette(mc.match.sideA.teamId).strip
+      : diff < 0 ? teams.palette(mc.match.sideB.teamId).strip
       : "bg-white/15";
 
     const txt = diff === 0 ? "" : String(Math.abs(diff));
 
     return {
       bg,
+      ring,
       txt,
-      title: `Hole ${holeNum}: ${aPts}–${bPts} (Running diff ${diff})`,
+      title: `${label}: ${aPts}–${bPts} (Running diff ${diff})`,
     };
   });
 
@@ -1707,7 +1571,8 @@ function HoleStripDay2({ mc }) {
         {cells.map((c, idx) => (
           <div
             key={idx}
-            className={`w-6 h-6 rounded-md ${c.bg} border border-white/10 flex items-center justify-center text-[11px] font-semibold`}
+            className={`w-6 h-6 rounded-md ${c.bg} ${c.ring} border border-white/10 flex items-center justify-center text-[11px] font-semibold`}
+            title={c.title}
           >
             <span className="text-white/90">{c.txt}</span>
           </div>
@@ -1778,6 +1643,7 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
   const [players, setPlayers] = useState([]);
   const [days, setDays] = useState([]);
   const [matches, setMatches] = useState([]);
+  const [editions, setEditions] = useState([]);
 
   const [route, setRoute] = useState({ name: "home" });
   const [activeDay, setActiveDay] = useState(() => getPhoenixTournamentDay());
@@ -1820,6 +1686,15 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
     };
   }, [tournamentId]);
 
+  // Past editions live outside the yearly tournament doc (history/{year})
+  useEffect(() => {
+    return onSnapshot(collection(db, "history"), (snap) => {
+      const rows = snap.docs.map((d) => normalizeEdition(d.data())).filter(Boolean);
+      rows.sort((a, b) => a.year - b.year);
+      setEditions(rows);
+    });
+  }, []);
+
   // Assemble tournament object
   const tournament = useMemo(() => {
     const fallback = makeInitialTournament();
@@ -1845,6 +1720,17 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
         date: d.date ?? DAY_DATES[dayNum] ?? "",
         title: d.title ?? fallback.days.find((x) => x.day === dayNum)?.title ?? `Day ${dayNum}`,
         courseName: d.courseName ?? effectiveBase.courses?.[dayNum]?.name ?? "",
+        stablefordTable: d.stablefordTable ?? null,
+        allowances: d.allowances ?? null,
+        mustHaveWinner: !!d.mustHaveWinner,
+        startHole: d.startHole ?? 1,
+        holesToPlay: d.holesToPlay ?? null,
+        maxScore: d.maxScore ?? null,
+        type: d.type ?? null,
+        strokePlay: d.strokePlay ?? null,
+        matchPoints: d.matchPoints ?? null,
+        bonusPoints: d.bonusPoints ?? null,
+        skins: d.skins ?? null,
         matches: dayMatches,
       };
     });
@@ -1857,6 +1743,8 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
       ownerUserId: effectiveBase.ownerUserId ?? null,
       adminUserIds: Array.isArray(effectiveBase.adminUserIds) ? effectiveBase.adminUserIds : [],
       claims: effectiveBase.claims ?? {},
+      cup: effectiveBase.cup ?? null,
+      teams: effectiveBase.teams ?? null,
       players: players.length ? players : fallback.players,
       days: dayList,
     };
@@ -1873,6 +1761,13 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
   );
 
   const totals = useMemo(() => computeTournamentTotals(tournament), [tournament]);
+  // The Cup simulation is the slow part — rerun it only when scores or lineups change, not on every snapshot
+  const oddsKey = useMemo(() => winProbabilityKey(tournament), [tournament]);
+  const odds = useMemo(() => {
+    const input = JSON.parse(oddsKey);
+    return computeWinProbabilities({ tournament: input, totals: computeTournamentTotals(input) });
+  }, [oddsKey]);
+  const teams = useMemo(() => teamDirectory(normalizeTeams(tournament.teams)), [tournament.teams]);
 
   // -----------------------
   // Firestore write helpers
@@ -1883,6 +1778,36 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
     await updateDoc(mRef, { ...patch, updatedAt: Date.now() });
   }
 
+  async function writeDay(dayNum, patch) {
+    const tRef = doc(db, "tournaments", tournamentId);
+    const dRef = doc(tRef, "days", String(dayNum));
+    await setDoc(dRef, { day: dayNum, ...patch, updatedAt: Date.now() }, { merge: true });
+  }
+
+  async function writeCourse(dayNum, patch) {
+    const tRef = doc(db, "tournaments", tournamentId);
+    const fields = Object.fromEntries(Object.entries(patch).map(([k, v]) => [`courses.${dayNum}.${k}`, v]));
+    await updateDoc(tRef, { ...fields, updatedAt: Date.now() });
+  }
+
+  async function writeCup(cup) {
+    const tRef = doc(db, "tournaments", tournamentId);
+    await updateDoc(tRef, { cup, updatedAt: Date.now() });
+  }
+
+  async function writeTeams(teamList) {
+    const tRef = doc(db, "tournaments", tournamentId);
+    await updateDoc(tRef, { teams: teamList, updatedAt: Date.now() });
+  }
+
+  async function writeEdition(edition) {
+    await setDoc(doc(db, "history", String(edition.year)), { ...edition, updatedAt: Date.now() });
+  }
+
+  async function removeEdition(year) {
+    await deleteDoc(doc(db, "history", String(year)));
+  }
+
   async function writePlayer(playerId, patch) {
     const tRef = doc(db, "tournaments", tournamentId);
     const pRef = doc(tRef, "players", playerId);
@@ -1906,7 +1831,7 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
       id: nextId,
       slotId: `slot-${nextId}`,
       name: "New Player",
-      teamId: "JC",
+      teamId: teams.ids[0],
       courseHcp: 10,
       updatedAt: Date.now(),
     };
@@ -1976,7 +1901,11 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
   onOpenMatches={() => setRoute({ name: "matches" })}
   onOpenMatch={(matchId) => setRoute({ name: "match", matchId })}
   onOpenBroadcast={() => setRoute({ name: "broadcast" })}
+  onOpenStrokePlay={() => setRoute({ name: "strokePlay" })}
   onOpenClaim={() => setRoute({ name: "claim" })}
+  onOpenStats={() => setRoute({ name: "stats" })}
+  onOpenStandings={() => setRoute({ name: "standings" })}
+  onOpenHistory={() => setRoute({ name: "history" })}
 />
       );
     }
@@ -2001,11 +1930,80 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
         <MatchesPage
           tournament={tournament}
           totals={totals}
+          odds={odds}
           activeDay={activeDay}
           setActiveDay={setActiveDay}
           playersById={playersById}
           onBack={() => setRoute({ name: "home" })}
           onOpenMatch={(matchId) => setRoute({ name: "match", matchId })}
+          onOpenStrokePlay={() => setRoute({ name: "strokePlay" })}
+          onOpenScenarios={() => setRoute({ name: "scenarios" })}
+        />
+      );
+    }
+
+    if (route.name === "standings") {
+      return (
+        <PlayerStandingsPage
+          tournament={tournament}
+          totals={totals}
+          playersById={playersById}
+          onBack={() => setRoute({ name: "home" })}
+          onOpenPlayer={(playerId) => setRoute({ name: "player", playerId })}
+        />
+      );
+    }
+
+    if (route.name === "history") {
+      return <HistoryPage tournament={tournament} editions={editions} onBack={() => setRoute({ name: "home" })} />;
+    }
+
+    if (route.name === "stats") {
+      return (
+        <StatsLeadersPage
+          tournament={tournament}
+          playersById={playersById}
+          claimedPlayerId={claimedPlayerId}
+          onBack={() => setRoute({ name: "home" })}
+          onOpenPlayer={(playerId) => setRoute({ name: "player", playerId })}
+        />
+      );
+    }
+
+    if (route.name === "player") {
+      return (
+        <PlayerStatsPage
+          key={route.playerId}
+          tournament={tournament}
+          playersById={playersById}
+          playerId={route.playerId}
+          onBack={() => setRoute({ name: "stats" })}
+        />
+      );
+    }
+
+    if (route.name === "scenarios") {
+      return (
+        <ScenarioPage
+          totals={totals}
+          odds={odds}
+          playersById={playersById}
+          onBack={() => setRoute({ name: "matches" })}
+          onOpenMatch={(matchId) => setRoute({ name: "match", matchId })}
+        />
+      );
+    }
+
+    if (route.name === "strokePlay") {
+      return (
+        <StrokePlayPage
+          tournament={tournament}
+          totals={totals}
+          activeDay={activeDay}
+          setActiveDay={setActiveDay}
+          playersById={playersById}
+          onBack={() => setRoute({ name: "matches" })}
+          onOpenGroup={(matchId) => setRoute({ name: "match", matchId })}
         />
       );
     }
@@ -2016,6 +2014,24 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
       const match = day?.matches.find((m) => m.id === matchId);
       if (!match || !day) return null;
 
+      // Stroke play days: the "match" is a playing group
+      if (isStrokePlayDay(day)) {
+        return (
+          <StrokePlayGroupPage
+            tournament={tournament}
+            totals={totals}
+            group={match}
+            day={day}
+            playersById={playersById}
+            claimedPlayerId={claimedPlayerId}
+            isAdmin={isAdmin}
+            onBack={() => setRoute({ name: "matches" })}
+            onOpenLeaderboard={() => setRoute({ name: "strokePlay" })}
+            writeMatch={writeMatch}
+          />
+        );
+      }
+
       return (
         <MatchPage
           tournament={tournament}
@@ -2036,9 +2052,11 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
         <BroadcastPage
           tournament={tournament}
           totals={totals}
+          odds={odds}
           playersById={playersById}
           onExit={() => setRoute({ name: "home" })}
           onOpenMatch={(matchId) => setRoute({ name: "match", matchId })}
+          onOpenStrokePlay={() => setRoute({ name: "strokePlay" })}
           activeDay={activeDay}
           setActiveDay={setActiveDay}
         />
@@ -2054,6 +2072,14 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
           onBack={() => setRoute({ name: "home" })}
           writePlayer={writePlayer}
           writeMatch={writeMatch}
+          writeDay={writeDay}
+          writeCourse={writeCourse}
+          writeCup={writeCup}
+          writeTeams={writeTeams}
+          totals={totals}
+          editions={editions}
+          writeEdition={writeEdition}
+          removeEdition={removeEdition}
           addAdminUid={addAdminUid}
           removeAdminUid={removeAdminUid}
           addPlayer={addPlayer}
@@ -2065,52 +2091,54 @@ export default function TournamentApp({ tournamentId = "frellis-cup-2026", fbUse
   })();
 
   return (
-    <div className="min-h-screen bg-zinc-950 text-white overflow-x-hidden flex flex-col">
-      <div className="absolute inset-0 pointer-events-none">
-        <div className="absolute -top-24 -left-24 w-96 h-96 rounded-full bg-orange-400/15 blur-3xl" />
-        <div className="absolute top-24 right-0 w-[34rem] h-[34rem] rounded-full bg-fuchsia-500/10 blur-3xl" />
-        <div className="absolute bottom-0 left-0 w-[40rem] h-[22rem] rounded-full bg-amber-300/10 blur-3xl" />
-        <div className="absolute bottom-0 right-0 w-[44rem] h-[24rem] rounded-full bg-red-500/10 blur-3xl" />
-      </div>
+    <TeamsContext.Provider value={teams}>
+      <div className="min-h-screen bg-zinc-950 text-white overflow-x-hidden flex flex-col">
+        <div className="absolute inset-0 pointer-events-none">
+          <div className="absolute -top-24 -left-24 w-96 h-96 rounded-full bg-orange-400/15 blur-3xl" />
+          <div className="absolute top-24 right-0 w-[34rem] h-[34rem] rounded-full bg-fuchsia-500/10 blur-3xl" />
+          <div className="absolute bottom-0 left-0 w-[40rem] h-[22rem] rounded-full bg-amber-300/10 blur-3xl" />
+          <div className="absolute bottom-0 right-0 w-[44rem] h-[24rem] rounded-full bg-red-500/10 blur-3xl" />
+        </div>
 
-      <style>{`
-        html, body, #root {
-          width: 100%;
-          max-width: 100%;
-          overflow-x: hidden;
-        }
+        <style>{`
+          html, body, #root {
+            width: 100%;
+            max-width: 100%;
+            overflow-x: hidden;
+          }
 
-        * { box-sizing: border-box; }
+          * { box-sizing: border-box; }
 
-        body { position: relative; }
-      `}</style>
+          body { position: relative; }
+        `}</style>
 
-      <div className="relative flex-1">{pageContent}</div>
+        <div className="relative flex-1">{pageContent}</div>
 
-      {/* Admin tools footer (admins only) */}
-      {isAdmin ? (
-        <div className="sticky bottom-0 z-30 backdrop-blur bg-zinc-950/70 border-t border-white/10">
-          <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-end gap-2">
-            <Button variant="ghost" onClick={() => setRoute({ name: "admin" })}>
-              <span className="inline-flex items-center gap-2">
-                <Crown className="w-4 h-4" />
-                Admin Tools
-              </span>
-            </Button>
+        {/* Admin tools footer (admins only) */}
+        {isAdmin ? (
+          <div className="sticky bottom-0 z-30 backdrop-blur bg-zinc-950/70 border-t border-white/10">
+            <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-end gap-2">
+              <Button variant="ghost" onClick={() => setRoute({ name: "admin" })}>
+                <span className="inline-flex items-center gap-2">
+                  <Crown className="w-4 h-4" />
+                  Admin Tools
+                </span>
+              </Button>
+            </div>
           </div>
-        </div>
-      ) : null}
+        ) : null}
 
-      {/* Sign-in modal */}
-      <AuthModal
-        open={authOpen}
-        onClose={() => setAuthOpen(false)}
-        onSignIn={handleSignIn}
-        onSignUp={handleSignUp}
-        loading={authLoading}
-        error={authError}
-      />
-    </div>
+        {/* Sign-in modal */}
+        <AuthModal
+          open={authOpen}
+          onClose={() => setAuthOpen(false)}
+          onSignIn={handleSignIn}
+          onSignUp={handleSignUp}
+          loading={authLoading}
+          error={authError}
+        />
+      </div>
+    </TeamsContext.Provider>
   );
 }
 
@@ -2133,18 +2161,26 @@ function HomePage({
   onOpenMatches,
   onOpenMatch,
   onOpenBroadcast,
+  onOpenStrokePlay,
   onOpenClaim,
+  onOpenStats,
+  onOpenStandings,
+  onOpenHistory,
 }) {
-  const leader =
-  totals.totalJC === totals.totalSG ? "TIED" : totals.totalJC > totals.totalSG ? "JC" : "SG";
+  const teams = useTeams();
+  const leaders = leadingTeams(totals.points);
+  const leader = leaders.length === 1 ? leaders[0] : "TIED";
 
   const me = claimedPlayerId ? playersById[claimedPlayerId] : null;
   const daySummary = totals.daySummaries.find((d) => d.day === activeDay);
 
+  const strokePlay = daySummary?.strokePlay;
+
+  // Stroke play days: "your match" is your playing group
   const myMatch = me
-    ? daySummary?.matchCards
-        .map((c) => c.match)
-        .find((m) => m.sideA.playerIds.includes(me.id) || m.sideB.playerIds.includes(me.id))
+    ? [...(daySummary?.matchCards || []).map((c) => c.match), ...(daySummary?.groups || [])].find(
+        (m) => m.sideA.playerIds.includes(me.id) || m.sideB.playerIds.includes(me.id)
+      )
     : null;
 
   const wx = usePhoenixWeather();
@@ -2164,6 +2200,27 @@ function HomePage({
               </span>
             </Button>
 
+            <Button variant="ghost" onClick={onOpenStats}>
+              <span className="inline-flex items-center gap-2">
+                <BarChart3 className="w-4 h-4" />
+                <span className="hidden sm:inline">Stats</span>
+              </span>
+            </Button>
+
+            <Button variant="ghost" onClick={onOpenStandings}>
+              <span className="inline-flex items-center gap-2">
+                <Medal className="w-4 h-4" />
+                <span className="hidden sm:inline">Standings</span>
+              </span>
+            </Button>
+
+            <Button variant="ghost" onClick={onOpenHistory}>
+              <span className="inline-flex items-center gap-2">
+                <History className="w-4 h-4" />
+                <span className="hidden sm:inline">History</span>
+              </span>
+            </Button>
+
             {isAdmin ? (
               <Button variant="ghost" onClick={onOpenAdminPage}>
                 <span className="inline-flex items-center gap-2">
@@ -2177,31 +2234,13 @@ function HomePage({
       />
 
       <div className="max-w-6xl mx-auto px-4 py-6">
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4"> 
-          
-          <StatBlock
-  label={TEAM.JC}
-  value={totals.totalJC.toFixed(1)}
-  logoSrc="/jc-logo.png"
-/>
-
-<StatBlock
-  label={TEAM.SG}
-  value={totals.totalSG.toFixed(1)}
-  logoSrc="/sg-logo.png"
-/>
+        <div className={`grid grid-cols-1 ${statGridCols(teams.ids.length)} gap-4`}>
+          <TeamStatBlocks totals={totals} />
           <StatBlock
-  label="Current Lead"
-  leadTeam={
-    totals.totalJC === totals.totalSG ? "TIED" : totals.totalJC > totals.totalSG ? "JC" : "SG"
-  }
-  logoSrc={
-    totals.totalJC === totals.totalSG
-      ? null
-      : totals.totalJC > totals.totalSG
-      ? "/jc-logo.png"
-      : "/sg-logo.png"
-  }
+  label={totals.cup.clinchedBy ? "Cup Clinched" : "Current Lead"}
+  sub={cupSummary(totals, teams)}
+  leadTeam={leader}
+  logoSrc={leader === "TIED" ? null : teams.logo(leader)}
 />
         </div>
 
@@ -2258,7 +2297,7 @@ function HomePage({
                 me ? (
                   <>
                     <div className="text-white/70 text-sm">
-                      {me.name} • HCP {me.courseHcp}
+                      {me.name} • HCP {formatHcp(me.courseHcp)}
                     </div>
                     <div className="mt-3 text-white/60 text-xs">Profile claimed. Score entry enabled for your match.</div>
                   </>
@@ -2327,8 +2366,10 @@ function HomePage({
               </div>
             ) : (
               <div className="mt-4 p-4 rounded-2xl bg-white/5 border border-white/10">
-                <div className="text-white/70 text-xs">Your Match Today</div>
-                <div className="text-white font-semibold mt-1">Match {myMatch.matchNo}</div>
+                <div className="text-white/70 text-xs">{strokePlay ? "Your Group Today" : "Your Match Today"}</div>
+                <div className="text-white font-semibold mt-1">
+                  {strokePlay ? "Group" : "Match"} {myMatch.matchNo}
+                </div>
                 <div className="text-white/60 text-xs mt-1">{daySummary?.title}</div>
                 <div className="mt-3 flex gap-2">
                   <Button onClick={() => onOpenMatch(myMatch.id)} className="flex-1">
@@ -2361,14 +2402,44 @@ function HomePage({
             <div className="flex items-center justify-between">
               <div>
                 <div className="text-white font-semibold">Day {activeDay} Snapshot</div>
-                <div className="text-white/60 text-xs mt-1">Points shown only for FINAL matches (ties split 0.5/0.5).</div>
+                <div className="text-white/60 text-xs mt-1">
+                  {strokePlay
+                    ? `Stroke play • ${strokePlayRulesText(strokePlay.config)}`
+                    : "Points shown only for FINAL matches (a half splits the match's points)."}
+                </div>
+                {daySummary?.bonus ? (
+                  <div className="text-white/60 text-xs mt-1">
+                    {`Day bonus ${daySummary.bonus.value} pts • Aggregate ${teams.ids
+                      .filter((t) => daySummary.bonus.aggregate.totals[t] != null)
+                      .map((t) => `${teams.abbr(t)} ${daySummary.bonus.aggregate.totals[t]}`)
+                      .join(" – ")} (${daySummary.bonus.aggregate.unit})`}
+                  </div>
+                ) : null}
+              </div>
+              <div className="flex flex-col items-end gap-1">
+                <Pill>
+                  <Trophy className="w-4 h-4" />
+                  {scoreLine(daySummary?.points, teams.ids)}
+                </Pill>
+                <div className="text-white/50 text-[11px]">Projected {scoreLine(daySummary?.projected, teams.ids)}</div>
               </div>
-              <Pill>
-                <Trophy className="w-4 h-4" />
-                {(daySummary?.jc ?? 0).toFixed(1)} – {(daySummary?.sg ?? 0).toFixed(1)}
-              </Pill>
             </div>
 
+            {strokePlay ? (
+              <div className="mt-4">
+                <StrokePlayTable
+                  rows={strokePlay.rows.slice(0, 5)}
+                  scoring={strokePlay.config.scoring}
+                  playersById={playersById}
+                />
+                <div className="mt-3">
+                  <Button variant="ghost" onClick={onOpenStrokePlay} className="w-full">
+                    Full Leaderboard
+                  </Button>
+                </div>
+              </div>
+            ) : null}
+
             <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
               {(daySummary?.matchCards || []).map((mc) => (
                 <div
@@ -2378,7 +2449,7 @@ function HomePage({
                 >
                   <div className="flex items-center justify-between">
                     <div className="text-white/70 text-xs">Match {mc.match.matchNo}</div>
-                    <Pill tone={statusPillTone(mc.status, mc.match)}>{mc.status.text}</Pill>
+                    <Pill tone={statusPillTone(mc.status, mc.match, teams)}>{mc.status.text}</Pill>
                   </div>
                   <div className="mt-3">
                     {mc.match.format === "SCRAMBLE_STABLEFORD" ? (
@@ -2430,6 +2501,7 @@ function ClaimPage({
   clearMyClaim,
   onBack,
 }) {
+  const teams = useTeams();
   const [teamFilter, setTeamFilter] = useState("ALL");
   const [pendingClaim, setPendingClaim] = useState(null);
   const [confirmName, setConfirmName] = useState(false);
@@ -2484,11 +2556,7 @@ function ClaimPage({
             <Segmented
               value={teamFilter}
               onChange={setTeamFilter}
-              options={[
-                { value: "ALL", label: "All" },
-                { value: "JC", label: TEAM.JC },
-                { value: "SG", label: TEAM.SG },
-              ]}
+              options={[{ value: "ALL", label: "All" }, ...teams.list.map((t) => ({ value: t.id, label: t.name }))]}
             />
           </div>
 
@@ -2499,7 +2567,7 @@ function ClaimPage({
                   <div>
                     <div className="text-white text-sm font-medium">{p.name}</div>
                     <div className="text-white/60 text-xs">
-                      {TEAM_ABBR[p.teamId]} • Handicap: {p.courseHcp}
+                      {teams.abbr(p.teamId)} • Handicap: {formatHcp(p.courseHcp)}
                     </div>
 
                     <div className="mt-2">
@@ -2547,7 +2615,7 @@ function ClaimPage({
                 <div className="text-white font-semibold">You Are Claiming:</div>
                 <div className="mt-2 text-white text-sm font-medium">{pendingClaim.name}</div>
                 <div className="text-white/60 text-xs">
-                  {TEAM[pendingClaim.teamId]} • Handicap: {pendingClaim.courseHcp}
+                  {teams.name(pendingClaim.teamId)} • Handicap: {formatHcp(pendingClaim.courseHcp)}
                 </div>
               </div>
 
@@ -2594,7 +2662,19 @@ function ClaimPage({
   );
 }
 
-function MatchesPage({ tournament, totals, activeDay, setActiveDay, playersById, onBack, onOpenMatch }) {
+function MatchesPage({
+  tournament,
+  totals,
+  odds,
+  activeDay,
+  setActiveDay,
+  playersById,
+  onBack,
+  onOpenMatch,
+  onOpenStrokePlay,
+  onOpenScenarios,
+}) {
+  const teams = useTeams();
   const day = totals.daySummaries.find((d) => d.day === activeDay);
 
   return (
@@ -2609,10 +2689,15 @@ function MatchesPage({ tournament, totals, activeDay, setActiveDay, playersById,
           </button>
         }
         right={
-          <Pill>
-            <Trophy className="w-4 h-4" />
-            Total {totals.totalJC.toFixed(1)}–{totals.totalSG.toFixed(1)}
-          </Pill>
+          <>
+            <Pill>
+              <Trophy className="w-4 h-4" />
+              Total {scoreLine(totals.points, teams.ids)}
+            </Pill>
+            <span className="hidden sm:inline">
+              <Pill>Proj. {scoreLine(totals.projected, teams.ids)}</Pill>
+            </span>
+          </>
         }
       />
 
@@ -2626,23 +2711,317 @@ function MatchesPage({ tournament, totals, activeDay, setActiveDay, playersById,
           }))}
         />
 
-        <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
-          {(day?.matchCards || []).map((mc) => (
-            <MatchCard key={mc.match.id} mc={mc} playersById={playersById} onOpen={() => onOpenMatch(mc.match.id)} />
-          ))}
+        <div className="mt-4 text-white/60 text-xs">
+          Day {activeDay}: {scoreLine(day?.points, teams.ids)} • Projected (if it ended now){" "}
+          {scoreLine(day?.projected, teams.ids)}
         </div>
-      </div>
-    </>
-  );
-}
 
-function MatchCard({ mc, playersById, onOpen, broadcast = false }) {
-  const { match, status } = mc;
+        {!totals.cup.decided ? (
+          <div className="mt-4">
+            <Button variant="ghost" onClick={onOpenScenarios} className="w-full">
+              <span className="inline-flex items-center gap-2">
+                <Calculator className="w-4 h-4" />
+                What Does My Team Need?
+              </span>
+            </Button>
+          </div>
+        ) : null}
 
-  // Ensure consistent left/right: JC on left, SG on right
-  const sideForTeam = (teamId) => (match.sideA.teamId === teamId ? match.sideA : match.sideB);
-  const left = sideForTeam("JC");
-  const right = sideForTeam("SG");
+        {day?.strokePlay ? (
+          <div className="mt-6">
+            <Button onClick={onOpenStrokePlay} className="w-full">
+              <span className="inline-flex items-center gap-2">
+                <ListOrdered className="w-4 h-4" />
+                Stroke Play Leaderboard
+              </span>
+            </Button>
+          </div>
+        ) : null}
+
+        <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+          {(day?.matchCards || []).map((mc) => (
+            <MatchCard
+              key={mc.match.id}
+              mc={mc}
+              playersById={playersById}
+              odds={odds?.matches[mc.match.id]}
+              onOpen={() => onOpenMatch(mc.match.id)}
+            />
+          ))}
+          {day?.strokePlay
+            ? (day.groups || []).map((g) => (
+                <StrokePlayGroupCard
+                  key={g.id}
+                  group={g}
+                  strokePlay={day.strokePlay}
+                  playersById={playersById}
+                  onOpen={() => onOpenMatch(g.id)}
+                />
+              ))
+            : null}
+        </div>
+      </div>
+    </>
+  );
+}
+
+// -----------------------
+// Scenario explorer ("what does my team need" — see scoring/scenarios.js)
+// -----------------------
+function scenarioSetText(set) {
+  return set.map((c) => `${c.result === "WIN" ? "Win" : "Halve"} D${c.day} M${c.matchNo}`).join(" + ");
+}
+
+function ScenarioPage({ totals, odds, playersById, onBack, onOpenMatch }) {
+  const teams = useTeams();
+  const [scenario, setScenario] = useState({});
+
+  const open = useMemo(() => openMatchCards(totals), [totals]);
+  const result = useMemo(() => applyScenario(totals, scenario), [totals, scenario]);
+  const needs = useMemo(
+    () => teams.ids.map((teamId) => ({ teamId, ...minimalWinningSets(totals, scenario, teamId) })),
+    [teams, totals, scenario]
+  );
+
+  const setResult = (matchId, value) => {
+    setScenario((prev) => {
+      const next = { ...prev };
+      if (value) next[matchId] = value;
+      else delete next[matchId];
+      return next;
+    });
+  };
+
+  const days = [...new Set(open.map((mc) => mc.day))];
+  const scenarioTotals = { cup: result.cup, available: totals.available, remaining: result.remaining };
+
+  return (
+    <>
+      <TopBar
+        title="What If"
+        subtitle="Set results for unfinished matches"
+        left={
+          <button onClick={onBack} className="text-white/80 hover:text-white inline-flex items-center gap-2">
+            <ChevronLeft className="w-5 h-5" />
+            <span className="hidden sm:inline">Matches</span>
+          </button>
+        }
+        right={
+          <Pill>
+            <Trophy className="w-4 h-4" />
+            Total {scoreLine(totals.points, teams.ids)}
+          </Pill>
+        }
+      />
+
+      <div className="max-w-6xl mx-auto px-4 py-6 space-y-6">
+        <Card className="p-5">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <div className="text-white/70 text-xs">Cup Score In This Scenario</div>
+              <div className="mt-1 text-white text-3xl font-extrabold">
+                {scoreLine(result.points, teams.ids)}
+              </div>
+              <div className="mt-1 text-white/70 text-sm">{cupSummary(scenarioTotals, teams)}</div>
+            </div>
+            <div className="flex flex-col gap-2">
+              <Button onClick={() => setScenario(leaderWinsScenario(totals))}>Leader Wins</Button>
+              <Button variant="ghost" onClick={() => setScenario({})}>
+                Clear
+              </Button>
+            </div>
+          </div>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+            {teams.ids.map((teamId) => (
+              <div key={teamId} className={teams.palette(teamId).text}>
+                {teams.abbr(teamId)}: {cupNote(result.cup, teamId) ?? "—"}
+              </div>
+            ))}
+          </div>
+          {result.remaining > 0 ? (
+            <div className="mt-3 text-white/60 text-xs">{result.remaining.toFixed(1)} points still to play</div>
+          ) : null}
+        </Card>
+
+        <Card className="p-5">
+          <div className="text-white font-semibold">What Each Team Needs</div>
+          <div className="mt-1 text-white/60 text-xs">
+            Smallest sets of results that settle the Cup whatever happens elsewhere (everything else going the other way).
+          </div>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+            {needs.map((n) => {
+              const verb = result.cup.holderRetains && result.cup.holderTeamId === n.teamId ? "retain" : "win";
+              return (
+                <div key={n.teamId} className="p-3 rounded-2xl bg-white/5 border border-white/10">
+                  <TeamBadge teamId={n.teamId} showFull />
+                  {n.clinched ? (
+                    <div className="mt-3 text-white text-sm">Cup {result.cup.retained ? "retained" : "clinched"}</div>
+                  ) : n.sets.length ? (
+                    <>
+                      <div className="mt-3 text-white/70 text-xs">
+                        {n.needed.toFixed(1)} {n.needed === 1 ? "point" : "points"} to {verb} — any one of:
+                      </div>
+                      <div className="mt-2 space-y-1">
+                        {n.sets.map((set) => (
+                          <div key={set.map((c) => `${c.matchId}:${c.result}`).join(",")} className="text-white text-sm">
+                            {scenarioSetText(set)}
+                          </div>
+                        ))}
+                      </div>
+                      {n.truncated ? <div className="mt-2 text-white/50 text-xs">…and more</div> : null}
+                    </>
+                  ) : n.needed == null ? (
+                    <div className="mt-3 text-white/70 text-sm">
+                      Can't {verb} on its own results — needs other teams to drop points
+                    </div>
+                  ) : (
+                    <div className="mt-3 text-white/70 text-sm">
+                      Can't {verb} on the open matches alone
+                      {result.remaining > 0 ? " — needs help from bonus or stroke play points" : ""}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </Card>
+
+        {days.length ? (
+          days.map((day) => (
+            <div key={day}>
+              <div className="text-white/70 text-xs mb-3">Day {day}</div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {open
+                  .filter((mc) => mc.day === day)
+                  .map((mc) => {
+                    const [left, right] = teams.order(mc.match.sideA, mc.match.sideB);
+                    return (
+                      <div key={mc.match.id} className="space-y-2">
+                        <MatchCard
+                          mc={mc}
+                          playersById={playersById}
+                          odds={odds?.matches[mc.match.id]}
+                          onOpen={() => onOpenMatch(mc.match.id)}
+                        />
+                        <Segmented
+                          value={scenario[mc.match.id] ?? ""}
+                          onChange={(v) => setResult(mc.match.id, v)}
+                          options={[
+                            { value: left.teamId, label: teams.abbr(left.teamId) },
+                            { value: SCENARIO_HALVE, label: "Halve" },
+                            { value: right.teamId, label: teams.abbr(right.teamId) },
+                            { value: "", label: "—" },
+                          ]}
+                        />
+                      </div>
+                    );
+                  })}
+              </div>
+            </div>
+          ))
+        ) : (
+          <Card className="p-5">
+            <div className="text-white/70 text-sm">No unfinished matches.</div>
+          </Card>
+        )}
+      </div>
+    </>
+  );
+}
+
+// "Sub: Bob for Al (from 7)"
+function substitutionText(sub, playersById) {
+  const name = (pid) => playersById[pid]?.name ?? "—";
+  return `Sub: ${name(sub.inPlayerId)} for ${name(sub.outPlayerId)} (from ${sub.fromHole})`;
+}
+
+// -----------------------
+// Win probability (see scoring/winProbability.js)
+// -----------------------
+function percentText(p) {
+  return `${Math.round((p ?? 0) * 100)}%`;
+}
+
+// Left / Halve / Right bar for a live match (odds: matchWinProbability, sides in display order)
+function WinProbabilityBar({ left, right, halve }) {
+  const teams = useTeams();
+  const leftTone = teams.palette(left.teamId);
+  const rightTone = teams.palette(right.teamId);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between text-xs">
+        <span className={`${leftTone.text} font-semibold`}>{percentText(left.p)}</span>
+        <span className="text-white/60">Win Probability{halve >= 0.005 ? ` • Halve ${percentText(halve)}` : ""}</span>
+        <span className={`${rightTone.text} font-semibold`}>{percentText(right.p)}</span>
+      </div>
+      <div className="mt-2 h-2 rounded-full overflow-hidden flex bg-white/10">
+        <div className={leftTone.bar} style={{ width: `${left.p * 100}%` }} />
+        <div className="bg-white/30" style={{ width: `${halve * 100}%` }} />
+        <div className={rightTone.bar} style={{ width: `${right.p * 100}%` }} />
+      </div>
+    </div>
+  );
+}
+
+// Cup odds: a half-dial gauge for two teams (needle leans toward the favourite),
+// one bar per team when there are more
+function CupOddsGauge({ cup }) {
+  const teams = useTeams();
+  const [leftId, rightId] = teams.ids;
+  const lean = (cup?.[rightId] ?? 0) + (cup?.shared ?? 0) / 2;
+  const angle = Math.PI * (1 - lean);
+  const needle = { x: 100 + 72 * Math.cos(angle), y: 100 - 72 * Math.sin(angle) };
+
+  return (
+    <Card className="p-5">
+      <div className="flex items-start justify-between gap-3">
+        <div className="text-white font-semibold">Cup Win Probability</div>
+        <Pill>Simulated</Pill>
+      </div>
+      {teams.ids.length === 2 ? (
+        <div className="mt-4 flex items-center justify-between gap-4">
+          <div className="text-center">
+            <div className={`${teams.palette(leftId).text} font-semibold text-sm`}>{teams.name(leftId)}</div>
+            <div className="mt-1 text-white text-3xl font-extrabold">{percentText(cup?.[leftId])}</div>
+          </div>
+          <svg viewBox="0 0 200 110" className="w-full max-w-[260px]">
+            <path d="M 10 100 A 90 90 0 0 1 100 10" fill="none" stroke={teams.palette(leftId).stroke} strokeWidth="14" />
+            <path d="M 100 10 A 90 90 0 0 1 190 100" fill="none" stroke={teams.palette(rightId).stroke} strokeWidth="14" />
+            <line x1="100" y1="100" x2={needle.x} y2={needle.y} stroke="white" strokeWidth="4" strokeLinecap="round" />
+            <circle cx="100" cy="100" r="6" fill="white" />
+          </svg>
+          <div className="text-center">
+            <div className={`${teams.palette(rightId).text} font-semibold text-sm`}>{teams.name(rightId)}</div>
+            <div className="mt-1 text-white text-3xl font-extrabold">{percentText(cup?.[rightId])}</div>
+          </div>
+        </div>
+      ) : (
+        <div className="mt-4 space-y-3">
+          {teams.ids.map((teamId) => (
+            <div key={teamId}>
+              <div className="flex items-center justify-between text-sm">
+                <span className={`${teams.palette(teamId).text} font-semibold`}>{teams.name(teamId)}</span>
+                <span className="text-white font-semibold">{percentText(cup?.[teamId])}</span>
+              </div>
+              <div className="mt-1 h-2 rounded-full overflow-hidden bg-white/10">
+                <div className={teams.palette(teamId).bar} style={{ width: `${(cup?.[teamId] ?? 0) * 100}%`, height: "100%" }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {cup?.shared >= 0.005 ? <div className="mt-2 text-white/60 text-xs text-center">Shared {percentText(cup.shared)}</div> : null}
+    </Card>
+  );
+}
+
+function MatchCard({ mc, playersById, onOpen, odds = null, broadcast = false }) {
+  const teams = useTeams();
+  const { match, status } = mc;
+
+  // Consistent left/right: the team listed first in the tournament's teams on the left
+  const [left, right] = teams.order(match.sideA, match.sideB);
 
   const leftPlayers = left.playerIds.map((id) => playersById[id]?.name ?? "—");
   const rightPlayers = right.playerIds.map((id) => playersById[id]?.name ?? "—");
@@ -2650,6 +3029,11 @@ function MatchCard({ mc, playersById, onOpen, broadcast = false }) {
   const [l1, l2] = [leftPlayers[0] ?? "—", leftPlayers[1] ?? "—"];
   const [r1, r2] = [rightPlayers[0] ?? "—", rightPlayers[1] ?? "—"];
 
+  // Odds only while the match is live
+  const showOdds = odds && !odds.isFinal && status.played > 0;
+  const leftOdds = left === match.sideA ? odds?.aWin : odds?.bWin;
+  const rightOdds = left === match.sideA ? odds?.bWin : odds?.aWin;
+
   return (
     <Card className={`${broadcast ? "p-5" : "p-4"} cursor-pointer hover:bg-white/[0.07] transition`}>
       <div onClick={onOpen}>
@@ -2657,13 +3041,14 @@ function MatchCard({ mc, playersById, onOpen, broadcast = false }) {
           <div className="text-white/70 text-xs">Match {match.matchNo}</div>
           <div className="flex flex-col items-end gap-2">
             <MatchFormatPill format={match.format} />
-            <Pill tone={statusPillTone(status, match)}>{status.text}</Pill>
+            <Pill tone={statusPillTone(status, match, teams)}>{status.text}</Pill>
+            {mc.value != null && mc.value !== 1 ? <Pill>{mc.value} Pts</Pill> : null}
           </div>
         </div>
 
         <div className="mt-4 grid grid-cols-2 gap-3">
           <div className="p-3 rounded-2xl bg-white/5 border border-white/10">
-            <div className="text-red-200 font-semibold text-sm">{TEAM.JC}</div>
+            <div className={`${teams.palette(left.teamId).text} font-semibold text-sm`}>{teams.name(left.teamId)}</div>
             <div className="mt-2 space-y-1">
               <div className="text-white text-sm font-medium">{l1}</div>
               {match.format === "SINGLES_NET" ? null : <div className="text-white text-sm font-medium">{l2}</div>}
@@ -2671,7 +3056,7 @@ function MatchCard({ mc, playersById, onOpen, broadcast = false }) {
           </div>
 
           <div className="p-3 rounded-2xl bg-white/5 border border-white/10">
-            <div className="text-yellow-200 font-semibold text-sm text-right">{TEAM.SG}</div>
+            <div className={`${teams.palette(right.teamId).text} font-semibold text-sm text-right`}>{teams.name(right.teamId)}</div>
             <div className="mt-2 space-y-1 text-right">
               <div className="text-white text-sm font-medium">{r1}</div>
               {match.format === "SINGLES_NET" ? null : <div className="text-white text-sm font-medium">{r2}</div>}
@@ -2679,6 +3064,22 @@ function MatchCard({ mc, playersById, onOpen, broadcast = false }) {
           </div>
         </div>
 
+        {match.substitutions?.length ? (
+          <div className="mt-3 text-white/60 text-xs">
+            {match.substitutions.map((sub) => substitutionText(sub, playersById)).join(" • ")}
+          </div>
+        ) : null}
+
+        {showOdds ? (
+          <div className="mt-4">
+            <WinProbabilityBar
+              left={{ teamId: left.teamId, p: leftOdds }}
+              right={{ teamId: right.teamId, p: rightOdds }}
+              halve={odds.halve}
+            />
+          </div>
+        ) : null}
+
         {broadcast ? (
           <div className="mt-4 p-3 rounded-2xl bg-white/5 border border-white/10">
             <div className="text-white/60 text-xs mb-2">Holes</div>
@@ -2705,64 +3106,94 @@ function MatchCard({ mc, playersById, onOpen, broadcast = false }) {
 // -----------------------
 // Match Page + Score Entry
 // -----------------------
-function frontBackButtons({ activeHole, setActiveHole }) {
+// Round holes in play order, nine to a row ("Front" / "Back" for a standard 18 from hole 1)
+function frontBackButtons({ activeHole, setActiveHole, roundHoleNums, playoffHoles = [] }) {
+  const rows = [];
+  for (let i = 0; i < roundHoleNums.length; i += 9) rows.push(roundHoleNums.slice(i, i + 9));
+
+  const rowLabel = (nums) => {
+    const first = nums[0];
+    const last = nums[nums.length - 1];
+    if (nums.length === 9 && first === 1 && last === 9) return "Front";
+    if (nums.length === 9 && first === 10 && last === 18) return "Back";
+    return `Holes ${first}–${last}`;
+  };
+
   return (
     <div className="space-y-2">
-      <div className="text-white/70 text-xs">Front</div>
-      <div className="grid grid-cols-9 gap-1">
-        {Array.from({ length: 9 }, (_, i) => i + 1).map((h) => (
-          <button
-            key={h}
-            onClick={() => setActiveHole(h)}
-            className={`h-8 rounded-lg border text-xs font-semibold ${
-              activeHole === h ? "bg-white text-zinc-900 border-white" : "bg-white/5 text-white/80 border-white/10 hover:bg-white/10"
-            }`}
-          >
-            {h}
-          </button>
-        ))}
-      </div>
-      <div className="text-white/70 text-xs mt-3">Back</div>
-      <div className="grid grid-cols-9 gap-1">
-        {Array.from({ length: 9 }, (_, i) => i + 10).map((h) => (
-          <button
-            key={h}
-            onClick={() => setActiveHole(h)}
-            className={`h-8 rounded-lg border text-xs font-semibold ${
-              activeHole === h ? "bg-white text-zinc-900 border-white" : "bg-white/5 text-white/80 border-white/10 hover:bg-white/10"
-            }`}
-          >
-            {h}
-          </button>
-        ))}
-      </div>
+      {rows.map((nums, rowIdx) => (
+        <div key={rowIdx}>
+          <div className={`text-white/70 text-xs ${rowIdx ? "mt-3" : ""}`}>{rowLabel(nums)}</div>
+          <div className="grid grid-cols-9 gap-1 mt-2">
+            {nums.map((h) => (
+              <button
+                key={h}
+                onClick={() => setActiveHole(h)}
+                className={`h-8 rounded-lg border text-xs font-semibold ${
+                  activeHole === h ? "bg-white text-zinc-900 border-white" : "bg-white/5 text-white/80 border-white/10 hover:bg-white/10"
+                }`}
+              >
+                {h}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      {playoffHoles.length ? (
+        <>
+          <div className="text-amber-200/80 text-xs mt-3">Playoff</div>
+          <div className="grid grid-cols-9 gap-1">
+            {playoffHoles.map((h) => (
+              <button
+                key={h}
+                onClick={() => setActiveHole(h)}
+                className={`h-8 rounded-lg border text-xs font-semibold ${
+                  activeHole === h ? "bg-white text-zinc-900 border-white" : "bg-amber-400/10 text-amber-100 border-amber-300/30 hover:bg-amber-400/20"
+                }`}
+              >
+                {h}
+              </button>
+            ))}
+          </div>
+        </>
+      ) : null}
     </div>
   );
 }
 
-function MatchPage({ tournament, match, day, playersById, claimedPlayerId, isAdmin, onBack, writeMatch }) {
-  const holes = tournament.courses?.[day.day]?.holes || [];
-  const [activeHole, setActiveHole] = useState(1);
+function MatchPage({ tournament, match, day, playersById: rosterById, claimedPlayerId, isAdmin, onBack, writeMatch }) {
+  const teams = useTeams();
+  const course = tournament.courses?.[day.day];
+  const holes = useMemo(() => course?.holes || [], [course]);
+  const round = useMemo(() => resolveRound(day, match), [day, match]);
+  const roundHoleNums = useMemo(() => roundHoles(holes, round).map((h) => h.hole), [holes, round]);
+  const [activeHole, setActiveHole] = useState(() => roundHoleNums[0] ?? 1);
 
-  const computed = useMemo(() => {
-    const mh = computeMatchHoles(match, holes, playersById);
-
-    const status =
-      match.format === "SCRAMBLE_STABLEFORD"
-        ? stablefordTotalsStatusFromHoles(mh, match.sideA.id, match.sideB.id)
-        : matchStatusFromHoles(
-            mh.map((x) => ({ played: x.played, winnerSideId: x.winnerSideId })),
-            match.sideA.id,
-            match.sideB.id
-          );
+  // Course handicaps for this day's course / tees
+  const playersById = useMemo(() => dayPlayersById(Object.values(rosterById), course), [rosterById, course]);
+
+  const stablefordTable = useMemo(() => resolveStablefordTable(day, match), [day, match]);
+  const allowances = useMemo(() => resolveAllowances(day, match), [day, match]);
+  const maxScore = useMemo(() => resolveMaxScore(day, match), [day, match]);
+  const mustHaveWinner = resolveMustHaveWinner(day, match);
+  const matchValue = resolveMatchPoints(day, match);
 
-    const pts = pointsForFinalMatch(status, match.sideA, match.sideB);
+  const computed = useMemo(() => {
+    const mh = computeMatchHoles(match, holes, playersById, { stablefordTable, allowances, maxScore, mustHaveWinner, round });
+    const status = computeMatchStatus(match, mh);
+    const pts = pointsForFinalMatch(status, match.sideA, match.sideB, matchValue);
 
     return { holes: mh, status, points: pts };
-  }, [match, holes, playersById]);
+  }, [match, holes, playersById, stablefordTable, allowances, maxScore, mustHaveWinner, round, matchValue]);
+
+  const nassau = useMemo(() => computeNassau(match, computed.holes), [match, computed]);
+  const groupGame = useMemo(() => computeGroupGame(match, computed.holes), [match, computed]);
+
+  const playoffHoles = computed.holes.filter((h) => h.playoff).map((h) => h.hole);
 
   const me = claimedPlayerId ? playersById[claimedPlayerId] : null;
-  const isParticipant = !!me && (match.sideA.playerIds.includes(me.id) || match.sideB.playerIds.includes(me.id));
+  const participants = matchParticipants(match);
+  const isParticipant = !!me && participants.includes(me.id);
 
   function canEditPlayer(pid) {
     if (isAdmin) return true;
@@ -2774,14 +3205,14 @@ function MatchPage({ tournament, match, day, playersById, claimedPlayerId, isAdm
     // Fourball: allow editing for your team's players in your match
     const p = playersById[pid];
     if (!p) return false;
-    return p.teamId === me.teamId && (match.sideA.playerIds.includes(pid) || match.sideB.playerIds.includes(pid));
+    return p.teamId === me.teamId && participants.includes(pid);
   }
 
   function canEditSide(sideId) {
     if (isAdmin) return true;
     if (!me) return false;
     if (!isParticipant) return false;
-    if (match.format !== "SCRAMBLE_STABLEFORD") return false;
+    if (!["SCRAMBLE_STABLEFORD", "FOURSOMES_NET", "GREENSOMES_NET"].includes(match.format)) return false;
     const side = sideId === match.sideA.id ? match.sideA : match.sideB;
     return side.teamId === me.teamId;
   }
@@ -2813,8 +3244,74 @@ function MatchPage({ tournament, match, day, playersById, claimedPlayerId, isAdm
     await writeMatch(match.id, { scrambleGrossBySide: next });
   }
 
-  const holeMeta = holes[activeHole - 1] || { par: 0, hcpRank: 0 };
-  const holeComputed = computed.holes[activeHole - 1] || { played: false, details: {} };
+  async function setFoursomesGross(sideId, holeNum, gross) {
+    const next = { ...(match.foursomesGrossBySide || {}) };
+    const per = { ...(next[sideId] || {}) };
+    if (gross == null) delete per[holeNum];
+    else per[holeNum] = gross;
+    next[sideId] = per;
+    await writeMatch(match.id, { foursomesGrossBySide: next });
+  }
+
+  async function setGreensomesGross(sideId, holeNum, gross) {
+    const next = { ...(match.greensomesGrossBySide || {}) };
+    const per = { ...(next[sideId] || {}) };
+    if (gross == null) delete per[holeNum];
+    else per[holeNum] = gross;
+    next[sideId] = per;
+    await writeMatch(match.id, { greensomesGrossBySide: next });
+  }
+
+  // Concede to a side: admins, or a player on the other side of this match
+  function canConcedeTo(sideId) {
+    if (isAdmin) return true;
+    if (!me || !isParticipant) return false;
+    const side = sideId === match.sideA.id ? match.sideA : match.sideB;
+    return side.teamId !== me.teamId;
+  }
+
+  async function setHoleConceded(holeNum, sideId) {
+    const next = { ...(match.concededHoles || {}) };
+    if (sideId == null) delete next[holeNum];
+    else next[holeNum] = sideId;
+    await writeMatch(match.id, { concededHoles: next });
+  }
+
+  async function setMatchConceded(sideId) {
+    await writeMatch(match.id, { concededMatch: sideId ? { toSideId: sideId, at: Date.now() } : null });
+  }
+
+  async function setNassau(cfg) {
+    await writeMatch(match.id, { nassau: cfg });
+  }
+
+  async function setGroupGame(cfg) {
+    await writeMatch(match.id, { groupGame: cfg });
+  }
+
+  async function setContestEntry(pid, holeNum, value) {
+    const next = { ...(match.contestEntries || {}) };
+    const per = { ...(next[holeNum] || {}) };
+    if (value == null) delete per[pid];
+    else per[pid] = value;
+    next[holeNum] = per;
+    await writeMatch(match.id, { contestEntries: next });
+  }
+
+  async function setGreensomesDrive(sideId, holeNum, pid) {
+    const next = { ...(match.greensomesDriveBySide || {}) };
+    const per = { ...(next[sideId] || {}) };
+    if (pid == null) delete per[holeNum];
+    else per[holeNum] = pid;
+    next[sideId] = per;
+    await writeMatch(match.id, { greensomesDriveBySide: next });
+  }
+
+  const holeMeta = scorecardHole(holes, activeHole, round);
+  // Entry shows whoever played the active hole (substitutions)
+  const entryMatch = matchLineupOnHole(match, activeHole, roundHoleNums);
+  const holeComputed = computed.holes.find((h) => h.hole === activeHole) || { played: false, details: {} };
+  const contest = holeMeta.playoff ? null : contestOnHole(course, activeHole);
 
   return (
     <>
@@ -2829,7 +3326,7 @@ function MatchPage({ tournament, match, day, playersById, claimedPlayerId, isAdm
         }
         right={
           <>
-            <Pill tone={statusPillTone(computed.status, match)}>{computed.status.text}</Pill>
+            <Pill tone={statusPillTone(computed.status, match, teams)}>{computed.status.text}</Pill>
             {isAdmin ? (
               <Pill>
                 <Crown className="w-4 h-4" />
@@ -2847,19 +3344,25 @@ function MatchPage({ tournament, match, day, playersById, claimedPlayerId, isAdm
               <div className="flex items-start justify-between gap-3">
                 <div>
                   <div className="text-white font-semibold">Hole Selector</div>
-                  <div className="text-white/60 text-xs mt-1">Front / Back</div>
+                  <div className="text-white/60 text-xs mt-1">
+                    {roundLabel(holes, round)}
+                    {playoffHoles.length ? " • Playoff" : ""}
+                  </div>
                 </div>
                 <MatchFormatPill format={match.format} />
               </div>
 
-              <div className="mt-4">{frontBackButtons({ activeHole, setActiveHole })}</div>
+              <div className="mt-4">{frontBackButtons({ activeHole, setActiveHole, roundHoleNums, playoffHoles })}</div>
 
               <div className="mt-5 p-4 rounded-2xl bg-white/5 border border-white/10">
                 <div className="text-white/70 text-xs">Active Hole</div>
-                <div className="text-white font-semibold mt-1">Hole {activeHole}</div>
+                <div className="text-white font-semibold mt-1">
+                  {holeMeta.playoff ? `Playoff Hole ${activeHole}` : `Hole ${activeHole}`}
+                </div>
                 <div className="text-white/60 text-xs mt-1">
-                  Par {holeMeta.par} • HCP {holeMeta.hcpRank}
+                  {holeMeta.playoff ? `Plays Hole ${holeMeta.courseHole} • ` : ""}Par {holeMeta.par} • HCP {holeMeta.hcpRank}
                 </div>
+                <div className="text-white/50 text-[11px] mt-2">{pickUpText(maxScore)}</div>
               </div>
 
               <div className="mt-4 text-white/60 text-xs">
@@ -2875,50 +3378,134 @@ function MatchPage({ tournament, match, day, playersById, claimedPlayerId, isAdm
           <div className="lg:col-span-8 space-y-4">
             {match.format === "FOURBALL_NET" ? (
               <FourballEntry
-                match={match}
+                match={entryMatch}
                 activeHole={activeHole}
                 holeMeta={holeMeta}
                 playersById={playersById}
                 holeComputed={holeComputed}
+                allowances={allowances}
+                maxScore={maxScore}
                 setGross={setFourballGross}
                 canEditPlayer={canEditPlayer}
               />
             ) : match.format === "SCRAMBLE_STABLEFORD" ? (
               <ScrambleEntry
-                match={match}
+                match={entryMatch}
                 activeHole={activeHole}
                 holeMeta={holeMeta}
+                playersById={playersById}
                 holeComputed={holeComputed}
+                allowances={allowances}
+                stablefordTable={stablefordTable}
+                maxScore={maxScore}
                 setGross={setScrambleGross}
                 canEditSide={canEditSide}
               />
+            ) : match.format === "FOURSOMES_NET" ? (
+              <FoursomesEntry
+                match={entryMatch}
+                activeHole={activeHole}
+                holeMeta={holeMeta}
+                playersById={playersById}
+                holeComputed={holeComputed}
+                allowances={allowances}
+                maxScore={maxScore}
+                setGross={setFoursomesGross}
+                canEditSide={canEditSide}
+              />
+            ) : match.format === "GREENSOMES_NET" ? (
+              <GreensomesEntry
+                match={entryMatch}
+                activeHole={activeHole}
+                holeMeta={holeMeta}
+                playersById={playersById}
+                holeComputed={holeComputed}
+                allowances={allowances}
+                maxScore={maxScore}
+                setGross={setGreensomesGross}
+                setDrive={setGreensomesDrive}
+                canEditSide={canEditSide}
+              />
             ) : (
               <SinglesEntry
-                match={match}
+                match={entryMatch}
                 activeHole={activeHole}
                 holeMeta={holeMeta}
                 playersById={playersById}
                 holeComputed={holeComputed}
+                allowances={allowances}
+                maxScore={maxScore}
                 setGross={setSinglesGross}
                 canEditPlayer={canEditPlayer}
               />
             )}
 
-            <MatchView holes={holes} match={match} computed={computed} onJumpToHole={(h) => setActiveHole(h)} />
+            {contest ? (
+              <ContestEntryCard
+                contest={contest}
+                playerIds={[...entryMatch.sideA.playerIds, ...entryMatch.sideB.playerIds]}
+                match={match}
+                playersById={playersById}
+                canEdit={isAdmin || isParticipant}
+                setEntry={setContestEntry}
+              />
+            ) : null}
+
+            <ConcessionsCard
+              match={match}
+              activeHole={activeHole}
+              canConcedeTo={canConcedeTo}
+              setHoleConceded={setHoleConceded}
+              setMatchConceded={setMatchConceded}
+            />
+
+            <MatchView
+              holes={holes}
+              round={round}
+              match={match}
+              computed={computed}
+              playersById={playersById}
+              allowances={allowances}
+              onJumpToHole={(h) => setActiveHole(h)}
+            />
+
+            {groupGame || availableGroupGames(match).length ? (
+              <GroupGameCard
+                match={match}
+                game={groupGame}
+                activeHole={activeHole}
+                playersById={playersById}
+                canEdit={isAdmin || isParticipant}
+                setGroupGame={setGroupGame}
+              />
+            ) : null}
+
+            <NassauCard
+              match={match}
+              nassau={nassau}
+              playersById={playersById}
+              canEdit={isAdmin || isParticipant}
+              setNassau={setNassau}
+            />
+
+            <HandicapsCard match={match} playersById={playersById} allowances={allowances} />
 
             <Card className="p-5">
               <div className="text-white font-semibold">Match Points (Final Only)</div>
-              <div className="text-white/60 text-xs mt-1">Ties split 0.5 / 0.5</div>
+              <div className="text-white/60 text-xs mt-1">
+                Worth {matchValue} {matchValue === 1 ? "point" : "points"} •{" "}
+                {mustHaveWinner
+                  ? "Must have a winner • All square goes to sudden death"
+                  : `Ties split ${matchValue / 2} / ${matchValue / 2}`}
+              </div>
 
               <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
-                <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
-                  <div className="text-white/70 text-xs">{TEAM_ABBR.JC}</div>
-                  <div className="text-white text-2xl font-semibold mt-1">{(computed.points.JC ?? 0).toFixed(1)}</div>
-                </div>
-                <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
-                  <div className="text-white/70 text-xs">{TEAM_ABBR.SG}</div>
-                  <div className="text-white text-2xl font-semibold mt-1">{(computed.points.SG ?? 0).toFixed(1)}</div>
-                </div>
+                {teams.order(match.sideA, match.sideB).map((side) => (
+                  <div key={side.id} className="p-4 rounded-2xl bg-white/5 border border-white/10">
+                    <div className="text-white/70 text-xs">{teams.abbr(side.teamId)}</div>
+                    <div className="text-white text-2xl font-semibold mt-1">{(computed.points[side.teamId] ?? 0).toFixed(1)}</div>
+                  </div>
+                ))}
               </div>
             </Card>
           </div>
@@ -2928,9 +3515,21 @@ function MatchPage({ tournament, match, day, playersById, claimedPlayerId, isAdm
   );
 }
 
-function FourballEntry({ match, activeHole, holeMeta, playersById, holeComputed, setGross, canEditPlayer }) {
+function FourballEntry({
+  match,
+  activeHole,
+  holeMeta,
+  playersById,
+  holeComputed,
+  allowances,
+  maxScore,
+  setGross,
+  canEditPlayer,
+}) {
+  const teams = useTeams();
   const aPlayers = match.sideA.playerIds;
   const bPlayers = match.sideB.playerIds;
+  const playingHcps = matchPlayingHcps(match, playersById, allowances);
 
   function getGross(pid) {
     return match.fourballGrossByPlayer?.[pid]?.[activeHole] ?? null;
@@ -2949,8 +3548,10 @@ function FourballEntry({ match, activeHole, holeMeta, playersById, holeComputed,
             {aPlayers.map((pid) => {
               const p = playersById[pid];
               const gross = getGross(pid);
-              const net = p && gross != null ? netScore(gross, p.courseHcp, holeMeta.hcpRank) : null;
-              const sr = p ? strokesReceivedOnHole(p.courseHcp, holeMeta.hcpRank) : 0;
+              const ph = playingHcps[pid] ?? 0;
+              const sr = p ? strokesReceivedOnHole(ph, holeMeta.hcpRank) : 0;
+              const counted = holeGross(gross, maxScore, { par: holeMeta.par, strokes: sr });
+              const net = p && counted != null ? netScore(counted, ph, holeMeta.hcpRank) : null;
               const editable = canEditPlayer(pid);
 
               return (
@@ -2958,9 +3559,11 @@ function FourballEntry({ match, activeHole, holeMeta, playersById, holeComputed,
                   <div className="flex items-center justify-between gap-3">
                     <div>
                       <div className="text-white font-medium">{p?.name || "—"}</div>
-                      <div className="text-white/60 text-xs">HCP {p?.courseHcp ?? "—"} • Strokes This Hole: {sr}</div>
+                      <div className="text-white/60 text-xs">
+                        HCP {formatHcp(p?.courseHcp)} • Playing {p ? formatHcp(ph) : "—"} • Strokes This Hole: {sr}
+                      </div>
                     </div>
-                    <NumberStepper value={gross} onChange={(v) => setGross(pid, activeHole, v)} min={1} max={12} disabled={!editable} />
+                    <NumberStepper value={gross} onChange={(v) => setGross(pid, activeHole, v)} min={1} max={12} disabled={!editable} allowPickUp />
                   </div>
                   <div className="mt-2 text-white/70 text-xs">Net: {net == null ? "—" : net}</div>
                   {!editable ? <div className="mt-2 text-white/50 text-[11px]">View-Only</div> : null}
@@ -2980,8 +3583,10 @@ function FourballEntry({ match, activeHole, holeMeta, playersById, holeComputed,
             {bPlayers.map((pid) => {
               const p = playersById[pid];
               const gross = getGross(pid);
-              const net = p && gross != null ? netScore(gross, p.courseHcp, holeMeta.hcpRank) : null;
-              const sr = p ? strokesReceivedOnHole(p.courseHcp, holeMeta.hcpRank) : 0;
+              const ph = playingHcps[pid] ?? 0;
+              const sr = p ? strokesReceivedOnHole(ph, holeMeta.hcpRank) : 0;
+              const counted = holeGross(gross, maxScore, { par: holeMeta.par, strokes: sr });
+              const net = p && counted != null ? netScore(counted, ph, holeMeta.hcpRank) : null;
               const editable = canEditPlayer(pid);
 
               return (
@@ -2989,9 +3594,11 @@ function FourballEntry({ match, activeHole, holeMeta, playersById, holeComputed,
                   <div className="flex items-center justify-between gap-3">
                     <div>
                       <div className="text-white font-medium">{p?.name || "—"}</div>
-                      <div className="text-white/60 text-xs">HCP {p?.courseHcp ?? "—"} • Strokes This Hole: {sr}</div>
+                      <div className="text-white/60 text-xs">
+                        HCP {formatHcp(p?.courseHcp)} • Playing {p ? formatHcp(ph) : "—"} • Strokes This Hole: {sr}
+                      </div>
                     </div>
-                    <NumberStepper value={gross} onChange={(v) => setGross(pid, activeHole, v)} min={1} max={12} disabled={!editable} />
+                    <NumberStepper value={gross} onChange={(v) => setGross(pid, activeHole, v)} min={1} max={12} disabled={!editable} allowPickUp />
                   </div>
                   <div className="mt-2 text-white/70 text-xs">Net: {net == null ? "—" : net}</div>
                   {!editable ? <div className="mt-2 text-white/50 text-[11px]">View-Only</div> : null}
@@ -3009,17 +3616,19 @@ function FourballEntry({ match, activeHole, holeMeta, playersById, holeComputed,
         ) : (
           <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
             <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
-              <div className="text-white/70 text-xs">{TEAM_ABBR[match.sideA.teamId]} Best</div>
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideA.teamId)} Best</div>
               <div className="text-white font-medium mt-1">{playersById[holeComputed.details.aBest.pid]?.name}</div>
               <div className="text-white/70 text-sm mt-1">
-                Gross {holeComputed.details.aBest.gross} • Net {holeComputed.details.aBest.net}
+                Gross {grossText(holeComputed.details.aBest.gross, holeComputed.details.aBest.pickedUp)} • Net{" "}
+                {holeComputed.details.aBest.net}
               </div>
             </div>
             <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
-              <div className="text-white/70 text-xs">{TEAM_ABBR[match.sideB.teamId]} Best</div>
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideB.teamId)} Best</div>
               <div className="text-white font-medium mt-1">{playersById[holeComputed.details.bBest.pid]?.name}</div>
               <div className="text-white/70 text-sm mt-1">
-                Gross {holeComputed.details.bBest.gross} • Net {holeComputed.details.bBest.net}
+                Gross {grossText(holeComputed.details.bBest.gross, holeComputed.details.bBest.pickedUp)} • Net{" "}
+                {holeComputed.details.bBest.net}
               </div>
             </div>
           </div>
@@ -3029,12 +3638,35 @@ function FourballEntry({ match, activeHole, holeMeta, playersById, holeComputed,
   );
 }
 
-function ScrambleEntry({ match, activeHole, holeMeta, holeComputed, setGross, canEditSide }) {
+function ScrambleEntry({
+  match,
+  activeHole,
+  holeMeta,
+  playersById,
+  holeComputed,
+  allowances,
+  stablefordTable,
+  maxScore,
+  setGross,
+  canEditSide,
+}) {
+  const teams = useTeams();
   const aGross = match.scrambleGrossBySide?.[match.sideA.id]?.[activeHole] ?? null;
   const bGross = match.scrambleGrossBySide?.[match.sideB.id]?.[activeHole] ?? null;
 
-  const aPts = aGross == null ? null : stablefordFromDiff(aGross - holeMeta.par);
-  const bPts = bGross == null ? null : stablefordFromDiff(bGross - holeMeta.par);
+  const aHcp = scrambleTeamHcp(match.sideA.playerIds, playersById, allowances);
+  const bHcp = scrambleTeamHcp(match.sideB.playerIds, playersById, allowances);
+  const aSr = strokesReceivedOnHole(aHcp, holeMeta.hcpRank);
+  const bSr = strokesReceivedOnHole(bHcp, holeMeta.hcpRank);
+
+  const aCounted = holeGross(aGross, maxScore, { par: holeMeta.par, strokes: aSr });
+  const bCounted = holeGross(bGross, maxScore, { par: holeMeta.par, strokes: bSr });
+  const aPts = aCounted == null ? null : stablefordFromDiff(aCounted - aSr - holeMeta.par, stablefordTable);
+  const bPts = bCounted == null ? null : stablefordFromDiff(bCounted - bSr - holeMeta.par, stablefordTable);
+  const hcpNote = (hcp, sr) =>
+    allowances.scrambleLowPct || allowances.scrambleHighPct
+      ? `Stableford vs Par • Team HCP ${hcp} • Strokes This Hole: ${sr}`
+      : "Stableford vs Par (No Handicaps)";
 
   const canEditA = canEditSide(match.sideA.id);
   const canEditB = canEditSide(match.sideB.id);
@@ -3050,9 +3682,9 @@ function ScrambleEntry({ match, activeHole, holeMeta, holeComputed, setGross, ca
           <div className="mt-4 flex items-center justify-between gap-3 p-4 rounded-2xl bg-white/5 border border-white/10">
             <div>
               <div className="text-white font-medium">Scramble Gross</div>
-              <div className="text-white/60 text-xs">Stableford vs Par (No Handicaps)</div>
+              <div className="text-white/60 text-xs">{hcpNote(aHcp, aSr)}</div>
             </div>
-            <NumberStepper value={aGross} onChange={(v) => setGross(match.sideA.id, activeHole, v)} min={1} max={12} disabled={!canEditA} />
+            <NumberStepper value={aGross} onChange={(v) => setGross(match.sideA.id, activeHole, v)} min={1} max={12} disabled={!canEditA} allowPickUp />
           </div>
           <div className="mt-2 text-white/70 text-xs">Points: {aPts == null ? "—" : aPts}</div>
           {!canEditA ? <div className="mt-2 text-white/50 text-[11px]">View-Only</div> : null}
@@ -3066,9 +3698,9 @@ function ScrambleEntry({ match, activeHole, holeMeta, holeComputed, setGross, ca
           <div className="mt-4 flex items-center justify-between gap-3 p-4 rounded-2xl bg-white/5 border border-white/10">
             <div>
               <div className="text-white font-medium">Scramble Gross</div>
-              <div className="text-white/60 text-xs">Stableford vs Par (No Handicaps)</div>
+              <div className="text-white/60 text-xs">{hcpNote(bHcp, bSr)}</div>
             </div>
-            <NumberStepper value={bGross} onChange={(v) => setGross(match.sideB.id, activeHole, v)} min={1} max={12} disabled={!canEditB} />
+            <NumberStepper value={bGross} onChange={(v) => setGross(match.sideB.id, activeHole, v)} min={1} max={12} disabled={!canEditB} allowPickUp />
           </div>
           <div className="mt-2 text-white/70 text-xs">Points: {bPts == null ? "—" : bPts}</div>
           {!canEditB ? <div className="mt-2 text-white/50 text-[11px]">View-Only</div> : null}
@@ -3082,15 +3714,15 @@ function ScrambleEntry({ match, activeHole, holeMeta, holeComputed, setGross, ca
         ) : (
           <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
             <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
-              <div className="text-white/70 text-xs">{TEAM_ABBR[match.sideA.teamId]}</div>
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideA.teamId)}</div>
               <div className="text-white/80 text-sm mt-1">
-                Gross {holeComputed.details.aGross} • Points {holeComputed.details.aPts}
+                Gross {grossText(holeComputed.details.aGross, holeComputed.details.aPickUp)} • Points {holeComputed.details.aPts}
               </div>
             </div>
             <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
-              <div className="text-white/70 text-xs">{TEAM_ABBR[match.sideB.teamId]}</div>
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideB.teamId)}</div>
               <div className="text-white/80 text-sm mt-1">
-                Gross {holeComputed.details.bGross} • Points {holeComputed.details.bPts}
+                Gross {grossText(holeComputed.details.bGross, holeComputed.details.bPickUp)} • Points {holeComputed.details.bPts}
               </div>
             </div>
           </div>
@@ -3100,37 +3732,219 @@ function ScrambleEntry({ match, activeHole, holeMeta, holeComputed, setGross, ca
   );
 }
 
-function SinglesEntry({ match, activeHole, holeMeta, playersById, holeComputed, setGross, canEditPlayer }) {
-  const aPid = match.sideA.playerIds[0];
-  const bPid = match.sideB.playerIds[0];
-
-  const a = playersById[aPid];
-  const b = playersById[bPid];
-
-  const aGross = match.singlesGrossByPlayer?.[aPid]?.[activeHole] ?? null;
-  const bGross = match.singlesGrossByPlayer?.[bPid]?.[activeHole] ?? null;
-
-  const aNet = aGross == null || !a ? null : netScore(aGross, a.courseHcp, holeMeta.hcpRank);
-  const bNet = bGross == null || !b ? null : netScore(bGross, b.courseHcp, holeMeta.hcpRank);
-
-  const aSr = a ? strokesReceivedOnHole(a.courseHcp, holeMeta.hcpRank) : 0;
-  const bSr = b ? strokesReceivedOnHole(b.courseHcp, holeMeta.hcpRank) : 0;
+function FoursomesEntry({
+  match,
+  activeHole,
+  holeMeta,
+  playersById,
+  holeComputed,
+  allowances,
+  maxScore,
+  setGross,
+  canEditSide,
+}) {
+  const teams = useTeams();
+  const sides = [match.sideA, match.sideB];
 
   return (
     <div className="space-y-4">
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-        <Card className="p-4">
-          <div className="flex items-center justify-between">
-            <TeamBadge teamId={match.sideA.teamId} />
-            <Pill>Player</Pill>
-          </div>
-          <div className="mt-4 p-4 rounded-2xl bg-white/5 border border-white/10">
+        {sides.map((side) => {
+          const gross = match.foursomesGrossBySide?.[side.id]?.[activeHole] ?? null;
+          const teamHcp = foursomesTeamHcp(side.playerIds, playersById, allowances);
+          const sr = strokesReceivedOnHole(teamHcp, holeMeta.hcpRank);
+          const counted = holeGross(gross, maxScore, { par: holeMeta.par, strokes: sr });
+          const net = counted == null ? null : netScore(counted, teamHcp, holeMeta.hcpRank);
+          const editable = canEditSide(side.id);
+          const names = side.playerIds.map((pid) => playersById[pid]?.name || "—").join(" / ");
+
+          return (
+            <Card key={side.id} className="p-4">
+              <div className="flex items-center justify-between">
+                <TeamBadge teamId={side.teamId} />
+                <Pill>Team Score</Pill>
+              </div>
+              <div className="mt-4 flex items-center justify-between gap-3 p-4 rounded-2xl bg-white/5 border border-white/10">
+                <div>
+                  <div className="text-white font-medium">{names}</div>
+                  <div className="text-white/60 text-xs">Team HCP {teamHcp} • Strokes This Hole: {sr}</div>
+                </div>
+                <NumberStepper value={gross} onChange={(v) => setGross(side.id, activeHole, v)} min={1} max={12} disabled={!editable} allowPickUp />
+              </div>
+              <div className="mt-2 text-white/70 text-xs">Net: {net == null ? "—" : net}</div>
+              {!editable ? <div className="mt-2 text-white/50 text-[11px]">View-Only</div> : null}
+            </Card>
+          );
+        })}
+      </div>
+
+      <Card className="p-4">
+        <div className="text-white font-semibold">Computed Comparison</div>
+        {!holeComputed.played ? (
+          <div className="mt-2 text-white/60 text-sm">Enter both team gross scores to compute the hole winner.</div>
+        ) : (
+          <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideA.teamId)}</div>
+              <div className="text-white/80 text-sm mt-1">
+                Gross {grossText(holeComputed.details.aGross, holeComputed.details.aPickUp)} • Net {holeComputed.details.aNet}
+              </div>
+            </div>
+            <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideB.teamId)}</div>
+              <div className="text-white/80 text-sm mt-1">
+                Gross {grossText(holeComputed.details.bGross, holeComputed.details.bPickUp)} • Net {holeComputed.details.bNet}
+              </div>
+            </div>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+function GreensomesEntry({
+  match,
+  activeHole,
+  holeMeta,
+  playersById,
+  holeComputed,
+  allowances,
+  maxScore,
+  setGross,
+  setDrive,
+  canEditSide,
+}) {
+  const teams = useTeams();
+  const sides = [match.sideA, match.sideB];
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {sides.map((side) => {
+          const gross = match.greensomesGrossBySide?.[side.id]?.[activeHole] ?? null;
+          const drivePid = match.greensomesDriveBySide?.[side.id]?.[activeHole] ?? null;
+          const teamHcp = greensomesTeamHcp(side.playerIds, playersById, allowances);
+          const sr = strokesReceivedOnHole(teamHcp, holeMeta.hcpRank);
+          const counted = holeGross(gross, maxScore, { par: holeMeta.par, strokes: sr });
+          const net = counted == null ? null : netScore(counted, teamHcp, holeMeta.hcpRank);
+          const editable = canEditSide(side.id);
+
+          return (
+            <Card key={side.id} className="p-4">
+              <div className="flex items-center justify-between">
+                <TeamBadge teamId={side.teamId} />
+                <Pill>Team Score</Pill>
+              </div>
+              <div className="mt-4 flex items-center justify-between gap-3 p-4 rounded-2xl bg-white/5 border border-white/10">
+                <div>
+                  <div className="text-white font-medium">Greensomes Gross</div>
+                  <div className="text-white/60 text-xs">Team HCP {teamHcp} • Strokes This Hole: {sr}</div>
+                </div>
+                <NumberStepper value={gross} onChange={(v) => setGross(side.id, activeHole, v)} min={1} max={12} disabled={!editable} allowPickUp />
+              </div>
+
+              <div className="mt-3 text-white/70 text-xs">Drive Used</div>
+              <div className="mt-2 grid grid-cols-2 gap-2">
+                {side.playerIds.map((pid) => {
+                  const active = drivePid === pid;
+                  return (
+                    <button
+                      key={pid}
+                      disabled={!editable}
+                      onClick={() => setDrive(side.id, activeHole, active ? null : pid)}
+                      className={`px-3 py-2 rounded-xl border text-xs font-semibold disabled:opacity-40 ${
+                        active ? "bg-white text-zinc-900 border-white" : "bg-white/5 text-white/80 border-white/10 hover:bg-white/10"
+                      }`}
+                    >
+                      {playersById[pid]?.name || "—"}
+                    </button>
+                  );
+                })}
+              </div>
+
+              <div className="mt-2 text-white/70 text-xs">Net: {net == null ? "—" : net}</div>
+              {!editable ? <div className="mt-2 text-white/50 text-[11px]">View-Only</div> : null}
+            </Card>
+          );
+        })}
+      </div>
+
+      <Card className="p-4">
+        <div className="text-white font-semibold">Computed Comparison</div>
+        {!holeComputed.played ? (
+          <div className="mt-2 text-white/60 text-sm">Enter both team gross scores to compute the hole winner.</div>
+        ) : (
+          <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideA.teamId)}</div>
+              <div className="text-white/80 text-sm mt-1">
+                Gross {grossText(holeComputed.details.aGross, holeComputed.details.aPickUp)} • Net {holeComputed.details.aNet}
+              </div>
+            </div>
+            <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideB.teamId)}</div>
+              <div className="text-white/80 text-sm mt-1">
+                Gross {grossText(holeComputed.details.bGross, holeComputed.details.bPickUp)} • Net {holeComputed.details.bNet}
+              </div>
+            </div>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+function SinglesEntry({
+  match,
+  activeHole,
+  holeMeta,
+  playersById,
+  holeComputed,
+  allowances,
+  maxScore,
+  setGross,
+  canEditPlayer,
+}) {
+  const teams = useTeams();
+  const aPid = match.sideA.playerIds[0];
+  const bPid = match.sideB.playerIds[0];
+
+  const a = playersById[aPid];
+  const b = playersById[bPid];
+
+  const aGross = match.singlesGrossByPlayer?.[aPid]?.[activeHole] ?? null;
+  const bGross = match.singlesGrossByPlayer?.[bPid]?.[activeHole] ?? null;
+
+  const playingHcps = matchPlayingHcps(match, playersById, allowances);
+  const aPh = playingHcps[aPid] ?? 0;
+  const bPh = playingHcps[bPid] ?? 0;
+
+  const aSr = a ? strokesReceivedOnHole(aPh, holeMeta.hcpRank) : 0;
+  const bSr = b ? strokesReceivedOnHole(bPh, holeMeta.hcpRank) : 0;
+
+  const aCounted = holeGross(aGross, maxScore, { par: holeMeta.par, strokes: aSr });
+  const bCounted = holeGross(bGross, maxScore, { par: holeMeta.par, strokes: bSr });
+  const aNet = aCounted == null || !a ? null : netScore(aCounted, aPh, holeMeta.hcpRank);
+  const bNet = bCounted == null || !b ? null : netScore(bCounted, bPh, holeMeta.hcpRank);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Card className="p-4">
+          <div className="flex items-center justify-between">
+            <TeamBadge teamId={match.sideA.teamId} />
+            <Pill>Player</Pill>
+          </div>
+          <div className="mt-4 p-4 rounded-2xl bg-white/5 border border-white/10">
             <div className="flex items-center justify-between gap-3">
               <div>
                 <div className="text-white font-medium">{a?.name || "—"}</div>
-                <div className="text-white/60 text-xs">HCP {a?.courseHcp ?? "—"} • Strokes This Hole: {aSr}</div>
+                <div className="text-white/60 text-xs">
+                  HCP {formatHcp(a?.courseHcp)} • Playing {a ? formatHcp(aPh) : "—"} • Strokes This Hole: {aSr}
+                </div>
               </div>
-              <NumberStepper value={aGross} onChange={(v) => setGross(aPid, activeHole, v)} min={1} max={12} disabled={!canEditPlayer(aPid)} />
+              <NumberStepper value={aGross} onChange={(v) => setGross(aPid, activeHole, v)} min={1} max={12} disabled={!canEditPlayer(aPid)} allowPickUp />
             </div>
             <div className="mt-2 text-white/70 text-xs">Net: {aNet == null ? "—" : aNet}</div>
             {!canEditPlayer(aPid) ? <div className="mt-2 text-white/50 text-[11px]">View-Only</div> : null}
@@ -3146,9 +3960,11 @@ function SinglesEntry({ match, activeHole, holeMeta, playersById, holeComputed,
             <div className="flex items-center justify-between gap-3">
               <div>
                 <div className="text-white font-medium">{b?.name || "—"}</div>
-                <div className="text-white/60 text-xs">HCP {b?.courseHcp ?? "—"} • Strokes This Hole: {bSr}</div>
+                <div className="text-white/60 text-xs">
+                  HCP {formatHcp(b?.courseHcp)} • Playing {b ? formatHcp(bPh) : "—"} • Strokes This Hole: {bSr}
+                </div>
               </div>
-              <NumberStepper value={bGross} onChange={(v) => setGross(bPid, activeHole, v)} min={1} max={12} disabled={!canEditPlayer(bPid)} />
+              <NumberStepper value={bGross} onChange={(v) => setGross(bPid, activeHole, v)} min={1} max={12} disabled={!canEditPlayer(bPid)} allowPickUp />
             </div>
             <div className="mt-2 text-white/70 text-xs">Net: {bNet == null ? "—" : bNet}</div>
             {!canEditPlayer(bPid) ? <div className="mt-2 text-white/50 text-[11px]">View-Only</div> : null}
@@ -3163,15 +3979,15 @@ function SinglesEntry({ match, activeHole, holeMeta, playersById, holeComputed,
         ) : (
           <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
             <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
-              <div className="text-white/70 text-xs">{TEAM_ABBR[match.sideA.teamId]}</div>
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideA.teamId)}</div>
               <div className="text-white/80 text-sm mt-1">
-                Gross {holeComputed.details.aGross} • Net {holeComputed.details.aNet}
+                Gross {grossText(holeComputed.details.aGross, holeComputed.details.aPickUp)} • Net {holeComputed.details.aNet}
               </div>
             </div>
             <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
-              <div className="text-white/70 text-xs">{TEAM_ABBR[match.sideB.teamId]}</div>
+              <div className="text-white/70 text-xs">{teams.abbr(match.sideB.teamId)}</div>
               <div className="text-white/80 text-sm mt-1">
-                Gross {holeComputed.details.bGross} • Net {holeComputed.details.bNet}
+                Gross {grossText(holeComputed.details.bGross, holeComputed.details.bPickUp)} • Net {holeComputed.details.bNet}
               </div>
             </div>
           </div>
@@ -3181,155 +3997,2343 @@ function SinglesEntry({ match, activeHole, holeMeta, playersById, holeComputed,
   );
 }
 
-function MatchView({ holes, match, computed, onJumpToHole }) {
-  const header =
-    match.format === "FOURBALL_NET"
-      ? "Fourball (Net): team uses best net of its two players each hole"
-      : match.format === "SCRAMBLE_STABLEFORD"
-      ? "Scramble (Stableford): compare Stableford points each hole (no handicaps)"
-      : "Singles (Net): compare net scores each hole";
+function HandicapsCard({ match, playersById, allowances }) {
+  const pids = [...match.sideA.playerIds, ...match.sideB.playerIds];
+  const playingHcps = matchPlayingHcps(match, playersById, allowances);
+  const offTheLow = match.offTheLow && (match.format === "FOURBALL_NET" || match.format === "SINGLES_NET");
+
+  return (
+    <Card className="p-5">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-white font-semibold">Handicaps</div>
+          <div className="text-white/60 text-xs mt-1">Course handicap from Handicap Index (WHS), then the format allowance.</div>
+        </div>
+        {offTheLow ? <Pill tone="warn">Off The Low</Pill> : null}
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+        {pids.map((pid) => {
+          const p = playersById[pid];
+          return (
+            <div key={pid} className="p-4 rounded-2xl bg-white/5 border border-white/10">
+              <div className="flex items-center justify-between gap-3">
+                <div className="text-white text-sm font-medium">{p?.name || "—"}</div>
+                <div className="text-white/70 text-xs">
+                  Course {formatHcp(p?.courseHcp)} • Playing {p ? formatHcp(playingHcps[pid]) : "—"}
+                </div>
+              </div>
+              <div className="mt-1 text-white/50 text-[11px]">
+                {p?.hcpSource === "whs" ? `${p.hcpDerivation.tee.name} tees • ` : ""}
+                {describeCourseHcp(p)}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </Card>
+  );
+}
+
+// Contest measurements for the active hole (match.contestEntries, see scoring/contests.js)
+function ContestEntryCard({ contest, playerIds, match, playersById, canEdit, setEntry }) {
+  const entries = match.contestEntries?.[contest.hole] || {};
+  const leaders = contestMeasurements([match], contest);
+
+  return (
+    <Card className="p-5">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-white font-semibold">{CONTEST_LABELS[contest.type]}</div>
+          <div className="text-white/60 text-xs mt-1">
+            Hole {contest.hole} • {contest.type === "CTP" ? "Feet from the pin (in the green only)" : "Yards (in the fairway only)"} •{" "}
+            {money(contest.prize)}
+          </div>
+        </div>
+        {leaders.length ? (
+          <Pill>Group best: {measurementText(contest.type, leaders[0].value)}</Pill>
+        ) : null}
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {playerIds.map((pid) => (
+          <label key={pid} className="block">
+            <div className="text-white/60 text-[11px] mb-1">{playersById[pid]?.name || "—"}</div>
+            {canEdit ? (
+              <NumberInput
+                value={entries[pid]}
+                onCommit={(v) => setEntry(pid, contest.hole, v == null || v < 0 ? null : v)}
+                placeholder={CONTEST_UNITS[contest.type]}
+              />
+            ) : (
+              <div className="px-3 py-2 text-white/80 text-sm">{measurementText(contest.type, entries[pid])}</div>
+            )}
+          </label>
+        ))}
+      </div>
+      {contest.winnerId ? <div className="mt-2 text-white/50 text-[11px]">Winner set by admin</div> : null}
+    </Card>
+  );
+}
+
+// Nassau side bet on the match (match.nassau, see scoring/nassau.js)
+const NASSAU_LABELS = { FRONT: "Front", BACK: "Back", OVERALL: "Overall" };
+
+function nassauBetLabel(bet) {
+  const range = `${bet.holeNums[0]}–${bet.holeNums[bet.holeNums.length - 1]}`;
+  if (bet.kind === "PRESS") return `Press • ${NASSAU_LABELS[bet.nine]} from ${bet.startHole}`;
+  return `${NASSAU_LABELS[bet.kind]} • Holes ${range}`;
+}
+
+function NassauCard({ match, nassau, playersById, canEdit, setNassau }) {
+  const teams = useTeams();
+  const sideTeam = (sideId) => (sideId === match.sideA.id ? match.sideA.teamId : match.sideB.teamId);
+  const set = (patch) => setNassau(normalizeNassau({ ...nassau.config, ...patch }));
+
+  const betText = (bet) => {
+    if (bet.settledBy) return `${teams.abbr(sideTeam(bet.winnerSideId))} win (${bet.settledBy === "FORFEIT" ? "forfeit" : "conceded"})`;
+    if (bet.played === 0) return "Not started";
+    if (bet.isFinal) return bet.winnerSideId ? `${teams.abbr(sideTeam(bet.winnerSideId))} win ${bet.up} up` : "Push";
+    if (!bet.leaderSideId) return `All square thru ${bet.played}`;
+    return `${teams.abbr(sideTeam(bet.leaderSideId))} ${bet.up} up thru ${bet.played}`;
+  };
+
+  return (
+    <Card className="p-5">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-white font-semibold">Nassau</div>
+          <div className="text-white/60 text-xs mt-1">
+            {nassau
+              ? `${money(nassau.config.amount)} a bet per player • ${
+                  nassau.config.pressAt ? `Auto-press at ${nassau.config.pressAt} down` : "No presses"
+                }`
+              : "Optional side bet: front, back and overall on the same holes as the match"}
+          </div>
+        </div>
+        {!nassau && canEdit ? <Button variant="ghost" onClick={() => setNassau({ ...DEFAULT_NASSAU })}>Add Nassau</Button> : null}
+      </div>
+
+      {nassau ? (
+        <>
+          <div className="mt-4 space-y-2">
+            {nassau.bets.map((bet) => {
+              const sideId = bet.winnerSideId ?? bet.leaderSideId;
+              const teamId = sideId ? sideTeam(sideId) : null;
+              return (
+                <div
+                  key={bet.id}
+                  className={`flex items-center justify-between gap-3 p-3 rounded-2xl bg-white/5 border border-white/10 ${
+                    bet.kind === "PRESS" ? "ml-4" : ""
+                  }`}
+                >
+                  <div className="text-white/80 text-sm">{nassauBetLabel(bet)}</div>
+                  <Pill tone={teamId ? teams.tone(teamId) : bet.isFinal ? "final" : "neutral"}>{betText(bet)}</Pill>
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {[...match.sideA.playerIds, ...match.sideB.playerIds].map((pid) => (
+              <div key={pid} className="p-3 rounded-2xl bg-white/5 border border-white/10">
+                <div className="text-white/60 text-[11px]">{playersById[pid]?.name || "—"}</div>
+                <div className="text-white font-semibold mt-1">{money(nassau.settlement[pid] ?? 0)}</div>
+              </div>
+            ))}
+          </div>
+          <div className="text-white/50 text-[11px] mt-2">Settled bets only • Each player wins or pays the bet amount</div>
+
+          {canEdit ? (
+            <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-2">
+              <NumberInput value={nassau.config.amount} onCommit={(v) => set({ amount: v })} placeholder="$ per bet" />
+              <select
+                value={nassau.config.pressAt ?? ""}
+                onChange={(e) => set({ pressAt: e.target.value ? Number(e.target.value) : null })}
+                className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+              >
+                <option value="">No Presses</option>
+                {[1, 2, 3, 4].map((n) => (
+                  <option key={n} value={n}>
+                    Press At {n} Down
+                  </option>
+                ))}
+              </select>
+              <Button variant="ghost" onClick={() => setNassau(null)}>
+                Remove Nassau
+              </Button>
+            </div>
+          ) : null}
+        </>
+      ) : null}
+    </Card>
+  );
+}
+
+// Group games (match.groupGame, see scoring/groupGames.js) — one panel per game type
+function WolfPanel({ game, activeHole, playersById, canEdit, save }) {
+  const name = (pid) => playersById[pid]?.name || "—";
+  const hole = game.holes.find((h) => h.hole === activeHole);
+  const setChoice = (choice) => {
+    const choices = { ...game.config.choices };
+    if (choice) choices[activeHole] = choice;
+    else delete choices[activeHole];
+    save({ ...game.config, choices });
+  };
+  // Tee order: picking a player for a slot swaps them with whoever had it
+  const setOrder = (idx, pid) => {
+    const order = [...game.config.order];
+    const from = order.indexOf(pid);
+    [order[idx], order[from]] = [order[from], order[idx]];
+    save({ ...game.config, order });
+  };
+  const choiceText = (h) =>
+    !h.choice ? "—" : h.choice.type === "PARTNER" ? `+ ${name(h.choice.partnerId)}` : h.choice.type === "LONE" ? "Lone" : "Blind";
+  const resultText = (h) =>
+    h.result === "WOLF" ? "Wolf wins" : h.result === "OTHERS" ? "Wolf loses" : h.result === "HALVED" ? "Halved" : "";
+
+  return (
+    <div className="space-y-4">
+      {hole ? (
+        <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
+          <div className="flex items-center justify-between gap-3">
+            <div className="text-white/70 text-xs">Hole {hole.hole} Wolf</div>
+            <Pill>{resultText(hole) || choiceText(hole)}</Pill>
+          </div>
+          <div className="text-white font-semibold mt-1">{name(hole.wolfId)}</div>
+          {canEdit ? (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {game.config.order
+                .filter((pid) => pid !== hole.wolfId)
+                .map((pid) => (
+                  <Button
+                    key={pid}
+                    variant={hole.choice?.partnerId === pid ? "primary" : "ghost"}
+                    onClick={() => setChoice({ type: "PARTNER", partnerId: pid })}
+                  >
+                    With {name(pid)}
+                  </Button>
+                ))}
+              <Button variant={hole.choice?.type === "LONE" ? "primary" : "ghost"} onClick={() => setChoice({ type: "LONE" })}>
+                Lone Wolf
+              </Button>
+              <Button variant={hole.choice?.type === "BLIND" ? "primary" : "ghost"} onClick={() => setChoice({ type: "BLIND" })}>
+                Blind Wolf
+              </Button>
+              {hole.choice ? (
+                <Button variant="ghost" onClick={() => setChoice(null)}>
+                  Clear
+                </Button>
+              ) : null}
+            </div>
+          ) : null}
+        </div>
+      ) : (
+        <div className="text-white/60 text-sm">No wolf on playoff holes.</div>
+      )}
+
+      <div>
+        <div className="text-white/70 text-xs mb-2">Tee Order (the wolf rotates through it)</div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+          {game.config.order.map((pid, idx) => (
+            <select
+              key={idx}
+              value={pid}
+              disabled={!canEdit}
+              onChange={(e) => setOrder(idx, e.target.value)}
+              className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+            >
+              {game.config.order.map((opt) => (
+                <option key={opt} value={opt}>
+                  {idx + 1}. {name(opt)}
+                </option>
+              ))}
+            </select>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-white/60 border-b border-white/10">
+              <th className="text-left py-2 pr-2">Hole</th>
+              <th className="text-left py-2 pr-2">Wolf</th>
+              <th className="text-left py-2 pr-2">Call</th>
+              <th className="text-left py-2 pr-2">Result</th>
+              <th className="text-right py-2">Points</th>
+            </tr>
+          </thead>
+          <tbody>
+            {game.holes
+              .filter((h) => h.choice)
+              .map((h) => (
+                <tr key={h.hole} className="border-b border-white/10 text-white/80">
+                  <td className="py-2 pr-2">{h.hole}</td>
+                  <td className="py-2 pr-2">{name(h.wolfId)}</td>
+                  <td className="py-2 pr-2">{choiceText(h)}</td>
+                  <td className="py-2 pr-2">{resultText(h) || "—"}</td>
+                  <td className="py-2 text-right">
+                    {Object.entries(h.points)
+                      .map(([pid, n]) => `${name(pid)} +${n}`)
+                      .join(", ") || "—"}
+                  </td>
+                </tr>
+              ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+const GROUP_GAME_PANELS = { WOLF: WolfPanel };
+
+function GroupGameCard({ match, game, activeHole, playersById, canEdit, setGroupGame }) {
+  const Panel = game ? GROUP_GAME_PANELS[game.type] : null;
+
+  return (
+    <Card className="p-5">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-white font-semibold">{game ? game.label : "Group Game"}</div>
+          <div className="text-white/60 text-xs mt-1">
+            {game ? "Played by the four players alongside the match, on the same net scores" : "Optional game for the group"}
+          </div>
+        </div>
+        {canEdit ? (
+          game ? (
+            <Button variant="ghost" onClick={() => setGroupGame(null)}>
+              Remove
+            </Button>
+          ) : (
+            <div className="flex gap-2">
+              {availableGroupGames(match).map((type) => (
+                <Button key={type} variant="ghost" onClick={() => setGroupGame({ type })}>
+                  Play {GROUP_GAMES[type].label}
+                </Button>
+              ))}
+            </div>
+          )
+        ) : null}
+      </div>
+
+      {game ? (
+        <>
+          <div className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {game.standings.map((r, idx) => (
+              <div key={r.playerId} className="p-3 rounded-2xl bg-white/5 border border-white/10">
+                <div className="text-white/60 text-[11px]">
+                  {idx + 1}. {playersById[r.playerId]?.name || "—"}
+                </div>
+                <div className="text-white text-xl font-semibold mt-1">{r.points}</div>
+              </div>
+            ))}
+          </div>
+          {Panel ? (
+            <div className="mt-4">
+              <Panel game={game} activeHole={activeHole} playersById={playersById} canEdit={canEdit} save={setGroupGame} />
+            </div>
+          ) : null}
+        </>
+      ) : null}
+    </Card>
+  );
+}
+
+// Concessions are stored on the match doc and override the scores in the engine
+function ConcessionsCard({ match, activeHole, canConcedeTo, setHoleConceded, setMatchConceded }) {
+  const teams = useTeams();
+  const [pendingSideId, setPendingSideId] = useState(null);
+  const sides = [match.sideA, match.sideB];
+  const sideName = (sideId) => teams.abbr(sideId === match.sideA.id ? match.sideA.teamId : match.sideB.teamId);
+
+  const holeTo = holeConcededTo(match, activeHole);
+  const matchTo = matchConcededTo(match);
+  const holeConcessions = match.format !== "SCRAMBLE_STABLEFORD";
+
+  return (
+    <Card className="p-5">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-white font-semibold">Concessions</div>
+          <div className="text-white/60 text-xs mt-1">A concession beats the scores entered. Conceded holes don't count toward individual scores.</div>
+        </div>
+        {matchTo ? <Pill tone="warn">Match Conceded To {sideName(matchTo)}</Pill> : null}
+      </div>
+
+      {holeConcessions ? (
+        <div className="mt-4 p-4 rounded-2xl bg-white/5 border border-white/10">
+          <div className="text-white/70 text-xs">
+            Hole {activeHole}: {holeTo ? `Conceded to ${sideName(holeTo)}` : "Not conceded"}
+          </div>
+          <div className="mt-3 flex flex-wrap gap-2">
+            {sides.map((side) => (
+              <Button
+                key={side.id}
+                variant="ghost"
+                onClick={() => setHoleConceded(activeHole, side.id)}
+                disabled={holeTo === side.id || !canConcedeTo(side.id)}
+              >
+                Concede Hole To {sideName(side.id)}
+              </Button>
+            ))}
+            {holeTo ? (
+              <Button variant="ghost" onClick={() => setHoleConceded(activeHole, null)} disabled={!canConcedeTo(holeTo)}>
+                Clear
+              </Button>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        {matchTo ? (
+          <Button variant="ghost" onClick={() => setMatchConceded(null)} disabled={!canConcedeTo(matchTo)}>
+            Withdraw Match Concession
+          </Button>
+        ) : (
+          sides.map((side) => (
+            <Button key={side.id} variant="danger" onClick={() => setPendingSideId(side.id)} disabled={!canConcedeTo(side.id)}>
+              Concede Match To {sideName(side.id)}
+            </Button>
+          ))
+        )}
+      </div>
+
+      <Modal open={!!pendingSideId} onClose={() => setPendingSideId(null)} title="Concede Match">
+        <div className="space-y-4">
+          <div className="text-white/80 text-sm">
+            The match will be final and the point goes to <b>{pendingSideId ? sideName(pendingSideId) : ""}</b>, whatever the
+            scores say.
+          </div>
+          <div className="flex gap-2">
+            <Button variant="ghost" onClick={() => setPendingSideId(null)} className="flex-1">
+              Cancel
+            </Button>
+            <Button
+              variant="danger"
+              onClick={async () => {
+                await setMatchConceded(pendingSideId);
+                setPendingSideId(null);
+              }}
+              className="flex-1"
+            >
+              Concede Match
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </Card>
+  );
+}
+
+function MatchView({ holes, round, match, computed, playersById, allowances, onJumpToHole }) {
+  const teams = useTeams();
+  const a = allowances;
+  const scrambleHcpText =
+    a.scrambleLowPct || a.scrambleHighPct ? `${a.scrambleLowPct}% low + ${a.scrambleHighPct}% high` : "no handicaps";
+
+  const header =
+    match.format === "FOURBALL_NET"
+      ? `Fourball (Net): team uses best net of its two players each hole (${a.fourballPct}% allowance)`
+      : match.format === "SCRAMBLE_STABLEFORD"
+      ? `Scramble (Stableford): compare Stableford points each hole (${scrambleHcpText})`
+      : match.format === "FOURSOMES_NET"
+      ? `Foursomes (Net): one ball per side, strokes from ${a.foursomesPct}% of combined handicaps`
+      : match.format === "GREENSOMES_NET"
+      ? `Greensomes (Net): both drive, one ball after — strokes from ${a.greensomesLowPct}% low + ${a.greensomesHighPct}% high handicap`
+      : `Singles (Net): compare net scores each hole (${a.singlesPct}% allowance)`;
+
+  return (
+    <Card className="p-5">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-white font-semibold">Hole-By-Hole</div>
+          <div className="text-white/60 text-xs mt-1">{header}</div>
+        </div>
+        <Pill tone={statusPillTone(computed.status, match, teams)}>{computed.status.text}</Pill>
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="min-w-[900px] w-full text-sm">
+          <thead>
+            <tr className="text-white/70">
+              <th className="text-left py-2">Hole</th>
+              <th className="text-left py-2">Par</th>
+              <th className="text-left py-2">HCP</th>
+              <th className="text-left py-2">{teams.abbr(match.sideA.teamId)}</th>
+              <th className="text-left py-2">{teams.abbr(match.sideB.teamId)}</th>
+              <th className="text-left py-2">Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {computed.holes.map((h) => {
+              const meta = holes.length ? scorecardHole(holes, h.hole, round) : { par: "—", hcpRank: "—" };
+              const winnerTeam = !h.winnerSideId ? null : h.winnerSideId === match.sideA.id ? match.sideA.teamId : match.sideB.teamId;
+              const res = !h.played ? "—" : winnerTeam == null ? "½" : teams.abbr(winnerTeam);
+              // Conceded holes can have no (or one-sided) scores
+              const scored =
+                h.played && (h.details.type === "fourball" ? !!(h.details.aBest && h.details.bBest) : h.details.aGross != null && h.details.bGross != null);
+
+              let aVal = "—";
+              let bVal = "—";
+
+              if (h.details.type === "fourball" && scored) {
+                aVal = `Net ${h.details.aBest.net}${h.details.aBest.pickedUp ? " (X)" : ""}`;
+                bVal = `Net ${h.details.bBest.net}${h.details.bBest.pickedUp ? " (X)" : ""}`;
+              }
+              if (h.details.type === "scramble" && scored) {
+                aVal = `${h.details.aPts} Pts (G${grossText(h.details.aGross, h.details.aPickUp)})`;
+                bVal = `${h.details.bPts} Pts (G${grossText(h.details.bGross, h.details.bPickUp)})`;
+              }
+              if (h.details.type === "foursomes" && scored) {
+                aVal = `Net ${h.details.aNet} (G${grossText(h.details.aGross, h.details.aPickUp)})`;
+                bVal = `Net ${h.details.bNet} (G${grossText(h.details.bGross, h.details.bPickUp)})`;
+              }
+              if (h.details.type === "greensomes" && scored) {
+                const aDrive = playersById[h.details.aDrive]?.name;
+                const bDrive = playersById[h.details.bDrive]?.name;
+                aVal = `Net ${h.details.aNet} (G${grossText(h.details.aGross, h.details.aPickUp)})${aDrive ? ` • ${aDrive} drive` : ""}`;
+                bVal = `Net ${h.details.bNet} (G${grossText(h.details.bGross, h.details.bPickUp)})${bDrive ? ` • ${bDrive} drive` : ""}`;
+              }
+              if (h.details.type === "singles" && scored) {
+                aVal = `Net ${h.details.aNet} (G${grossText(h.details.aGross, h.details.aPickUp)})`;
+                bVal = `Net ${h.details.bNet} (G${grossText(h.details.bGross, h.details.bPickUp)})`;
+              }
+
+              const pillTone = !h.played ? "neutral" : winnerTeam ? teams.tone(winnerTeam) : "warn";
+
+              return (
+                <tr
+                  key={h.hole}
+                  className={`border-t hover:bg-white/5 cursor-pointer ${h.playoff ? "border-amber-300/30 bg-amber-400/5" : "border-white/10"}`}
+                  onClick={() => onJumpToHole(h.hole)}
+                >
+                  <td className="py-3 text-white font-medium">
+                    {h.hole}
+                    {h.playoff ? <span className="ml-2 text-amber-200/80 text-xs">Playoff ({h.courseHole})</span> : null}
+                  </td>
+                  <td className="py-3 text-white/80">{meta.par}</td>
+                  <td className="py-3 text-white/80">{meta.hcpRank}</td>
+                  <td className="py-3 text-white/80">{aVal}</td>
+                  <td className="py-3 text-white/80">{bVal}</td>
+                  <td className="py-3">
+                    <Pill tone={pillTone}>{res}</Pill>
+                    {h.conceded ? <span className="ml-2 text-white/60 text-xs italic">Conceded</span> : null}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {match.format === "GREENSOMES_NET" ? (
+        <div className="mt-4 text-white/70 text-xs">
+          Drives used:{" "}
+          {Object.entries(greensomesDriveCounts(match))
+            .map(([pid, n]) => `${playersById[pid]?.name || "—"} ${n}`)
+            .join(" • ")}
+        </div>
+      ) : null}
+
+      {match.substitutions?.length ? (
+        <div className="mt-4 text-white/70 text-xs">
+          {match.substitutions.map((sub) => substitutionText(sub, playersById)).join(" • ")}
+        </div>
+      ) : null}
+
+      {computed.status.forfeit ? (
+        <div className="mt-4 text-white/70 text-xs">
+          {computed.status.forfeit === "FORFEIT" ? "Forfeit" : "Walkover"}: the point was awarded without hole results.
+        </div>
+      ) : null}
+
+      <div className="mt-4 text-white/60 text-xs">Tip: click any row to jump to that hole in score entry.</div>
+    </Card>
+  );
+}
+
+// -----------------------
+// Stroke Play (medal) — leaderboard + group score entry
+// -----------------------
+const STROKE_PLAY_METHOD_LABELS = {
+  POSITION: "Finishing Position",
+  BEST_N: "Best N Scores Per Team",
+};
+
+// "Net (100%) • Points by finishing position: 3-2-1"
+function strokePlayRulesText(config) {
+  const basis = config.scoring === "GROSS" ? "Gross" : `Net (${config.allowancePct}%)`;
+  if (config.method === "BEST_N") return `${basis} • Best ${config.bestN} per team take ${config.bestNPoints} pts`;
+  return `${basis} • Points by finishing position: ${config.positionPoints.join("-")}`;
+}
+
+// Leaderboard "Thru": F when finished; * marks players who started away from hole 1
+function thruText(row) {
+  if (row.withdrawn) return "WD";
+  if (!row.thru) return row.startHole === 1 ? "—" : `#${row.startHole}`;
+  if (row.complete) return "F";
+  return row.startHole === 1 ? String(row.thru) : `${row.thru}*`;
+}
+
+function StrokePlayTable({ rows, scoring, playersById, onOpenGroup }) {
+  const scoredClass = "text-white font-semibold";
+  const otherClass = "text-white/70";
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-white/60 text-xs border-b border-white/10">
+            <th className="text-left py-2 pr-2 w-12">Pos</th>
+            <th className="text-left py-2 pr-2">Player</th>
+            <th className="text-right py-2 pr-2">Thru</th>
+            <th className="text-right py-2 pr-2">Gross</th>
+            <th className="text-right py-2 pr-2">Net</th>
+            <th className="text-right py-2">To Par</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr
+              key={r.playerId}
+              className={`border-b border-white/10 ${onOpenGroup ? "hover:bg-white/5 cursor-pointer" : ""}`}
+              onClick={onOpenGroup ? () => onOpenGroup(r.groupId) : undefined}
+            >
+              <td className="py-2 pr-2 text-white/70">{r.position == null ? "—" : `${r.tied ? "T" : ""}${r.position}`}</td>
+              <td className="py-2 pr-2">
+                <NamePill teamId={r.teamId}>
+                  <div className="text-white font-semibold">{playersById[r.playerId]?.name || "—"}</div>
+                  <div className="text-white/60 text-[11px]">Playing {formatHcp(r.playingHcp)}</div>
+                </NamePill>
+              </td>
+              <td className="py-2 pr-2 text-right text-white/80">{thruText(r)}</td>
+              <td className={`py-2 pr-2 text-right ${scoring === "GROSS" ? scoredClass : otherClass}`}>{r.gross ?? "—"}</td>
+              <td className={`py-2 pr-2 text-right ${scoring === "GROSS" ? otherClass : scoredClass}`}>{r.net ?? "—"}</td>
+              <td className="py-2 text-right text-white font-semibold">{r.toPar == null ? "—" : formatToPar(r.toPar)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Team points: final once everyone has finished, otherwise as things stand
+function StrokePlayPointsCard({ strokePlay }) {
+  const teams = useTeams();
+  const pts = strokePlay.isFinal ? strokePlay.points : strokePlay.projectedPoints;
+
+  return (
+    <Card className="p-5">
+      <div className="text-white font-semibold">Team Points {strokePlay.isFinal ? "(Final)" : "(As It Stands)"}</div>
+      <div className="text-white/60 text-xs mt-1">{strokePlayRulesText(strokePlay.config)}</div>
+
+      <div className="mt-4 grid grid-cols-2 gap-3">
+        {teams.ids.filter((t) => pts[t] != null).map((teamId) => (
+          <div key={teamId} className="p-4 rounded-2xl bg-white/5 border border-white/10">
+            <div className="text-white/70 text-xs">{teams.abbr(teamId)}</div>
+            <div className="text-white text-2xl font-semibold mt-1">{(pts[teamId] ?? 0).toFixed(1)}</div>
+          </div>
+        ))}
+      </div>
+
+      {!strokePlay.isFinal ? (
+        <div className="mt-3 text-white/50 text-xs">
+          Points count toward the Cup once every player has finished (or withdrawn).
+        </div>
+      ) : null}
+    </Card>
+  );
+}
+
+function StrokePlayGroupCard({ group, strokePlay, playersById, onOpen }) {
+  const rows = strokePlay.rows.filter((r) => r.groupId === group.id);
+
+  return (
+    <Card className="p-4 cursor-pointer hover:bg-white/[0.07] transition">
+      <div onClick={onOpen}>
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <div className="text-white/70 text-xs">Group {group.matchNo}</div>
+            {group.startHole ? <div className="text-white/50 text-[11px] mt-1">Starts Hole {group.startHole}</div> : null}
+          </div>
+          <MatchFormatPill format={group.format} />
+        </div>
+
+        <div className="mt-3 space-y-2">
+          {rows.map((r) => (
+            <NamePill key={r.playerId} teamId={r.teamId}>
+              <div className="flex items-center justify-between gap-3">
+                <div className="text-white text-sm font-medium">{playersById[r.playerId]?.name || "—"}</div>
+                <div className="text-white/80 text-xs">
+                  {r.toPar == null ? "—" : formatToPar(r.toPar)} • Thru {thruText(r)}
+                </div>
+              </div>
+            </NamePill>
+          ))}
+        </div>
+
+        <div className="mt-4 flex items-center justify-between">
+          <div className="flex items-center gap-2 text-white/70 text-xs">
+            {group.locked ? <Lock className="w-4 h-4" /> : <Unlock className="w-4 h-4" />}
+            <span>{group.locked ? "Locked" : "Open"}</span>
+          </div>
+          <div className="text-white/70 text-xs">Tap To Open</div>
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+function StrokePlayPage({ tournament, totals, activeDay, setActiveDay, playersById, onBack, onOpenGroup }) {
+  const teams = useTeams();
+  const strokeDays = (tournament.days || []).filter(isStrokePlayDay).map((d) => d.day);
+  const dayNum = strokeDays.includes(activeDay) ? activeDay : strokeDays[0];
+  const summary = totals.daySummaries.find((d) => d.day === dayNum);
+  const strokePlay = summary?.strokePlay;
+
+  return (
+    <>
+      <TopBar
+        title="Stroke Play"
+        subtitle={dayNum ? `Day ${dayNum} • ${summary?.courseName || ""} • ${DAY_DATES[dayNum]}` : "Leaderboard"}
+        left={
+          <button onClick={onBack} className="text-white/80 hover:text-white inline-flex items-center gap-2">
+            <ChevronLeft className="w-5 h-5" />
+            <span className="hidden sm:inline">Matches</span>
+          </button>
+        }
+        right={
+          <Pill>
+            <Trophy className="w-4 h-4" />
+            Total {scoreLine(totals.points, teams.ids)}
+          </Pill>
+        }
+      />
+
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        {!strokePlay ? (
+          <Card className="p-6">
+            <div className="text-white font-semibold">No Stroke Play Day</div>
+            <div className="text-white/60 text-sm mt-2">An admin can switch a day to stroke play on the Admin page (Scoring tab).</div>
+          </Card>
+        ) : (
+          <>
+            {strokeDays.length > 1 ? (
+              <Segmented
+                value={dayNum}
+                onChange={setActiveDay}
+                options={strokeDays.map((d) => ({ value: d, label: `Day ${d}` }))}
+              />
+            ) : null}
+
+            <div className="mt-6 grid grid-cols-1 lg:grid-cols-12 gap-4">
+              <div className="lg:col-span-8">
+                <Card className="p-5">
+                  <div className="flex items-start justify-between gap-3">
+                    <div>
+                      <div className="text-white font-semibold">Leaderboard</div>
+                      <div className="text-white/60 text-xs mt-1">
+                        Ranked by {strokePlay.config.scoring === "GROSS" ? "gross" : "net"} to par • * started on the back • F finished
+                      </div>
+                    </div>
+                    <Pill tone={strokePlay.isFinal ? "final" : "neutral"}>{strokePlay.isFinal ? "Final" : "Live"}</Pill>
+                  </div>
+
+                  <div className="mt-4">
+                    <StrokePlayTable
+                      rows={strokePlay.rows}
+                      scoring={strokePlay.config.scoring}
+                      playersById={playersById}
+                      onOpenGroup={onOpenGroup}
+                    />
+                  </div>
+                </Card>
+              </div>
+
+              <div className="lg:col-span-4 space-y-4">
+                <StrokePlayPointsCard strokePlay={strokePlay} />
+              </div>
+            </div>
+
+            <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+              {(summary.groups || []).map((g) => (
+                <StrokePlayGroupCard
+                  key={g.id}
+                  group={g}
+                  strokePlay={strokePlay}
+                  playersById={playersById}
+                  onOpen={() => onOpenGroup(g.id)}
+                />
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+// Score entry for a stroke play group: every player's own card (singlesGrossByPlayer)
+function StrokePlayGroupPage({
+  tournament,
+  totals,
+  group,
+  day,
+  playersById: rosterById,
+  claimedPlayerId,
+  isAdmin,
+  onBack,
+  onOpenLeaderboard,
+  writeMatch,
+}) {
+  const course = tournament.courses?.[day.day];
+  const holes = useMemo(() => course?.holes || [], [course]);
+  const round = useMemo(() => resolveRound(day, group), [day, group]);
+  const roundHoleNums = useMemo(() => roundHoles(holes, round).map((h) => h.hole), [holes, round]);
+  const [activeHole, setActiveHole] = useState(() => roundHoleNums[0] ?? 1);
+
+  const playersById = useMemo(() => dayPlayersById(Object.values(rosterById), course), [rosterById, course]);
+  const config = resolveStrokePlay(day);
+  const maxScore = resolveMaxScore(day, group);
+
+  const strokePlay = totals.daySummaries.find((d) => d.day === day.day)?.strokePlay;
+  const groupRows = (strokePlay?.rows || []).filter((r) => r.groupId === group.id);
+
+  const pids = matchParticipants(group);
+  const me = claimedPlayerId ? playersById[claimedPlayerId] : null;
+
+  // Markers: anyone in the group can keep the group's cards
+  function canEditPlayer(pid) {
+    if (isAdmin) return true;
+    return !!me && pids.includes(me.id) && pids.includes(pid);
+  }
+
+  async function setGross(pid, holeNum, gross) {
+    const next = { ...(group.singlesGrossByPlayer || {}) };
+    const per = { ...(next[pid] || {}) };
+    if (gross == null) delete per[holeNum];
+    else per[holeNum] = gross;
+    next[pid] = per;
+    await writeMatch(group.id, { singlesGrossByPlayer: next });
+  }
+
+  // WD / DNF: the player no longer holds the day open or takes points
+  async function toggleWithdrawn(pid) {
+    const current = group.withdrawn || [];
+    const next = current.includes(pid) ? current.filter((x) => x !== pid) : [...current, pid];
+    await writeMatch(group.id, { withdrawn: next });
+  }
+
+  async function setContestEntry(pid, holeNum, value) {
+    const next = { ...(group.contestEntries || {}) };
+    const per = { ...(next[holeNum] || {}) };
+    if (value == null) delete per[pid];
+    else per[pid] = value;
+    next[holeNum] = per;
+    await writeMatch(group.id, { contestEntries: next });
+  }
+
+  const holeMeta = scorecardHole(holes, activeHole, round);
+  const contest = contestOnHole(course, activeHole);
+
+  return (
+    <>
+      <TopBar
+        title={`Group ${group.matchNo}`}
+        subtitle={`Day ${day.day} • ${course?.name || ""} • ${DAY_DATES[day.day]}`}
+        left={
+          <button onClick={onBack} className="text-white/80 hover:text-white inline-flex items-center gap-2">
+            <ChevronLeft className="w-5 h-5" />
+            <span className="hidden sm:inline">Matches</span>
+          </button>
+        }
+        right={
+          <>
+            <Button variant="ghost" onClick={onOpenLeaderboard}>
+              <span className="inline-flex items-center gap-2">
+                <ListOrdered className="w-4 h-4" />
+                <span className="hidden sm:inline">Leaderboard</span>
+              </span>
+            </Button>
+            {isAdmin ? (
+              <Pill>
+                <Crown className="w-4 h-4" />
+                Admin
+              </Pill>
+            ) : null}
+          </>
+        }
+      />
+
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        <div className="grid grid-cols-1 lg:grid-cols-12 gap-4">
+          <div className="lg:col-span-4">
+            <Card className="p-5">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="text-white font-semibold">Hole Selector</div>
+                  <div className="text-white/60 text-xs mt-1">{roundLabel(holes, round)}</div>
+                </div>
+                <MatchFormatPill format={group.format} />
+              </div>
+
+              <div className="mt-4">{frontBackButtons({ activeHole, setActiveHole, roundHoleNums })}</div>
+
+              <div className="mt-5 p-4 rounded-2xl bg-white/5 border border-white/10">
+                <div className="text-white/70 text-xs">Active Hole</div>
+                <div className="text-white font-semibold mt-1">Hole {activeHole}</div>
+                <div className="text-white/60 text-xs mt-1">
+                  Par {holeMeta.par} • HCP {holeMeta.hcpRank}
+                </div>
+                <div className="text-white/50 text-[11px] mt-2">{pickUpText(maxScore)}</div>
+              </div>
+
+              <div className="mt-4 text-white/60 text-xs">
+                {isAdmin
+                  ? "Admin can edit any score."
+                  : me && pids.includes(me.id)
+                  ? "You can mark any card in your group."
+                  : "Spectator mode until you claim a profile in this group."}
+              </div>
+            </Card>
+          </div>
+
+          <div className="lg:col-span-8 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {pids.map((pid) => {
+                const p = playersById[pid];
+                const ph = playingHcp(p?.courseHcp ?? 0, config.allowancePct);
+                const sr = p ? strokesReceivedOnHole(ph, holeMeta.hcpRank) : 0;
+                const entered = group.singlesGrossByPlayer?.[pid]?.[activeHole] ?? null;
+                const counted = holeGross(entered, maxScore, { par: holeMeta.par, strokes: sr });
+                const net = counted == null || !p ? null : netScore(counted, ph, holeMeta.hcpRank);
+                const withdrawn = (group.withdrawn || []).includes(pid);
+
+                return (
+                  <Card key={pid} className="p-4">
+                    <div className="flex items-center justify-between gap-2">
+                      <TeamBadge teamId={p?.teamId} />
+                      {isAdmin ? (
+                        <Button variant={withdrawn ? "danger" : "ghost"} onClick={() => toggleWithdrawn(pid)}>
+                          {withdrawn ? "Withdrawn (Undo)" : "Withdraw"}
+                        </Button>
+                      ) : (
+                        <Pill>{withdrawn ? "WD" : "Player"}</Pill>
+                      )}
+                    </div>
+                    <div className="mt-4 p-4 rounded-2xl bg-white/5 border border-white/10">
+                      <div className="flex items-center justify-between gap-3">
+                        <div>
+                          <div className="text-white font-medium">{p?.name || "—"}</div>
+                          <div className="text-white/60 text-xs">
+                            HCP {formatHcp(p?.courseHcp)} • Playing {p ? formatHcp(ph) : "—"} • Strokes This Hole: {sr}
+                          </div>
+                        </div>
+                        <NumberStepper
+                          value={entered}
+                          onChange={(v) => setGross(pid, activeHole, v)}
+                          min={1}
+                          max={12}
+                          disabled={!canEditPlayer(pid)}
+                          allowPickUp
+                        />
+                      </div>
+                      <div className="mt-2 text-white/70 text-xs">
+                        Gross: {grossText(counted, isPickUp(entered))} • Net: {net == null ? "—" : net}
+                      </div>
+                      {!canEditPlayer(pid) ? <div className="mt-2 text-white/50 text-[11px]">View-Only</div> : null}
+                    </div>
+                  </Card>
+                );
+              })}
+            </div>
+
+            {contest ? (
+              <ContestEntryCard
+                contest={contest}
+                playerIds={pids}
+                match={group}
+                playersById={playersById}
+                canEdit={isAdmin || (!!me && pids.includes(me.id))}
+                setEntry={setContestEntry}
+              />
+            ) : null}
+
+            <Card className="p-5">
+              <div className="text-white font-semibold">Group Scores</div>
+              <div className="text-white/60 text-xs mt-1">{strokePlayRulesText(config)}</div>
+              <div className="mt-4">
+                <StrokePlayTable rows={groupRows} scoring={config.scoring} playersById={playersById} />
+              </div>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// -----------------------
+// Player stats (leaders board + player page)
+// -----------------------
+const SCORE_TYPE_LABELS = { eagles: "Eagles+", birdies: "Birdies", pars: "Pars", bogeys: "Bogeys", doubles: "Doubles+" };
+
+// Leader values: counts as-is, averages and per-hole rates to 2 places, per-hole to-par signed
+function statValueText(key, value) {
+  if (value == null) return "—";
+  if (key === "gross" || key === "net") return `${value > 0 ? "+" : ""}${value.toFixed(2)}`;
+  if (key.startsWith("par") || key === "bogeys" || key === "doubles") return value.toFixed(2);
+  return String(value);
+}
+
+function holeText(h) {
+  return h ? `Day ${h.day} • Hole ${h.hole}: ${h.pickedUp ? "X" : h.gross} on a par ${h.par}` : "—";
+}
+
+function StatTile({ label, value, sub }) {
+  return (
+    <div className="p-4 rounded-2xl bg-white/5 border border-white/10">
+      <div className="text-white/60 text-xs">{label}</div>
+      <div className="text-white text-2xl font-semibold mt-1">{value}</div>
+      {sub ? <div className="text-white/50 text-[11px] mt-1">{sub}</div> : null}
+    </div>
+  );
+}
+
+function StatsLeadersPage({ tournament, playersById, claimedPlayerId, onBack, onOpenPlayer }) {
+  const stats = useMemo(() => computePlayerStats({ tournament }), [tournament]);
+  const name = (pid) => playersById[pid]?.name || "—";
+
+  return (
+    <>
+      <TopBar
+        title="Stats Leaders"
+        subtitle="Individual gross scores • fourball, singles and stroke play"
+        left={
+          <button onClick={onBack} className="text-white/80 hover:text-white inline-flex items-center gap-2">
+            <ChevronLeft className="w-5 h-5" />
+            <span className="hidden sm:inline">Home</span>
+          </button>
+        }
+        right={
+          claimedPlayerId ? (
+            <Button variant="ghost" onClick={() => onOpenPlayer(claimedPlayerId)}>
+              My Stats
+            </Button>
+          ) : null
+        }
+      />
+
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        <select
+          value=""
+          onChange={(e) => e.target.value && onOpenPlayer(e.target.value)}
+          className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+        >
+          <option value="">Open a player…</option>
+          {tournament.players.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+
+        <div className="mt-6 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {STAT_LEADERS.map((stat) => (
+            <Card key={stat.key} className="p-5">
+              <div className="flex items-center justify-between gap-3">
+                <div className="text-white font-semibold">{stat.label}</div>
+                <Pill>{stat.high ? "Most" : "Lowest"}</Pill>
+              </div>
+              <div className="mt-3 space-y-2">
+                {stats.leaders[stat.key].length ? (
+                  stats.leaders[stat.key].map((r, idx) => (
+                    <button
+                      key={r.playerId}
+                      onClick={() => onOpenPlayer(r.playerId)}
+                      className="w-full flex items-center justify-between gap-3 text-left"
+                    >
+                      <NamePill teamId={playersById[r.playerId]?.teamId}>
+                        <div className="text-white text-sm font-semibold">
+                          {idx + 1}. {name(r.playerId)}
+                        </div>
+                      </NamePill>
+                      <div className="text-white font-semibold">{statValueText(stat.key, r.value)}</div>
+                    </button>
+                  ))
+                ) : (
+                  <div className="text-white/50 text-sm">No scores yet</div>
+                )}
+              </div>
+            </Card>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+}
+
+function PlayerStatsPage({ tournament, playersById, playerId, onBack }) {
+  const stats = useMemo(() => computePlayerStats({ tournament }), [tournament]);
+  const [view, setView] = useState("ALL");
+  const player = playersById[playerId];
+  const mine = stats.players[playerId];
+  const days = [...new Set([...Object.keys(mine?.byDay || {}), ...Object.keys(mine?.drives.byDay || {})])]
+    .map(Number)
+    .sort((a, b) => a - b);
+  const block = view === "ALL" ? mine?.overall : mine?.byDay[view];
+  // Greensomes drives: shown for any day the player played greensomes (zero included)
+  const playedGreensomes = Object.keys(mine?.drives.byDay || {}).length > 0;
+  const drives = !playedGreensomes ? null : view === "ALL" ? mine.drives.total : mine.drives.byDay[view];
+
+  return (
+    <>
+      <TopBar
+        title={player?.name || "Player"}
+        subtitle="Scoring stats from individual gross scores"
+        left={
+          <button onClick={onBack} className="text-white/80 hover:text-white inline-flex items-center gap-2">
+            <ChevronLeft className="w-5 h-5" />
+            <span className="hidden sm:inline">Leaders</span>
+          </button>
+        }
+        right={player ? <TeamBadge teamId={player.teamId} /> : null}
+      />
+
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        {mine ? (
+          <Segmented
+            value={view}
+            onChange={setView}
+            options={[{ value: "ALL", label: "All Days" }, ...days.map((d) => ({ value: d, label: `Day ${d}` }))]}
+          />
+        ) : null}
+
+        {drives != null ? (
+          <Card className="p-5 mt-4">
+            <div className="text-white font-semibold">Greensomes Drives</div>
+            <div className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-3">
+              <StatTile label="Drives Used" value={drives} sub={view === "ALL" ? "All greensomes matches" : `Day ${view}`} />
+            </div>
+          </Card>
+        ) : null}
+
+        {!block?.holes ? (
+          <Card className="p-5 mt-4">
+            <div className="text-white/70 text-sm">No individual scores yet (team formats don't count toward stats).</div>
+          </Card>
+        ) : (
+          <>
+            <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3">
+              <StatTile label="Holes" value={block.holes} />
+              <StatTile label="Gross" value={block.gross} sub={`${formatToPar(block.grossToPar)} to par`} />
+              <StatTile label="Net" value={block.net} sub={`${formatToPar(block.netToPar)} to par`} />
+              <StatTile label="Net vs Gross" value={block.gross - block.net} sub="Strokes received" />
+            </div>
+
+            <Card className="p-5 mt-4">
+              <div className="text-white font-semibold">Scoring</div>
+              <div className="mt-3 grid grid-cols-5 gap-2">
+                {SCORE_TYPES.map((t) => (
+                  <StatTile key={t} label={SCORE_TYPE_LABELS[t]} value={block.counts[t]} />
+                ))}
+              </div>
+            </Card>
+
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Card className="p-5">
+                <div className="text-white font-semibold">Average By Par</div>
+                <div className="mt-3 grid grid-cols-3 gap-2">
+                  {[3, 4, 5].map((par) => (
+                    <StatTile key={par} label={`Par ${par}s`} value={statValueText(`par${par}`, block.parAverages[par])} />
+                  ))}
+                </div>
+              </Card>
+
+              <Card className="p-5">
+                <div className="text-white font-semibold">Front vs Back</div>
+                <div className="mt-3 grid grid-cols-2 gap-2">
+                  {["front", "back"].map((nine) => (
+                    <StatTile
+                      key={nine}
+                      label={nine === "front" ? "Front (1–9)" : "Back (10–18)"}
+                      value={block.nines[nine].holes ? formatToPar(block.nines[nine].toPar) : "—"}
+                      sub={`${block.nines[nine].holes} holes`}
+                    />
+                  ))}
+                </div>
+              </Card>
+            </div>
+
+            <Card className="p-5 mt-4">
+              <div className="text-white font-semibold">Best & Worst Holes</div>
+              <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-2">
+                <StatTile label="Best" value={block.best ? formatToPar(block.best.gross - block.best.par) : "—"} sub={holeText(block.best)} />
+                <StatTile label="Worst" value={block.worst ? formatToPar(block.worst.gross - block.worst.par) : "—"} sub={holeText(block.worst)} />
+              </div>
+            </Card>
+
+            {view === "ALL" && Object.keys(mine.byDay).length > 1 ? (
+              <Card className="p-5 mt-4">
+                <div className="text-white font-semibold">By Day</div>
+                <div className="mt-3 overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-white/60 text-xs border-b border-white/10">
+                        <th className="text-left py-2 pr-2">Day</th>
+                        <th className="text-right py-2 pr-2">Holes</th>
+                        <th className="text-right py-2 pr-2">Gross</th>
+                        <th className="text-right py-2 pr-2">Net</th>
+                        <th className="text-right py-2">Birdies</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.keys(mine.byDay).map((d) => {
+                        const b = mine.byDay[d];
+                        return (
+                          <tr key={d} className="border-b border-white/10 text-white/80">
+                            <td className="py-2 pr-2">Day {d}</td>
+                            <td className="py-2 pr-2 text-right">{b.holes}</td>
+                            <td className="py-2 pr-2 text-right">
+                              {b.gross} ({formatToPar(b.grossToPar)})
+                            </td>
+                            <td className="py-2 pr-2 text-right">
+                              {b.net} ({formatToPar(b.netToPar)})
+                            </td>
+                            <td className="py-2 text-right">{b.counts.birdies + b.counts.eagles}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+            ) : null}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+// -----------------------
+// Player standings (W-L-H records + MVP)
+// -----------------------
+function recordText(r) {
+  return `${r.wins}-${r.losses}-${r.halves}`;
+}
+
+function marginText(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function PlayerStandingsPage({ tournament, totals, playersById, onBack, onOpenPlayer }) {
+  const teams = useTeams();
+  const records = useMemo(() => computePlayerRecords(tournament, totals), [tournament, totals]);
+  const name = (pid) => playersById[pid]?.name || "—";
+  const mvp = records.rows[0]?.played ? records.rows[0] : null;
+
+  return (
+    <>
+      <TopBar
+        title="Player Standings"
+        subtitle="Cup records from final matches • partners share the result"
+        left={
+          <button onClick={onBack} className="text-white/80 hover:text-white inline-flex items-center gap-2">
+            <ChevronLeft className="w-5 h-5" />
+            <span className="hidden sm:inline">Home</span>
+          </button>
+        }
+        right={
+          mvp ? (
+            <Pill tone={teams.tone(mvp.teamId)}>
+              <Medal className="w-4 h-4" />
+              MVP {name(mvp.playerId)}
+            </Pill>
+          ) : null
+        }
+      />
+
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        <Card className="p-5">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <div className="text-white font-semibold">MVP Race</div>
+              <div className="text-white/60 text-xs mt-1">Points contributed • ties break on holes won, then net hole margin</div>
+            </div>
+            <Pill>W-L-H</Pill>
+          </div>
+
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-white/60 text-xs border-b border-white/10">
+                  <th className="text-left py-2 pr-2">#</th>
+                  <th className="text-left py-2 pr-2">Player</th>
+                  <th className="text-right py-2 pr-2">Record</th>
+                  <th className="text-right py-2 pr-2">Pts</th>
+                  <th className="text-right py-2 pr-2 hidden sm:table-cell">Holes Won</th>
+                  <th className="text-right py-2">Margin</th>
+                </tr>
+              </thead>
+              <tbody>
+                {records.rows.map((r) => (
+                  <tr key={r.playerId} className="border-b border-white/10">
+                    <td className="py-2 pr-2 text-white/70">
+                      {r.tied ? "T" : ""}
+                      {r.rank}
+                    </td>
+                    <td className="py-2 pr-2">
+                      <button onClick={() => onOpenPlayer(r.playerId)} className="text-left">
+                        <NamePill teamId={r.teamId}>
+                          <div className="text-white font-semibold">{name(r.playerId)}</div>
+                        </NamePill>
+                      </button>
+                    </td>
+                    <td className="py-2 pr-2 text-right text-white/90">{recordText(r)}</td>
+                    <td className="py-2 pr-2 text-right text-white font-semibold">{r.points}</td>
+                    <td className="py-2 pr-2 text-right text-white/80 hidden sm:table-cell">{r.holesWon}</td>
+                    <td className="py-2 text-right text-white/80">{marginText(r.margin)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+
+        <div className={`mt-6 grid grid-cols-1 ${teams.ids.length > 2 ? "lg:grid-cols-3" : "md:grid-cols-2"} gap-4`}>
+          {teams.ids.map((teamId) => {
+            const rows = records.byTeam[teamId] || [];
+            const total = rows.reduce(
+              (acc, r) => ({ wins: acc.wins + r.wins, losses: acc.losses + r.losses, halves: acc.halves + r.halves }),
+              { wins: 0, losses: 0, halves: 0 }
+            );
+
+            return (
+              <Card key={teamId} className="p-5">
+                <div className="flex items-center justify-between gap-3">
+                  <TeamBadge teamId={teamId} showFull />
+                  <Pill tone={teams.tone(teamId)}>{recordText(total)}</Pill>
+                </div>
+                <div className="mt-4 space-y-2">
+                  {rows.map((r) => (
+                    <div key={r.playerId} className="p-3 rounded-2xl bg-white/5 border border-white/10">
+                      <div className="flex items-center justify-between gap-3">
+                        <div className="text-white font-medium">{name(r.playerId)}</div>
+                        <div className="text-white/80 text-sm">
+                          {recordText(r)} • {r.points} pts
+                        </div>
+                      </div>
+                      {r.matches.length ? (
+                        <div className="mt-1 text-white/50 text-[11px]">
+                          {r.matches.map((m) => `D${m.day} M${m.matchNo} ${m.result}`).join(" • ")}
+                        </div>
+                      ) : (
+                        <div className="mt-1 text-white/40 text-[11px]">No final matches yet</div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            );
+          })}
+        </div>
+      </div>
+    </>
+  );
+}
+
+// -----------------------
+// History (past editions + all-time records)
+// -----------------------
+function editionTeamTone(team) {
+  return TEAM_PALETTE[team?.color] ? `team:${team.color}` : "neutral";
+}
+
+function HistoryPage({ tournament, editions, onBack }) {
+  const allTime = useMemo(() => computeAllTime(editions), [editions]);
+  const [h2hA, setH2hA] = useState("");
+  const [h2hB, setH2hB] = useState("");
+  const h2h = useMemo(
+    () => (h2hA && h2hB && h2hA !== h2hB ? computeHeadToHead(editions, h2hA, h2hB) : null),
+    [editions, h2hA, h2hB]
+  );
+  const careerName = (key) => allTime.careers.find((c) => c.key === key)?.name || key;
+  const selectClass = "w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm";
+
+  return (
+    <>
+      <TopBar
+        title="Cup History"
+        subtitle={`Past editions and all-time records • est. ${tournament.established}`}
+        left={
+          <button onClick={onBack} className="text-white/80 hover:text-white inline-flex items-center gap-2">
+            <ChevronLeft className="w-5 h-5" />
+            <span className="hidden sm:inline">Home</span>
+          </button>
+        }
+        right={
+          <Pill>
+            <History className="w-4 h-4" />
+            {allTime.editions.length} {allTime.editions.length === 1 ? "Edition" : "Editions"}
+          </Pill>
+        }
+      />
+
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        {!allTime.editions.length ? (
+          <Card className="p-6">
+            <div className="text-white font-semibold">No Past Editions Yet</div>
+            <div className="text-white/60 text-sm mt-2">
+              Admins can import earlier years or archive this year from Admin → History.
+            </div>
+          </Card>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Card className="p-5">
+                <div className="text-white font-semibold">Cup Wins</div>
+                <div className="text-white/60 text-xs mt-1">Teams matched by name across years • shared Cups count for nobody</div>
+                <div className="mt-4 space-y-2">
+                  {allTime.cupWins.map((w) => (
+                    <div key={w.name} className="p-3 rounded-2xl bg-white/5 border border-white/10 flex items-center justify-between gap-3">
+                      <div>
+                        <Pill tone={editionTeamTone(w)}>{w.name}</Pill>
+                        <div className="mt-1 text-white/50 text-[11px]">{[...w.years].sort().join(" • ")}</div>
+                      </div>
+                      <div className="text-white text-2xl font-semibold">{w.wins}</div>
+                    </div>
+                  ))}
+                  {!allTime.cupWins.length ? <div className="text-white/60 text-sm">No outright winners yet.</div> : null}
+                </div>
+              </Card>
+
+              <Card className="p-5">
+                <div className="text-white font-semibold">Editions</div>
+                <div className="text-white/60 text-xs mt-1">Final points, newest first</div>
+                <div className="mt-4 space-y-2">
+                  {allTime.editions.map((e) => {
+                    const winner = e.teams.find((t) => t.id === e.winnerTeamId);
+                    return (
+                      <div key={e.year} className="p-3 rounded-2xl bg-white/5 border border-white/10">
+                        <div className="flex items-center justify-between gap-3">
+                          <div className="text-white font-medium">{e.name}</div>
+                          {winner ? (
+                            <Pill tone={editionTeamTone(winner)}>
+                              <Trophy className="w-4 h-4" />
+                              {winner.abbr}
+                              {e.retained ? " (retained)" : ""}
+                            </Pill>
+                          ) : (
+                            <Pill>Shared</Pill>
+                          )}
+                        </div>
+                        <div className="mt-1 text-white/70 text-xs">
+                          {e.teams.map((t) => `${t.abbr} ${e.points[t.id] ?? 0}`).join(" • ")}
+                          {` • ${e.matches.length} matches`}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </Card>
+            </div>
+
+            <Card className="mt-6 p-5">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="text-white font-semibold">Career Records</div>
+                  <div className="text-white/60 text-xs mt-1">Every edition • partners share the result • players linked by name</div>
+                </div>
+                <Pill>W-L-H</Pill>
+              </div>
+
+              <div className="mt-4 overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-white/60 text-xs border-b border-white/10">
+                      <th className="text-left py-2 pr-2">Player</th>
+                      <th className="text-right py-2 pr-2">Years</th>
+                      <th className="text-right py-2 pr-2">Record</th>
+                      <th className="text-right py-2 pr-2">Pts</th>
+                      <th className="text-right py-2">Cups</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {allTime.careers.map((c) => (
+                      <tr key={c.key} className="border-b border-white/10">
+                        <td className="py-2 pr-2 text-white font-semibold">{c.name}</td>
+                        <td className="py-2 pr-2 text-right text-white/70">{c.years.length}</td>
+                        <td className="py-2 pr-2 text-right text-white/90">{recordText(c)}</td>
+                        <td className="py-2 pr-2 text-right text-white font-semibold">{c.points}</td>
+                        <td className="py-2 text-right text-white/80">{c.cupWins}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            <Card className="mt-6 p-5">
+              <div className="text-white font-semibold">Head-to-Head</div>
+              <div className="text-white/60 text-xs mt-1">Matches where the two players were on opposite sides</div>
+
+              <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {[
+                  [h2hA, setH2hA],
+                  [h2hB, setH2hB],
+                ].map(([value, setValue], i) => (
+                  <select key={i} value={value} onChange={(e) => setValue(e.target.value)} className={selectClass}>
+                    <option value="">Choose Player…</option>
+                    {allTime.careers.map((c) => (
+                      <option key={c.key} value={c.key}>
+                        {c.name}
+                      </option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+
+              {h2h ? (
+                <div className="mt-4 p-4 rounded-2xl bg-white/5 border border-white/10">
+                  <div className="text-white text-sm">
+                    <b>{careerName(h2hA)}</b> {recordText(h2h)} vs <b>{careerName(h2hB)}</b>
+                  </div>
+                  {h2h.meetings.length ? (
+                    <div className="mt-2 space-y-1">
+                      {h2h.meetings.map((m, i) => (
+                        <div key={i} className="text-white/70 text-xs">
+                          {m.year} • Day {m.day ?? "—"} • Match {m.matchNo}
+                          {m.format ? ` • ${MATCH_FORMAT_OPTIONS.find((o) => o.value === m.format)?.label ?? m.format}` : ""} •{" "}
+                          <b className="text-white">{m.result}</b>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="mt-2 text-white/60 text-xs">They have never met.</div>
+                  )}
+                </div>
+              ) : null}
+            </Card>
+
+            <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+              {[
+                ["gross", "Lowest Gross Rounds"],
+                ["net", "Lowest Net Rounds"],
+              ].map(([field, label]) => (
+                <Card key={field} className="p-5">
+                  <div className="text-white font-semibold">{label}</div>
+                  <div className="text-white/60 text-xs mt-1">Complete 18-hole rounds • to par</div>
+                  <div className="mt-4 space-y-2">
+                    {allTime.lowRounds[field].map((r, i) => (
+                      <div
+                        key={`${r.year}-${r.key}-${r.day}`}
+                        className="p-3 rounded-2xl bg-white/5 border border-white/10 flex items-center justify-between gap-3"
+                      >
+                        <div>
+                          <div className="text-white font-medium">
+                            {i + 1}. {r.name}
+                          </div>
+                          <div className="text-white/50 text-[11px]">
+                            {r.year}
+                            {r.courseName ? ` • ${r.courseName}` : ""}
+                          </div>
+                        </div>
+                        <div className="text-right">
+                          <div className="text-white font-semibold">{formatToPar(r.toPar)}</div>
+                          <div className="text-white/50 text-[11px]">{r[field]}</div>
+                        </div>
+                      </div>
+                    ))}
+                    {!allTime.lowRounds[field].length ? <div className="text-white/60 text-sm">No rounds recorded.</div> : null}
+                  </div>
+                </Card>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+// -----------------------
+// Broadcast
+// -----------------------
+function BroadcastPage({ tournament, totals, odds, playersById, onExit, onOpenMatch, onOpenStrokePlay, activeDay, setActiveDay }) {
+  const teams = useTeams();
+  const day = activeDay;
+  const d = totals.daySummaries.find((x) => x.day === day);
+
+  // Scoreboard model (per day)
+  const sb = useMemo(() => {
+    return computeBroadcastScoreboard({ tournament, day, totals, playersById });
+  }, [tournament, day, totals, playersById]);
+
+  const contests = useMemo(() => computeContests({ tournament, totals }), [tournament, totals]);
+  const dayContests = contests.days.find((x) => x.day === day)?.contests || [];
+
+  return (
+    <>
+      <TopBar
+        title="Broadcast"
+        subtitle="Live match tiles + team totals"
+        left={
+          <button onClick={onExit} className="text-white/80 hover:text-white inline-flex items-center gap-2">
+            <ChevronLeft className="w-5 h-5" />
+            <span className="hidden sm:inline">Home</span>
+          </button>
+        }
+        right={
+          <Pill>
+            <Tv className="w-4 h-4" />
+            Live
+          </Pill>
+        }
+      />
+
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        {/* Team totals */}
+        <div className={`grid grid-cols-1 ${statGridCols(teams.ids.length)} gap-4`}>
+          <TeamStatBlocks totals={totals} />
+          <StatBlock
+            label={`Day ${day}`}
+            value={scoreLine(d?.points, teams.ids)}
+            projected={scoreLine(d?.projected, teams.ids)}
+            sub={DAY_DATES[day]}
+          />
+        </div>
+
+        {/* Cup odds (until the Cup is decided) */}
+        {odds && !totals.cup.decided ? (
+          <div className="mt-4">
+            <CupOddsGauge cup={odds.cup} />
+          </div>
+        ) : null}
+
+        {/* Day selector */}
+        <div className="mt-4">
+          <Segmented
+            value={day}
+            onChange={setActiveDay}
+            options={(tournament.days || []).map((x) => ({
+              value: x.day,
+              label: `Day ${x.day}`, // ✅ no "1 Day 1"
+              icon: null,
+            }))}
+          />
+        </div>
+
+        {/* Stroke play leaderboard */}
+        {d?.strokePlay ? (
+          <div className="mt-6 grid grid-cols-1 lg:grid-cols-12 gap-4">
+            <div className="lg:col-span-8">
+              <Card className="p-5 cursor-pointer hover:bg-white/[0.07] transition">
+                <div onClick={onOpenStrokePlay}>
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="text-white font-semibold">Stroke Play Leaderboard</div>
+                    <Pill tone={d.strokePlay.isFinal ? "final" : "neutral"}>{d.strokePlay.isFinal ? "Final" : "Live"}</Pill>
+                  </div>
+                  <div className="mt-4">
+                    <StrokePlayTable rows={d.strokePlay.rows} scoring={d.strokePlay.config.scoring} playersById={playersById} />
+                  </div>
+                </div>
+              </Card>
+            </div>
+            <div className="lg:col-span-4">
+              <StrokePlayPointsCard strokePlay={d.strokePlay} />
+            </div>
+          </div>
+        ) : null}
+
+        {/* Match tiles */}
+        <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+          {(d?.matchCards || []).map((mc) => (
+            <MatchCard
+              key={mc.match.id}
+              mc={mc}
+              playersById={playersById}
+              odds={odds?.matches[mc.match.id]}
+              broadcast
+              onOpen={() => onOpenMatch(mc.match.id)}
+            />
+          ))}
+        </div>
+
+        {/* Scoreboard */}
+        <div className="mt-8">
+          <BroadcastScoreboard
+            day={day}
+            tournament={tournament}
+            totals={totals}
+            playersById={playersById}
+              />
+          {dayContests.length ? <ContestsCard contests={dayContests} playersById={playersById} /> : null}
+          <SkinsStandingsCard tournament={tournament} totals={totals} playersById={playersById} />
+          <MoneyLedgerCard tournament={tournament} totals={totals} playersById={playersById} />
+        </div>
+      </div>
+    </>
+  );
+}
+
+// -----------------------
+// Stableford table editor (Admin)
+// -----------------------
+const STABLEFORD_LABELS = {
+  albatross: "Albatross+",
+  eagle: "Eagle",
+  birdie: "Birdie",
+  par: "Par",
+  bogey: "Bogey",
+  double: "Double+",
+};
+
+function StablefordTableEditor({ table, onChange }) {
+  const presetId = stablefordPresetId(table);
+
+  return (
+    <div className="space-y-3">
+      <Segmented
+        value={presetId}
+        onChange={(id) => {
+          if (STABLEFORD_PRESETS[id]) onChange(STABLEFORD_PRESETS[id].table);
+        }}
+        options={[
+          ...Object.entries(STABLEFORD_PRESETS).map(([id, p]) => ({ value: id, label: p.label })),
+          { value: "CUSTOM", label: "Custom" },
+        ]}
+      />
+
+      <div className="grid grid-cols-3 sm:grid-cols-6 gap-2">
+        {STABLEFORD_KEYS.map((k) => (
+          <label key={k} className="block">
+            <div className="text-white/60 text-[11px] mb-1">{STABLEFORD_LABELS[k]}</div>
+            <input
+              value={table[k]}
+              onChange={(e) => {
+                const n = Number(e.target.value);
+                if (e.target.value === "-" || !Number.isFinite(n)) return;
+                onChange({ ...table, [k]: Math.round(n) });
+              }}
+              className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// -----------------------
+// Handicap allowances editor (Admin)
+// -----------------------
+const ALLOWANCE_LABELS = {
+  fourballPct: "Fourball",
+  singlesPct: "Singles",
+  foursomesPct: "Foursomes (combined)",
+  greensomesLowPct: "Greensomes Low",
+  greensomesHighPct: "Greensomes High",
+  scrambleLowPct: "Scramble Low",
+  scrambleHighPct: "Scramble High",
+};
+
+function AllowancesEditor({ allowances, onChange }) {
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+      {ALLOWANCE_KEYS.map((k) => (
+        <label key={k} className="block">
+          <div className="text-white/60 text-[11px] mb-1">{ALLOWANCE_LABELS[k]} %</div>
+          <input
+            value={allowances[k]}
+            onChange={(e) => {
+              const n = Number(e.target.value);
+              if (!Number.isFinite(n)) return;
+              onChange({ ...allowances, [k]: clamp(Math.round(n), 0, 100) });
+            }}
+            className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// -----------------------
+// Tee sets editor (Admin) — feeds WHS course handicaps
+// -----------------------
+function TeeSetsEditor({ course, onChange }) {
+  const tees = Array.isArray(course?.tees) ? course.tees : [];
+  const activeId = course?.teeId ?? tees[0]?.id ?? null;
+  const defaultPar = (course?.holes || []).reduce((sum, h) => sum + (Number(h.par) || 0), 0);
+
+  function patchTee(idx, patch) {
+    onChange({ tees: tees.map((t, i) => (i === idx ? { ...t, ...patch } : t)) });
+  }
+
+  function addTee() {
+    const id = `tee${tees.length + 1}`;
+    onChange({
+      tees: [...tees, { id, name: "New Tee", slope: 113, rating: defaultPar, par: defaultPar }],
+      teeId: activeId ?? id,
+    });
+  }
+
+  function removeTee(idx) {
+    const next = tees.filter((_, i) => i !== idx);
+    onChange({ tees: next, teeId: tees[idx].id === activeId ? next[0]?.id ?? null : activeId });
+  }
+
+  return (
+    <div className="space-y-2">
+      {tees.map((t, idx) => (
+        <div key={t.id} className="grid grid-cols-2 sm:grid-cols-6 gap-2 items-center">
+          <label className="flex items-center gap-2 text-white/70 text-xs">
+            <input type="radio" checked={t.id === activeId} onChange={() => onChange({ teeId: t.id })} />
+            Active
+          </label>
+          <input
+            value={t.name ?? ""}
+            onChange={(e) => patchTee(idx, { name: e.target.value })}
+            placeholder="Name"
+            className="px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+          />
+          <NumberInput value={t.slope} onCommit={(v) => patchTee(idx, { slope: v })} placeholder="Slope" />
+          <NumberInput value={t.rating} onCommit={(v) => patchTee(idx, { rating: v })} placeholder="Rating" />
+          <NumberInput value={t.par} onCommit={(v) => patchTee(idx, { par: v })} placeholder={`Par ${defaultPar}`} />
+          <Button variant="ghost" onClick={() => removeTee(idx)}>
+            Remove
+          </Button>
+        </div>
+      ))}
+
+      {tees.length === 0 ? (
+        <div className="text-white/50 text-[11px]">No tee data — players use their manual course handicap.</div>
+      ) : null}
+
+      <Button variant="ghost" onClick={addTee}>
+        Add Tee
+      </Button>
+    </div>
+  );
+}
+
+// -----------------------
+// Maximum hole score editor (Admin)
+// -----------------------
+const MAX_SCORE_LABELS = {
+  NONE: "No Cap",
+  NET_DOUBLE_BOGEY: "Net Double Bogey",
+  PAR_PLUS: "Par + N",
+  FIXED: "Fixed Maximum",
+};
+
+// Scorecard hint: what a pick-up is worth under the active rule
+function pickUpText(rule) {
+  return rule.type === "NONE"
+    ? "Pick-up (X) counts as Net Double Bogey • no cap on entered scores"
+    : `Pick-up (X) counts as ${describeMaxScore(rule)}`;
+}
+
+function MaxScoreEditor({ rule, onChange }) {
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+      <select
+        value={rule.type}
+        onChange={(e) => onChange(normalizeMaxScore({ type: e.target.value }))}
+        className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+      >
+        {MAX_SCORE_TYPES.map((t) => (
+          <option key={t} value={t}>
+            {MAX_SCORE_LABELS[t]}
+          </option>
+        ))}
+      </select>
+      {rule.type === "NONE" ? (
+        <div className="px-3 py-2 text-white/50 text-xs">Scores count as entered • a pick-up is net double bogey</div>
+      ) : rule.type === "NET_DOUBLE_BOGEY" ? (
+        <div className="px-3 py-2 text-white/50 text-xs">Par + 2 + handicap strokes on the hole</div>
+      ) : (
+        <NumberInput
+          value={rule.value}
+          onCommit={(v) => onChange(normalizeMaxScore({ ...rule, value: v }))}
+          placeholder={rule.type === "FIXED" ? "Max" : "N"}
+        />
+      )}
+    </div>
+  );
+}
+
+// -----------------------
+// Skins settings editor (Admin) — day.skins, see scoring/skins.js
+// -----------------------
+function SkinsEditor({ config, players, onChange }) {
+  const teams = useTeams();
+  const set = (patch) => onChange(normalizeSkins({ ...config, ...patch }));
+  const selectClass = "w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm";
+
+  const entered = (pid) => config.entrants == null || config.entrants.includes(pid);
+  const toggle = (pid) => {
+    const current = config.entrants ?? players.map((p) => p.id);
+    set({ entrants: entered(pid) ? current.filter((x) => x !== pid) : [...current, pid] });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <select value={config.basis} onChange={(e) => set({ basis: e.target.value })} className={selectClass}>
+          {SKINS_BASIS.map((b) => (
+            <option key={b} value={b}>
+              {b === "GROSS" ? "Gross (fewest strokes)" : "Net (Stableford points on scramble days)"}
+            </option>
+          ))}
+        </select>
+        <NumberInput
+          value={config.buyIn}
+          onCommit={(v) => set({ buyIn: v == null || v < 0 ? null : v })}
+          placeholder="Buy-in per player (blank = flat $200 pool)"
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-x-5 gap-y-2">
+        <label className="flex items-center gap-2 text-white/70 text-xs">
+          <input type="checkbox" checked={config.carryover} onChange={(e) => set({ carryover: e.target.checked })} />
+          Carry tied holes over
+        </label>
+        <label className="flex items-center gap-2 text-white/70 text-xs">
+          <input
+            type="checkbox"
+            checked={config.birdieOrBetter}
+            onChange={(e) => set({ birdieOrBetter: e.target.checked })}
+          />
+          Skin must be birdie or better
+        </label>
+        <label className="flex items-center gap-2 text-white/70 text-xs">
+          <input
+            type="checkbox"
+            checked={config.entrants == null}
+            onChange={(e) => set({ entrants: e.target.checked ? null : players.map((p) => p.id) })}
+          />
+          Everyone is in
+        </label>
+      </div>
+
+      {config.entrants == null ? null : (
+        <div className="flex flex-wrap gap-2">
+          {players.map((p) => (
+            <button
+              key={p.id}
+              onClick={() => toggle(p.id)}
+              className={[
+                "px-3 py-1.5 rounded-xl border text-xs transition",
+                entered(p.id) ? teams.palette(p.teamId).soft : "bg-white/5 border-white/10 text-white/40",
+              ].join(" ")}
+            >
+              {p.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -----------------------
+// Side contests editor (Admin) — course.contests, see scoring/contests.js
+// -----------------------
+function ContestsEditor({ course, day, players, onChange }) {
+  const holes = course?.holes || [];
+  const list = resolveContests(course);
+  const selectClass = "w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm";
+
+  const save = (next) => onChange(normalizeContests(next, holes));
+  const update = (idx, patch) => save(list.map((c, i) => (i === idx ? { ...c, ...patch } : c)));
+  const freeHole = holes.find((h) => !list.some((c) => c.hole === h.hole));
+
+  return (
+    <div className="space-y-2">
+      {list.map((c, idx) => {
+        const leader = contestMeasurements(day.matches, c)[0];
+
+        return (
+          <div key={c.hole} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-center">
+            <select value={c.hole} onChange={(e) => update(idx, { hole: Number(e.target.value) })} className={selectClass}>
+              {holes
+                .filter((h) => h.hole === c.hole || !list.some((x) => x.hole === h.hole))
+                .map((h) => (
+                  <option key={h.hole} value={h.hole}>
+                    Hole {h.hole} (Par {h.par})
+                  </option>
+                ))}
+            </select>
+            <select value={c.type} onChange={(e) => update(idx, { type: e.target.value })} className={selectClass}>
+              {CONTEST_TYPES.map((t) => (
+                <option key={t} value={t}>
+                  {CONTEST_LABELS[t]}
+                </option>
+              ))}
+            </select>
+            <NumberInput value={c.prize} onCommit={(v) => update(idx, { prize: v })} placeholder="Prize $" />
+            <select
+              value={c.winnerId ?? ""}
+              onChange={(e) => update(idx, { winnerId: e.target.value || null })}
+              className={selectClass}
+            >
+              <option value="">
+                Winner: {leader ? `${players.find((p) => p.id === leader.playerId)?.name || "—"} (measured)` : "From Measurements"}
+              </option>
+              {players.map((p) => (
+                <option key={p.id} value={p.id}>
+                  Winner: {p.name}
+                </option>
+              ))}
+            </select>
+            <Button variant="ghost" onClick={() => save(list.filter((_, i) => i !== idx))}>
+              Remove
+            </Button>
+          </div>
+        );
+      })}
+
+      <div className="flex flex-wrap gap-2">
+        <Button variant="ghost" disabled={!freeHole} onClick={() => save([...list, { hole: freeHole.hole, type: "CTP" }])}>
+          Add Contest
+        </Button>
+        <Button variant="ghost" disabled={!holes.length} onClick={() => save(suggestedContests(holes))}>
+          CTP On Par 3s + Long Drive
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// -----------------------
+// Teams editor (Admin) — tournament.teams, see scoring/teams.js
+// -----------------------
+function TeamsEditor({ tournament, writeTeams }) {
+  const list = normalizeTeams(tournament.teams);
+
+  // Ids are what players and match sides point at, so they can't change — only be added / removed when unused
+  const inUse = (teamId) =>
+    tournament.players.some((p) => p.teamId === teamId) ||
+    tournament.days.some((d) => d.matches.some((m) => m.sideA.teamId === teamId || m.sideB.teamId === teamId));
+
+  const update = (idx, patch) => writeTeams(list.map((t, i) => (i === idx ? { ...t, ...patch } : t)));
+
+  const addTeam = () => {
+    let n = list.length + 1;
+    while (list.some((t) => t.id === `T${n}`)) n += 1;
+    const color = TEAM_COLORS.find((c) => !list.some((t) => t.color === c)) ?? TEAM_COLORS[0];
+    writeTeams([...list, { id: `T${n}`, name: `Team ${n}`, abbr: `T${n}`, color, logo: null }]);
+  };
+
+  return (
+    <Card className="p-5">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-white font-semibold">Teams</div>
+          <div className="text-white/60 text-xs mt-1">
+            Names, abbreviations, colours and logos. With three or more teams, days use round-robin pairings.
+          </div>
+        </div>
+        <Button onClick={addTeam}>Add Team</Button>
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+        {list.map((t, idx) => (
+          <div key={t.id} className="p-4 rounded-2xl bg-white/5 border border-white/10">
+            <div className="flex items-center justify-between gap-3">
+              <TeamBadge teamId={t.id} showFull />
+              <div className="text-white/50 text-xs">ID: {t.id}</div>
+            </div>
+            <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-2">
+              <input
+                value={t.name}
+                onChange={(e) => update(idx, { name: e.target.value })}
+                placeholder="Name"
+                className="sm:col-span-2 px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+              />
+              <input
+                value={t.abbr}
+                onChange={(e) => update(idx, { abbr: e.target.value })}
+                placeholder="Abbr."
+                className="px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+              />
+              <select
+                value={t.color}
+                onChange={(e) => update(idx, { color: e.target.value })}
+                className="px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+              >
+                {TEAM_COLORS.map((c) => (
+                  <option key={c} value={c}>
+                    {c[0].toUpperCase() + c.slice(1)}
+                  </option>
+                ))}
+              </select>
+              <input
+                value={t.logo ?? ""}
+                onChange={(e) => update(idx, { logo: e.target.value || null })}
+                placeholder="Logo URL (optional)"
+                className="sm:col-span-2 px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+              />
+            </div>
+            {list.length > 2 ? (
+              <div className="mt-3">
+                <Button
+                  variant="ghost"
+                  disabled={inUse(t.id)}
+                  onClick={() => writeTeams(list.filter((x) => x.id !== t.id))}
+                >
+                  {inUse(t.id) ? "In Use" : "Remove Team"}
+                </Button>
+              </div>
+            ) : null}
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+// -----------------------
+// History editor (Admin)
+// -----------------------
+const EDITION_IMPORT_EXAMPLE = `[{ "year": 2025, "points": { "JC": 9.5, "SG": 8.5 },
+  "matches": [{ "day": 1, "format": "SINGLES_NET",
+    "sideA": { "teamId": "JC", "players": ["Name"] }, "sideB": { "teamId": "SG", "players": ["Name"] },
+    "points": { "JC": 1, "SG": 0 } }],
+  "rounds": [{ "name": "Name", "courseName": "…", "par": 72, "gross": 78, "net": 70 }] }]`;
+
+function HistoryEditor({ tournament, totals, editions, writeEdition, removeEdition }) {
+  const [text, setText] = useState("");
+  const [msg, setMsg] = useState("");
+  const archived = editions.some((e) => e.year === TOURNAMENT_YEAR);
+
+  async function archiveCurrent() {
+    await writeEdition(snapshotEdition(tournament, totals, TOURNAMENT_YEAR));
+    setMsg(`✅ ${TOURNAMENT_YEAR} archived.`);
+  }
+
+  // Importing a year that is already archived replaces it
+  async function importEditions() {
+    const { editions: parsed, errors } = parseEditionsImport(text);
+    for (const e of parsed) await writeEdition(e);
+    setMsg(
+      [parsed.length ? `✅ Imported ${parsed.map((e) => e.year).join(", ")}.` : "", ...errors.map((e) => `❌ ${e}`)]
+        .filter(Boolean)
+        .join(" ")
+    );
+    if (parsed.length && !errors.length) setText("");
+  }
 
   return (
     <Card className="p-5">
-      <div className="flex items-center justify-between gap-3">
+      <div className="flex items-start justify-between gap-3">
         <div>
-          <div className="text-white font-semibold">Hole-By-Hole</div>
-          <div className="text-white/60 text-xs mt-1">{header}</div>
+          <div className="text-white font-semibold">Past Editions</div>
+          <div className="text-white/60 text-xs mt-1">
+            Archived results feed Cup History. Players are linked across years by name, so keep spellings consistent.
+          </div>
         </div>
-        <Pill tone={statusPillTone(computed.status, match)}>{computed.status.text}</Pill>
+        <Button onClick={archiveCurrent}>{archived ? `Re-archive ${TOURNAMENT_YEAR}` : `Archive ${TOURNAMENT_YEAR}`}</Button>
       </div>
 
-      <div className="mt-4 overflow-x-auto">
-        <table className="min-w-[900px] w-full text-sm">
-          <thead>
-            <tr className="text-white/70">
-              <th className="text-left py-2">Hole</th>
-              <th className="text-left py-2">Par</th>
-              <th className="text-left py-2">HCP</th>
-              <th className="text-left py-2">JCGC</th>
-              <th className="text-left py-2">SGC</th>
-              <th className="text-left py-2">Result</th>
-            </tr>
-          </thead>
-          <tbody>
-            {computed.holes.map((h) => {
-              const meta = holes[h.hole - 1] || { par: "—", hcpRank: "—" };
-              const res = !h.played ? "—" : h.winnerSideId == null ? "½" : h.winnerSideId.endsWith("-A") ? "JCGC" : "SGC";
-
-              let aVal = "—";
-              let bVal = "—";
-
-              if (h.details.type === "fourball" && h.played) {
-                aVal = `Net ${h.details.aBest.net}`;
-                bVal = `Net ${h.details.bBest.net}`;
-              }
-              if (h.details.type === "scramble" && h.played) {
-                aVal = `${h.details.aPts} Pts (G${h.details.aGross})`;
-                bVal = `${h.details.bPts} Pts (G${h.details.bGross})`;
-              }
-              if (h.details.type === "singles" && h.played) {
-                aVal = `Net ${h.details.aNet} (G${h.details.aGross})`;
-                bVal = `Net ${h.details.bNet} (G${h.details.bGross})`;
-              }
-
-              const pillTone = res === "JCGC" ? "jcLead" : res === "SGC" ? "sgLead" : res === "½" ? "warn" : "neutral";
+      {!totals.cup.decided ? (
+        <div className="mt-2 text-amber-200 text-xs">
+          The {TOURNAMENT_YEAR} Cup isn’t decided yet — archiving now keeps only final matches and no winner.
+        </div>
+      ) : null}
 
-              return (
-                <tr
-                  key={h.hole}
-                  className="border-t border-white/10 hover:bg-white/5 cursor-pointer"
-                  onClick={() => onJumpToHole(h.hole)}
-                >
-                  <td className="py-3 text-white font-medium">{h.hole}</td>
-                  <td className="py-3 text-white/80">{meta.par}</td>
-                  <td className="py-3 text-white/80">{meta.hcpRank}</td>
-                  <td className="py-3 text-white/80">{aVal}</td>
-                  <td className="py-3 text-white/80">{bVal}</td>
-                  <td className="py-3">
-                    <Pill tone={pillTone}>{res}</Pill>
-                  </td>
-                </tr>
-              );
-            })}
-          </tbody>
-        </table>
+      <div className="mt-4 space-y-2">
+        {editions.map((e) => (
+          <div key={e.year} className="flex items-center justify-between gap-3 p-3 rounded-2xl bg-white/5 border border-white/10">
+            <div>
+              <div className="text-white/90 text-sm">{e.name}</div>
+              <div className="text-white/50 text-[11px]">
+                {e.teams.map((t) => `${t.abbr} ${e.points[t.id] ?? 0}`).join(" • ")} • {e.matches.length} matches •{" "}
+                {e.rounds.length} rounds
+              </div>
+            </div>
+            <Button variant="danger" onClick={() => removeEdition(e.year)}>
+              Remove
+            </Button>
+          </div>
+        ))}
       </div>
 
-      <div className="mt-4 text-white/60 text-xs">Tip: click any row to jump to that hole in score entry.</div>
+      <div className="mt-5">
+        <div className="text-white/80 text-sm font-medium">Import Editions (JSON)</div>
+        <div className="text-white/60 text-xs mt-1">
+          One edition or a list. Only year is required; the winner defaults to the team with more points.
+        </div>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={EDITION_IMPORT_EXAMPLE}
+          rows={8}
+          className="mt-2 w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-xs font-mono"
+        />
+        <div className="mt-2 flex items-center justify-between gap-2">
+          <div className="text-white/80 text-xs">{msg}</div>
+          <Button variant="ghost" onClick={importEditions} disabled={!text.trim()}>
+            Import
+          </Button>
+        </div>
+      </div>
     </Card>
   );
 }
 
 // -----------------------
-// Broadcast
+// Stroke play settings editor (Admin)
 // -----------------------
-function BroadcastPage({ tournament, totals, playersById, onExit, onOpenMatch, activeDay, setActiveDay }) {
-  const day = activeDay;
-  const d = totals.daySummaries.find((x) => x.day === day);
-
-  // Scoreboard model (per day)
-  const sb = useMemo(() => {
-    return computeBroadcastScoreboard({ tournament, day, totals, playersById });
-  }, [tournament, day, totals, playersById]);
+function StrokePlayEditor({ config, onChange }) {
+  const set = (patch) => onChange(normalizeStrokePlay({ ...config, ...patch }));
+  const selectClass = "w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm";
 
   return (
-    <>
-      <TopBar
-        title="Broadcast"
-        subtitle="Live match tiles + team totals"
-        left={
-          <button onClick={onExit} className="text-white/80 hover:text-white inline-flex items-center gap-2">
-            <ChevronLeft className="w-5 h-5" />
-            <span className="hidden sm:inline">Home</span>
-          </button>
-        }
-        right={
-          <Pill>
-            <Tv className="w-4 h-4" />
-            Live
-          </Pill>
-        }
-      />
+    <div className="space-y-2">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <select value={config.scoring} onChange={(e) => set({ scoring: e.target.value })} className={selectClass}>
+          {STROKE_PLAY_SCORING.map((s) => (
+            <option key={s} value={s}>
+              Ranked By {s === "GROSS" ? "Gross" : "Net"}
+            </option>
+          ))}
+        </select>
+        <select value={config.method} onChange={(e) => set({ method: e.target.value })} className={selectClass}>
+          {STROKE_PLAY_METHODS.map((m) => (
+            <option key={m} value={m}>
+              Points: {STROKE_PLAY_METHOD_LABELS[m]}
+            </option>
+          ))}
+        </select>
+      </div>
 
-      <div className="max-w-6xl mx-auto px-4 py-6">
-        {/* Team totals */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          <StatBlock label={TEAM.JC} value={totals.totalJC.toFixed(1)} logoSrc="/jc-logo.png" />
-          <StatBlock label={TEAM.SG} value={totals.totalSG.toFixed(1)} logoSrc="/sg-logo.png" />
-          <StatBlock label={`Day ${day}`} value={`${(d?.jc ?? 0).toFixed(1)}–${(d?.sg ?? 0).toFixed(1)}`} sub={DAY_DATES[day]} />
-        </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {config.scoring === "NET" ? (
+          <label className="block">
+            <div className="text-white/60 text-[11px] mb-1">Handicap %</div>
+            <NumberInput value={config.allowancePct} onCommit={(v) => set({ allowancePct: clamp(Math.round(v ?? 100), 0, 100) })} />
+          </label>
+        ) : null}
 
-        {/* Day selector */}
-        <div className="mt-4">
-          <Segmented
-            value={day}
-            onChange={setActiveDay}
-            options={(tournament.days || []).map((x) => ({
-              value: x.day,
-              label: `Day ${x.day}`, // ✅ no "1 Day 1"
-              icon: null,
-            }))}
-          />
-        </div>
+        {config.method === "BEST_N" ? (
+          <>
+            <label className="block">
+              <div className="text-white/60 text-[11px] mb-1">Scores Counted (N)</div>
+              <NumberInput value={config.bestN} onCommit={(v) => set({ bestN: v })} />
+            </label>
+            <label className="block">
+              <div className="text-white/60 text-[11px] mb-1">Points To Winner</div>
+              <NumberInput value={config.bestNPoints} onCommit={(v) => set({ bestNPoints: v })} />
+            </label>
+          </>
+        ) : (
+          <label className="block col-span-2 sm:col-span-3">
+            <div className="text-white/60 text-[11px] mb-1">Points For 1st, 2nd, 3rd… (comma separated)</div>
+            <input
+              key={config.positionPoints.join(",")}
+              defaultValue={config.positionPoints.join(", ")}
+              onBlur={(e) => {
+                const points = e.target.value
+                  .split(",")
+                  .filter((x) => x.trim() !== "")
+                  .map((x) => Number(x.trim()))
+                  .filter((n) => Number.isFinite(n));
+                set({ positionPoints: points });
+              }}
+              className={selectClass}
+            />
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
 
-        {/* Match tiles */}
-        <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
-          {(d?.matchCards || []).map((mc) => (
-            <MatchCard key={mc.match.id} mc={mc} playersById={playersById} broadcast onOpen={() => onOpenMatch(mc.match.id)} />
-          ))}
-        </div>
+// -----------------------
+// Substitution form (Admin) — swaps a player from a hole on, keeping earlier scores
+// -----------------------
+function SubstitutionForm({ match, players, holeNums, onSubmit }) {
+  const teams = useTeams();
+  const [sideId, setSideId] = useState(match.sideA.id);
+  const [outPlayerId, setOutPlayerId] = useState("");
+  const [inPlayerId, setInPlayerId] = useState("");
+  const [fromHole, setFromHole] = useState(holeNums[0] ?? 1);
+  const [error, setError] = useState("");
+
+  const side = sideId === match.sideA.id ? match.sideA : match.sideB;
+  const bench = players.filter((p) => p.teamId === side.teamId && !side.playerIds.includes(p.id));
+  const name = (pid) => players.find((p) => p.id === pid)?.name ?? "—";
+
+  async function submit() {
+    setError("");
+    try {
+      await onSubmit(substitutionPatch(match, { sideId, outPlayerId, inPlayerId, fromHole }));
+      setOutPlayerId("");
+      setInPlayerId("");
+    } catch (e) {
+      setError(e?.message || "Substitution failed");
+    }
+  }
 
-        {/* Scoreboard */}
-        <div className="mt-8">
-          <BroadcastScoreboard
-            day={day}
-            tournament={tournament}
-            totals={totals}
-            playersById={playersById}
-              />
-        </div>
+  const selectClass = "w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm";
+
+  return (
+    <div className="p-3 rounded-2xl bg-white/5 border border-white/10">
+      <div className="text-white/70 text-xs mb-2">Substitution</div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <select
+          value={sideId}
+          onChange={(e) => {
+            setSideId(e.target.value);
+            setOutPlayerId("");
+            setInPlayerId("");
+          }}
+          className={selectClass}
+        >
+          {[match.sideA, match.sideB].map((sd) => (
+            <option key={sd.id} value={sd.id}>
+              {teams.name(sd.teamId)}
+            </option>
+          ))}
+        </select>
+        <select value={fromHole} onChange={(e) => setFromHole(Number(e.target.value))} className={selectClass}>
+          {holeNums.map((h) => (
+            <option key={h} value={h}>
+              From Hole {h}
+            </option>
+          ))}
+        </select>
+        <select value={outPlayerId} onChange={(e) => setOutPlayerId(e.target.value)} className={selectClass}>
+          <option value="">Player Out…</option>
+          {side.playerIds.map((pid) => (
+            <option key={pid} value={pid}>
+              {name(pid)}
+            </option>
+          ))}
+        </select>
+        <select value={inPlayerId} onChange={(e) => setInPlayerId(e.target.value)} className={selectClass}>
+          <option value="">Player In…</option>
+          {bench.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name} (HCP {formatHcp(p.courseHcp)})
+            </option>
+          ))}
+        </select>
       </div>
-    </>
+      <div className="mt-2 flex items-center justify-between gap-2">
+        <div className="text-rose-200 text-xs">{error}</div>
+        <Button variant="ghost" onClick={submit} disabled={!outPlayerId || !inPlayerId}>
+          Record Substitution
+        </Button>
+      </div>
+    </div>
   );
 }
 
@@ -3343,6 +6347,14 @@ function AdminPage({
   onBack,
   writePlayer,
   writeMatch,
+  writeDay,
+  writeCourse,
+  writeCup,
+  writeTeams,
+  totals,
+  editions,
+  writeEdition,
+  removeEdition,
   addAdminUid,
   removeAdminUid,
   addPlayer,
@@ -3352,8 +6364,9 @@ function AdminPage({
 
   const isOwner = !!userId && userId === tournament.ownerUserId;
 
-  const jcPlayers = tournament.players.filter((p) => p.teamId === "JC");
-  const sgPlayers = tournament.players.filter((p) => p.teamId === "SG");
+  const teams = useTeams();
+  const teamPlayers = (teamId) => tournament.players.filter((p) => p.teamId === teamId);
+  const rrSessions = roundRobinSessions(teams.ids);
 
   async function patchPlayer(pid, patch) {
     await writePlayer(pid, patch);
@@ -3363,6 +6376,60 @@ function AdminPage({
     await writeMatch(matchId, patch);
   }
 
+  // Singles keeps only the first player of each side; pair formats keep both.
+  // Only offered before any scores are in (the select is locked once a match has started).
+  function formatPatch(m, format) {
+    if (format !== "SINGLES_NET") return { format };
+    return {
+      format,
+      sideA: { ...m.sideA, playerIds: m.sideA.playerIds.slice(0, 1) },
+      sideB: { ...m.sideB, playerIds: m.sideB.playerIds.slice(0, 1) },
+    };
+  }
+
+  // Stroke play turns every match of the day into a playing group (the match play format is kept for switching back)
+  // A side switching teams takes that team's first players (same number as before)
+  function sideTeamPatch(side, teamId) {
+    const pool = teamPlayers(teamId);
+    return { ...side, teamId, playerIds: side.playerIds.map((_, i) => pool[i % Math.max(pool.length, 1)]?.id ?? null) };
+  }
+
+  // Round-robin (3+ teams): each day plays the next session of pairings (see roundRobinSessions);
+  // unstarted matches cycle through the session's pairs and fill in players in roster order
+  async function applyRoundRobin(d, dayIdx) {
+    const pairs = rrSessions[dayIdx % rrSessions.length] || [];
+    if (!pairs.length) return;
+
+    const used = {};
+    const take = (teamId, count) => {
+      const pool = teamPlayers(teamId);
+      const start = used[teamId] ?? 0;
+      used[teamId] = start + count;
+      return Array.from({ length: count }, (_, i) => pool[(start + i) % Math.max(pool.length, 1)]?.id ?? null);
+    };
+
+    const open = d.matches.filter((m) => !matchHasScores(m));
+    for (let i = 0; i < open.length; i++) {
+      const m = open[i];
+      const [a, b] = pairs[i % pairs.length];
+      await writeMatch(m.id, {
+        sideA: { ...m.sideA, teamId: a, playerIds: take(a, m.sideA.playerIds.length) },
+        sideB: { ...m.sideB, teamId: b, playerIds: take(b, m.sideB.playerIds.length) },
+      });
+    }
+  }
+
+  async function setDayType(d, type) {
+    await writeDay(d.day, { type });
+    for (const m of d.matches) {
+      if (type === "STROKE_PLAY") {
+        if (m.format !== "STROKE_PLAY") await writeMatch(m.id, { format: "STROKE_PLAY", matchPlayFormat: m.format });
+      } else if (m.format === "STROKE_PLAY") {
+        await writeMatch(m.id, { format: m.matchPlayFormat || "FOURBALL_NET" });
+      }
+    }
+  }
+
   return (
     <>
       <TopBar
@@ -3396,13 +6463,17 @@ function AdminPage({
               options={[
                 { value: "roster", label: "Roster", icon: <Users className="w-4 h-4" /> },
                 { value: "schedule", label: "Matches", icon: <Flag className="w-4 h-4" /> },
+                { value: "scoring", label: "Scoring", icon: <Trophy className="w-4 h-4" /> },
+                { value: "history", label: "History", icon: <History className="w-4 h-4" /> },
                 { value: "admins", label: "Admins", icon: <Crown className="w-4 h-4" /> },
               ]}
             />
 
             {tab === "roster" ? (
               <div className="mt-4">
-                <div className="flex items-center justify-between">
+                <TeamsEditor tournament={tournament} writeTeams={writeTeams} />
+
+                <div className="mt-6 flex items-center justify-between">
                   <div>
                     <div className="text-white font-semibold">Players</div>
                     <div className="text-white/60 text-xs mt-1">Edit names, handicaps, and team assignment.</div>
@@ -3427,15 +6498,52 @@ function AdminPage({
                           onChange={(e) => patchPlayer(p.id, { name: e.target.value })}
                           className="sm:col-span-2 px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
                         />
-                        <input
-                          value={p.courseHcp}
-                          onChange={(e) => {
-                            const n = Number(e.target.value);
-                            if (!Number.isFinite(n)) return;
-                            patchPlayer(p.id, { courseHcp: clamp(Math.round(n), 0, 40) });
-                          }}
-                          className="px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
-                        />
+                        <div title="Course handicap used when no Handicap Index / tee data is set">
+                          <NumberInput
+                            value={p.courseHcp}
+                            parse={parseHcpInput}
+                            format={formatHcp}
+                            onCommit={(v) => {
+                              if (v == null) return;
+                              patchPlayer(p.id, { courseHcp: clamp(Math.round(v), -10, 54) });
+                            }}
+                          />
+                        </div>
+                      </div>
+
+                      <div className="mt-2 grid grid-cols-2 gap-2">
+                        <label className="block">
+                          <div className="text-white/60 text-[11px] mb-1">Handicap Index</div>
+                          <NumberInput
+                            value={p.handicapIndex}
+                            parse={parseHcpInput}
+                            format={formatHcp}
+                            onCommit={(v) => patchPlayer(p.id, { handicapIndex: v == null ? null : clamp(v, -10, 54) })}
+                            placeholder="e.g. 12.4 or +1.2"
+                          />
+                        </label>
+                        <label className="block">
+                          <div className="text-white/60 text-[11px] mb-1">Course HCP Override</div>
+                          <NumberInput
+                            value={p.courseHcpOverride}
+                            parse={parseHcpInput}
+                            format={formatHcp}
+                            onCommit={(v) =>
+                              patchPlayer(p.id, { courseHcpOverride: v == null ? null : clamp(Math.round(v), -10, 54) })
+                            }
+                            placeholder="Auto"
+                          />
+                        </label>
+                      </div>
+
+                      <div className="mt-2 text-white/50 text-[11px]">
+                        Course HCP:{" "}
+                        {tournament.days
+                          .map((d) => {
+                            const r = playerCourseHcp(p, tournament.courses?.[d.day]);
+                            return `D${d.day} ${formatHcp(r.courseHcp)}${r.source === "whs" ? "" : r.source === "override" ? " (override)" : " (manual)"}`;
+                          })
+                          .join(" • ")}
                       </div>
 
                       <div className="mt-2">
@@ -3444,8 +6552,11 @@ function AdminPage({
                           onChange={(e) => patchPlayer(p.id, { teamId: e.target.value })}
                           className="px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
                         >
-                          <option value="JC">{TEAM.JC}</option>
-                          <option value="SG">{TEAM.SG}</option>
+                          {teams.list.map((t) => (
+                            <option key={t.id} value={t.id}>
+                              {t.name}
+                            </option>
+                          ))}
                         </select>
                       </div>
                     </div>
@@ -3454,7 +6565,7 @@ function AdminPage({
               </div>
             ) : tab === "schedule" ? (
               <div className="mt-4 space-y-4">
-                {tournament.days.map((d) => (
+                {tournament.days.map((d, dayIdx) => (
                   <Card key={d.day} className="p-5">
                     <div className="flex items-center justify-between">
                       <div>
@@ -3466,105 +6577,495 @@ function AdminPage({
                       <Pill>{tournament.courses?.[d.day]?.name}</Pill>
                     </div>
 
+                    {teams.ids.length > 2 && !isStrokePlayDay(d) ? (
+                      <div className="mt-3 flex items-center justify-between gap-3">
+                        <div className="text-white/60 text-xs">
+                          Session {dayIdx + 1}:{" "}
+                          {(rrSessions[dayIdx % rrSessions.length] || [])
+                            .map(([a, b]) => `${teams.abbr(a)} v ${teams.abbr(b)}`)
+                            .join(" • ")}
+                        </div>
+                        <Button variant="ghost" onClick={() => applyRoundRobin(d, dayIdx)}>
+                          Round-Robin Pairings
+                        </Button>
+                      </div>
+                    ) : null}
+
                     <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
-                      {d.matches.map((m) => (
-                        <div key={m.id} className="p-4 rounded-2xl bg-white/5 border border-white/10">
-                          <div className="flex items-center justify-between">
-                            <div className="text-white/70 text-xs">Match {m.matchNo}</div>
-                            <MatchFormatPill format={m.format} />
-                          </div>
+                      {d.matches.map((m) => {
+                        const started = matchHasScores(m);
+                        const strokeDay = isStrokePlayDay(d);
+                        return (
+                          <div key={m.id} className="p-4 rounded-2xl bg-white/5 border border-white/10">
+                            <div className="flex items-center justify-between">
+                              <div className="text-white/70 text-xs">
+                                {strokeDay ? "Group" : "Match"} {m.matchNo}
+                              </div>
+                              <MatchFormatPill format={m.format} />
+                            </div>
 
-                          <div className="mt-3 grid grid-cols-1 gap-2">
-                            <div className="p-3 rounded-2xl bg-white/5 border border-white/10">
-                              <div className="text-white/70 text-xs mb-2">{TEAM.JC}</div>
-                              {m.format === "SINGLES_NET" ? (
+                            {strokeDay ? (
+                              <div className="mt-3 text-white/50 text-xs">
+                                Stroke play day — everyone plays their own ball. Change the day format on the Scoring tab.
+                              </div>
+                            ) : (
+                              <div className="mt-3">
                                 <select
-                                  value={m.sideA.playerIds[0]}
-                                  onChange={(e) =>
-                                    patchMatch(d.day, m.id, {
-                                      sideA: { ...m.sideA, playerIds: [e.target.value] },
-                                    })
-                                  }
+                                  value={m.format}
+                                  disabled={started}
+                                  onChange={(e) => patchMatch(d.day, m.id, formatPatch(m, e.target.value))}
                                   className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
                                 >
-                                  {jcPlayers.map((p) => (
-                                    <option key={p.id} value={p.id}>
-                                      {p.name} (HCP {p.courseHcp})
+                                  {MATCH_FORMAT_OPTIONS.map((o) => (
+                                    <option key={o.value} value={o.value}>
+                                      {o.label}
                                     </option>
                                   ))}
                                 </select>
-                              ) : (
-                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-                                  {[0, 1].map((idx) => (
-                                    <select
-                                      key={idx}
-                                      value={m.sideA.playerIds[idx]}
-                                      onChange={(e) => {
-                                        const next = [...m.sideA.playerIds];
-                                        next[idx] = e.target.value;
-                                        patchMatch(d.day, m.id, { sideA: { ...m.sideA, playerIds: next } });
-                                      }}
-                                      className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
-                                    >
-                                      {jcPlayers.map((p) => (
-                                        <option key={p.id} value={p.id}>
-                                          {p.name} (HCP {p.courseHcp})
-                                        </option>
-                                      ))}
-                                    </select>
-                                  ))}
-                                </div>
-                              )}
-                            </div>
+                              </div>
+                            )}
 
-                            <div className="p-3 rounded-2xl bg-white/5 border border-white/10">
-                              <div className="text-white/70 text-xs mb-2">{TEAM.SG}</div>
-                              {m.format === "SINGLES_NET" ? (
+                            {m.format === "SCRAMBLE_STABLEFORD" ? (
+                              <div className="mt-2">
                                 <select
-                                  value={m.sideB.playerIds[0]}
-                                  onChange={(e) =>
+                                  value={m.stablefordTable ? stablefordPresetId(m.stablefordTable) : "DAY"}
+                                  onChange={(e) => {
+                                    const v = e.target.value;
                                     patchMatch(d.day, m.id, {
-                                      sideB: { ...m.sideB, playerIds: [e.target.value] },
-                                    })
-                                  }
+                                      stablefordTable: v === "DAY" ? null : STABLEFORD_PRESETS[v]?.table ?? m.stablefordTable,
+                                    });
+                                  }}
                                   className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
                                 >
-                                  {sgPlayers.map((p) => (
-                                    <option key={p.id} value={p.id}>
-                                      {p.name} (HCP {p.courseHcp})
+                                  <option value="DAY">Stableford: Day Default</option>
+                                  {Object.entries(STABLEFORD_PRESETS).map(([id, p]) => (
+                                    <option key={id} value={id}>
+                                      Stableford: {p.label}
                                     </option>
                                   ))}
+                                  {m.stablefordTable && stablefordPresetId(m.stablefordTable) === "CUSTOM" ? (
+                                    <option value="CUSTOM">Stableford: Custom</option>
+                                  ) : null}
                                 </select>
-                              ) : (
-                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-                                  {[0, 1].map((idx) => (
-                                    <select
-                                      key={idx}
-                                      value={m.sideB.playerIds[idx]}
-                                      onChange={(e) => {
-                                        const next = [...m.sideB.playerIds];
-                                        next[idx] = e.target.value;
-                                        patchMatch(d.day, m.id, { sideB: { ...m.sideB, playerIds: next } });
-                                      }}
-                                      className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
-                                    >
-                                      {sgPlayers.map((p) => (
-                                        <option key={p.id} value={p.id}>
-                                          {p.name} (HCP {p.courseHcp})
-                                        </option>
-                                      ))}
-                                    </select>
-                                  ))}
-                                </div>
-                              )}
+                              </div>
+                            ) : null}
+
+                            {m.format === "FOURBALL_NET" || m.format === "SINGLES_NET" ? (
+                              <label className="mt-2 flex items-center gap-2 text-white/70 text-xs">
+                                <input
+                                  type="checkbox"
+                                  checked={!!m.offTheLow}
+                                  onChange={(e) => patchMatch(d.day, m.id, { offTheLow: e.target.checked })}
+                                />
+                                Play off the low handicap (low player at 0, others get the difference)
+                              </label>
+                            ) : null}
+
+                            {strokeDay ? null : (
+                              <div className="mt-2">
+                                <select
+                                  value={m.mustHaveWinner == null ? "DAY" : m.mustHaveWinner ? "YES" : "NO"}
+                                  onChange={(e) => {
+                                    const v = e.target.value;
+                                    patchMatch(d.day, m.id, { mustHaveWinner: v === "DAY" ? null : v === "YES" });
+                                  }}
+                                  className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                                >
+                                  <option value="DAY">Halves: Day Default ({d.mustHaveWinner ? "Sudden Death" : "Allowed"})</option>
+                                  <option value="YES">Must Have A Winner (Sudden Death)</option>
+                                  <option value="NO">Halves Allowed</option>
+                                </select>
+                              </div>
+                            )}
+
+                            <div className="mt-2">
+                              <select
+                                value={m.startHole ?? ""}
+                                onChange={(e) => patchMatch(d.day, m.id, { startHole: e.target.value ? Number(e.target.value) : null })}
+                                className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                              >
+                                <option value="">Start: Day Default (Hole {d.startHole ?? 1})</option>
+                                {(tournament.courses?.[d.day]?.holes || []).map((h) => (
+                                  <option key={h.hole} value={h.hole}>
+                                    Shotgun Start: Hole {h.hole}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+
+                            {strokeDay ? null : (
+                              <label className="mt-2 block">
+                                <div className="text-white/60 text-[11px] mb-1">Match Points</div>
+                                <NumberInput
+                                  value={m.points ?? null}
+                                  onCommit={(v) => patchMatch(d.day, m.id, { points: v == null || v < 0 ? null : v })}
+                                  placeholder={`Day Default (${resolveMatchPoints(d, null)})`}
+                                />
+                              </label>
+                            )}
+
+                            {strokeDay ? null : (
+                              <div className="mt-2">
+                                <select
+                                  value={m.forfeit ? `${m.forfeit.type}:${m.forfeit.toSideId}` : ""}
+                                  onChange={(e) => {
+                                    const [type, toSideId] = e.target.value.split(":");
+                                    patchMatch(d.day, m.id, { forfeit: type ? { type, toSideId, at: Date.now() } : null });
+                                  }}
+                                  className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                                >
+                                  <option value="">Result: Played</option>
+                                  {[m.sideA, m.sideB].map((winner) => {
+                                    const loser = winner.id === m.sideA.id ? m.sideB : m.sideA;
+                                    return [
+                                      <option key={`W${winner.id}`} value={`WALKOVER:${winner.id}`}>
+                                        Walkover To {teams.abbr(winner.teamId)} ({teams.abbr(loser.teamId)} didn't start)
+                                      </option>,
+                                      <option key={`F${winner.id}`} value={`FORFEIT:${winner.id}`}>
+                                        Forfeit By {teams.abbr(loser.teamId)} (point to {teams.abbr(winner.teamId)})
+                                      </option>,
+                                    ];
+                                  })}
+                                </select>
+                              </div>
+                            )}
+
+                            {started ? (
+                              <div className="mt-3 text-white/50 text-xs">
+                                {strokeDay
+                                  ? "Scores are in — groups are locked."
+                                  : "Scores are in — format and lineups are locked. Use a substitution so earlier holes keep their scores."}
+                              </div>
+                            ) : null}
+
+                            <div className="mt-3 grid grid-cols-1 gap-2">
+                              <div className="p-3 rounded-2xl bg-white/5 border border-white/10">
+                                {teams.ids.length > 2 && !started ? (
+                                  <select
+                                    value={m.sideA.teamId}
+                                    onChange={(e) => patchMatch(d.day, m.id, { sideA: sideTeamPatch(m.sideA, e.target.value) })}
+                                    className="w-full mb-2 px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-xs"
+                                  >
+                                    {teams.list.map((t) => (
+                                      <option key={t.id} value={t.id}>
+                                        {t.name}
+                                      </option>
+                                    ))}
+                                  </select>
+                                ) : (
+                                  <div className="text-white/70 text-xs mb-2">{teams.name(m.sideA.teamId)}</div>
+                                )}
+                                {m.format === "SINGLES_NET" ? (
+                                  <select
+                                    value={m.sideA.playerIds[0]}
+                                    disabled={started}
+                                    onChange={(e) =>
+                                      patchMatch(d.day, m.id, {
+                                        sideA: { ...m.sideA, playerIds: [e.target.value] },
+                                      })
+                                    }
+                                    className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                                  >
+                                    {teamPlayers(m.sideA.teamId).map((p) => (
+                                      <option key={p.id} value={p.id}>
+                                        {p.name} (HCP {formatHcp(p.courseHcp)})
+                                      </option>
+                                    ))}
+                                  </select>
+                                ) : (
+                                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                                    {[0, 1].map((idx) => (
+                                      <select
+                                        key={idx}
+                                        value={m.sideA.playerIds[idx]}
+                                        disabled={started}
+                                        onChange={(e) => {
+                                          const next = [...m.sideA.playerIds];
+                                          next[idx] = e.target.value;
+                                          patchMatch(d.day, m.id, { sideA: { ...m.sideA, playerIds: next } });
+                                        }}
+                                        className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                                      >
+                                        {teamPlayers(m.sideA.teamId).map((p) => (
+                                          <option key={p.id} value={p.id}>
+                                            {p.name} (HCP {formatHcp(p.courseHcp)})
+                                          </option>
+                                        ))}
+                                      </select>
+                                    ))}
+                                  </div>
+                                )}
+                              </div>
+
+                              <div className="p-3 rounded-2xl bg-white/5 border border-white/10">
+                                {teams.ids.length > 2 && !started ? (
+                                  <select
+                                    value={m.sideB.teamId}
+                                    onChange={(e) => patchMatch(d.day, m.id, { sideB: sideTeamPatch(m.sideB, e.target.value) })}
+                                    className="w-full mb-2 px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-xs"
+                                  >
+                                    {teams.list.map((t) => (
+                                      <option key={t.id} value={t.id}>
+                                        {t.name}
+                                      </option>
+                                    ))}
+                                  </select>
+                                ) : (
+                                  <div className="text-white/70 text-xs mb-2">{teams.name(m.sideB.teamId)}</div>
+                                )}
+                                {m.format === "SINGLES_NET" ? (
+                                  <select
+                                    value={m.sideB.playerIds[0]}
+                                    disabled={started}
+                                    onChange={(e) =>
+                                      patchMatch(d.day, m.id, {
+                                        sideB: { ...m.sideB, playerIds: [e.target.value] },
+                                      })
+                                    }
+                                    className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                                  >
+                                    {teamPlayers(m.sideB.teamId).map((p) => (
+                                      <option key={p.id} value={p.id}>
+                                        {p.name} (HCP {formatHcp(p.courseHcp)})
+                                      </option>
+                                    ))}
+                                  </select>
+                                ) : (
+                                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                                    {[0, 1].map((idx) => (
+                                      <select
+                                        key={idx}
+                                        value={m.sideB.playerIds[idx]}
+                                        disabled={started}
+                                        onChange={(e) => {
+                                          const next = [...m.sideB.playerIds];
+                                          next[idx] = e.target.value;
+                                          patchMatch(d.day, m.id, { sideB: { ...m.sideB, playerIds: next } });
+                                        }}
+                                        className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                                      >
+                                        {teamPlayers(m.sideB.teamId).map((p) => (
+                                          <option key={p.id} value={p.id}>
+                                            {p.name} (HCP {formatHcp(p.courseHcp)})
+                                          </option>
+                                        ))}
+                                      </select>
+                                    ))}
+                                  </div>
+                                )}
+                              </div>
+
+                              {started && !strokeDay ? (
+                                <SubstitutionForm
+                                  match={m}
+                                  players={tournament.players}
+                                  holeNums={roundHoles(tournament.courses?.[d.day]?.holes || [], resolveRound(d, m)).map((h) => h.hole)}
+                                  onSubmit={(patch) => patchMatch(d.day, m.id, patch)}
+                                />
+                              ) : null}
                             </div>
                           </div>
-                        </div>
+                        );
+                      })}
+                    </div>
+                  </Card>
+                ))}
+              </div>
+            ) : tab === "scoring" ? (
+              <div className="mt-4 space-y-4">
+                <Card className="p-5">
+                  <div className="text-white font-semibold">The Cup</div>
+                  <div className="text-white/60 text-xs mt-1">
+                    Points to win come from every match, bonus and stroke play point on offer.
+                  </div>
+                  <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    <select
+                      value={normalizeCup(tournament.cup).holderTeamId ?? ""}
+                      onChange={(e) => writeCup({ ...normalizeCup(tournament.cup), holderTeamId: e.target.value || null })}
+                      className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                    >
+                      <option value="">Holder: None</option>
+                      {teams.ids.map((t) => (
+                        <option key={t} value={t}>
+                          Holder: {teams.name(t)}
+                        </option>
                       ))}
+                    </select>
+                    <label className="flex items-center gap-2 text-white/70 text-xs">
+                      <input
+                        type="checkbox"
+                        checked={normalizeCup(tournament.cup).holderRetains}
+                        onChange={(e) => writeCup({ ...normalizeCup(tournament.cup), holderRetains: e.target.checked })}
+                      />
+                      Holder retains the Cup on a tied total
+                    </label>
+                  </div>
+                </Card>
+
+                {tournament.days.map((d) => (
+                  <Card key={d.day} className="p-5">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="text-white font-semibold">
+                          Day {d.day} • Scoring Rules
+                        </div>
+                        <div className="text-white/60 text-xs mt-1">{d.title}</div>
+                      </div>
+                      <Pill>{STABLEFORD_PRESETS[stablefordPresetId(d.stablefordTable)]?.label || "Custom"}</Pill>
+                    </div>
+
+                    <div className="mt-4">
+                      <div className="text-white/70 text-xs mb-2">Day Format</div>
+                      <select
+                        value={isStrokePlayDay(d) ? "STROKE_PLAY" : "MATCH_PLAY"}
+                        onChange={(e) => setDayType(d, e.target.value)}
+                        className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                      >
+                        <option value="MATCH_PLAY">Match Play (matches in the Schedule tab)</option>
+                        <option value="STROKE_PLAY">Stroke Play / Medal (matches become playing groups)</option>
+                      </select>
+                      {isStrokePlayDay(d) ? (
+                        <div className="mt-2">
+                          <StrokePlayEditor
+                            config={resolveStrokePlay(d)}
+                            onChange={(strokePlay) => writeDay(d.day, { strokePlay })}
+                          />
+                        </div>
+                      ) : null}
+                    </div>
+
+                    {isStrokePlayDay(d) ? null : (
+                      <div className="mt-5">
+                        <div className="text-white/70 text-xs mb-2">Points</div>
+                        <div className="grid grid-cols-2 gap-2">
+                          <label className="block">
+                            <div className="text-white/60 text-[11px] mb-1">Per Match (matches can override)</div>
+                            <NumberInput
+                              value={resolveMatchPoints(d, null)}
+                              onCommit={(v) => writeDay(d.day, { matchPoints: v == null || v < 0 ? null : v })}
+                            />
+                          </label>
+                          <label className="block">
+                            <div className="text-white/60 text-[11px] mb-1">Day Aggregate Bonus (0 = none)</div>
+                            <NumberInput
+                              value={resolveBonusPoints(d)}
+                              onCommit={(v) => writeDay(d.day, { bonusPoints: v == null || v < 0 ? null : v })}
+                            />
+                          </label>
+                        </div>
+                        <div className="text-white/50 text-xs mt-2">
+                          The bonus goes to the better aggregate over the whole day: Stableford points on all-scramble days, holes won
+                          otherwise.
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="mt-5">
+                      <StablefordTableEditor
+                        table={resolveStablefordTable(d, null)}
+                        onChange={(table) => writeDay(d.day, { stablefordTable: table })}
+                      />
+                    </div>
+
+                    <div className="mt-5">
+                      <div className="text-white/70 text-xs mb-2">Tee Sets (WHS slope / rating / par)</div>
+                      <TeeSetsEditor
+                        course={tournament.courses?.[d.day]}
+                        onChange={(patch) => writeCourse(d.day, patch)}
+                      />
+                    </div>
+
+                    <div className="mt-5">
+                      <div className="text-white/70 text-xs mb-2">Handicap Allowances (% of course handicap)</div>
+                      <AllowancesEditor
+                        allowances={resolveAllowances(d, null)}
+                        onChange={(allowances) => writeDay(d.day, { allowances })}
+                      />
+                    </div>
+
+                    <div className="mt-5">
+                      <div className="text-white/70 text-xs mb-2">Maximum Hole Score (pick-ups and blow-ups count as this)</div>
+                      <MaxScoreEditor rule={resolveMaxScore(d, null)} onChange={(maxScore) => writeDay(d.day, { maxScore })} />
+                    </div>
+
+                    <div className="mt-5">
+                      <div className="text-white/70 text-xs mb-2">Skins • {skinsRulesText(resolveSkins(d))}</div>
+                      <SkinsEditor
+                        config={resolveSkins(d)}
+                        players={tournament.players}
+                        onChange={(skins) => writeDay(d.day, { skins })}
+                      />
+                    </div>
+
+                    <div className="mt-5">
+                      <div className="text-white/70 text-xs mb-2">
+                        Side Contests • {tournament.courses?.[d.day]?.name || "Course"} (players enter measurements on the hole)
+                      </div>
+                      <ContestsEditor
+                        course={tournament.courses?.[d.day]}
+                        day={d}
+                        players={tournament.players}
+                        onChange={(contests) => writeCourse(d.day, { contests })}
+                      />
+                    </div>
+
+                    <div className="mt-5">
+                      <div className="text-white/70 text-xs mb-2">
+                        Round • {roundLabel(tournament.courses?.[d.day]?.holes || [], resolveRound(d, null))}
+                      </div>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                        <select
+                          value={d.holesToPlay ?? ""}
+                          onChange={(e) => writeDay(d.day, { holesToPlay: e.target.value ? Number(e.target.value) : null })}
+                          className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                        >
+                          <option value="">Holes: Full Card</option>
+                          {Array.from({ length: (tournament.courses?.[d.day]?.holes || []).length }, (_, i) => i + 1).map((n) => (
+                            <option key={n} value={n}>
+                              Holes: {n}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={d.startHole ?? 1}
+                          onChange={(e) => writeDay(d.day, { startHole: Number(e.target.value) })}
+                          className="w-full px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-white text-sm"
+                        >
+                          {(tournament.courses?.[d.day]?.holes || []).map((h) => (
+                            <option key={h.hole} value={h.hole}>
+                              Start: Hole {h.hole}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="text-white/50 text-xs mt-2">
+                        Matches can override the start hole for a shotgun (Schedule tab).
+                      </div>
                     </div>
+
+                    {isStrokePlayDay(d) ? null : (
+                      <label className="mt-5 flex items-center gap-2 text-white/70 text-xs">
+                        <input
+                          type="checkbox"
+                          checked={!!d.mustHaveWinner}
+                          onChange={(e) => writeDay(d.day, { mustHaveWinner: e.target.checked })}
+                        />
+                        Every match must have a winner (all-square matches go to sudden-death playoff holes 19, 20, …)
+                      </label>
+                    )}
                   </Card>
                 ))}
               </div>
+            ) : tab === "history" ? (
+              <div className="mt-4">
+                <HistoryEditor
+                  tournament={tournament}
+                  totals={totals}
+                  editions={editions}
+                  writeEdition={writeEdition}
+                  removeEdition={removeEdition}
+                />
+              </div>
             ) : (
               <div className="mt-4">
                 <Card className="p-5">
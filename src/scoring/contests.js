@@ -0,0 +1,111 @@
+// src/scoring/contests.js
+// Side contests: closest to the pin / long drive (pure, no UI)
+//
+// Contest holes are set per course: tournament.courses[day].contests
+// [{ hole, type, prize?, winnerId? }], at most one contest per hole. Measurements
+// live on the playing group's match doc: match.contestEntries { [holeNum]: { [playerId]: value } }
+// — feet from the pin for CTP (shortest wins), yards for a long drive (longest wins).
+// An admin-set winnerId overrides the measurements.
+
+import { isDayFinal } from "./totals.js";
+
+export const CONTEST_TYPES = ["CTP", "LONG_DRIVE"];
+
+export const DEFAULT_CONTEST_PRIZE = 20;
+
+/**
+ * Fill in a full contest list from partial / missing data, in hole order.
+ * - holes: the course scorecard (contests on holes not on it are dropped)
+ */
+export function normalizeContests(list, holes) {
+  const holeNums = (holes || []).map((h) => h.hole);
+  const out = [];
+
+  for (const c of Array.isArray(list) ? list : []) {
+    const hole = Number(c?.hole);
+    if (!holeNums.includes(hole) || out.some((x) => x.hole === hole)) continue;
+    const prize = Number(c?.prize);
+    out.push({
+      hole,
+      type: CONTEST_TYPES.includes(c?.type) ? c.type : CONTEST_TYPES[0],
+      prize: c?.prize != null && c.prize !== "" && Number.isFinite(prize) && prize >= 0 ? prize : DEFAULT_CONTEST_PRIZE,
+      winnerId: typeof c?.winnerId === "string" && c.winnerId ? c.winnerId : null,
+    });
+  }
+  return out.sort((a, b) => a.hole - b.hole);
+}
+
+export function resolveContests(course) {
+  return normalizeContests(course?.contests ?? null, course?.holes);
+}
+
+/**
+ * The contest played on a hole of the course, or null.
+ */
+export function contestOnHole(course, holeNum) {
+  return resolveContests(course).find((c) => c.hole === holeNum) ?? null;
+}
+
+/**
+ * The usual setup: CTP on every par 3, long drive on the first par 5.
+ */
+export function suggestedContests(holes) {
+  const list = (holes || []).filter((h) => h.par === 3).map((h) => ({ hole: h.hole, type: "CTP" }));
+  const longHole = (holes || []).find((h) => h.par === 5);
+  if (longHole) list.push({ hole: longHole.hole, type: "LONG_DRIVE" });
+  return normalizeContests(list, holes);
+}
+
+/**
+ * Measurements on a hole across a day's matches: [{ playerId, matchId, value }], best first.
+ */
+export function contestMeasurements(matches, contest) {
+  const entries = [];
+  for (const m of matches || []) {
+    for (const [playerId, raw] of Object.entries(m.contestEntries?.[contest.hole] || {})) {
+      const value = Number(raw);
+      if (raw == null || raw === "" || !Number.isFinite(value) || value < 0) continue;
+      if (entries.some((e) => e.playerId === playerId)) continue;
+      entries.push({ playerId, matchId: m.id, value });
+    }
+  }
+  return entries.sort((a, b) => (contest.type === "LONG_DRIVE" ? b.value - a.value : a.value - b.value));
+}
+
+/**
+ * Input: { tournament, totals (computeTournamentTotals) }
+ *
+ * Output: { days: [{ day, isFinal, contests: [result] }] }
+ * - result: { hole, type, prize, entries (contestMeasurements), winnerIds, source, decided }
+ *   - winnerIds: the admin's winner, else everyone tied on the best measurement (they split the prize)
+ *   - source: "ADMIN" | "MEASURED" | null (nothing entered yet)
+ *   - decided: an admin winner, or measurements once every match / group of the day is final
+ */
+export function computeContests({ tournament, totals }) {
+  const days = (tournament.days || []).map((d) => {
+    const summary = totals.daySummaries?.find((x) => x.day === d.day);
+    const isFinal = isDayFinal(summary);
+
+    const contests = resolveContests(tournament.courses?.[d.day]).map((c) => {
+      const entries = contestMeasurements(d.matches, c);
+      const best = entries[0]?.value;
+      const winnerIds = c.winnerId
+        ? [c.winnerId]
+        : entries.filter((e) => e.value === best).map((e) => e.playerId);
+
+      return {
+        hole: c.hole,
+        type: c.type,
+        prize: c.prize,
+        entries,
+        winnerIds,
+        source: c.winnerId ? "ADMIN" : entries.length ? "MEASURED" : null,
+        decided: !!c.winnerId || (isFinal && entries.length > 0),
+      };
+    });
+
+    return { day: d.day, isFinal, contests };
+  });
+
+  return { days };
+}
@@ -0,0 +1,33 @@
+// src/scoring/courses.js
+// Default scorecards (par + stroke index per hole)
+
+export function holesFromParAndHcp(parArr, hcpArr) {
+  return parArr.map((par, i) => ({ hole: i + 1, par, hcpRank: hcpArr[i] }));
+}
+
+export const COURSES = {
+  1: {
+    name: "Wildfire Golf Club (Fazio Course)",
+    city: "Phoenix, Arizona",
+    holes: holesFromParAndHcp(
+      [4, 4, 3, 4, 4, 4, 3, 4, 5, 4, 5, 4, 4, 3, 5, 4, 3, 4],
+      [7, 5, 17, 1, 9, 13, 15, 11, 3, 8, 4, 6, 16, 14, 2, 12, 18, 10]
+    ),
+  },
+  2: {
+    name: "Lookout Mountain Golf Club",
+    city: "Phoenix, Arizona",
+    holes: holesFromParAndHcp(
+      [4, 5, 3, 4, 5, 3, 5, 4, 3, 4, 3, 4, 4, 4, 5, 3, 4, 5],
+      [11, 9, 15, 3, 7, 13, 1, 5, 17, 4, 12, 2, 18, 8, 16, 6, 14, 10]
+    ),
+  },
+  3: {
+    name: "Papago Golf Club",
+    city: "Phoenix, Arizona",
+    holes: holesFromParAndHcp(
+      [5, 4, 4, 3, 4, 4, 4, 3, 5, 5, 3, 4, 4, 4, 5, 4, 3, 4],
+      [15, 17, 3, 13, 11, 1, 7, 9, 5, 18, 12, 16, 10, 8, 14, 4, 6, 2]
+    ),
+  },
+};
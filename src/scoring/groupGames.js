@@ -0,0 +1,54 @@
+// src/scoring/groupGames.js
+// Group games played inside a match by its own players (pure, no UI)
+//
+// match.groupGame: { type, ...the game's own config } (missing / null = none).
+// Games register in GROUP_GAMES:
+// - label, formats (match formats it can ride on), players (how many it needs)
+// - normalize(cfg, playerIds): full config from partial data
+// - compute(config, matchHoles, playerIds): at least { holes, totals: { [playerId]: points }, standings }
+// A new game (Vegas, Bingo-Bango-Bongo, ...) is a module with those two functions plus an entry here.
+
+import { normalizeWolf, computeWolf } from "./wolf.js";
+
+export const GROUP_GAMES = {
+  WOLF: { label: "Wolf", formats: ["FOURBALL_NET"], players: 4, normalize: normalizeWolf, compute: computeWolf },
+};
+
+/**
+ * The players a group game is played between: both sides' current lineups.
+ */
+export function groupGamePlayers(match) {
+  return [...(match?.sideA?.playerIds || []), ...(match?.sideB?.playerIds || [])];
+}
+
+/**
+ * Game types that can be played on this match.
+ */
+export function availableGroupGames(match) {
+  const n = groupGamePlayers(match).length;
+  return Object.keys(GROUP_GAMES).filter((type) => {
+    const g = GROUP_GAMES[type];
+    return g.formats.includes(match?.format) && g.players === n;
+  });
+}
+
+/**
+ * Active game config for a match, or null (unknown type / match it can't be played on).
+ */
+export function resolveGroupGame(match) {
+  const type = match?.groupGame?.type;
+  if (!availableGroupGames(match).includes(type)) return null;
+  return GROUP_GAMES[type].normalize(match.groupGame, groupGamePlayers(match));
+}
+
+/**
+ * Input: match, matchHoles (computeMatchHoles)
+ *
+ * Output: null or { type, label, config, ...the game's compute output }
+ */
+export function computeGroupGame(match, matchHoles) {
+  const config = resolveGroupGame(match);
+  if (!config) return null;
+  const game = GROUP_GAMES[config.type];
+  return { type: config.type, label: game.label, config, ...game.compute(config, matchHoles, groupGamePlayers(match)) };
+}
@@ -0,0 +1,176 @@
+// src/scoring/handicap.js
+// Handicap stroke allocation + format allowances (pure, no UI)
+
+/**
+ * Strokes a player receives on one hole (negative = strokes given back).
+ * - courseHcp: player's course (or playing) handicap; plus handicaps are negative
+ * - holeHcpRank: stroke index of the hole, 1..18 (lower = harder)
+ */
+export function strokesReceivedOnHole(courseHcp, holeHcpRank) {
+  const hcp = Number(courseHcp) || 0;
+  const rank = Number(holeHcpRank) || 0;
+
+  // Plus handicap: give strokes back starting on the easiest holes (rank 18, 17, ...)
+  if (hcp < 0) {
+    const plus = -hcp;
+    const full = Math.floor(plus / 18);
+    const rem = plus % 18;
+    const extra = rank > 0 && rank > 18 - rem ? 1 : 0;
+    return 0 - (full + extra);
+  }
+
+  const full = Math.floor(hcp / 18);
+  const rem = hcp % 18;
+
+  // ranks are 1..18 (lower rank = harder hole)
+  const extra = rank > 0 && rank <= rem ? 1 : 0;
+
+  return full + extra;
+}
+
+/**
+ * Display a handicap: plus handicaps (stored negative) read "+2".
+ */
+export function formatHcp(hcp) {
+  if (hcp == null || hcp === "") return "—";
+  const n = Number(hcp);
+  if (!Number.isFinite(n)) return "—";
+  return n < 0 ? `+${-n}` : String(n);
+}
+
+/**
+ * Parse an entered handicap: a leading "+" means a plus handicap (stored negative).
+ * Returns null for blank input, NaN for junk.
+ */
+export function parseHcpInput(raw) {
+  const text = String(raw ?? "").trim();
+  if (text === "") return null;
+  if (text.startsWith("+")) return -Number(text.slice(1));
+  return Number(text);
+}
+
+/**
+ * Net score on a hole, or null when no (valid) gross has been entered.
+ */
+export function netScore(gross, courseHcp, holeHcpRank) {
+  if (gross == null) return null;
+  const g = Number(gross);
+  if (!Number.isFinite(g)) return null;
+
+  const sr = strokesReceivedOnHole(courseHcp, holeHcpRank);
+  return g - sr;
+}
+
+// -----------------------
+// Allowances (percent of course handicap per format)
+// -----------------------
+export const ALLOWANCE_KEYS = [
+  "fourballPct",
+  "singlesPct",
+  "foursomesPct",
+  "greensomesLowPct",
+  "greensomesHighPct",
+  "scrambleLowPct",
+  "scrambleHighPct",
+];
+
+export const DEFAULT_ALLOWANCES = {
+  fourballPct: 100,
+  singlesPct: 100,
+  foursomesPct: 50, // of the partners' combined handicaps
+  greensomesLowPct: 60,
+  greensomesHighPct: 40,
+  scrambleLowPct: 0, // scramble plays gross unless a day sets a team formula (e.g. 35 / 15)
+  scrambleHighPct: 0,
+};
+
+/**
+ * Fill any missing / non-numeric entries from the defaults.
+ */
+export function normalizeAllowances(allowances) {
+  const out = {};
+  for (const k of ALLOWANCE_KEYS) {
+    const n = Number(allowances?.[k]);
+    out[k] = allowances?.[k] != null && Number.isFinite(n) ? n : DEFAULT_ALLOWANCES[k];
+  }
+  return out;
+}
+
+/**
+ * Active allowances for a match: match override, then day setting, then the defaults.
+ */
+export function resolveAllowances(day, match) {
+  return normalizeAllowances({ ...(day?.allowances || {}), ...(match?.allowances || {}) });
+}
+
+/**
+ * Playing handicap = course handicap x allowance %, rounded.
+ */
+export function playingHcp(courseHcp, pct) {
+  return Math.round(((Number(courseHcp) || 0) * (Number(pct) || 0)) / 100);
+}
+
+function sortedCourseHcps(playerIds, playersById) {
+  return (playerIds || []).map((pid) => Number(playersById[pid]?.courseHcp) || 0).sort((a, b) => a - b);
+}
+
+function lowHighTeamHcp(playerIds, playersById, lowPct, highPct) {
+  const hcps = sortedCourseHcps(playerIds, playersById);
+  const low = hcps[0] ?? 0;
+  const high = hcps[hcps.length - 1] ?? 0;
+  return Math.round((low * lowPct + high * highPct) / 100);
+}
+
+/**
+ * Team handicap for a foursomes (alternate shot) side: % of combined course handicaps.
+ */
+export function foursomesTeamHcp(playerIds, playersById, allowances = DEFAULT_ALLOWANCES) {
+  const combined = sortedCourseHcps(playerIds, playersById).reduce((sum, h) => sum + h, 0);
+  return Math.round((combined * allowances.foursomesPct) / 100);
+}
+
+/**
+ * Team handicap for a greensomes (Chapman) side: low % + high %.
+ */
+export function greensomesTeamHcp(playerIds, playersById, allowances = DEFAULT_ALLOWANCES) {
+  return lowHighTeamHcp(playerIds, playersById, allowances.greensomesLowPct, allowances.greensomesHighPct);
+}
+
+/**
+ * Team handicap for a scramble side: low % + high %.
+ */
+export function scrambleTeamHcp(playerIds, playersById, allowances = DEFAULT_ALLOWANCES) {
+  return lowHighTeamHcp(playerIds, playersById, allowances.scrambleLowPct, allowances.scrambleHighPct);
+}
+
+/**
+ * Individual playing handicap for a player in a match (fourball / singles).
+ * Team formats report the player's full course handicap.
+ */
+export function playingHcpForMatch(match, player, allowances = DEFAULT_ALLOWANCES) {
+  if (!player) return 0;
+  if (match?.format === "FOURBALL_NET") return playingHcp(player.courseHcp, allowances.fourballPct);
+  if (match?.format === "SINGLES_NET") return playingHcp(player.courseHcp, allowances.singlesPct);
+  return Number(player.courseHcp) || 0;
+}
+
+/**
+ * Playing handicaps for every player in a match: { [playerId]: hcp }.
+ * With match.offTheLow (fourball / singles), the lowest player plays off 0
+ * and everyone else receives the difference.
+ */
+export function matchPlayingHcps(match, playersById, allowances = DEFAULT_ALLOWANCES) {
+  const pids = [...(match?.sideA?.playerIds || []), ...(match?.sideB?.playerIds || [])];
+  const out = {};
+  for (const pid of pids) {
+    if (playersById[pid]) out[pid] = playingHcpForMatch(match, playersById[pid], allowances);
+  }
+
+  const offTheLow = match?.offTheLow && (match.format === "FOURBALL_NET" || match.format === "SINGLES_NET");
+  const values = Object.values(out);
+  if (!offTheLow || values.length === 0) return out;
+
+  const low = Math.min(...values);
+  for (const pid of Object.keys(out)) out[pid] -= low;
+  return out;
+}
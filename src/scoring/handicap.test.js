@@ -0,0 +1,33 @@
+// src/scoring/handicap.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { strokesReceivedOnHole, netScore } from "./handicap.js";
+
+test("strokes go to the hardest holes first", () => {
+  assert.equal(strokesReceivedOnHole(0, 1), 0);
+  assert.equal(strokesReceivedOnHole(5, 5), 1);
+  assert.equal(strokesReceivedOnHole(5, 6), 0);
+  assert.equal(strokesReceivedOnHole(18, 18), 1);
+});
+
+test("handicaps over 18 get a second stroke on the hardest holes", () => {
+  assert.equal(strokesReceivedOnHole(20, 1), 2);
+  assert.equal(strokesReceivedOnHole(20, 2), 2);
+  assert.equal(strokesReceivedOnHole(20, 3), 1);
+  assert.equal(strokesReceivedOnHole(36, 18), 2);
+});
+
+test("plus handicaps give strokes back on the easiest holes first", () => {
+  assert.equal(strokesReceivedOnHole(-2, 18), -1);
+  assert.equal(strokesReceivedOnHole(-2, 17), -1);
+  assert.equal(strokesReceivedOnHole(-2, 16), 0);
+  assert.equal(strokesReceivedOnHole(-2, 1), 0);
+  assert.equal(netScore(4, -2, 18), 5);
+});
+
+test("a hole without a stroke index only gets the whole-round strokes", () => {
+  assert.equal(strokesReceivedOnHole(10, 0), 0);
+  assert.equal(strokesReceivedOnHole(20, null), 1);
+  assert.equal(strokesReceivedOnHole(-20, 0), -1);
+});
@@ -0,0 +1,321 @@
+// src/scoring/history.js
+// Past editions and all-time records (pure, no UI)
+//
+// An edition is one year's Cup, archived as plain results so it outlives the live
+// tournament documents (player ids and team ids change from year to year):
+// { year, name, teams: [{ id, name, abbr, color }], points: { [teamId]: n },
+//   winnerTeamId (null = shared), retained, players: [{ key, name, teamId }],
+//   matches: [{ day, matchNo, format, sideA, sideB, points: { [teamId]: n } }],
+//   rounds: [{ key, day, courseName, holes, par, gross, net }] }
+// - side: { teamId, playerKeys }
+// - a player's key is their name, lower-cased — the same person links across years by name
+// - rounds are complete individual rounds only (every hole of the card scored)
+
+import { normalizeTeams, leadingTeams } from "./teams.js";
+import { sidePlayers } from "./records.js";
+import { playerScoredHoles, summarizeHoles } from "./stats.js";
+
+/**
+ * Cross-year identity for a player name ("  Jim  Smith" → "jim smith").
+ */
+export function historyPlayerKey(name) {
+  return String(name ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeSide(side) {
+  const keys = (side?.playerKeys || side?.players || []).map(historyPlayerKey).filter(Boolean);
+  return { teamId: String(side?.teamId ?? ""), playerKeys: [...new Set(keys)] };
+}
+
+/**
+ * Fill in an edition from partial / imported data. Returns null without a valid year.
+ * - players may be names only; any name on a match side or round is added to the list
+ * - winnerTeamId defaults to the team with the most points (null when level)
+ */
+export function normalizeEdition(raw) {
+  const year = Math.floor(num(raw?.year, NaN));
+  if (!Number.isFinite(year) || year < 1900) return null;
+
+  const teams = normalizeTeams(raw?.teams);
+  const points = Object.fromEntries(teams.map((t) => [t.id, num(raw?.points?.[t.id])]));
+
+  const players = [];
+  const addPlayer = (name, teamId) => {
+    const key = historyPlayerKey(name);
+    if (!key) return;
+    const found = players.find((p) => p.key === key);
+    if (!found) players.push({ key, name: String(name).trim().replace(/\s+/g, " "), teamId: teamId || null });
+    else if (!found.teamId && teamId) found.teamId = teamId;
+  };
+  for (const p of raw?.players || []) {
+    if (typeof p === "string") addPlayer(p, null);
+    else addPlayer(p?.name ?? p?.key, p?.teamId ?? null);
+  }
+
+  const matches = (raw?.matches || []).map((m, i) => {
+    for (const side of [m?.sideA, m?.sideB]) {
+      for (const name of side?.playerKeys || side?.players || []) addPlayer(name, side?.teamId ?? null);
+    }
+    const sideA = normalizeSide(m?.sideA);
+    const sideB = normalizeSide(m?.sideB);
+    return {
+      day: num(m?.day, null),
+      matchNo: num(m?.matchNo, i + 1),
+      format: m?.format ?? null,
+      sideA,
+      sideB,
+      points: { [sideA.teamId]: num(m?.points?.[sideA.teamId]), [sideB.teamId]: num(m?.points?.[sideB.teamId]) },
+    };
+  });
+
+  for (const r of raw?.rounds || []) addPlayer(r?.name ?? r?.key, null);
+  const rounds = (raw?.rounds || [])
+    .map((r) => ({
+      key: historyPlayerKey(r?.key ?? r?.name),
+      day: num(r?.day, null),
+      courseName: r?.courseName ?? "",
+      holes: num(r?.holes, 18),
+      par: num(r?.par, 72),
+      gross: num(r?.gross, null),
+      net: num(r?.net, null),
+    }))
+    .filter((r) => r.key && r.gross != null);
+
+  const leaders = leadingTeams(points);
+  const winnerTeamId =
+    raw?.winnerTeamId !== undefined ? raw.winnerTeamId || null : leaders.length === 1 ? leaders[0] : null;
+
+  return {
+    year,
+    name: raw?.name || `Frellis Cup ${year}`,
+    teams: teams.map(({ id, name, abbr, color }) => ({ id, name, abbr, color })),
+    points,
+    winnerTeamId,
+    retained: !!raw?.retained,
+    players,
+    matches,
+    rounds,
+  };
+}
+
+/**
+ * Editions from pasted JSON: one edition object, an array of them, or { editions: [...] }.
+ * Output: { editions (normalized, one per year — the last one wins), errors: [message] }
+ */
+export function parseEditionsImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { editions: [], errors: [`Not valid JSON: ${e.message}`] };
+  }
+
+  const list = Array.isArray(data) ? data : Array.isArray(data?.editions) ? data.editions : [data];
+  const byYear = {};
+  const errors = [];
+  list.forEach((raw, i) => {
+    const edition = normalizeEdition(raw);
+    if (edition) byYear[edition.year] = edition;
+    else errors.push(`Entry ${i + 1}: missing or invalid year.`);
+  });
+
+  return { editions: Object.values(byYear).sort((a, b) => a.year - b.year), errors };
+}
+
+/**
+ * Archive the live tournament as an edition.
+ * Input: tournament, totals (computeTournamentTotals), year
+ * - only final matches are kept; stroke play days add their complete rounds but no matches
+ * - the winner comes from the Cup status (clinched / retained), null while undecided or shared
+ */
+export function snapshotEdition(tournament, totals, year) {
+  const playersById = Object.fromEntries((tournament.players || []).map((p) => [p.id, p]));
+  const keyOf = (pid) => historyPlayerKey(playersById[pid]?.name || pid);
+
+  const matches = [];
+  for (const d of totals.daySummaries || []) {
+    for (const mc of d.matchCards || []) {
+      if (!mc.status.isFinal) continue;
+      const { sideA, sideB } = mc.match;
+      matches.push({
+        day: d.day,
+        matchNo: mc.match.matchNo,
+        format: mc.match.format,
+        sideA: { teamId: sideA.teamId, playerKeys: sidePlayers(mc.match, sideA).map(keyOf) },
+        sideB: { teamId: sideB.teamId, playerKeys: sidePlayers(mc.match, sideB).map(keyOf) },
+        points: mc.points,
+      });
+    }
+  }
+
+  const rounds = [];
+  for (const [pid, scored] of Object.entries(playerScoredHoles(tournament))) {
+    for (const day of [...new Set(scored.map((h) => h.day))]) {
+      const course = tournament.courses?.[day];
+      const holes = scored.filter((h) => h.day === day);
+      if (!course?.holes?.length || holes.length < course.holes.length) continue;
+      const s = summarizeHoles(holes);
+      rounds.push({
+        key: keyOf(pid),
+        day,
+        courseName: course.name || "",
+        holes: s.holes,
+        par: s.par,
+        gross: s.gross,
+        net: s.net,
+      });
+    }
+  }
+
+  return normalizeEdition({
+    year,
+    teams: tournament.teams,
+    points: totals.points,
+    winnerTeamId: totals.cup.clinchedBy,
+    retained: totals.cup.retained,
+    players: (tournament.players || []).map((p) => ({ name: p.name || p.id, teamId: p.teamId })),
+    matches,
+    rounds,
+  });
+}
+
+function emptyCareer(key, name) {
+  return {
+    key,
+    name,
+    years: [],
+    cupWins: 0,
+    played: 0,
+    wins: 0,
+    losses: 0,
+    halves: 0,
+    points: 0,
+  };
+}
+
+// Career order: points, then wins, then fewest matches played
+function compareCareers(a, b) {
+  return b.points - a.points || b.wins - a.wins || a.played - b.played || a.name.localeCompare(b.name);
+}
+
+function sideResult(match, side, other) {
+  const pts = match.points?.[side.teamId] ?? 0;
+  const otherPts = match.points?.[other.teamId] ?? 0;
+  return { points: pts, result: pts > otherPts ? "W" : pts < otherPts ? "L" : "H" };
+}
+
+/**
+ * Input: editions (normalizeEdition), { roundLimit = 10 }
+ *
+ * Output: { editions, cupWins, careers, lowRounds: { gross, net } }
+ * - editions: newest first
+ * - cupWins: [{ name, abbr, color, wins, years }] most wins first — teams are matched by
+ *   name across years; shared Cups count for nobody
+ * - careers: [{ key, name, years, cupWins, played, wins, losses, halves, points }] (points, then wins)
+ * - lowRounds.gross / .net: [{ ...round, year, name, toPar }] best first, 18-hole rounds only,
+ *   top `roundLimit` (ties at the cut included)
+ */
+export function computeAllTime(editions, { roundLimit = 10 } = {}) {
+  const list = [...(editions || [])].sort((a, b) => b.year - a.year);
+
+  const wins = {};
+  for (const e of list) {
+    const team = e.teams.find((t) => t.id === e.winnerTeamId);
+    if (!team) continue;
+    const w = (wins[team.name] ??= { name: team.name, abbr: team.abbr, color: team.color, wins: 0, years: [] });
+    w.wins += 1;
+    w.years.push(e.year);
+  }
+  const cupWins = Object.values(wins).sort((a, b) => b.wins - a.wins || a.name.localeCompare(b.name));
+
+  const careers = {};
+  const careerFor = (e, key) => {
+    const name = e.players.find((p) => p.key === key)?.name || key;
+    const c = (careers[key] ??= emptyCareer(key, name));
+    if (!c.years.includes(e.year)) {
+      c.years.push(e.year);
+      const teamId = e.players.find((p) => p.key === key)?.teamId;
+      if (teamId && teamId === e.winnerTeamId) c.cupWins += 1;
+    }
+    return c;
+  };
+
+  for (const e of [...list].reverse()) {
+    for (const p of e.players) careerFor(e, p.key);
+    for (const m of e.matches) {
+      for (const [side, other] of [
+        [m.sideA, m.sideB],
+        [m.sideB, m.sideA],
+      ]) {
+        const { points, result } = sideResult(m, side, other);
+        for (const key of side.playerKeys) {
+          const c = careerFor(e, key);
+          c.played += 1;
+          if (result === "W") c.wins += 1;
+          else if (result === "L") c.losses += 1;
+          else c.halves += 1;
+          c.points += points;
+        }
+      }
+    }
+  }
+
+  const rounds = list.flatMap((e) =>
+    e.rounds
+      .filter((r) => r.holes === 18)
+      .map((r) => ({ ...r, year: e.year, name: e.players.find((p) => p.key === r.key)?.name || r.key }))
+  );
+  const best = (field) => {
+    const ranked = rounds
+      .filter((r) => r[field] != null)
+      .map((r) => ({ ...r, toPar: r[field] - r.par }))
+      .sort((a, b) => a.toPar - b.toPar || a[field] - b[field] || a.year - b.year);
+    const cut = ranked[roundLimit - 1]?.toPar;
+    return ranked.filter((r, i) => i < roundLimit || r.toPar === cut);
+  };
+
+  return {
+    editions: list,
+    cupWins,
+    careers: Object.values(careers).sort(compareCareers),
+    lowRounds: { gross: best("gross"), net: best("net") },
+  };
+}
+
+/**
+ * Every match where the two players were on opposite sides, across all editions.
+ * Output: { meetings: [{ year, day, matchNo, format, result ("W" | "L" | "H" for keyA), points }],
+ *   wins, losses, halves } — oldest first, counted from keyA's side
+ */
+export function computeHeadToHead(editions, keyA, keyB) {
+  const meetings = [];
+  const sorted = [...(editions || [])].sort((a, b) => a.year - b.year);
+
+  for (const e of sorted) {
+    for (const m of e.matches) {
+      for (const [side, other] of [
+        [m.sideA, m.sideB],
+        [m.sideB, m.sideA],
+      ]) {
+        if (!side.playerKeys.includes(keyA) || !other.playerKeys.includes(keyB)) continue;
+        const { points, result } = sideResult(m, side, other);
+        meetings.push({ year: e.year, day: m.day, matchNo: m.matchNo, format: m.format, result, points });
+      }
+    }
+  }
+
+  return {
+    meetings,
+    wins: meetings.filter((m) => m.result === "W").length,
+    losses: meetings.filter((m) => m.result === "L").length,
+    halves: meetings.filter((m) => m.result === "H").length,
+  };
+}
@@ -0,0 +1,221 @@
+// src/scoring/index.js
+// Canonical scoring engine — pure JS (no React / no Firebase / no UI).
+// The app and any scripts import scoring from here so a rules fix lands once.
+//
+// Shared shapes:
+// - hole (scorecard): { hole, par, hcpRank }
+// - player: { id, teamId, courseHcp, handicapIndex?, courseHcpOverride?, teeId? } (plus handicaps are negative)
+//   (courseHcp is derived per day via WHS when index + tee data exist — see dayPlayers)
+// - course: { name, holes, teeId?, tees?: [{ id, name, slope, rating, par }], contests? }
+// - match: { id, day, matchNo, format, sideA, sideB, offTheLow?, mustHaveWinner?, startHole?, ...gross maps }
+//   - format: "FOURBALL_NET" | "SCRAMBLE_STABLEFORD" | "FOURSOMES_NET" | "GREENSOMES_NET"
+//     | "SINGLES_NET" | "STROKE_PLAY" (a playing group on a stroke play day; scores in singlesGrossByPlayer)
+//   - side: { id, teamId, playerIds }
+//   - fourballGrossByPlayer / singlesGrossByPlayer: { [playerId]: { [holeNum]: gross } }
+//   - scrambleGrossBySide / foursomesGrossBySide / greensomesGrossBySide: { [sideId]: { [holeNum]: gross } }
+//   - gross may be "X" (pick-up): counts as the maximum hole score — see maxScore.js
+//   - greensomesDriveBySide: { [sideId]: { [holeNum]: playerId whose drive was played } }
+//   - holeNum runs past the scorecard for sudden-death playoff holes (19, 20, ...)
+//   - concededHoles: { [holeNum]: sideId the hole was conceded to }
+//   - concededMatch: { toSideId, at } (whole match conceded)
+//   - forfeit: { type: "WALKOVER" | "FORFEIT", toSideId, at } (result without hole data)
+//   - matchPlayFormat: the format to restore when a stroke play day goes back to match play
+//   - substitutions: [{ sideId, outPlayerId, inPlayerId, fromHole, at }] (side.playerIds = current lineup)
+// - matchHole (computeMatchHoles): { hole, played, winnerSideId, details, playoff?, courseHole?, conceded? }
+// - status: { played, isFinal, text, leaderSideId, isTied, ... }
+// - stablefordTable: { albatross, eagle, birdie, par, bogey, double } (day- or match-level)
+// - maxScore: { type: "NONE" | "NET_DOUBLE_BOGEY" | "PAR_PLUS" | "FIXED", value } (day- or match-level;
+//   default NONE: scores count as entered, a pick-up is net double bogey)
+// - skins: day.skins { basis, carryover, birdieOrBetter, entrants, buyIn } — see skins.js
+// - contests: course.contests [{ hole, type: "CTP" | "LONG_DRIVE", prize, winnerId? }],
+//   match.contestEntries { [holeNum]: { [playerId]: feet | yards } } — see contests.js; money ledger — see ledger.js
+// - nassau: match.nassau { amount, pressAt } opt-in side bet (front / back / overall + presses) — see nassau.js
+// - groupGame: match.groupGame { type: "WOLF", ... } played by the match's four players — see groupGames.js
+// - player stats: per-day / overall scoring blocks from individual gross scores, greensomes drives — see stats.js
+// - player records: W-L-H, points, holes won / margin per player from final matches — see records.js
+// - edition: an archived year { year, teams, points, winnerTeamId, players, matches, rounds }
+//   (players linked across years by name); all-time records and head-to-head — see history.js
+// - round: { startHole, holesToPlay } (day-level, or per match for shotgun starts) — see resolveRound
+// - teams: tournament.teams [{ id, name, abbr, color, logo? }] (default: the two original teams) — see teams.js
+// - points: match.points / day.matchPoints (default 1), day.bonusPoints, tournament.cup — see points.js
+// - day.type: "STROKE_PLAY" for medal days; day.strokePlay: { scoring, method, ... } — see strokePlay.js
+// - win probability: { aWin, halve, bWin, isFinal } per match; Cup odds by simulation — see winProbability.js
+// - scenario: { [matchId]: teamId | "HALVE" } hypothetical results for open matches — see scenarios.js
+// - allowances: { fourballPct, singlesPct, foursomesPct, greensomes*Pct, scramble*Pct } (day- or match-level)
+
+export {
+  strokesReceivedOnHole,
+  netScore,
+  formatHcp,
+  parseHcpInput,
+  ALLOWANCE_KEYS,
+  DEFAULT_ALLOWANCES,
+  normalizeAllowances,
+  resolveAllowances,
+  playingHcp,
+  playingHcpForMatch,
+  matchPlayingHcps,
+  foursomesTeamHcp,
+  greensomesTeamHcp,
+  scrambleTeamHcp,
+} from "./handicap.js";
+export {
+  STABLEFORD_KEYS,
+  STABLEFORD_PRESETS,
+  DEFAULT_STABLEFORD_TABLE,
+  stablefordFromDiff,
+  normalizeStablefordTable,
+  resolveStablefordTable,
+  stablefordPresetId,
+} from "./stableford.js";
+export {
+  computeMatchHoles,
+  matchStatusFromHoles,
+  stablefordTotalsStatusFromHoles,
+  computeMatchStatus,
+  pointsForFinalMatch,
+  projectedMatchPoints,
+  greensomesDriveCounts,
+  holeConcededTo,
+  matchConcededTo,
+  matchForfeit,
+  resolveMustHaveWinner,
+  scorecardHole,
+  ordinal,
+} from "./matchPlay.js";
+export {
+  SKINS_BASIS,
+  DEFAULT_SKINS,
+  FLAT_SKINS_POOL,
+  normalizeSkins,
+  resolveSkins,
+  isSkinsEntrant,
+  skinsPool,
+  computeSkins,
+  computeSkinsDay13Net,
+  computeSkinsDay2Stableford,
+} from "./skins.js";
+export { isDayFinal, computeTournamentTotals } from "./totals.js";
+export {
+  findPlayerGrossForDay,
+  findPlayerMatchForDay,
+  computeBroadcastScoreboard,
+  computeSkinsStandings,
+} from "./leaderboard.js";
+export {
+  CONTEST_TYPES,
+  DEFAULT_CONTEST_PRIZE,
+  normalizeContests,
+  resolveContests,
+  contestOnHole,
+  suggestedContests,
+  contestMeasurements,
+  computeContests,
+} from "./contests.js";
+export {
+  DEFAULT_NASSAU,
+  normalizeNassau,
+  resolveNassau,
+  computeNassau,
+  computeNassauSettlements,
+} from "./nassau.js";
+export { LEDGER_SOURCES, computeMoneyLedger } from "./ledger.js";
+export {
+  SCORE_TYPES,
+  STAT_LEADERS,
+  summarizeHoles,
+  playerScoredHoles,
+  playerDriveCounts,
+  computePlayerStats,
+} from "./stats.js";
+export { sidePlayers, computePlayerRecords } from "./records.js";
+export {
+  historyPlayerKey,
+  normalizeEdition,
+  parseEditionsImport,
+  snapshotEdition,
+  computeAllTime,
+  computeHeadToHead,
+} from "./history.js";
+export { WOLF_CHOICES, DEFAULT_WOLF_POINTS, normalizeWolf, wolfForHole, computeWolf } from "./wolf.js";
+export {
+  GROUP_GAMES,
+  groupGamePlayers,
+  availableGroupGames,
+  resolveGroupGame,
+  computeGroupGame,
+} from "./groupGames.js";
+export {
+  courseHandicapFromIndex,
+  resolveTeeSet,
+  playerCourseHcp,
+  dayPlayers,
+  dayPlayersById,
+  describeCourseHcp,
+} from "./whs.js";
+export { resolveRound, roundHoles, roundLabel } from "./round.js";
+export {
+  PICK_UP,
+  MAX_SCORE_TYPES,
+  DEFAULT_MAX_SCORE,
+  normalizeMaxScore,
+  resolveMaxScore,
+  isPickUp,
+  maxHoleScore,
+  pickUpScore,
+  holeGross,
+  describeMaxScore,
+} from "./maxScore.js";
+export {
+  sidePlayersOnHole,
+  matchLineupOnHole,
+  matchParticipants,
+  matchHasScores,
+  substitutionPatch,
+} from "./lineup.js";
+export {
+  STROKE_PLAY_SCORING,
+  STROKE_PLAY_METHODS,
+  DEFAULT_STROKE_PLAY,
+  isStrokePlayDay,
+  normalizeStrokePlay,
+  resolveStrokePlay,
+  computeStrokePlayDay,
+  strokePlayPoints,
+  strokePlayAvailablePoints,
+} from "./strokePlay.js";
+export {
+  DEFAULT_CUP,
+  resolveMatchPoints,
+  resolveBonusPoints,
+  normalizeCup,
+  dayAggregate,
+  bonusPointsFromAggregate,
+  teamReach,
+  computeCupStatus,
+} from "./points.js";
+export {
+  holeScoreDistribution,
+  holeMarginDistribution,
+  matchWinProbability,
+  computeWinProbabilities,
+  winProbabilityKey,
+} from "./winProbability.js";
+export {
+  SCENARIO_HALVE,
+  openMatchCards,
+  leaderWinsScenario,
+  applyScenario,
+  minimalWinningSets,
+} from "./scenarios.js";
+export {
+  TEAM_COLORS,
+  DEFAULT_TEAMS,
+  normalizeTeams,
+  tournamentTeamIds,
+  emptyTeamPoints,
+  addTeamPoints,
+  leadingTeams,
+  roundRobinSessions,
+} from "./teams.js";
+export { holesFromParAndHcp, COURSES } from "./courses.js";
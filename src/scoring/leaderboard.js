@@ -0,0 +1,344 @@
+// src/scoring/leaderboard.js
+// Broadcast scoreboard rows (pure, no UI)
+
+import {
+  netScore,
+  strokesReceivedOnHole,
+  resolveAllowances,
+  scrambleTeamHcp,
+  matchPlayingHcps,
+} from "./handicap.js";
+import { stablefordFromDiff, resolveStablefordTable } from "./stableford.js";
+import { resolveSkins, isSkinsEntrant, skinsPool, computeSkins } from "./skins.js";
+import { dayPlayers } from "./whs.js";
+import { holeConcededTo } from "./matchPlay.js";
+import { matchParticipants, matchLineupOnHole } from "./lineup.js";
+import { resolveMaxScore, holeGross, isPickUp } from "./maxScore.js";
+import { resolveRound, roundHoles } from "./round.js";
+
+/**
+ * Gross a player entered on a hole in any of the day's matches ("X" = pick-up), or null.
+ * Conceded holes don't count as individual scores.
+ */
+export function findPlayerGrossForDay({ matchCards, playerId, holeNum }) {
+  for (const mc of matchCards || []) {
+    const m = mc.match;
+    if (!m) continue;
+
+    if (!matchParticipants(m).includes(playerId)) continue;
+    if (holeConcededTo(m, holeNum)) return null;
+
+    // Singles
+    const sg = m.singlesGrossByPlayer?.[playerId]?.[holeNum];
+    if (sg != null) return sg;
+
+    // Fourball
+    const fg = m.fourballGrossByPlayer?.[playerId]?.[holeNum];
+    if (fg != null) return fg;
+  }
+
+  return null;
+}
+
+/**
+ * The day's match a player is in (including as a substitute or substituted-out player), or null.
+ */
+export function findPlayerMatchForDay({ matchCards, playerId }) {
+  for (const mc of matchCards || []) {
+    const m = mc.match;
+    if (m && matchParticipants(m).includes(playerId)) return m;
+  }
+  return null;
+}
+
+/**
+ * Input: { tournament, day, totals (computeTournamentTotals), playersById }
+ *
+ * Output: { rows, holes, skins: { totalSkins, pool, skinValue, entrants, entrantIds, carry, config } }
+ * - holes: the day's round in play order (see resolveRound) — the scoreboard columns
+ * - skins follow the day's settings (resolveSkins); skinValue = pool / skins won so far;
+ *   entrantIds: who plays for them (skins.entrants, else the day's field)
+ * - Day 2 rows are scramble duos ranked by Stableford points
+ * - Other days' rows are individuals ranked by net to-par
+ * - nets use the same allowances as the player's (or duo's) match (stroke play: the day's allowance)
+ * - conceded holes are left out of individual scores and skins
+ * - pick-ups ("X") count at the match's maximum hole score (see resolveMaxScore)
+ * - row: { key, teamId, playerIds, holes, inSkins, skinsWon, ... }
+ * - row.holes: { [holeNum]: { display, ..., netToPar, grossToPar, isSkin } }
+ */
+export function computeBroadcastScoreboard({ tournament, day, totals, playersById }) {
+  const daySummary = totals.daySummaries?.find((x) => x.day === day);
+  // Stroke play days have playing groups instead of match cards
+  const matchCards = daySummary?.strokePlay
+    ? (daySummary.groups || []).map((match) => ({ match }))
+    : daySummary?.matchCards || [];
+  const dayObj = (tournament.days || []).find((x) => x.day === day);
+  const holes = roundHoles(tournament.courses?.[day]?.holes || [], resolveRound(dayObj, null));
+  const holeNums = holes.map((h) => h.hole);
+  const players = dayPlayers(tournament.players, tournament.courses?.[day]);
+  const dayById = Object.fromEntries(players.map((p) => [p.id, p]));
+  const skinsConfig = resolveSkins(dayObj);
+
+  // Skins over the entered rows, flags + per-row counts applied in place
+  const applySkins = (rows, scoring) => {
+    for (const r of rows) r.inSkins = isSkinsEntrant(skinsConfig, r.playerIds);
+    const skins = computeSkins({
+      entries: rows.filter((r) => r.inSkins),
+      holesCount: holes.length,
+      holeNums,
+      ...scoring,
+      carryover: skinsConfig.carryover,
+      birdieOrBetter: skinsConfig.birdieOrBetter,
+    });
+
+    for (const r of rows) {
+      r.skinsWon = skins.countByKey[r.key] || 0;
+
+      for (const [holeNumStr, winnerKey] of Object.entries(skins.winnerByHole)) {
+        const holeNum = Number(holeNumStr);
+        if (!Number.isFinite(holeNum)) continue;
+        if (r.holes?.[holeNum]) r.holes[holeNum].isSkin = winnerKey === r.key;
+      }
+    }
+
+    // The day's field: everyone in a match or group that day (the rest of the roster doesn't buy in)
+    const field = [...new Set(matchCards.flatMap((mc) => (mc.match ? matchParticipants(mc.match) : [])))];
+    const pool = skinsPool(skinsConfig, field.length);
+    const entrantIds = skinsConfig.entrants ?? field;
+    return {
+      totalSkins: skins.totalSkins,
+      pool,
+      skinValue: skins.totalSkins > 0 ? pool / skins.totalSkins : 0,
+      entrants: entrantIds.length,
+      entrantIds,
+      carry: skins.carry,
+      config: skinsConfig,
+    };
+  };
+
+  // Day 2: duos ranked by total Stableford points
+  if (day === 2 && !daySummary?.strokePlay) {
+    const duos = [];
+
+    for (const mc of matchCards) {
+      const m = mc.match;
+      if (!m || m.format !== "SCRAMBLE_STABLEFORD") continue;
+      const table = resolveStablefordTable(dayObj, m);
+      const allowances = resolveAllowances(dayObj, m);
+      const maxScore = resolveMaxScore(dayObj, m);
+
+      for (const side of [m.sideA, m.sideB]) {
+        const pids = side.playerIds || [];
+        const n1 = playersById[pids[0]]?.name || "—";
+        const n2 = playersById[pids[1]]?.name || "—";
+        const teamHcp = scrambleTeamHcp(pids, dayById, allowances);
+
+        const holesMap = {};
+        let totalPts = 0;
+        let totalStrokes = 0;
+        let parPlayed = 0;
+        let playedAny = false;
+
+        for (let i = 0; i < holes.length; i++) {
+          const holeNum = holes[i].hole;
+          const par = holes[i]?.par ?? 0;
+          const hcpRank = holes[i]?.hcpRank ?? 0;
+          const raw = m.scrambleGrossBySide?.[side.id]?.[holeNum] ?? null;
+          const strokes = strokesReceivedOnHole(teamHcp, hcpRank);
+          const entered = holeGross(raw, maxScore, { par, strokes });
+
+          if (entered == null) {
+            holesMap[holeNum] = { display: "—", pts: null, strokes: null };
+            continue;
+          }
+
+          playedAny = true;
+          parPlayed += par; // only count par when played
+          const diff = entered - strokes - par;
+          const pts = stablefordFromDiff(diff, table);
+
+          totalPts += pts;
+          totalStrokes += entered;
+
+          holesMap[holeNum] = {
+            display: String(pts),
+            pts,
+            strokes: entered,
+            netToPar: diff,
+            grossToPar: entered - par,
+            pickedUp: isPickUp(raw),
+          };
+        }
+
+        const toPar = playedAny ? totalStrokes - parPlayed : null;
+
+        duos.push({
+          key: `${m.id}:${side.id}`,
+          teamId: side.teamId,
+          playerIds: pids,
+          duoNames: [n1, n2],
+          holes: holesMap,
+          totalPts,
+          totalStrokes: playedAny ? totalStrokes : null,
+          toPar,
+          skinsWon: 0,
+        });
+      }
+    }
+
+    // Skins: unique best points (net) or fewest strokes (gross) on each hole
+    const skins = applySkins(
+      duos,
+      skinsConfig.basis === "GROSS" ? { field: "strokes" } : { field: "pts", higherWins: true }
+    );
+
+    // Rank: points desc, tiebreak strokes asc
+    duos.sort((a, b) => {
+      const dp = (b.totalPts ?? 0) - (a.totalPts ?? 0);
+      if (dp !== 0) return dp;
+      const as = a.totalStrokes ?? Number.POSITIVE_INFINITY;
+      const bs = b.totalStrokes ?? Number.POSITIVE_INFINITY;
+      return as - bs;
+    });
+
+    return { rows: duos, holes, skins };
+  }
+
+  // Days 1 & 3: individuals ranked by NET to-par (live)
+  const rows = players.map((p) => {
+    const pm = findPlayerMatchForDay({ matchCards, playerId: p.id });
+    const pmAllowances = pm ? resolveAllowances(dayObj, pm) : null;
+    const maxScore = resolveMaxScore(dayObj, pm);
+    const pmOrder = pm ? roundHoles(tournament.courses?.[day]?.holes || [], resolveRound(dayObj, pm)).map((h) => h.hole) : [];
+    const spRow = daySummary?.strokePlay?.rows.find((r) => r.playerId === p.id);
+    // Playing handicap with the lineup of the hole (substitutions change off-the-low)
+    const hcpOnHole = (holeNum) => {
+      if (spRow) return spRow.playingHcp;
+      if (!pm) return p.courseHcp;
+      const lineup = matchLineupOnHole(pm, holeNum, pmOrder);
+      return matchPlayingHcps(lineup, dayById, pmAllowances)[p.id] ?? 0;
+    };
+    const holesMap = {};
+    let grossTotal = 0;
+    let netTotal = 0;
+
+    let parPlayed = 0; // only count par for holes actually played
+    let playedCount = 0; // number of holes with a score
+    let playedAny = false;
+
+    for (let i = 0; i < holes.length; i++) {
+      const holeNum = holes[i].hole;
+      const par = holes[i]?.par ?? 0;
+      const hcpRank = holes[i]?.hcpRank ?? 0;
+
+      const raw = findPlayerGrossForDay({ matchCards, playerId: p.id, holeNum });
+      const hcp = hcpOnHole(holeNum);
+      const gross = holeGross(raw, maxScore, { par, strokes: strokesReceivedOnHole(hcp, hcpRank) });
+
+      if (gross == null) {
+        holesMap[holeNum] = { display: "—", gross: null, net: null };
+        continue;
+      }
+
+      playedAny = true;
+      playedCount += 1;
+      parPlayed += par;
+
+      const net = netScore(gross, hcp, hcpRank);
+
+      grossTotal += gross;
+      netTotal += net;
+
+      // show NET per-hole in the table cell
+      holesMap[holeNum] = {
+        display: String(net),
+        gross,
+        net,
+        netToPar: net - par,
+        grossToPar: gross - par,
+        pickedUp: isPickUp(raw),
+      };
+    }
+
+    const toPar = playedAny ? netTotal - parPlayed : null; // live to-par
+
+    return {
+      key: p.id,
+      teamId: p.teamId,
+      playerIds: [p.id],
+      name: p.name,
+      holes: holesMap,
+      grossTotal: playedAny ? grossTotal : null,
+      netTotal: playedAny ? netTotal : null,
+      toPar,
+      playedCount, // used for tie-breaking
+      skinsWon: 0,
+    };
+  });
+
+  const skins = applySkins(rows, { field: skinsConfig.basis === "GROSS" ? "gross" : "net" });
+
+  // Rank: toPar asc (lower better), then net asc, then holes played desc
+  rows.sort((a, b) => {
+    const atp = a.toPar ?? Number.POSITIVE_INFINITY;
+    const btp = b.toPar ?? Number.POSITIVE_INFINITY;
+    if (atp !== btp) return atp - btp;
+
+    const an = a.netTotal ?? Number.POSITIVE_INFINITY;
+    const bn = b.netTotal ?? Number.POSITIVE_INFINITY;
+    if (an !== bn) return an - bn;
+
+    const ap = a.playedCount ?? 0;
+    const bp = b.playedCount ?? 0;
+    return bp - ap;
+  });
+
+  return { rows, holes, skins };
+}
+
+/**
+ * Skins across every day. Input: as computeBroadcastScoreboard (without day).
+ *
+ * Output: { days: [{ day, pool, totalSkins, skinValue, carry, entrantIds, buyIn }], rows, pool, paid }
+ * - row: { playerId, teamId, skins, winnings, byDay: { [day]: { skins, winnings } } }
+ *   for every player entered on at least one day, most winnings first
+ * - a duo's skins count for both players, its winnings are split between them
+ * - paid: winnings awarded so far (the rest of the pool hasn't been won yet)
+ */
+export function computeSkinsStandings({ tournament, totals, playersById }) {
+  const byPlayer = {};
+  const days = [];
+
+  for (const d of tournament.days || []) {
+    const sb = computeBroadcastScoreboard({ tournament, day: d.day, totals, playersById });
+    const { pool, totalSkins, skinValue, carry, entrantIds, config } = sb.skins;
+    days.push({ day: d.day, pool, totalSkins, skinValue, carry, entrantIds, buyIn: config.buyIn });
+
+    for (const r of sb.rows) {
+      if (!r.inSkins) continue;
+      const pids = r.playerIds.filter(Boolean);
+      const winnings = r.skinsWon * sb.skins.skinValue;
+
+      for (const pid of pids) {
+        const row = (byPlayer[pid] ??= {
+          playerId: pid,
+          teamId: playersById[pid]?.teamId ?? r.teamId,
+          skins: 0,
+          winnings: 0,
+          byDay: {},
+        });
+        row.skins += r.skinsWon;
+        row.winnings += winnings / pids.length;
+        row.byDay[d.day] = { skins: r.skinsWon, winnings: winnings / pids.length };
+      }
+    }
+  }
+
+  const rows = Object.values(byPlayer).sort((a, b) => b.winnings - a.winnings || b.skins - a.skins);
+  return {
+    days,
+    rows,
+    pool: days.reduce((s, d) => s + d.pool, 0),
+    paid: rows.reduce((s, r) => s + r.winnings, 0),
+  };
+}
@@ -0,0 +1,69 @@
+// src/scoring/ledger.js
+// Money ledger: what each player has won (or lost) on the side (pure, no UI)
+
+import { computeSkinsStandings } from "./leaderboard.js";
+import { computeContests } from "./contests.js";
+import { computeNassauSettlements } from "./nassau.js";
+import { isDayFinal } from "./totals.js";
+
+export const LEDGER_SOURCES = ["SKINS", "CTP", "LONG_DRIVE", "NASSAU"];
+
+/**
+ * Input: { tournament, totals (computeTournamentTotals), playersById }
+ *
+ * Output: { rows, total }
+ * - row: { playerId, teamId, total, bySource: { [source]: amount }, items }
+ * - item: { day, source, hole?, matchId?, amount } — skins are one item per day, contests one per
+ *   hole won, Nassau one per match (negative when the player owes)
+ * - skins settle once the day is final (see isDayFinal): winnings less the day's buy-in for each
+ *   entrant; with no buy-in the flat pool is prize money and winnings count in full
+ * - contests only count once decided (see computeContests); tied winners split the prize
+ * - Nassau bets only count once decided (see computeNassau)
+ * - rows: players with anything won or owed, biggest total first
+ */
+export function computeMoneyLedger({ tournament, totals, playersById }) {
+  const byPlayer = {};
+  const add = (playerId, item) => {
+    if (!item.amount) return;
+    const row = (byPlayer[playerId] ??= {
+      playerId,
+      teamId: playersById[playerId]?.teamId ?? null,
+      total: 0,
+      bySource: Object.fromEntries(LEDGER_SOURCES.map((s) => [s, 0])),
+      items: [],
+    });
+    row.total += item.amount;
+    row.bySource[item.source] = (row.bySource[item.source] ?? 0) + item.amount;
+    row.items.push(item);
+  };
+
+  const skins = computeSkinsStandings({ tournament, totals, playersById });
+  for (const d of skins.days) {
+    if (!isDayFinal(totals.daySummaries?.find((x) => x.day === d.day))) continue;
+    const amounts = {};
+    if (d.buyIn != null) for (const pid of d.entrantIds) amounts[pid] = -d.buyIn;
+    for (const r of skins.rows) {
+      const cell = r.byDay[d.day];
+      if (cell) amounts[r.playerId] = (amounts[r.playerId] ?? 0) + cell.winnings;
+    }
+    for (const [pid, amount] of Object.entries(amounts)) add(pid, { day: d.day, source: "SKINS", amount });
+  }
+
+  for (const d of computeContests({ tournament, totals }).days) {
+    for (const c of d.contests) {
+      if (!c.decided || !c.winnerIds.length) continue;
+      for (const pid of c.winnerIds) {
+        add(pid, { day: d.day, source: c.type, hole: c.hole, amount: c.prize / c.winnerIds.length });
+      }
+    }
+  }
+
+  for (const m of computeNassauSettlements(totals).matches) {
+    for (const [pid, amount] of Object.entries(m.nassau.settlement)) {
+      add(pid, { day: m.day, source: "NASSAU", matchId: m.matchId, amount });
+    }
+  }
+
+  const rows = Object.values(byPlayer).sort((a, b) => b.total - a.total);
+  return { rows, total: rows.reduce((s, r) => s + r.total, 0) };
+}
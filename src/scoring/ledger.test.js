@@ -0,0 +1,64 @@
+// src/scoring/ledger.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeMoneyLedger } from "./ledger.js";
+import { computeTournamentTotals } from "./totals.js";
+
+// Par 4s, stroke index = hole number
+const holes = Array.from({ length: 18 }, (_, i) => ({ hole: i + 1, par: 4, hcpRank: i + 1 }));
+
+const players = [
+  { id: "a1", teamId: "JC", courseHcp: 0 },
+  { id: "b1", teamId: "SG", courseHcp: 0 },
+  { id: "a2", teamId: "JC", courseHcp: 0 },
+];
+const playersById = Object.fromEntries(players.map((p) => [p.id, p]));
+
+// a1 birdies the 1st for the only skin; a2 sits the day out
+function tournamentWith(skins, match = {}) {
+  return {
+    players,
+    courses: { 1: { name: "North", holes } },
+    days: [
+      {
+        day: 1,
+        title: "Singles",
+        skins,
+        matches: [
+          {
+            id: "m1",
+            format: "SINGLES_NET",
+            sideA: { id: "A", teamId: "JC", playerIds: ["a1"] },
+            sideB: { id: "B", teamId: "SG", playerIds: ["b1"] },
+            singlesGrossByPlayer: { a1: { 1: 3 }, b1: { 1: 4 } },
+            ...match,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function ledgerOf(tournament) {
+  const totals = computeTournamentTotals(tournament);
+  return computeMoneyLedger({ tournament, totals, playersById });
+}
+
+const amounts = (ledger) => Object.fromEntries(ledger.rows.map((r) => [r.playerId, r.bySource.SKINS]));
+
+test("skins don't settle while the day is live", () => {
+  assert.deepEqual(ledgerOf(tournamentWith({ buyIn: 10 })).rows, []);
+});
+
+test("a final day pays skins net of the buy-in", () => {
+  const ledger = ledgerOf(tournamentWith({ buyIn: 10 }, { concededMatch: { toSideId: "A", at: 1 } }));
+  // Two in the field: a $20 pool, all of it on the one skin
+  assert.deepEqual(amounts(ledger), { a1: 10, b1: -10 });
+  assert.equal(ledger.total, 0);
+});
+
+test("without a buy-in the flat pool is prize money", () => {
+  const ledger = ledgerOf(tournamentWith(null, { concededMatch: { toSideId: "A", at: 1 } }));
+  assert.deepEqual(amounts(ledger), { a1: 200 });
+});
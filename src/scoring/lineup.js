@@ -0,0 +1,100 @@
+// src/scoring/lineup.js
+// Who plays each hole of a match: substitutions mid-match (pure, no UI)
+//
+// side.playerIds is always the CURRENT lineup. Each substitution records who
+// came in for whom and from which hole, so holes before it still belong to
+// the player who played them (their scores stay keyed by their own id).
+//
+// match.substitutions: [{ sideId, outPlayerId, inPlayerId, fromHole, at }]
+//
+// holeOrder (optional): hole numbers in play order (see roundHoles), so a
+// sub "from hole 2" on a round started at 10 comes after holes 10–18.
+// Holes not in the order (playoff holes) come after every round hole.
+
+function playedBefore(holeNum, fromHole, holeOrder) {
+  if (!holeOrder?.length) return holeNum < fromHole;
+  const pos = (n) => {
+    const i = holeOrder.indexOf(n);
+    return i >= 0 ? i : holeOrder.length + n;
+  };
+  return pos(holeNum) < pos(fromHole);
+}
+
+/**
+ * Player ids for one side on a given hole (undoes substitutions made after it).
+ */
+export function sidePlayersOnHole(match, side, holeNum, holeOrder) {
+  const subs = (match.substitutions || []).filter((s) => s.sideId === side.id);
+  const ids = [...(side.playerIds || [])];
+
+  // Latest first, so chained subs (A → B → C) unwind correctly
+  for (let i = subs.length - 1; i >= 0; i--) {
+    const s = subs[i];
+    if (!playedBefore(holeNum, s.fromHole, holeOrder)) continue;
+    const idx = ids.indexOf(s.inPlayerId);
+    if (idx >= 0) ids[idx] = s.outPlayerId;
+  }
+  return ids;
+}
+
+/**
+ * The match as it stood on a given hole: same doc, sides carrying that hole's lineup.
+ */
+export function matchLineupOnHole(match, holeNum, holeOrder) {
+  if (!match.substitutions?.length) return match;
+  return {
+    ...match,
+    sideA: { ...match.sideA, playerIds: sidePlayersOnHole(match, match.sideA, holeNum, holeOrder) },
+    sideB: { ...match.sideB, playerIds: sidePlayersOnHole(match, match.sideB, holeNum, holeOrder) },
+  };
+}
+
+/**
+ * Everyone who played any part of the match (current lineup + substituted-out players).
+ */
+export function matchParticipants(match) {
+  const ids = [...(match.sideA?.playerIds || []), ...(match.sideB?.playerIds || [])];
+  for (const s of match.substitutions || []) {
+    if (!ids.includes(s.outPlayerId)) ids.push(s.outPlayerId);
+  }
+  return ids;
+}
+
+/**
+ * Has any score (or drive) been entered for the match?
+ */
+export function matchHasScores(match) {
+  const maps = [
+    match.fourballGrossByPlayer,
+    match.singlesGrossByPlayer,
+    match.scrambleGrossBySide,
+    match.foursomesGrossBySide,
+    match.greensomesGrossBySide,
+  ];
+  return maps.some((byKey) => Object.values(byKey || {}).some((perHole) => Object.keys(perHole || {}).length > 0));
+}
+
+/**
+ * Firestore patch for a substitution: swaps the player in the side's current
+ * lineup and appends the record. Throws if the outgoing player isn't on the side.
+ */
+export function substitutionPatch(match, { sideId, outPlayerId, inPlayerId, fromHole }) {
+  const key = match.sideA.id === sideId ? "sideA" : match.sideB.id === sideId ? "sideB" : null;
+  if (!key) throw new Error(`Unknown side ${sideId}`);
+
+  const side = match[key];
+  const idx = side.playerIds.indexOf(outPlayerId);
+  if (idx < 0) throw new Error(`${outPlayerId} is not playing for ${sideId}`);
+  if (!inPlayerId || side.playerIds.includes(inPlayerId)) throw new Error("Pick a player who isn't already in the side");
+
+  const playerIds = [...side.playerIds];
+  playerIds[idx] = inPlayerId;
+
+  return {
+    [key]: { ...side, playerIds },
+    substitutions: [
+      ...(match.substitutions || []),
+      { sideId, outPlayerId, inPlayerId, fromHole: Number(fromHole) || 1, at: Date.now() },
+    ],
+  };
+}
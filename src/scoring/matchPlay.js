@@ -0,0 +1,657 @@
+// src/scoring/matchPlay.js
+// Per-hole match results, match status and match points (pure, no UI)
+
+import {
+  netScore,
+  strokesReceivedOnHole,
+  DEFAULT_ALLOWANCES,
+  foursomesTeamHcp,
+  greensomesTeamHcp,
+  scrambleTeamHcp,
+  matchPlayingHcps,
+} from "./handicap.js";
+import { stablefordFromDiff, DEFAULT_STABLEFORD_TABLE } from "./stableford.js";
+import { roundHoles } from "./round.js";
+import { matchLineupOnHole } from "./lineup.js";
+import { DEFAULT_MAX_SCORE, holeGross, isPickUp } from "./maxScore.js";
+
+// Gross that counts for an entry (pick-ups and big numbers capped at the hole maximum)
+function cappedGross(entered, maxScore, h, hcp) {
+  return holeGross(entered, maxScore, { par: h.par, strokes: strokesReceivedOnHole(hcp, h.hcpRank) });
+}
+
+// One ball per side (foursomes / greensomes): net = side gross minus team-handicap strokes
+function oneBallNetHole(match, h, { type, grossBySide, teamHcp, maxScore, extra = {} }) {
+  const hole = h.hole;
+  const aEntered = grossBySide?.[match.sideA.id]?.[hole] ?? null;
+  const bEntered = grossBySide?.[match.sideB.id]?.[hole] ?? null;
+
+  const aHcp = teamHcp(match.sideA);
+  const bHcp = teamHcp(match.sideB);
+
+  const aGross = cappedGross(aEntered, maxScore, h, aHcp);
+  const bGross = cappedGross(bEntered, maxScore, h, bHcp);
+  const aPickUp = isPickUp(aEntered);
+  const bPickUp = isPickUp(bEntered);
+
+  if (aGross == null || bGross == null) {
+    return {
+      hole,
+      played: false,
+      winnerSideId: null,
+      details: { type, aHcp, bHcp, aGross: null, bGross: null, aNet: null, bNet: null, aPickUp, bPickUp, ...extra },
+    };
+  }
+
+  const aNet = netScore(aGross, aHcp, h.hcpRank);
+  const bNet = netScore(bGross, bHcp, h.hcpRank);
+
+  let winner = null;
+  if (aNet < bNet) winner = match.sideA.id;
+  else if (bNet < aNet) winner = match.sideB.id;
+
+  return {
+    hole,
+    played: true,
+    winnerSideId: winner,
+    details: { type, aHcp, bHcp, aGross, bGross, aNet, bNet, aPickUp, bPickUp, ...extra },
+  };
+}
+
+/**
+ * Per-hole results for one match.
+ *
+ * Input:
+ * - match: { format, sideA, sideB, fourballGrossByPlayer?, scrambleGrossBySide?,
+ *   foursomesGrossBySide?, greensomesGrossBySide?, greensomesDriveBySide?, singlesGrossByPlayer?,
+ *   concededHoles?, concededMatch?, substitutions?, forfeit? }
+ *   - side: { id, teamId, playerIds: string[] }
+ *   - *GrossByPlayer / *GrossBySide: { [playerId | sideId]: { [holeNum]: gross | "X" (pick-up) } }
+ * - holes: [{ hole, par, hcpRank }] (course scorecard for the match's day)
+ * - playersById: { [playerId]: { courseHcp, ... } }
+ * - opts.stablefordTable: points table for Stableford formats (see resolveStablefordTable)
+ * - opts.allowances: handicap allowances (see resolveAllowances)
+ * - opts.maxScore: maximum hole score rule (see resolveMaxScore) — caps pick-ups and big numbers
+ * - opts.round: { startHole, holesToPlay } (see resolveRound) — defaults to the full card from hole 1
+ * - opts.mustHaveWinner: extend a halved match into sudden-death playoff holes
+ *   (see resolveMustHaveWinner)
+ *
+ * Output (one entry per hole of the round in play order, then any playoff holes):
+ * - { hole, played, winnerSideId (null = halved / not played), details }
+ * - details.type is "fourball" | "scramble" | "foursomes" | "greensomes" | "singles"
+ * - details grosses are the capped scores; a/bPickUp (best.pickedUp for fourball) flag "X" entries
+ * - fourball details.nets: { [playerId]: net } for everyone with a score (used by group games)
+ * - playoff holes also carry { playoff: true, courseHole } — they are numbered on
+ *   from the scorecard (19, 20, ... on an 18-hole card) and replay the round's
+ *   holes in play order (same par and stroke index).
+ *   Playoff holes are appended one at a time: the next one only opens once
+ *   the previous one is halved.
+ * - conceded holes (match.concededHoles: { [holeNum]: sideId it was conceded to })
+ *   are won by that side whatever was entered, and carry { conceded: true }.
+ *   Stableford totals formats (scramble) ignore hole concessions.
+ * - each hole is scored with the lineup that played it (see matchLineupOnHole).
+ */
+export function computeMatchHoles(match, holes, playersById, opts = {}) {
+  const stablefordTable = opts.stablefordTable ?? DEFAULT_STABLEFORD_TABLE;
+  const allowances = opts.allowances ?? DEFAULT_ALLOWANCES;
+  const maxScore = opts.maxScore ?? DEFAULT_MAX_SCORE;
+  const order = roundHoles(holes, opts.round);
+  const holeOrder = order.map((h) => h.hole);
+
+  // Playing handicaps depend on who is in the lineup (substitutions), so cache per lineup
+  const lineups = {};
+  const lineupOnHole = (holeNum) => {
+    const lineup = matchLineupOnHole(match, holeNum, holeOrder);
+    const key = [...lineup.sideA.playerIds, "|", ...lineup.sideB.playerIds].join(",");
+    if (!lineups[key]) {
+      const playingHcps = matchPlayingHcps(lineup, playersById, allowances);
+      lineups[key] = { lineup, hcpOf: (pid) => playingHcps[pid] ?? 0 };
+    }
+    return lineups[key];
+  };
+
+  const scoredHole = (h, lineup, hcpOf) => {
+    const hole = h.hole;
+
+    if (lineup.format === "FOURBALL_NET") {
+      const aP = lineup.sideA.playerIds;
+      const bP = lineup.sideB.playerIds;
+
+      // A pick-up still counts for best ball, at the capped score
+      const entry = (pid) => {
+        const entered = lineup.fourballGrossByPlayer?.[pid]?.[hole] ?? null;
+        const gross = cappedGross(entered, maxScore, h, hcpOf(pid));
+        const net = playersById[pid] ? netScore(gross, hcpOf(pid), h.hcpRank) : null;
+        return { pid, gross, net, pickedUp: isPickUp(entered) };
+      };
+
+      const aNets = aP.map(entry).filter((x) => x.gross != null && x.net != null);
+      const bNets = bP.map(entry).filter((x) => x.gross != null && x.net != null);
+      // Every player's net on the hole (group games pair players up differently)
+      const nets = Object.fromEntries([...aNets, ...bNets].map((x) => [x.pid, x.net]));
+
+      if (aNets.length === 0 || bNets.length === 0) {
+        return {
+          hole,
+          played: false,
+          winnerSideId: null,
+          details: { type: "fourball", aBest: null, bBest: null, nets },
+        };
+      }
+
+      const aBest = aNets.reduce((best, cur) => (best == null || cur.net < best.net ? cur : best), null);
+      const bBest = bNets.reduce((best, cur) => (best == null || cur.net < best.net ? cur : best), null);
+
+      let winner = null;
+      if (aBest.net < bBest.net) winner = lineup.sideA.id;
+      else if (bBest.net < aBest.net) winner = lineup.sideB.id;
+
+      return { hole, played: true, winnerSideId: winner, details: { type: "fourball", aBest, bBest, nets } };
+    }
+
+    if (lineup.format === "SCRAMBLE_STABLEFORD") {
+      const getSideGross = (sideId) => lineup.scrambleGrossBySide?.[sideId]?.[hole] ?? null;
+      const aEntered = getSideGross(lineup.sideA.id);
+      const bEntered = getSideGross(lineup.sideB.id);
+
+      const aHcp = scrambleTeamHcp(lineup.sideA.playerIds, playersById, allowances);
+      const bHcp = scrambleTeamHcp(lineup.sideB.playerIds, playersById, allowances);
+
+      const aGross = cappedGross(aEntered, maxScore, h, aHcp);
+      const bGross = cappedGross(bEntered, maxScore, h, bHcp);
+      const aPickUp = isPickUp(aEntered);
+      const bPickUp = isPickUp(bEntered);
+
+      if (aGross == null || bGross == null) {
+        return {
+          hole,
+          played: false,
+          winnerSideId: null,
+          details: {
+            type: "scramble",
+            aHcp,
+            bHcp,
+            aGross: null,
+            bGross: null,
+            aNet: null,
+            bNet: null,
+            aPts: null,
+            bPts: null,
+            aPickUp,
+            bPickUp,
+          },
+        };
+      }
+
+      // Stableford points are scored on the side's net (gross when the allowance is 0)
+      const aNet = aGross - strokesReceivedOnHole(aHcp, h.hcpRank);
+      const bNet = bGross - strokesReceivedOnHole(bHcp, h.hcpRank);
+      const aPts = stablefordFromDiff(aNet - h.par, stablefordTable);
+      const bPts = stablefordFromDiff(bNet - h.par, stablefordTable);
+
+      let winner = null;
+      if (aPts > bPts) winner = lineup.sideA.id;
+      else if (bPts > aPts) winner = lineup.sideB.id;
+
+      return {
+        hole,
+        played: true,
+        winnerSideId: winner,
+        details: { type: "scramble", aHcp, bHcp, aGross, bGross, aNet, bNet, aPts, bPts, aPickUp, bPickUp },
+      };
+    }
+
+    if (lineup.format === "FOURSOMES_NET") {
+      return oneBallNetHole(lineup, h, {
+        type: "foursomes",
+        grossBySide: lineup.foursomesGrossBySide,
+        teamHcp: (side) => foursomesTeamHcp(side.playerIds, playersById, allowances),
+        maxScore,
+      });
+    }
+
+    if (lineup.format === "GREENSOMES_NET") {
+      const drive = (sideId) => lineup.greensomesDriveBySide?.[sideId]?.[hole] ?? null;
+      return oneBallNetHole(lineup, h, {
+        type: "greensomes",
+        grossBySide: lineup.greensomesGrossBySide,
+        teamHcp: (side) => greensomesTeamHcp(side.playerIds, playersById, allowances),
+        maxScore,
+        extra: { aDrive: drive(lineup.sideA.id), bDrive: drive(lineup.sideB.id) },
+      });
+    }
+
+    // Singles
+    const aPid = lineup.sideA.playerIds[0];
+    const bPid = lineup.sideB.playerIds[0];
+
+    const aEntered = lineup.singlesGrossByPlayer?.[aPid]?.[hole] ?? null;
+    const bEntered = lineup.singlesGrossByPlayer?.[bPid]?.[hole] ?? null;
+    const aGross = cappedGross(aEntered, maxScore, h, hcpOf(aPid));
+    const bGross = cappedGross(bEntered, maxScore, h, hcpOf(bPid));
+    const aPickUp = isPickUp(aEntered);
+    const bPickUp = isPickUp(bEntered);
+
+    if (aGross == null || bGross == null) {
+      return {
+        hole,
+        played: false,
+        winnerSideId: null,
+        details: { type: "singles", aGross: null, bGross: null, aNet: null, bNet: null, aPickUp, bPickUp },
+      };
+    }
+
+    const aNet = playersById[aPid] ? netScore(aGross, hcpOf(aPid), h.hcpRank) : null;
+    const bNet = playersById[bPid] ? netScore(bGross, hcpOf(bPid), h.hcpRank) : null;
+
+    let winner = null;
+    if (aNet != null && bNet != null) {
+      if (aNet < bNet) winner = lineup.sideA.id;
+      else if (bNet < aNet) winner = lineup.sideB.id;
+    }
+
+    return {
+      hole,
+      played: true,
+      winnerSideId: winner,
+      details: { type: "singles", aGross, bGross, aNet, bNet, aPickUp, bPickUp },
+    };
+  };
+
+  const holeResult = (h) => {
+    const { lineup, hcpOf } = lineupOnHole(h.hole);
+    const r = scoredHole(h, lineup, hcpOf);
+    const concededTo = holeConcededTo(match, h.hole);
+    return concededTo ? { ...r, played: true, winnerSideId: concededTo, conceded: true } : r;
+  };
+
+  const regulation = order.map(holeResult);
+  if (!opts.mustHaveWinner || order.length === 0) return regulation;
+
+  const regStatus = computeMatchStatus(match, regulation);
+  if (!regStatus.isFinal || !regStatus.isTied) return regulation;
+
+  const out = [...regulation];
+  for (let n = 1; n <= MAX_PLAYOFF_HOLES; n++) {
+    const meta = scorecardHole(holes, holes.length + n, opts.round);
+    const r = { ...holeResult(meta), playoff: true, courseHole: meta.courseHole };
+    out.push(r);
+    if (!r.played || r.winnerSideId) break;
+  }
+  return out;
+}
+
+// -----------------------
+// Concessions
+// -----------------------
+
+/**
+ * Side a hole was conceded to, or null. Only hole-by-hole formats take hole concessions.
+ */
+export function holeConcededTo(match, holeNum) {
+  if (match.format === "SCRAMBLE_STABLEFORD") return null;
+  const sideId = match.concededHoles?.[holeNum] ?? null;
+  return sideId === match.sideA.id || sideId === match.sideB.id ? sideId : null;
+}
+
+/**
+ * Forfeit / walkover result, or null. match.forfeit: { type: "WALKOVER" | "FORFEIT", toSideId, at }
+ * - WALKOVER: the other side never teed off; FORFEIT: the other side withdrew
+ */
+export function matchForfeit(match) {
+  const f = match.forfeit;
+  if (!f || (f.toSideId !== match.sideA.id && f.toSideId !== match.sideB.id)) return null;
+  return { type: f.type === "FORFEIT" ? "FORFEIT" : "WALKOVER", toSideId: f.toSideId };
+}
+
+/**
+ * Side a whole match was conceded to, or null (match.concededMatch: { toSideId, at }).
+ */
+export function matchConcededTo(match) {
+  const sideId = match.concededMatch?.toSideId ?? null;
+  return sideId === match.sideA.id || sideId === match.sideB.id ? sideId : null;
+}
+
+// -----------------------
+// Sudden-death playoffs
+// -----------------------
+
+const MAX_PLAYOFF_HOLES = 18;
+
+/**
+ * Does this match need a winner (no halves)? Match setting wins over the day setting.
+ */
+export function resolveMustHaveWinner(day, match) {
+  return !!(match?.mustHaveWinner ?? day?.mustHaveWinner ?? false);
+}
+
+/**
+ * Scorecard data for any hole number on the card, including playoff holes
+ * past the last scorecard hole (which replay the round in play order).
+ * Output: { hole, par, hcpRank, courseHole, playoff }
+ */
+export function scorecardHole(holes, holeNum, round) {
+  const count = holes.length;
+  if (!count) return { hole: holeNum, par: 0, hcpRank: 0, courseHole: holeNum, playoff: false };
+
+  const playoff = holeNum > count;
+  const order = playoff ? roundHoles(holes, round) : null;
+  const base = playoff
+    ? order[(holeNum - count - 1) % order.length]
+    : holes.find((h) => h.hole === holeNum) ?? holes[holeNum - 1];
+  return { ...base, hole: holeNum, courseHole: base?.hole ?? holeNum, playoff };
+}
+
+/**
+ * "1st", "2nd", "19th", "21st"...
+ */
+export function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  const suffix = { 1: "st", 2: "nd", 3: "rd" }[n % 10] ?? "th";
+  return `${n}${suffix}`;
+}
+
+// -----------------------
+// Match play status (Days 1 & 3, etc.) — "clinch locks" the final
+// We still allow entering holes after the match is decided,
+// but the displayed final result stays the clinch score (e.g. 4&3).
+// -----------------------
+
+/**
+ * Regulation holes only, in play order (computeMatchStatus handles playoff holes).
+ * Each entry: { hole?, played, winnerSideId } — hole defaults to its position.
+ * When the round doesn't start on hole 1, live text notes the start ("2 Up Thru 5 (Start #10)").
+ * Output: { aHoles, bHoles, played, isFinal, text, leaderSideId, isTied, clinchedAtHole? }
+ */
+export function matchStatusFromHoles(holes, sideAId, sideBId) {
+  let a = 0;
+  let b = 0;
+  let played = 0;
+
+  const totalHoles = Array.isArray(holes) && holes.length ? holes.length : 18;
+  const startHole = holes?.[0]?.hole ?? 1;
+  const startNote = startHole !== 1 ? ` (Start #${startHole})` : "";
+
+  // Track the earliest clinch moment (if any)
+  // clinchedAt = hole number when the match was first decided
+  // clinchUp / clinchToPlay = the "X&Y" at that moment
+  let clinchedAt = null;
+  let clinchLeader = "AS"; // "A" | "B" | "AS"
+  let clinchUp = 0;
+  let clinchToPlay = 0;
+
+  // Evaluate holes in play order so we can capture the first clinch moment.
+  // Remaining = holes of the round still without a result, wherever they fall.
+  for (let i = 0; i < holes.length; i++) {
+    const h = holes[i];
+    const holeNum = h?.hole ?? i + 1;
+
+    if (!h?.played) continue;
+
+    played += 1;
+
+    if (h.winnerSideId === sideAId) a += 1;
+    else if (h.winnerSideId === sideBId) b += 1;
+
+    const remaining = totalHoles - played;
+    const diff = a - b;
+    const abs = Math.abs(diff);
+    const leader = diff > 0 ? "A" : diff < 0 ? "B" : "AS";
+
+    // Clinched once abs > remaining. Capture the FIRST time only.
+    if (clinchedAt == null && played > 0 && abs > remaining) {
+      clinchedAt = holeNum;
+      clinchLeader = leader;
+      clinchUp = abs;
+      clinchToPlay = remaining;
+    }
+  }
+
+  // Not started
+  if (played === 0) {
+    return {
+      aHoles: 0,
+      bHoles: 0,
+      played: 0,
+      isFinal: false,
+      text: "Not Started",
+      leaderSideId: null,
+      isTied: false,
+    };
+  }
+
+  // If match was clinched at some point, lock final display to that clinch
+  if (clinchedAt != null) {
+    const leaderSideId = clinchLeader === "A" ? sideAId : clinchLeader === "B" ? sideBId : null;
+    // Decided on the last hole reads "1 Up", not "1&0"
+    const clinchText = clinchToPlay === 0 ? `${clinchUp} Up` : `${clinchUp}&${clinchToPlay}`;
+
+    return {
+      aHoles: a,
+      bHoles: b,
+      played,
+      isFinal: true,
+      text: clinchLeader === "AS" ? "Final AS" : `Final ${clinchText}`,
+      leaderSideId,
+      isTied: clinchLeader === "AS",
+      clinchedAtHole: clinchedAt,
+    };
+  }
+
+  // If NOT clinched, compute current live status normally
+  const diff = a - b;
+  const abs = Math.abs(diff);
+  const leaderSideId = diff > 0 ? sideAId : diff < 0 ? sideBId : null;
+
+  // Finished all holes (no clinch means it came down to the last hole)
+  if (played === totalHoles) {
+    if (diff === 0) {
+      return {
+        aHoles: a,
+        bHoles: b,
+        played,
+        isFinal: true,
+        text: "Final AS",
+        leaderSideId: null,
+        isTied: true,
+      };
+    }
+    return {
+      aHoles: a,
+      bHoles: b,
+      played,
+      isFinal: true,
+      text: `Final ${abs} Up`,
+      leaderSideId,
+      isTied: false,
+    };
+  }
+
+  // In progress
+  if (diff === 0) {
+    return {
+      aHoles: a,
+      bHoles: b,
+      played,
+      isFinal: false,
+      text: `AS Thru ${played}${startNote}`,
+      leaderSideId: null,
+      isTied: true,
+    };
+  }
+
+  return {
+    aHoles: a,
+    bHoles: b,
+    played,
+    isFinal: false,
+    text: `${abs} Up Thru ${played}${startNote}`,
+    leaderSideId,
+    isTied: false,
+  };
+}
+
+// -----------------------
+// Day 2 match status (Scramble Stableford) — show running totals like "12–9"
+// -----------------------
+
+/**
+ * Final once every hole of the round (matchHoles) has been scored.
+ * Output: { played, isFinal, text, leaderSideId, isTied, aTotalPts, bTotalPts }
+ */
+export function stablefordTotalsStatusFromHoles(matchHoles, sideAId, sideBId) {
+  let aTotal = 0;
+  let bTotal = 0;
+  let played = 0;
+  const totalHoles = matchHoles.length || 18;
+
+  for (const h of matchHoles) {
+    if (!h.played) continue;
+    if (h.details?.type !== "scramble") continue;
+
+    const aPts = h.details?.aPts;
+    const bPts = h.details?.bPts;
+    if (aPts == null || bPts == null) continue;
+
+    played += 1;
+    aTotal += aPts;
+    bTotal += bPts;
+  }
+
+  if (played === 0) {
+    return {
+      played: 0,
+      isFinal: false,
+      text: "—",
+      leaderSideId: null,
+      isTied: true,
+      aTotalPts: 0,
+      bTotalPts: 0,
+    };
+  }
+
+  const diff = aTotal - bTotal;
+  const leaderSideId = diff > 0 ? sideAId : diff < 0 ? sideBId : null;
+  const isTied = diff === 0;
+
+  return {
+    played,
+    isFinal: played === totalHoles,
+    text: `${aTotal}–${bTotal}`, // show only running totals
+    leaderSideId,
+    isTied,
+    aTotalPts: aTotal,
+    bTotalPts: bTotal,
+  };
+}
+
+function regulationStatus(match, matchHoles) {
+  if (match.format === "SCRAMBLE_STABLEFORD") {
+    return stablefordTotalsStatusFromHoles(matchHoles, match.sideA.id, match.sideB.id);
+  }
+
+  return matchStatusFromHoles(
+    matchHoles.map((x) => ({ hole: x.hole, played: x.played, winnerSideId: x.winnerSideId })),
+    match.sideA.id,
+    match.sideB.id
+  );
+}
+
+/**
+ * Status for a match from its computed holes, picking the right
+ * status model for the match format.
+ *
+ * A walkover / forfeit (match.forfeit) or conceded match (match.concededMatch)
+ * is final for the side it went to, whatever the holes say — no hole data needed.
+ *
+ * Playoff holes (see computeMatchHoles) only count once regulation ends
+ * halved: the first playoff hole won decides the match ("Won on 19th").
+ * Until then the match stays live as "AS • Playoff".
+ */
+export function computeMatchStatus(match, matchHoles) {
+  const regulation = matchHoles.filter((h) => !h.playoff);
+  const playoff = matchHoles.filter((h) => h.playoff);
+  const status = regulationStatus(match, regulation);
+
+  const forfeit = matchForfeit(match);
+  if (forfeit) {
+    return {
+      ...status,
+      isFinal: true,
+      text: forfeit.type === "FORFEIT" ? "Final • Forfeit" : "Final • Walkover",
+      leaderSideId: forfeit.toSideId,
+      isTied: false,
+      forfeit: forfeit.type,
+    };
+  }
+
+  const concededTo = matchConcededTo(match);
+  if (concededTo) {
+    return { ...status, isFinal: true, text: "Final • Conceded", leaderSideId: concededTo, isTied: false, conceded: true };
+  }
+
+  if (playoff.length === 0 || !status.isFinal || !status.isTied) return status;
+
+  const decider = playoff.find((h) => h.played && h.winnerSideId);
+  if (decider) {
+    return {
+      ...status,
+      isFinal: true,
+      text: `Won on ${ordinal(decider.hole)}`,
+      leaderSideId: decider.winnerSideId,
+      isTied: false,
+      playoffHole: decider.hole,
+    };
+  }
+
+  const base = match.format === "SCRAMBLE_STABLEFORD" ? status.text : "AS";
+  return { ...status, isFinal: false, text: `${base} • Playoff`, leaderSideId: null, isTied: true };
+}
+
+// -----------------------
+// Points for overall team tally (value per match — see resolveMatchPoints)
+// -----------------------
+
+/**
+ * Output: { [teamId]: points } — zeroes until the match is final.
+ * - value: what the match is worth (default 1); a half splits it
+ */
+export function pointsForFinalMatch(status, sideA, sideB, value = 1) {
+  if (!status.isFinal) return { [sideA.teamId]: 0, [sideB.teamId]: 0 };
+
+  if (status.isTied) return { [sideA.teamId]: value / 2, [sideB.teamId]: value / 2 };
+
+  const winnerSideId = status.leaderSideId;
+  const winnerTeam = winnerSideId === sideA.id ? sideA.teamId : sideB.teamId;
+  const loserTeam = winnerTeam === sideA.teamId ? sideB.teamId : sideA.teamId;
+
+  return { [winnerTeam]: value, [loserTeam]: 0 };
+}
+
+/**
+ * "If it ended now": final matches score as usual, a live match goes to its
+ * current leader (split when level). Matches with nothing played score zero.
+ * Output: { [teamId]: points }
+ */
+export function projectedMatchPoints(status, sideA, sideB, value = 1) {
+  if (status.isFinal) return pointsForFinalMatch(status, sideA, sideB, value);
+  if (!status.played) return { [sideA.teamId]: 0, [sideB.teamId]: 0 };
+  return pointsForFinalMatch({ ...status, isFinal: true }, sideA, sideB, value);
+}
+
+/**
+ * Greensomes drive usage per player: { [playerId]: holes where their drive was played }.
+ * Conceded holes are not counted.
+ */
+export function greensomesDriveCounts(match) {
+  const counts = {};
+  for (const side of [match.sideA, match.sideB]) {
+    for (const pid of side.playerIds || []) counts[pid] = 0;
+    for (const [holeNum, pid] of Object.entries(match.greensomesDriveBySide?.[side.id] || {})) {
+      if (holeConcededTo(match, Number(holeNum))) continue;
+      if (pid != null && counts[pid] != null) counts[pid] += 1;
+    }
+  }
+  return counts;
+}
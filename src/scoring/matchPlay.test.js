@@ -0,0 +1,164 @@
+// src/scoring/matchPlay.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeMatchHoles, matchStatusFromHoles } from "./matchPlay.js";
+
+// Par 4s, stroke index = hole number
+const course = Array.from({ length: 18 }, (_, i) => ({ hole: i + 1, par: 4, hcpRank: i + 1 }));
+
+const playersById = {
+  a1: { id: "a1", teamId: "JC", courseHcp: 10 },
+  a2: { id: "a2", teamId: "JC", courseHcp: 4 },
+  b1: { id: "b1", teamId: "SG", courseHcp: 0 },
+  b2: { id: "b2", teamId: "SG", courseHcp: 18 },
+};
+
+function pairs(format, extra = {}) {
+  return {
+    id: "m1",
+    format,
+    sideA: { id: "A", teamId: "JC", playerIds: ["a1", "a2"] },
+    sideB: { id: "B", teamId: "SG", playerIds: ["b1", "b2"] },
+    ...extra,
+  };
+}
+
+// 18 regulation holes; winners: { [holeNum]: "A" | "B" | null } (missing = not played)
+function holes(winners) {
+  return Array.from({ length: 18 }, (_, i) => ({
+    hole: i + 1,
+    played: winners[i + 1] !== undefined,
+    winnerSideId: winners[i + 1] ?? null,
+  }));
+}
+
+function range(from, to, winner) {
+  return Object.fromEntries(Array.from({ length: to - from + 1 }, (_, i) => [from + i, winner]));
+}
+
+test("fourball: the better net ball wins the hole", () => {
+  const match = pairs("FOURBALL_NET", {
+    fourballGrossByPlayer: {
+      a1: { 1: 5, 2: 4 },
+      a2: { 1: 6, 2: 5 },
+      b1: { 1: 5, 2: 3 },
+      b2: { 1: 6 },
+    },
+  });
+  const [h1, h2, h3] = computeMatchHoles(match, course, playersById);
+
+  // Stroke index 1: everyone but b1 gets a stroke, a1's net 4 is the best ball
+  assert.equal(h1.played, true);
+  assert.equal(h1.details.aBest.pid, "a1");
+  assert.equal(h1.details.aBest.net, 4);
+  assert.equal(h1.details.bBest.net, 5);
+  assert.equal(h1.winnerSideId, "A");
+  assert.deepEqual(h1.details.nets, { a1: 4, a2: 5, b1: 5, b2: 5 });
+
+  // Stroke index 2: b1's gross birdie halves a1's net birdie
+  assert.equal(h2.details.aBest.net, 3);
+  assert.equal(h2.details.bBest.pid, "b1");
+  assert.equal(h2.winnerSideId, null);
+
+  assert.equal(h3.played, false);
+});
+
+test("fourball: one ball a side is enough to play the hole", () => {
+  const match = pairs("FOURBALL_NET", { fourballGrossByPlayer: { a2: { 5: 4 }, b1: { 5: 4 } } });
+  const h5 = computeMatchHoles(match, course, playersById)[4];
+  // Stroke index 5 is past a2's 4 strokes
+  assert.equal(h5.played, true);
+  assert.equal(h5.details.aBest.net, 4);
+  assert.equal(h5.winnerSideId, null);
+
+  const h5b = computeMatchHoles({ ...match, fourballGrossByPlayer: { a1: { 5: 4 }, b1: { 5: 4 } } }, course, playersById)[4];
+  assert.equal(h5b.winnerSideId, "A");
+});
+
+test("foursomes: half the partners' combined handicaps, one ball a side", () => {
+  const match = pairs("FOURSOMES_NET", { foursomesGrossBySide: { A: { 7: 5, 8: 4 }, B: { 7: 5, 8: 4 } } });
+  const mh = computeMatchHoles(match, course, playersById);
+  const [h7, h8] = [mh[6], mh[7]];
+
+  assert.equal(h7.details.aHcp, 7);
+  assert.equal(h7.details.bHcp, 9);
+  // Both sides get a stroke on index 7, only B on index 8
+  assert.equal(h7.winnerSideId, null);
+  assert.equal(h8.details.aNet, 4);
+  assert.equal(h8.details.bNet, 3);
+  assert.equal(h8.winnerSideId, "B");
+});
+
+test("greensomes: 60% of the low handicap plus 40% of the high, drives recorded", () => {
+  const match = pairs("GREENSOMES_NET", {
+    greensomesGrossBySide: { A: { 7: 5 }, B: { 7: 5 } },
+    greensomesDriveBySide: { A: { 7: "a1" }, B: { 7: "b2" } },
+  });
+  const h7 = computeMatchHoles(match, course, playersById)[6];
+
+  assert.equal(h7.details.type, "greensomes");
+  assert.equal(h7.details.aHcp, 6);
+  assert.equal(h7.details.bHcp, 7);
+  // Only B gets a stroke on index 7
+  assert.equal(h7.winnerSideId, "B");
+  assert.equal(h7.details.aDrive, "a1");
+  assert.equal(h7.details.bDrive, "b2");
+});
+
+test("singles: full handicap difference on the hardest holes", () => {
+  const match = {
+    id: "s1",
+    format: "SINGLES_NET",
+    sideA: { id: "A", teamId: "JC", playerIds: ["a1"] },
+    sideB: { id: "B", teamId: "SG", playerIds: ["b1"] },
+    singlesGrossByPlayer: { a1: { 10: 5, 11: 5 }, b1: { 10: 4, 11: 4 } },
+  };
+  const mh = computeMatchHoles(match, course, playersById);
+
+  assert.equal(mh[9].details.aNet, 4);
+  assert.equal(mh[9].winnerSideId, null);
+  assert.equal(mh[10].winnerSideId, "B");
+  assert.equal(mh[11].played, false);
+});
+
+test("match status locks in the clinch score", () => {
+  const status = matchStatusFromHoles(holes({ ...range(1, 5, "A"), ...range(6, 14, null) }), "A", "B");
+  assert.equal(status.isFinal, true);
+  assert.equal(status.text, "Final 5&4");
+  assert.equal(status.leaderSideId, "A");
+  assert.equal(status.clinchedAtHole, 14);
+
+  // Holes entered after the clinch don't change the result
+  const later = matchStatusFromHoles(holes({ ...range(1, 5, "A"), ...range(6, 14, null), 15: "B", 16: "B" }), "A", "B");
+  assert.equal(later.text, "Final 5&4");
+  assert.equal(later.clinchedAtHole, 14);
+});
+
+test("dormie: two up with two to play is still live", () => {
+  const dormie = { 1: "A", 2: "A", ...range(3, 16, null) };
+  const status = matchStatusFromHoles(holes(dormie), "A", "B");
+  assert.equal(status.isFinal, false);
+  assert.equal(status.text, "2 Up Thru 16");
+
+  assert.equal(matchStatusFromHoles(holes({ ...dormie, 17: null }), "A", "B").text, "Final 2&1");
+
+  const comeback = matchStatusFromHoles(holes({ ...dormie, 17: "B", 18: "B" }), "A", "B");
+  assert.equal(comeback.isFinal, true);
+  assert.equal(comeback.text, "Final AS");
+  assert.equal(comeback.isTied, true);
+  assert.equal(comeback.leaderSideId, null);
+});
+
+test("all square: live and final", () => {
+  const live = matchStatusFromHoles(holes({ 1: "A", 2: "B", 3: null }), "A", "B");
+  assert.equal(live.text, "AS Thru 3");
+  assert.equal(live.isTied, true);
+  assert.equal(live.isFinal, false);
+
+  assert.equal(matchStatusFromHoles(holes({}), "A", "B").text, "Not Started");
+
+  const oneUp = matchStatusFromHoles(holes({ ...range(1, 17, null), 18: "B" }), "A", "B");
+  assert.equal(oneUp.text, "Final 1 Up");
+  assert.equal(oneUp.leaderSideId, "B");
+});
@@ -0,0 +1,83 @@
+// src/scoring/maxScore.js
+// Maximum hole score and pick-ups ("X") — pure, no UI
+//
+// A pick-up is stored in the gross maps as "X" instead of a number. It counts
+// as a real score: the hole's maximum. Entered numbers above the maximum are
+// capped the same way — once a day or match sets a rule. By default (NONE)
+// entered numbers count as they are and only a pick-up needs a value: net double bogey.
+
+export const PICK_UP = "X";
+
+export const MAX_SCORE_TYPES = ["NONE", "NET_DOUBLE_BOGEY", "PAR_PLUS", "FIXED"];
+
+// NONE: no cap (pick-ups at net double bogey); NET_DOUBLE_BOGEY: par + 2 + strokes received;
+// PAR_PLUS: par + value; FIXED: value
+export const DEFAULT_MAX_SCORE = { type: "NONE", value: null };
+
+const DEFAULT_VALUE = { PAR_PLUS: 3, FIXED: 10 };
+
+/**
+ * Fill in a full rule from partial / missing data.
+ */
+export function normalizeMaxScore(rule) {
+  const type = MAX_SCORE_TYPES.includes(rule?.type) ? rule.type : DEFAULT_MAX_SCORE.type;
+  if (type === "NONE" || type === "NET_DOUBLE_BOGEY") return { type, value: null };
+
+  const n = Number(rule?.value);
+  return { type, value: Number.isFinite(n) && n > 0 ? Math.round(n) : DEFAULT_VALUE[type] };
+}
+
+/**
+ * Active rule for a match: match override, then day setting, then no cap.
+ * - day / match: { maxScore? }
+ */
+export function resolveMaxScore(day, match) {
+  return normalizeMaxScore(match?.maxScore ?? day?.maxScore ?? null);
+}
+
+export function isPickUp(entered) {
+  return entered === PICK_UP;
+}
+
+/**
+ * Highest gross that counts on a hole (Infinity = no cap).
+ * - strokes: handicap strokes received on the hole (negative for plus handicaps)
+ */
+export function maxHoleScore(rule, { par, strokes = 0 }) {
+  const r = normalizeMaxScore(rule);
+  if (r.type === "NONE") return Infinity;
+  if (r.type === "FIXED") return r.value;
+  if (r.type === "PAR_PLUS") return par + r.value;
+  return par + 2 + strokes;
+}
+
+/**
+ * Gross a pick-up counts as: the hole's maximum, or net double bogey when there is no cap.
+ */
+export function pickUpScore(rule, { par, strokes = 0 }) {
+  const max = maxHoleScore(rule, { par, strokes });
+  return Number.isFinite(max) ? max : par + 2 + strokes;
+}
+
+/**
+ * Gross that counts for an entry: null (not played), a pick-up at the
+ * maximum, or the entered number capped at the maximum.
+ */
+export function holeGross(entered, rule, { par, strokes = 0 }) {
+  if (entered == null || entered === "") return null;
+  if (isPickUp(entered)) return pickUpScore(rule, { par, strokes });
+
+  const n = Number(entered);
+  return Number.isFinite(n) ? Math.min(n, maxHoleScore(rule, { par, strokes })) : null;
+}
+
+/**
+ * Short rule label, e.g. "No Cap", "Net Double Bogey", "Par + 3", "Max 10".
+ */
+export function describeMaxScore(rule) {
+  const r = normalizeMaxScore(rule);
+  if (r.type === "NONE") return "No Cap";
+  if (r.type === "FIXED") return `Max ${r.value}`;
+  if (r.type === "PAR_PLUS") return `Par + ${r.value}`;
+  return "Net Double Bogey";
+}
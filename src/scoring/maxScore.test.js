@@ -0,0 +1,80 @@
+// src/scoring/maxScore.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { holeGross, maxHoleScore, normalizeMaxScore, resolveMaxScore, PICK_UP } from "./maxScore.js";
+import { computeMatchHoles } from "./matchPlay.js";
+
+const par4 = { par: 4, strokes: 0 };
+const par4Stroke = { par: 4, strokes: 1 };
+
+test("no rule: entered scores count as they are, a pick-up is net double bogey", () => {
+  const rule = resolveMaxScore({}, {});
+  assert.deepEqual(rule, { type: "NONE", value: null });
+  assert.equal(maxHoleScore(rule, par4), Infinity);
+
+  assert.equal(holeGross(9, rule, par4), 9);
+  assert.equal(holeGross(11, rule, par4Stroke), 11);
+  assert.equal(holeGross(PICK_UP, rule, par4), 6);
+  assert.equal(holeGross(PICK_UP, rule, par4Stroke), 7);
+  assert.equal(holeGross(null, rule, par4), null);
+  assert.equal(holeGross("", rule, par4), null);
+});
+
+test("net double bogey: par + 2 + the strokes the player gets", () => {
+  const rule = normalizeMaxScore({ type: "NET_DOUBLE_BOGEY" });
+  assert.equal(holeGross(9, rule, par4), 6);
+  assert.equal(holeGross(9, rule, par4Stroke), 7);
+  assert.equal(holeGross(5, rule, par4Stroke), 5);
+  assert.equal(holeGross(PICK_UP, rule, par4), 6);
+  assert.equal(holeGross(PICK_UP, rule, par4Stroke), 7);
+  // Plus handicaps give a stroke back
+  assert.equal(holeGross(PICK_UP, rule, { par: 4, strokes: -1 }), 5);
+});
+
+test("par plus: the same cap whatever the strokes", () => {
+  const rule = normalizeMaxScore({ type: "PAR_PLUS", value: 3 });
+  assert.equal(holeGross(9, rule, par4), 7);
+  assert.equal(holeGross(9, rule, par4Stroke), 7);
+  assert.equal(holeGross(PICK_UP, rule, par4Stroke), 7);
+  assert.equal(holeGross(6, rule, par4), 6);
+  assert.deepEqual(normalizeMaxScore({ type: "PAR_PLUS" }), { type: "PAR_PLUS", value: 3 });
+});
+
+test("fixed: one maximum for every hole", () => {
+  const rule = normalizeMaxScore({ type: "FIXED", value: 8 });
+  assert.equal(holeGross(12, rule, par4), 8);
+  assert.equal(holeGross(PICK_UP, rule, { par: 5, strokes: 1 }), 8);
+  assert.equal(holeGross(7, rule, par4Stroke), 7);
+  assert.deepEqual(normalizeMaxScore({ type: "FIXED", value: -2 }), { type: "FIXED", value: 10 });
+});
+
+test("the match's rule wins over the day's", () => {
+  const day = { maxScore: { type: "FIXED", value: 9 } };
+  assert.deepEqual(resolveMaxScore(day, {}), { type: "FIXED", value: 9 });
+  assert.deepEqual(resolveMaxScore(day, { maxScore: { type: "NONE" } }), { type: "NONE", value: null });
+});
+
+test("a pick-up in a match counts with the player's strokes on the hole", () => {
+  // Par 4 stroke index 1: the 18 gets a stroke there, the scratch player doesn't
+  const holes = [{ hole: 1, par: 4, hcpRank: 1 }];
+  const playersById = { a1: { courseHcp: 18 }, b1: { courseHcp: 0 } };
+  const match = {
+    format: "SINGLES_NET",
+    sideA: { id: "A", teamId: "JC", playerIds: ["a1"] },
+    sideB: { id: "B", teamId: "SG", playerIds: ["b1"] },
+    singlesGrossByPlayer: { a1: { 1: PICK_UP }, b1: { 1: 10 } },
+  };
+
+  const [uncapped] = computeMatchHoles(match, holes, playersById);
+  assert.equal(uncapped.details.aGross, 7);
+  assert.equal(uncapped.details.aNet, 6);
+  assert.equal(uncapped.details.aPickUp, true);
+  assert.equal(uncapped.details.bGross, 10);
+  assert.equal(uncapped.winnerSideId, "A");
+
+  const [capped] = computeMatchHoles(match, holes, playersById, { maxScore: { type: "FIXED", value: 6 } });
+  assert.equal(capped.details.aGross, 6);
+  assert.equal(capped.details.bGross, 6);
+  assert.equal(capped.winnerSideId, "A");
+});
@@ -0,0 +1,162 @@
+// src/scoring/nassau.js
+// Nassau side bets: front nine, back nine and overall, with automatic presses (pure, no UI)
+//
+// A bet is opt-in per match: match.nassau { amount, pressAt } (missing / null = no bet).
+// Every bet is played hole by hole on the per-hole winners of computeMatchHoles —
+// the same holes the Cup match uses, playoff holes left out. "Front" / "back" are the
+// first / second half of the round in play order (a shotgun start from 10 has 10-18 as its front).
+//
+// Auto-press: when a side goes pressAt down in a front or back bet (or in a press), a new
+// press starts on the next hole and runs to the end of that nine. Each bet presses once.
+//
+// A conceded or forfeited match settles every bet still open for the side the match went to
+// (its holes are never played, so those bets would otherwise stay open). Decided bets stand.
+
+import { matchConcededTo, matchForfeit } from "./matchPlay.js";
+
+export const DEFAULT_NASSAU = { amount: 10, pressAt: 2 };
+
+/**
+ * Fill in a full bet from partial data, or null when the match has no Nassau.
+ * - pressAt: holes down that trigger a press; null / 0 = no presses (missing = DEFAULT_NASSAU.pressAt)
+ */
+export function normalizeNassau(cfg) {
+  if (!cfg || typeof cfg !== "object") return null;
+  const amount = Number(cfg.amount);
+  const pressAt = cfg.pressAt === undefined ? DEFAULT_NASSAU.pressAt : Number(cfg.pressAt);
+
+  return {
+    amount: Number.isFinite(amount) && amount > 0 ? amount : DEFAULT_NASSAU.amount,
+    pressAt: Number.isFinite(pressAt) && pressAt >= 1 ? Math.round(pressAt) : null,
+  };
+}
+
+export function resolveNassau(match) {
+  return normalizeNassau(match?.nassau ?? null);
+}
+
+// One bet over a run of holes; margin > 0 = side A up
+function playBet(bet, matchHoles, sideAId, sideBId) {
+  let margin = 0;
+  let played = 0;
+  for (const h of matchHoles) {
+    if (!bet.holeNums.includes(h.hole) || !h.played) continue;
+    played += 1;
+    if (h.winnerSideId === sideAId) margin += 1;
+    else if (h.winnerSideId === sideBId) margin -= 1;
+  }
+  const remaining = bet.holeNums.length - played;
+  const isFinal = remaining === 0 || Math.abs(margin) > remaining;
+  const leaderSideId = margin > 0 ? sideAId : margin < 0 ? sideBId : null;
+
+  return {
+    ...bet,
+    margin,
+    up: Math.abs(margin),
+    played,
+    remaining,
+    leaderSideId,
+    isFinal,
+    // null when final and level: a push
+    winnerSideId: isFinal ? leaderSideId : null,
+  };
+}
+
+/**
+ * Input: match, matchHoles (computeMatchHoles)
+ *
+ * Output: null (no bet) or { config, bets, settlement }
+ * - bet: { id, kind: "FRONT" | "BACK" | "OVERALL" | "PRESS", nine?: "FRONT" | "BACK", startHole, holeNums,
+ *   margin, up, played, remaining, leaderSideId, isFinal, winnerSideId, settledBy }
+ *   (presses follow the bet they came from; margin counts from the press's first hole)
+ * - settledBy: "CONCEDED" | "FORFEIT" when an open bet went with a conceded / forfeited match, else null
+ * - settlement: { [playerId]: net amount } over decided bets — each player on the winning
+ *   side wins the bet amount, each player on the losing side pays it
+ */
+export function computeNassau(match, matchHoles) {
+  const config = resolveNassau(match);
+  if (!config) return null;
+
+  const sideAId = match.sideA.id;
+  const sideBId = match.sideB.id;
+  const regulation = (matchHoles || []).filter((h) => !h.playoff);
+  const order = regulation.map((h) => h.hole);
+  const half = Math.ceil(order.length / 2);
+
+  const bets = [];
+  const playNine = (nine, holeNums) => {
+    if (!holeNums.length) return;
+    let next = { id: nine.toLowerCase(), kind: nine, startHole: holeNums[0], holeNums };
+    let presses = 0;
+
+    while (next) {
+      const bet = playBet(next, regulation, sideAId, sideBId);
+      bets.push(bet);
+      next = null;
+      if (!config.pressAt) break;
+
+      // First hole after which this bet stands pressAt down -> press from the following hole
+      let margin = 0;
+      for (const [i, holeNum] of bet.holeNums.entries()) {
+        const h = regulation.find((x) => x.hole === holeNum);
+        if (!h?.played) break;
+        if (h.winnerSideId === sideAId) margin += 1;
+        else if (h.winnerSideId === sideBId) margin -= 1;
+
+        if (Math.abs(margin) >= config.pressAt) {
+          const rest = bet.holeNums.slice(i + 1);
+          if (rest.length) {
+            presses += 1;
+            next = { id: `${nine.toLowerCase()}-press-${presses}`, kind: "PRESS", nine, startHole: rest[0], holeNums: rest };
+          }
+          break;
+        }
+      }
+    }
+  };
+
+  playNine("FRONT", order.slice(0, half));
+  playNine("BACK", order.slice(half));
+  if (order.length) bets.push(playBet({ id: "overall", kind: "OVERALL", startHole: order[0], holeNums: order }, regulation, sideAId, sideBId));
+
+  const forfeit = matchForfeit(match);
+  const concededTo = forfeit ? forfeit.toSideId : matchConcededTo(match);
+  for (const bet of bets) {
+    bet.settledBy = null;
+    if (!concededTo || bet.isFinal) continue;
+    bet.isFinal = true;
+    bet.winnerSideId = concededTo;
+    bet.settledBy = forfeit ? "FORFEIT" : "CONCEDED";
+  }
+
+  const settlement = {};
+  for (const bet of bets) {
+    if (!bet.winnerSideId) continue;
+    const [won, lost] = bet.winnerSideId === sideAId ? [match.sideA, match.sideB] : [match.sideB, match.sideA];
+    for (const pid of won.playerIds || []) settlement[pid] = (settlement[pid] ?? 0) + config.amount;
+    for (const pid of lost.playerIds || []) settlement[pid] = (settlement[pid] ?? 0) - config.amount;
+  }
+
+  return { config, bets, settlement };
+}
+
+/**
+ * Every Nassau in the tournament. Input: totals (computeTournamentTotals)
+ *
+ * Output: { matches: [{ day, matchId, matchNo, nassau }], byPlayer: { [playerId]: net amount } }
+ */
+export function computeNassauSettlements(totals) {
+  const matches = [];
+  const byPlayer = {};
+
+  for (const d of totals.daySummaries || []) {
+    for (const mc of d.matchCards || []) {
+      const nassau = computeNassau(mc.match, mc.holes);
+      if (!nassau) continue;
+      matches.push({ day: d.day, matchId: mc.match.id, matchNo: mc.match.matchNo, nassau });
+      for (const [pid, amount] of Object.entries(nassau.settlement)) byPlayer[pid] = (byPlayer[pid] ?? 0) + amount;
+    }
+  }
+
+  return { matches, byPlayer };
+}
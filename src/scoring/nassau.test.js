@@ -0,0 +1,67 @@
+// src/scoring/nassau.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeNassau } from "./nassau.js";
+
+// 18 regulation holes; winners: { [holeNum]: "A" | "B" | null } (missing = not played)
+function holes(winners) {
+  return Array.from({ length: 18 }, (_, i) => ({
+    hole: i + 1,
+    played: winners[i + 1] !== undefined,
+    winnerSideId: winners[i + 1] ?? null,
+  }));
+}
+
+const baseMatch = {
+  id: "m1",
+  sideA: { id: "A", teamId: "JC", playerIds: ["a1", "a2"] },
+  sideB: { id: "B", teamId: "SG", playerIds: ["b1", "b2"] },
+  nassau: { amount: 5, pressAt: 2 },
+};
+
+test("open bets stay open while the match is live", () => {
+  const n = computeNassau(baseMatch, holes({ 1: "A", 2: null, 3: "B" }));
+  assert.ok(n.bets.every((b) => !b.isFinal && !b.settledBy));
+  assert.deepEqual(n.settlement, {});
+});
+
+test("a conceded match settles every open bet for the side it was conceded to", () => {
+  // B goes 2 down on the front (press from 3), then concedes after 4
+  const match = { ...baseMatch, concededMatch: { toSideId: "A", at: 1 } };
+  const n = computeNassau(match, holes({ 1: "A", 2: "A", 3: null, 4: "B" }));
+
+  assert.deepEqual(
+    n.bets.map((b) => b.id),
+    ["front", "front-press-1", "back", "overall"]
+  );
+  for (const b of n.bets) {
+    assert.equal(b.isFinal, true);
+    assert.equal(b.winnerSideId, "A");
+    assert.equal(b.settledBy, "CONCEDED");
+  }
+  assert.deepEqual(n.settlement, { a1: 20, a2: 20, b1: -20, b2: -20 });
+});
+
+test("bets already decided before a concession keep their result", () => {
+  // B wins holes 1-5 (front decided 5 & 4), A wins 10, then B concedes
+  const winners = { 1: "B", 2: "B", 3: "B", 4: "B", 5: "B", 6: null, 7: null, 8: null, 9: null, 10: "A", 11: null };
+  const match = { ...baseMatch, nassau: { amount: 5, pressAt: null }, concededMatch: { toSideId: "A", at: 1 } };
+  const n = computeNassau(match, holes(winners));
+  const byId = Object.fromEntries(n.bets.map((b) => [b.id, b]));
+
+  assert.equal(byId.front.winnerSideId, "B");
+  assert.equal(byId.front.settledBy, null);
+  assert.equal(byId.back.winnerSideId, "A");
+  assert.equal(byId.back.settledBy, "CONCEDED");
+  assert.equal(byId.overall.winnerSideId, "A");
+  assert.deepEqual(n.settlement, { a1: 5, a2: 5, b1: -5, b2: -5 });
+});
+
+test("a forfeit settles the bets with no holes played", () => {
+  const match = { ...baseMatch, forfeit: { type: "FORFEIT", toSideId: "B", at: 1 } };
+  const n = computeNassau(match, holes({}));
+
+  assert.ok(n.bets.every((b) => b.winnerSideId === "B" && b.settledBy === "FORFEIT"));
+  assert.deepEqual(n.settlement, { a1: -15, a2: -15, b1: 15, b2: 15 });
+});
@@ -0,0 +1,186 @@
+// src/scoring/points.js
+// Point values, day bonus points and the Cup target / clinch (pure, no UI)
+//
+// - match value: match.points, then day.matchPoints, then 1 (a half splits it)
+// - day bonus: day.bonusPoints (0 = none) to the team with the better aggregate
+//   over all of the day's matches — Stableford points on scramble days, holes won otherwise
+// - cup: tournament.cup { holderTeamId?, holderRetains? } — with holderRetains the
+//   holder keeps the Cup on a tied total, so it only needs half the points
+
+import { leadingTeams } from "./teams.js";
+
+export const DEFAULT_CUP = { holderTeamId: null, holderRetains: true };
+
+function pointValue(v, fallback) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Points a match is worth: match override, then day setting, then 1.
+ */
+export function resolveMatchPoints(day, match) {
+  return pointValue(match?.points, pointValue(day?.matchPoints, 1));
+}
+
+/**
+ * Day bonus points for the aggregate (0 = no bonus).
+ */
+export function resolveBonusPoints(day) {
+  return pointValue(day?.bonusPoints, 0);
+}
+
+export function normalizeCup(cup) {
+  return {
+    holderTeamId: cup?.holderTeamId ?? DEFAULT_CUP.holderTeamId,
+    holderRetains: cup?.holderRetains ?? DEFAULT_CUP.holderRetains,
+  };
+}
+
+/**
+ * Day aggregate per team from match cards (computeTournamentTotals):
+ * { totals: { [teamId]: n }, unit: "Pts" | "Holes" } (higher is better)
+ * Playoff holes don't count — they only break a halved match.
+ */
+export function dayAggregate(matchCards) {
+  const stableford = matchCards.length > 0 && matchCards.every((mc) => mc.match.format === "SCRAMBLE_STABLEFORD");
+  const totals = {};
+
+  for (const { match, holes } of matchCards) {
+    const { sideA, sideB } = match;
+    totals[sideA.teamId] ??= 0;
+    totals[sideB.teamId] ??= 0;
+
+    for (const h of holes || []) {
+      if (!h.played || h.playoff) continue;
+      if (stableford) {
+        totals[sideA.teamId] += h.details.aPts ?? 0;
+        totals[sideB.teamId] += h.details.bPts ?? 0;
+      } else if (h.winnerSideId) {
+        totals[h.winnerSideId === sideA.id ? sideA.teamId : sideB.teamId] += 1;
+      }
+    }
+  }
+
+  return { totals, unit: stableford ? "Pts" : "Holes" };
+}
+
+/**
+ * Bonus points from a day aggregate: the higher total takes them, a tie splits.
+ * Output: { [teamId]: points } — zeroes unless final.
+ */
+export function bonusPointsFromAggregate(aggregate, bonus, isFinal) {
+  const teams = Object.keys(aggregate.totals);
+  const out = Object.fromEntries(teams.map((t) => [t, 0]));
+  if (!isFinal || !bonus || !teams.length) return out;
+
+  const best = Math.max(...teams.map((t) => aggregate.totals[t]));
+  const winners = teams.filter((t) => aggregate.totals[t] === best);
+  for (const t of winners) out[t] = bonus / winners.length;
+  return out;
+}
+
+/**
+ * Most each team could still finish on: its points plus every open unit it plays in.
+ * Input: points, open: [{ id, teamIds, value }] — one per undecided match, day bonus or stroke play day
+ */
+export function teamReach(points, open) {
+  const reach = { ...points };
+  for (const u of open) {
+    for (const t of u.teamIds) if (reach[t] != null) reach[t] += u.value;
+  }
+  return reach;
+}
+
+// Without a breakdown every remaining point is open to every team
+function openUnits(teams, remaining, open) {
+  if (open) return open;
+  return remaining > 0 ? [{ id: "remaining", teamIds: teams, value: remaining }] : [];
+}
+
+/**
+ * Input: { points: { [teamId]: earned }, available (all points on offer), remaining (not yet decided),
+ *   open? (teamReach units — defaults to one unit of `remaining` open to everyone), cup }
+ *
+ * Output: { target, needed, clinchedBy, retained, decided, shared, holderTeamId, holderRetains }
+ * - needed: { [teamId]: fewest more points, taken from the team's own open units, that clinch the Cup
+ *   whatever happens elsewhere — 0 once there, null when even all of them can't }
+ *   (a point the team takes off a rival in their own match also keeps it from that rival, so with
+ *   three or more teams this can be well under half of what's on offer)
+ * - target: { [teamId]: total that clinches from here — points + needed, null with needed
+ *   (with two teams simply more than half of available, or half for a holder with holderRetains) }
+ * - clinchedBy: team that no rival can reach any more, or null
+ * - retained: clinched by the holder on "at least a tie"
+ * - shared: all points decided, the lead tied, and no holder to retain
+ */
+export function computeCupStatus({ points, available, remaining, open, cup }) {
+  const c = normalizeCup(cup);
+  const teams = Object.keys(points);
+  const units = openUnits(teams, remaining, open);
+  const reach = teamReach(points, units);
+
+  const target = {};
+  const needed = {};
+  for (const t of teams) {
+    needed[t] = pointsToClinch(t, points, reach, units, c.holderRetains && c.holderTeamId === t);
+    target[t] = needed[t] == null ? null : points[t] + needed[t];
+  }
+
+  let clinchedBy = null;
+  let retained = false;
+  for (const t of available > 0 ? teams : []) {
+    const others = teams.filter((x) => x !== t).map((x) => reach[x]);
+    const catchable = others.length ? Math.max(...others) : 0;
+    const retains = c.holderRetains && c.holderTeamId === t;
+
+    if (points[t] > catchable) clinchedBy = t;
+    else if (retains && points[t] >= catchable) {
+      clinchedBy = t;
+      retained = true;
+    }
+  }
+
+  const shared = !clinchedBy && remaining <= 0 && leadingTeams(points).length > 1;
+
+  return {
+    target,
+    needed,
+    clinchedBy,
+    retained,
+    decided: !!clinchedBy || shared,
+    shared,
+    holderTeamId: c.holderTeamId,
+    holderRetains: c.holderRetains,
+  };
+}
+
+// Half a point at a time from t's own open units, always off the rival closest to catching it
+// (preferring units shared with the most rivals still in reach). Every half point raises t's total
+// and lowers the reach of each rival in that unit, so the closest rival falls by a whole point.
+function pointsToClinch(t, points, reach, units, retains) {
+  const rivals = Object.keys(points).filter((x) => x !== t);
+  const left = units.filter((u) => u.teamIds.includes(t)).map((u) => ({ ...u, left: u.value }));
+  const reachOf = Object.fromEntries(rivals.map((o) => [o, reach[o]]));
+  let taken = 0;
+
+  const short = (o) => reachOf[o] - (points[t] + taken);
+  const inReach = (o) => (retains ? short(o) > 0 : short(o) >= 0);
+
+  for (;;) {
+    const chasing = rivals.filter(inReach);
+    if (!chasing.length) return taken;
+
+    const closest = chasing.reduce((a, b) => (short(b) > short(a) ? b : a));
+    const takeable = left.filter((u) => u.left > 0);
+    if (!takeable.length) return null;
+
+    const againstClosest = takeable.filter((u) => u.teamIds.includes(closest));
+    const pool = againstClosest.length ? againstClosest : takeable;
+    const rivalsIn = (u) => chasing.filter((o) => u.teamIds.includes(o)).length;
+    const unit = pool.reduce((a, b) => (rivalsIn(b) > rivalsIn(a) ? b : a));
+    const step = Math.min(0.5, unit.left);
+    unit.left -= step;
+    taken += step;
+    for (const o of rivals) if (unit.teamIds.includes(o)) reachOf[o] -= step;
+  }
+}
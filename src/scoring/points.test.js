@@ -0,0 +1,123 @@
+// src/scoring/points.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeCupStatus } from "./points.js";
+import { minimalWinningSets } from "./scenarios.js";
+
+// One 1-point match per pair of teams
+function roundRobin(teamIds) {
+  const open = [];
+  teamIds.forEach((a, i) => {
+    for (const b of teamIds.slice(i + 1)) open.push({ id: `${a}-${b}`, teamIds: [a, b], value: 1 });
+  });
+  return open;
+}
+
+// Totals shaped like computeTournamentTotals for the scenario helpers: every unit an open match on day 1
+function totalsFor(points, open, cup) {
+  const matchCards = open.map((u, i) => ({
+    match: {
+      id: u.id,
+      matchNo: i + 1,
+      sideA: { id: `${u.id}-a`, teamId: u.teamIds[0] },
+      sideB: { id: `${u.id}-b`, teamId: u.teamIds[1] },
+    },
+    status: { isFinal: false, played: 0, leaderSideId: null },
+    value: u.value,
+  }));
+  const remaining = open.reduce((s, u) => s + u.value, 0);
+  const available = remaining + Object.values(points).reduce((s, n) => s + n, 0);
+  return {
+    daySummaries: [{ day: 1, matchCards }],
+    points,
+    available,
+    remaining,
+    open,
+    cup: computeCupStatus({ points, available, remaining, open, cup }),
+  };
+}
+
+test("two teams: more than half of what's on offer, half for a retaining holder", () => {
+  const points = { JC: 0, SG: 0 };
+  const cup = computeCupStatus({ points, available: 28, remaining: 28, cup: { holderTeamId: "SG" } });
+  assert.equal(cup.needed.JC, 14.5);
+  assert.equal(cup.needed.SG, 14);
+  assert.equal(cup.target.JC, 14.5);
+  assert.equal(cup.clinchedBy, null);
+
+  // Per-match units give the same answer as one pooled remainder
+  const open = Array.from({ length: 28 }, (_, i) => ({ id: `m${i}`, teamIds: ["JC", "SG"], value: 1 }));
+  const byMatch = computeCupStatus({ points, available: 28, remaining: 28, open, cup: { holderTeamId: "SG" } });
+  assert.deepEqual(byMatch.needed, cup.needed);
+
+  const clinched = computeCupStatus({ points: { JC: 14.5, SG: 10 }, available: 28, remaining: 3.5, cup: {} });
+  assert.equal(clinched.clinchedBy, "JC");
+  assert.equal(clinched.retained, false);
+  assert.equal(clinched.needed.JC, 0);
+});
+
+test("three or more teams: a point taken off a rival counts twice", () => {
+  // Four teams level, one match between each pair: winning all three of yours is the only sure thing
+  const teams = ["A", "B", "C", "D"];
+  const points = { A: 0, B: 0, C: 0, D: 0 };
+  const open = roundRobin(teams);
+  const cup = computeCupStatus({ points, available: 6, remaining: 6, open, cup: { holderTeamId: null } });
+  for (const t of teams) assert.equal(cup.needed[t], 3);
+
+  // A won all three of its matches: B, C and D can reach 2 at most
+  const after = computeCupStatus({
+    points: { A: 3, B: 0, C: 0, D: 0 },
+    available: 6,
+    remaining: 3,
+    open: open.filter((u) => !u.teamIds.includes("A")),
+    cup: { holderTeamId: null },
+  });
+  assert.equal(after.clinchedBy, "A");
+  assert.equal(after.needed.A, 0);
+  assert.equal(after.needed.B, null);
+
+  // The scenario page asks for A's three wins and nothing less
+  const need = minimalWinningSets(totalsFor(points, open, { holderTeamId: null }), {}, "A");
+  assert.equal(need.needed, 3);
+  assert.deepEqual(
+    need.sets.map((set) => set.map((c) => `${c.matchId}:${c.result}`)),
+    [["A-B:WIN", "A-C:WIN", "A-D:WIN"]]
+  );
+});
+
+test("three teams: a team out of its own matches needs the others to slip", () => {
+  const points = { A: 2, B: 2, C: 0 };
+  const open = [{ id: "B-C", teamIds: ["B", "C"], value: 1 }];
+  const cup = computeCupStatus({ points, available: 5, remaining: 1, open, cup: { holderTeamId: null } });
+  assert.equal(cup.needed.A, null);
+  assert.equal(cup.target.A, null);
+  assert.equal(cup.needed.B, 0.5);
+  assert.equal(cup.clinchedBy, null);
+
+  const need = minimalWinningSets(totalsFor(points, open, { holderTeamId: null }), {}, "A");
+  assert.equal(need.needed, null);
+  assert.deepEqual(need.sets, []);
+});
+
+test("the holder retains on a tie", () => {
+  const points = { JC: 14, SG: 14 };
+  const retained = computeCupStatus({ points, available: 28, remaining: 0, cup: { holderTeamId: "SG" } });
+  assert.equal(retained.clinchedBy, "SG");
+  assert.equal(retained.retained, true);
+  assert.equal(retained.shared, false);
+
+  const shared = computeCupStatus({ points, available: 28, remaining: 0, cup: { holderTeamId: null } });
+  assert.equal(shared.clinchedBy, null);
+  assert.equal(shared.shared, true);
+
+  const noRetain = computeCupStatus({ points, available: 28, remaining: 0, cup: { holderTeamId: "SG", holderRetains: false } });
+  assert.equal(noRetain.clinchedBy, null);
+  assert.equal(noRetain.shared, true);
+
+  // Three teams: the holder only has to draw level with the best a rival can reach
+  const open = roundRobin(["A", "B", "C"]);
+  const three = computeCupStatus({ points: { A: 0, B: 0, C: 0 }, available: 3, remaining: 3, open, cup: { holderTeamId: "A" } });
+  assert.equal(three.needed.A, 1.5);
+  assert.equal(three.needed.B, 2);
+});
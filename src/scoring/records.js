@@ -0,0 +1,117 @@
+// src/scoring/records.js
+// Individual Cup records and MVP standings (pure, no UI)
+//
+// Every player on a side shares its result: both partners in fourball, scramble,
+// foursomes and greensomes get the win / loss / half and the full points the side
+// earned. Players substituted out mid-match are credited too. Only final matches
+// count; stroke play days have no head-to-head result and are left out.
+
+/**
+ * Player ids who played for a side: its lineup plus anyone substituted out of it.
+ */
+export function sidePlayers(match, side) {
+  const ids = [...(side?.playerIds || [])];
+  for (const s of match.substitutions || []) {
+    if (s.sideId === side.id && !ids.includes(s.outPlayerId)) ids.push(s.outPlayerId);
+  }
+  return ids;
+}
+
+function emptyRecord(playerId, teamId) {
+  return {
+    playerId,
+    teamId,
+    played: 0,
+    wins: 0,
+    losses: 0,
+    halves: 0,
+    points: 0,
+    holesWon: 0,
+    holesLost: 0,
+    margin: 0,
+    matches: [],
+  };
+}
+
+// MVP order: points, then holes won, then net hole margin
+function compareRecords(a, b) {
+  return b.points - a.points || b.holesWon - a.holesWon || b.margin - a.margin;
+}
+
+// Holes that decided the match: regulation up to the clinch, then playoff holes up to the winning one
+// (anything entered after the match was over doesn't count)
+function decidingHoles(holes, status) {
+  const regulation = holes.filter((h) => !h.playoff);
+  const clinch = regulation.findIndex((h) => h.hole === status.clinchedAtHole);
+  const playoff = holes.filter((h) => h.playoff && (status.playoffHole == null || h.hole <= status.playoffHole));
+  return [...(clinch >= 0 ? regulation.slice(0, clinch + 1) : regulation), ...playoff];
+}
+
+/**
+ * Input: tournament (players), totals (computeTournamentTotals)
+ *
+ * Output: { rows, byTeam: { [teamId]: rows } }
+ * - row: { playerId, teamId, played, wins, losses, halves, points, holesWon, holesLost, margin,
+ *   rank, tied, matches: [{ day, matchId, matchNo, format, result: "W" | "L" | "H", points, holesWon, holesLost }] }
+ * - rows: every player, MVP order (points, holes won, net margin); rank is shared when all three tie
+ * - result comes from the match status (so a match worth 0 points still reads "W" / "L")
+ * - holes count regulation and playoff holes up to the one that decided the match;
+ *   forfeits carry the result with no holes
+ */
+export function computePlayerRecords(tournament, totals) {
+  const byPlayer = {};
+  for (const p of tournament.players || []) byPlayer[p.id] = emptyRecord(p.id, p.teamId);
+
+  for (const d of totals.daySummaries || []) {
+    for (const mc of d.matchCards || []) {
+      if (!mc.status.isFinal) continue;
+      const { sideA, sideB } = mc.match;
+      const holes = decidingHoles(mc.holes, mc.status);
+
+      for (const [side, other] of [
+        [sideA, sideB],
+        [sideB, sideA],
+      ]) {
+        const points = mc.points?.[side.teamId] ?? 0;
+        const result = mc.status.isTied ? "H" : mc.status.leaderSideId === side.id ? "W" : "L";
+        const holesWon = holes.filter((h) => h.winnerSideId === side.id).length;
+        const holesLost = holes.filter((h) => h.winnerSideId === other.id).length;
+
+        for (const pid of sidePlayers(mc.match, side)) {
+          const r = (byPlayer[pid] ??= emptyRecord(pid, side.teamId));
+          r.played += 1;
+          if (result === "W") r.wins += 1;
+          else if (result === "L") r.losses += 1;
+          else r.halves += 1;
+          r.points += points;
+          r.holesWon += holesWon;
+          r.holesLost += holesLost;
+          r.margin += holesWon - holesLost;
+          r.matches.push({
+            day: d.day,
+            matchId: mc.match.id,
+            matchNo: mc.match.matchNo,
+            format: mc.match.format,
+            result,
+            points,
+            holesWon,
+            holesLost,
+          });
+        }
+      }
+    }
+  }
+
+  const rows = Object.values(byPlayer).sort(compareRecords);
+  rows.forEach((r, i) => {
+    const prev = rows[i - 1];
+    const next = rows[i + 1];
+    r.rank = prev && compareRecords(prev, r) === 0 ? prev.rank : i + 1;
+    r.tied = (!!prev && compareRecords(prev, r) === 0) || (!!next && compareRecords(r, next) === 0);
+  });
+
+  const byTeam = {};
+  for (const r of rows) (byTeam[r.teamId] ??= []).push(r);
+
+  return { rows, byTeam };
+}
@@ -0,0 +1,111 @@
+// src/scoring/records.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computePlayerRecords } from "./records.js";
+
+const tournament = {
+  players: [
+    { id: "a1", teamId: "JC" },
+    { id: "a2", teamId: "JC" },
+    { id: "b1", teamId: "SG" },
+    { id: "b2", teamId: "SG" },
+  ],
+};
+
+// winners: hole winners in play order ("A" | "B" | null for a half)
+function card(id, a, b, winners, status, points) {
+  return {
+    match: {
+      id,
+      matchNo: Number(id.slice(1)),
+      format: "SINGLES_NET",
+      sideA: { id: "A", teamId: "JC", playerIds: [a] },
+      sideB: { id: "B", teamId: "SG", playerIds: [b] },
+    },
+    holes: winners.map((w, i) => ({ hole: i + 1, played: true, winnerSideId: w })),
+    status: { isFinal: true, isTied: false, ...status },
+    points,
+  };
+}
+
+const totalsOf = (matchCards) => ({ daySummaries: [{ day: 1, matchCards }] });
+const row = (records, pid) => records.rows.find((r) => r.playerId === pid);
+
+test("the result comes from the match, not the points", () => {
+  // A match worth nothing still has a winner
+  const records = computePlayerRecords(
+    tournament,
+    totalsOf([card("m1", "a1", "b1", ["A", "A", "A"], { leaderSideId: "A", clinchedAtHole: 3 }, { JC: 0, SG: 0 })])
+  );
+  assert.equal(row(records, "a1").wins, 1);
+  assert.equal(row(records, "b1").losses, 1);
+  assert.equal(row(records, "a1").matches[0].result, "W");
+  assert.equal(row(records, "a1").points, 0);
+});
+
+test("holes stop counting once the match is clinched", () => {
+  // A 3 up with 2 to play after the 16th; B won the last two after it was over
+  const winners = ["A", "A", "A", ...Array(13).fill(null), "B", "B"];
+  const records = computePlayerRecords(
+    tournament,
+    totalsOf([card("m1", "a1", "b1", winners, { leaderSideId: "A", clinchedAtHole: 16 }, { JC: 1, SG: 0 })])
+  );
+  const a1 = row(records, "a1");
+  assert.equal(a1.holesWon, 3);
+  assert.equal(a1.holesLost, 0);
+  assert.equal(a1.margin, 3);
+  assert.equal(row(records, "b1").holesWon, 0);
+});
+
+test("playoff holes count up to the one that won it", () => {
+  const holes = [
+    { hole: 1, played: true, winnerSideId: "A" },
+    { hole: 2, played: true, winnerSideId: "B" },
+    { hole: 3, played: true, winnerSideId: "B", playoff: true },
+    { hole: 4, played: true, winnerSideId: "A", playoff: true },
+  ];
+  const mc = { ...card("m1", "a1", "b1", [], { leaderSideId: "B", playoffHole: 3 }, { JC: 0, SG: 1 }), holes };
+  const records = computePlayerRecords(tournament, totalsOf([mc]));
+  assert.equal(row(records, "b1").holesWon, 2);
+  assert.equal(row(records, "a1").holesWon, 1);
+});
+
+test("MVP order: points, then holes won, then margin", () => {
+  const records = computePlayerRecords(
+    tournament,
+    totalsOf([
+      // a1 and b2 both win a point; a1 wins more holes
+      card("m1", "a1", "b1", ["A", "A", "A", "B"], { leaderSideId: "A" }, { JC: 1, SG: 0 }),
+      card("m2", "a2", "b2", ["A", "B", "B"], { leaderSideId: "B" }, { JC: 0, SG: 1 }),
+      // a2 and b1 halve: level on points and holes won, a2 lost fewer holes
+      card("m3", "a2", "b1", ["A", "B"], { isTied: true, leaderSideId: null }, { JC: 0.5, SG: 0.5 }),
+    ])
+  );
+
+  assert.deepEqual(
+    records.rows.map((r) => [r.playerId, r.rank, r.tied]),
+    [
+      ["a1", 1, false],
+      ["b2", 2, false],
+      ["a2", 3, false],
+      ["b1", 4, false],
+    ]
+  );
+  assert.equal(row(records, "a2").halves, 1);
+  assert.deepEqual(
+    records.byTeam.JC.map((r) => r.playerId),
+    ["a1", "a2"]
+  );
+});
+
+test("a full tie shares the rank", () => {
+  const records = computePlayerRecords(
+    tournament,
+    totalsOf([
+      card("m1", "a1", "b1", ["A", "B"], { isTied: true, leaderSideId: null }, { JC: 0.5, SG: 0.5 }),
+      card("m2", "a2", "b2", ["B", "A"], { isTied: true, leaderSideId: null }, { JC: 0.5, SG: 0.5 }),
+    ])
+  );
+  assert.ok(records.rows.every((r) => r.rank === 1 && r.tied));
+});
@@ -0,0 +1,48 @@
+// src/scoring/round.js
+// Round layout: how many holes are played and which hole the round starts on (pure, no UI)
+
+/**
+ * Round settings for a match: match override, then day setting, then the full card from hole 1.
+ * - day: { startHole?, holesToPlay? }
+ * - match: { startHole?, holesToPlay? } (startHole per match = shotgun start)
+ * - holesToPlay null means "the whole scorecard"
+ */
+export function resolveRound(day, match) {
+  const startHole = Number(match?.startHole ?? day?.startHole ?? 1);
+  const holesToPlay = match?.holesToPlay ?? day?.holesToPlay ?? null;
+
+  return {
+    startHole: Number.isFinite(startHole) && startHole >= 1 ? Math.floor(startHole) : 1,
+    holesToPlay: holesToPlay == null || !Number.isFinite(Number(holesToPlay)) ? null : Math.floor(Number(holesToPlay)),
+  };
+}
+
+/**
+ * Scorecard holes in play order for a round, wrapping past the last hole.
+ * e.g. 18-hole card, start 10, 9 holes → 10..18; start 5, 18 holes → 5..18, 1..4
+ */
+export function roundHoles(holes, round) {
+  const count = holes?.length || 0;
+  if (!count) return [];
+
+  const start = Math.min(Math.max(round?.startHole ?? 1, 1), count);
+  const length = Math.min(Math.max(round?.holesToPlay ?? count, 1), count);
+  const startIdx = holes.findIndex((h) => h.hole === start);
+  const from = startIdx >= 0 ? startIdx : start - 1;
+
+  return Array.from({ length }, (_, i) => holes[(from + i) % count]);
+}
+
+/**
+ * Short label for a round, e.g. "18 Holes", "Back 9", "9 Holes • Start #5".
+ */
+export function roundLabel(holes, round) {
+  const count = holes?.length || 18;
+  const order = roundHoles(holes, round);
+  const length = order.length || count;
+  const start = order[0]?.hole ?? 1;
+
+  if (count === 18 && length === 9 && start === 1) return "Front 9";
+  if (count === 18 && length === 9 && start === 10) return "Back 9";
+  return start === 1 ? `${length} Holes` : `${length} Holes • Start #${start}`;
+}
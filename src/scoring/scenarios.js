@@ -0,0 +1,139 @@
+// src/scoring/scenarios.js
+// "What does my team need": hypothetical results for unfinished matches (pure, no UI)
+//
+// A scenario is { [matchId]: teamId | "HALVE" } over the open matches of
+// computeTournamentTotals. Matches left out stay undecided, as do open day bonuses
+// and stroke play days — those points count as still to play.
+
+import { computeCupStatus, teamReach } from "./points.js";
+
+export const SCENARIO_HALVE = "HALVE";
+
+/**
+ * Open (not final) match cards across every match play day, each tagged with its day.
+ */
+export function openMatchCards(totals) {
+  return totals.daySummaries.flatMap((d) =>
+    d.matchCards.filter((mc) => !mc.status.isFinal).map((mc) => ({ ...mc, day: d.day }))
+  );
+}
+
+/**
+ * "Leader wins": every open match that has started goes to its current leader,
+ * level ones are halved. Matches not yet started are left out.
+ */
+export function leaderWinsScenario(totals) {
+  const out = {};
+  for (const mc of openMatchCards(totals)) {
+    if (!mc.status.played) continue;
+    const { sideA, sideB } = mc.match;
+    if (!mc.status.leaderSideId) out[mc.match.id] = SCENARIO_HALVE;
+    else out[mc.match.id] = mc.status.leaderSideId === sideA.id ? sideA.teamId : sideB.teamId;
+  }
+  return out;
+}
+
+/**
+ * Output: { points: { [teamId]: n }, remaining, open, cup (computeCupStatus) } with the scenario applied.
+ */
+export function applyScenario(totals, scenario) {
+  const points = { ...totals.points };
+  let remaining = totals.remaining;
+  const decided = new Set();
+
+  for (const mc of openMatchCards(totals)) {
+    const result = scenario?.[mc.match.id];
+    if (!result) continue;
+    const { sideA, sideB } = mc.match;
+    if (result === SCENARIO_HALVE) {
+      points[sideA.teamId] += mc.value / 2;
+      points[sideB.teamId] += mc.value / 2;
+    } else if (points[result] != null) {
+      points[result] += mc.value;
+    } else continue;
+    remaining -= mc.value;
+    decided.add(mc.match.id);
+  }
+
+  const open = totals.open?.filter((u) => !decided.has(u.id));
+  const cup = computeCupStatus({ points, available: totals.available, remaining, open, cup: totals.cup });
+  return { points, remaining, open, cup };
+}
+
+/**
+ * Smallest sets of results that win (or retain) the Cup for teamId whatever happens
+ * elsewhere — every other open point is assumed to go the other way.
+ *
+ * Output: { needed, clinched, sets: [[{ matchId, day, matchNo, result: "WIN" | "HALVE" }]], truncated }
+ * - needed: cup.needed for the team (null when its own results can't settle it)
+ * - a set is minimal: dropping any result, or turning a win into a half, falls short
+ * - sets are ordered fewest results first; at most `limit` are returned
+ */
+export function minimalWinningSets(totals, scenario, teamId, { limit = 12 } = {}) {
+  const { points, remaining, open, cup } = applyScenario(totals, scenario);
+  const needed = cup.needed[teamId] ?? null;
+  if (cup.clinchedBy === teamId) return { needed: 0, clinched: true, sets: [], truncated: false };
+
+  const candidates = openMatchCards(totals)
+    .filter((mc) => !scenario?.[mc.match.id])
+    .filter((mc) => mc.match.sideA.teamId === teamId || mc.match.sideB.teamId === teamId)
+    .sort((a, b) => b.value - a.value);
+
+  // A set clinches once teamId's total passes every rival's reach — each point it takes
+  // in a match also comes off that match's rival
+  const reach = teamReach(points, open ?? [{ teamIds: Object.keys(points), value: remaining }]);
+  const retains = cup.holderRetains && cup.holderTeamId === teamId;
+  const rivals = Object.keys(points).filter((t) => t !== teamId);
+  const clinches = (chosen) => {
+    const total = points[teamId] + chosen.reduce((s, c) => s + c.value, 0);
+    return rivals.every((o) => {
+      const caught = reach[o] - chosen.filter((c) => c.rivalId === o).reduce((s, c) => s + c.value, 0);
+      return retains ? total >= caught : total > caught;
+    });
+  };
+
+  // value = points the result is worth to teamId, rivalId = the team it comes off
+  const pick = (mc, result) => ({
+    matchId: mc.match.id,
+    day: mc.day,
+    matchNo: mc.match.matchNo,
+    result,
+    value: result === "WIN" ? mc.value : mc.value / 2,
+    rivalId: mc.match.sideA.teamId === teamId ? mc.match.sideB.teamId : mc.match.sideA.teamId,
+  });
+
+  const found = [];
+  let budget = 200000;
+  let truncated = false;
+
+  const walk = (i, chosen) => {
+    if (budget-- <= 0) {
+      truncated = true;
+      return;
+    }
+    if (clinches(chosen)) {
+      const minimal = chosen.every((c) =>
+        !clinches(chosen.map((x) => (x === c ? { ...x, value: c.result === "WIN" ? c.value / 2 : 0 } : x)))
+      );
+      if (minimal && chosen.length) found.push(chosen);
+      return;
+    }
+    if (i === candidates.length || !clinches([...chosen, ...candidates.slice(i).map((mc) => pick(mc, "WIN"))])) return;
+
+    const mc = candidates[i];
+    walk(i + 1, [...chosen, pick(mc, "WIN")]);
+    walk(i + 1, [...chosen, pick(mc, "HALVE")]);
+    walk(i + 1, chosen);
+  };
+  if (needed) walk(0, []);
+
+  found.sort((a, b) => a.length - b.length);
+  return {
+    needed,
+    clinched: false,
+    sets: found
+      .slice(0, limit)
+      .map((set) => set.map((c) => ({ matchId: c.matchId, day: c.day, matchNo: c.matchNo, result: c.result }))),
+    truncated: truncated || found.length > limit,
+  };
+}
@@ -0,0 +1,146 @@
+// src/scoring/skins.js
+// Skins (unique best score on a hole) — pure, no UI
+//
+// Settings live on the day doc (day.skins, see normalizeSkins). Entrants are
+// player ids; a scramble duo plays for skins when either player is in.
+
+export const SKINS_BASIS = ["NET", "GROSS"];
+
+// basis: NET = best net (Stableford points on scramble days), GROSS = fewest strokes
+// carryover: a tied hole's skin rolls into the next hole
+// birdieOrBetter: the winning score must be birdie or better (net or gross per basis) —
+//   otherwise the hole is treated as a tie
+// entrants: player ids who opted in (null = everyone playing the day)
+// buyIn: per entrant, the pool is buyIn × entrants (null = the flat FLAT_SKINS_POOL)
+export const DEFAULT_SKINS = { basis: "NET", carryover: false, birdieOrBetter: false, entrants: null, buyIn: null };
+
+export const FLAT_SKINS_POOL = 200;
+
+/**
+ * Fill in full skins settings from partial / missing data.
+ */
+export function normalizeSkins(cfg) {
+  const d = DEFAULT_SKINS;
+  const buyIn = Number(cfg?.buyIn);
+
+  return {
+    basis: SKINS_BASIS.includes(cfg?.basis) ? cfg.basis : d.basis,
+    carryover: cfg?.carryover != null ? !!cfg.carryover : d.carryover,
+    birdieOrBetter: cfg?.birdieOrBetter != null ? !!cfg.birdieOrBetter : d.birdieOrBetter,
+    entrants: Array.isArray(cfg?.entrants) ? cfg.entrants.filter((id) => typeof id === "string") : d.entrants,
+    buyIn: cfg?.buyIn != null && cfg.buyIn !== "" && Number.isFinite(buyIn) && buyIn >= 0 ? buyIn : d.buyIn,
+  };
+}
+
+export function resolveSkins(day) {
+  return normalizeSkins(day?.skins ?? null);
+}
+
+/**
+ * Whether an entry (its player ids) plays for skins.
+ */
+export function isSkinsEntrant(cfg, playerIds) {
+  return cfg.entrants == null || (playerIds || []).some((id) => cfg.entrants.includes(id));
+}
+
+/**
+ * Pool for the day: buy-in × entrants, or the flat pool when there is no buy-in.
+ * - fieldSize: players in the day's field (the entrant count when entrants is null)
+ */
+export function skinsPool(cfg, fieldSize) {
+  if (cfg.buyIn == null) return FLAT_SKINS_POOL;
+  return cfg.buyIn * (cfg.entrants ? cfg.entrants.length : fieldSize);
+}
+
+// Hole field a score is read from -> the to-par field the birdie rule checks
+const TO_PAR_FIELD = { net: "netToPar", gross: "grossToPar", strokes: "grossToPar", pts: "netToPar" };
+
+/**
+ * Input:
+ * - entries: [{ key, holes: { [holeNum]: { [field], netToPar?, grossToPar? } } }]
+ * - holesCount / holeNums?: as computeSkinsDay13Net
+ * - field: the hole score compared ("net" | "gross" | "strokes" | "pts"); higherWins for points
+ * - carryover / birdieOrBetter: see DEFAULT_SKINS
+ *
+ * Output: { winnerByHole, valueByHole: { [holeNum]: skins won there }, countByKey, totalSkins, carry }
+ * - holes nobody has scored yet are skipped (they don't use up a carryover)
+ * - carry: skins still rolling over after the last scored hole
+ */
+export function computeSkins({
+  entries,
+  holesCount,
+  holeNums,
+  field,
+  higherWins = false,
+  carryover = false,
+  birdieOrBetter = false,
+}) {
+  const winnerByHole = {};
+  const valueByHole = {};
+  const countByKey = {};
+  let totalSkins = 0;
+  let carry = 0;
+
+  for (const holeNum of holeNums ?? Array.from({ length: holesCount }, (_, i) => i + 1)) {
+    let best = null; // { key, value, toPar }
+    let tie = false;
+
+    for (const e of entries) {
+      const cell = e.holes?.[holeNum];
+      const value = cell?.[field];
+      if (value == null) continue;
+
+      if (best == null || (higherWins ? value > best.value : value < best.value)) {
+        best = { key: e.key, value, toPar: cell[TO_PAR_FIELD[field]] };
+        tie = false;
+      } else if (value === best.value) {
+        tie = true;
+      }
+    }
+
+    if (!best) continue;
+
+    const qualifies = !birdieOrBetter || (best.toPar != null && best.toPar <= -1);
+    if (!tie && qualifies) {
+      const won = 1 + carry;
+      winnerByHole[holeNum] = best.key;
+      valueByHole[holeNum] = won;
+      countByKey[best.key] = (countByKey[best.key] || 0) + won;
+      totalSkins += won;
+      carry = 0;
+    } else if (carryover) {
+      carry += 1;
+    }
+  }
+
+  return { winnerByHole, valueByHole, countByKey, totalSkins, carry };
+}
+
+/**
+ * Input:
+ * - entries: [{ key, holes: { [holeNum]: { net | pts } } }]
+ * - holesCount: number of holes on the card (holes 1..holesCount)
+ * - holeNums?: the hole numbers in play, when the round isn't the full card from 1
+ *
+ * Output: { winnerByHole: { [holeNum]: key }, countByKey: { [key]: n }, totalSkins }
+ * (best net, tied holes dropped — computeSkins with the default settings)
+ */
+export function computeSkinsDay13Net({ entries, holesCount, holeNums }) {
+  const { winnerByHole, countByKey, totalSkins } = computeSkins({ entries, holesCount, holeNums, field: "net" });
+  return { winnerByHole, countByKey, totalSkins };
+}
+
+/**
+ * Same contract as computeSkinsDay13Net, but the best hole is the highest
+ * Stableford points value (holes[holeNum].pts).
+ */
+export function computeSkinsDay2Stableford({ entries, holesCount, holeNums }) {
+  const { winnerByHole, countByKey, totalSkins } = computeSkins({
+    entries,
+    holesCount,
+    holeNums,
+    field: "pts",
+    higherWins: true,
+  });
+  return { winnerByHole, countByKey, totalSkins };
+}
@@ -0,0 +1,89 @@
+// src/scoring/skins.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeSkins, skinsPool, isSkinsEntrant, normalizeSkins, FLAT_SKINS_POOL } from "./skins.js";
+import { computeBroadcastScoreboard } from "./leaderboard.js";
+import { computeTournamentTotals } from "./totals.js";
+
+// nets: { [key]: [net to par per hole] } (null = not scored)
+function entries(nets) {
+  return Object.entries(nets).map(([key, list]) => ({
+    key,
+    holes: Object.fromEntries(list.map((n, i) => [i + 1, n == null ? {} : { net: 4 + n, netToPar: n }])),
+  }));
+}
+
+const skinsOf = (nets, opts = {}) => computeSkins({ entries: entries(nets), holesCount: 4, field: "net", ...opts });
+
+test("a tied hole is dropped, or carries over when the day says so", () => {
+  const nets = { p1: [0, -1, 0, 0], p2: [0, 0, 1, 0] };
+
+  const plain = skinsOf(nets);
+  assert.deepEqual(plain.winnerByHole, { 2: "p1", 3: "p1" });
+  assert.equal(plain.totalSkins, 2);
+
+  // The 1st rolls into the 2nd; the 4th is still rolling at the end
+  const carried = skinsOf(nets, { carryover: true });
+  assert.deepEqual(carried.valueByHole, { 2: 2, 3: 1 });
+  assert.deepEqual(carried.countByKey, { p1: 3 });
+  assert.equal(carried.carry, 1);
+});
+
+test("birdie or better: an outright par doesn't win a skin", () => {
+  const nets = { p1: [0, -1, null, 0], p2: [1, 0, null, 1] };
+
+  const birdies = skinsOf(nets, { birdieOrBetter: true });
+  assert.deepEqual(birdies.winnerByHole, { 2: "p1" });
+
+  // The 1st's par carries into the 2nd; the unscored 3rd is skipped and the 4th's par starts a new carry
+  const carried = skinsOf(nets, { birdieOrBetter: true, carryover: true });
+  assert.deepEqual(carried.valueByHole, { 2: 2 });
+  assert.equal(carried.carry, 1);
+});
+
+test("pool: buy-in times entrants, or the flat pool without a buy-in", () => {
+  const entrantsOnly = normalizeSkins({ buyIn: 10, entrants: ["p1", "p2", "p3"] });
+  assert.equal(skinsPool(entrantsOnly, 12), 30);
+  assert.equal(isSkinsEntrant(entrantsOnly, ["p1"]), true);
+  assert.equal(isSkinsEntrant(entrantsOnly, ["p4", "p2"]), true);
+  assert.equal(isSkinsEntrant(entrantsOnly, ["p4"]), false);
+
+  assert.equal(skinsPool(normalizeSkins({ buyIn: 10 }), 12), 120);
+  assert.equal(skinsPool(normalizeSkins({}), 12), FLAT_SKINS_POOL);
+  assert.equal(skinsPool(normalizeSkins({ buyIn: "" }), 12), FLAT_SKINS_POOL);
+});
+
+test("the field is the day's players, not the whole roster", () => {
+  const holes = Array.from({ length: 18 }, (_, i) => ({ hole: i + 1, par: 4, hcpRank: i + 1 }));
+  const players = ["a1", "a2", "b1", "b2"].map((id) => ({ id, teamId: id[0] === "a" ? "JC" : "SG", courseHcp: 0 }));
+  const tournament = {
+    players,
+    courses: { 1: { name: "North", holes } },
+    days: [
+      {
+        day: 1,
+        title: "Singles",
+        skins: { buyIn: 10 },
+        matches: [
+          {
+            id: "m1",
+            format: "SINGLES_NET",
+            sideA: { id: "A", teamId: "JC", playerIds: ["a1"] },
+            sideB: { id: "B", teamId: "SG", playerIds: ["b1"] },
+            singlesGrossByPlayer: { a1: { 1: 3 }, b1: { 1: 4 } },
+          },
+        ],
+      },
+    ],
+  };
+  const playersById = Object.fromEntries(players.map((p) => [p.id, p]));
+  const totals = computeTournamentTotals(tournament);
+  const { skins } = computeBroadcastScoreboard({ tournament, day: 1, totals, playersById });
+
+  assert.equal(skins.entrants, 2);
+  assert.deepEqual(skins.entrantIds, ["a1", "b1"]);
+  assert.equal(skins.pool, 20);
+  assert.equal(skins.totalSkins, 1);
+  assert.equal(skins.skinValue, 20);
+});
@@ -0,0 +1,62 @@
+// src/scoring/stableford.js
+// Stableford points (pure, no UI)
+
+// Points per result vs par. "albatross" = double eagle or better, "double" = double bogey or worse.
+export const STABLEFORD_KEYS = ["albatross", "eagle", "birdie", "par", "bogey", "double"];
+
+export const STABLEFORD_PRESETS = {
+  MODIFIED: {
+    label: "Modified (10/6/3/1/-1/-2)",
+    table: { albatross: 10, eagle: 6, birdie: 3, par: 1, bogey: -1, double: -2 },
+  },
+  STANDARD: {
+    label: "Standard (5/4/3/2/1/0)",
+    table: { albatross: 5, eagle: 4, birdie: 3, par: 2, bogey: 1, double: 0 },
+  },
+};
+
+export const DEFAULT_STABLEFORD_TABLE = STABLEFORD_PRESETS.MODIFIED.table;
+
+/**
+ * Stableford points for a hole.
+ * - diff: gross - par
+ * - table: { albatross, eagle, birdie, par, bogey, double } (defaults to the modified table)
+ */
+export function stablefordFromDiff(diff, table = DEFAULT_STABLEFORD_TABLE) {
+  if (diff <= -3) return table.albatross; // Double Eagle Or Better
+  if (diff === -2) return table.eagle; // Eagle
+  if (diff === -1) return table.birdie; // Birdie
+  if (diff === 0) return table.par; // Par
+  if (diff === 1) return table.bogey; // Bogey
+  return table.double; // Double Bogey Or Worse
+}
+
+/**
+ * Fill any missing / non-numeric entries from the default table.
+ */
+export function normalizeStablefordTable(table) {
+  const out = {};
+  for (const k of STABLEFORD_KEYS) {
+    const n = Number(table?.[k]);
+    out[k] = table?.[k] != null && Number.isFinite(n) ? n : DEFAULT_STABLEFORD_TABLE[k];
+  }
+  return out;
+}
+
+/**
+ * Active table for a match: match override, then day setting, then the default.
+ * - day: { stablefordTable? }
+ * - match: { stablefordTable? }
+ */
+export function resolveStablefordTable(day, match) {
+  return normalizeStablefordTable(match?.stablefordTable ?? day?.stablefordTable ?? null);
+}
+
+/**
+ * Preset id matching a table ("MODIFIED" | "STANDARD"), or "CUSTOM".
+ */
+export function stablefordPresetId(table) {
+  const t = normalizeStablefordTable(table);
+  const hit = Object.entries(STABLEFORD_PRESETS).find(([, p]) => STABLEFORD_KEYS.every((k) => p.table[k] === t[k]));
+  return hit ? hit[0] : "CUSTOM";
+}
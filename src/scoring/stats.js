@@ -0,0 +1,187 @@
+// src/scoring/stats.js
+// Per-player scoring statistics from entered individual gross scores (pure, no UI)
+//
+// Individual scores are the fourball / singles / stroke play gross maps (see
+// findPlayerGrossForDay); team formats (scramble, foursomes, greensomes) have no
+// individual scores and are left out. Pick-ups count at the match's maximum hole
+// score, net uses the player's full course handicap for the day. Greensomes drive
+// choices are counted separately (drives) since they carry no individual score.
+
+import { findPlayerGrossForDay, findPlayerMatchForDay } from "./leaderboard.js";
+import { dayPlayers } from "./whs.js";
+import { netScore, strokesReceivedOnHole } from "./handicap.js";
+import { resolveMaxScore, holeGross, isPickUp } from "./maxScore.js";
+import { greensomesDriveCounts } from "./matchPlay.js";
+
+// Score names by gross to par (double = double bogey or worse, eagle = eagle or better)
+export const SCORE_TYPES = ["eagles", "birdies", "pars", "bogeys", "doubles"];
+
+function scoreType(toPar) {
+  if (toPar <= -2) return "eagles";
+  if (toPar === -1) return "birdies";
+  if (toPar === 0) return "pars";
+  if (toPar === 1) return "bogeys";
+  return "doubles";
+}
+
+/**
+ * Stat block over a list of scored holes ({ day, hole, par, gross, net }).
+ *
+ * Output: { holes, gross, net, par, grossToPar, netToPar, counts: { eagles, ... },
+ *   parAverages: { 3, 4, 5 } (average gross, null when none played),
+ *   nines: { front, back } ({ holes, toPar } — course holes 1-9 / 10-18), best, worst }
+ * - best / worst: the scored hole furthest under / over par (first played on a tie)
+ */
+export function summarizeHoles(scored) {
+  const counts = Object.fromEntries(SCORE_TYPES.map((t) => [t, 0]));
+  const byPar = { 3: [], 4: [], 5: [] };
+  const nines = { front: { holes: 0, toPar: 0 }, back: { holes: 0, toPar: 0 } };
+  let gross = 0;
+  let net = 0;
+  let par = 0;
+  let best = null;
+  let worst = null;
+
+  for (const h of scored) {
+    const toPar = h.gross - h.par;
+    gross += h.gross;
+    net += h.net;
+    par += h.par;
+    counts[scoreType(toPar)] += 1;
+    byPar[h.par]?.push(h.gross);
+
+    const nine = h.hole <= 9 ? nines.front : nines.back;
+    nine.holes += 1;
+    nine.toPar += toPar;
+
+    if (!best || toPar < best.gross - best.par) best = h;
+    if (!worst || toPar > worst.gross - worst.par) worst = h;
+  }
+
+  const avg = (list) => (list.length ? list.reduce((s, n) => s + n, 0) / list.length : null);
+  return {
+    holes: scored.length,
+    gross,
+    net,
+    par,
+    grossToPar: gross - par,
+    netToPar: net - par,
+    counts,
+    parAverages: { 3: avg(byPar[3]), 4: avg(byPar[4]), 5: avg(byPar[5]) },
+    nines,
+    best,
+    worst,
+  };
+}
+
+/**
+ * Every individual score a player has entered, day by day.
+ * Output: { [playerId]: [{ day, hole, par, hcpRank, gross, net, pickedUp }] }
+ */
+export function playerScoredHoles(tournament) {
+  const out = {};
+
+  for (const d of tournament.days || []) {
+    const course = tournament.courses?.[d.day];
+    const matchCards = (d.matches || []).map((match) => ({ match }));
+
+    for (const p of dayPlayers(tournament.players, course)) {
+      const match = findPlayerMatchForDay({ matchCards, playerId: p.id });
+      if (!match) continue;
+      const maxScore = resolveMaxScore(d, match);
+
+      for (const h of course?.holes || []) {
+        const raw = findPlayerGrossForDay({ matchCards, playerId: p.id, holeNum: h.hole });
+        const strokes = strokesReceivedOnHole(p.courseHcp ?? 0, h.hcpRank);
+        const gross = holeGross(raw, maxScore, { par: h.par, strokes });
+        if (gross == null) continue;
+
+        (out[p.id] ??= []).push({
+          day: d.day,
+          hole: h.hole,
+          par: h.par,
+          hcpRank: h.hcpRank,
+          gross,
+          net: netScore(gross, p.courseHcp ?? 0, h.hcpRank),
+          pickedUp: isPickUp(raw),
+        });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Greensomes drives used per player, day by day (conceded holes don't count — see greensomesDriveCounts).
+ * Output: { [playerId]: { total, byDay: { [day]: n } } } — only players who played a greensomes match
+ */
+export function playerDriveCounts(tournament) {
+  const out = {};
+  for (const d of tournament.days || []) {
+    for (const match of d.matches || []) {
+      if (match.format !== "GREENSOMES_NET") continue;
+      for (const [pid, n] of Object.entries(greensomesDriveCounts(match))) {
+        const drives = (out[pid] ??= { total: 0, byDay: {} });
+        drives.total += n;
+        drives.byDay[d.day] = (drives.byDay[d.day] ?? 0) + n;
+      }
+    }
+  }
+  return out;
+}
+
+// Leader boards: value(block) -> number | null; high = most is best.
+// Bogeys and doubles rank fewest per hole played first (a raw count would favour short rounds).
+export const STAT_LEADERS = [
+  { key: "eagles", label: "Eagles", high: true, value: (b) => b.counts.eagles },
+  { key: "birdies", label: "Birdies", high: true, value: (b) => b.counts.birdies },
+  { key: "pars", label: "Pars", high: true, value: (b) => b.counts.pars },
+  { key: "bogeys", label: "Bogeys / Hole", high: false, value: (b) => (b.holes ? b.counts.bogeys / b.holes : null) },
+  { key: "doubles", label: "Doubles+ / Hole", high: false, value: (b) => (b.holes ? b.counts.doubles / b.holes : null) },
+  { key: "par3", label: "Par 3 Average", high: false, value: (b) => b.parAverages[3] },
+  { key: "par4", label: "Par 4 Average", high: false, value: (b) => b.parAverages[4] },
+  { key: "par5", label: "Par 5 Average", high: false, value: (b) => b.parAverages[5] },
+  { key: "gross", label: "Gross To Par / Hole", high: false, value: (b) => (b.holes ? b.grossToPar / b.holes : null) },
+  { key: "net", label: "Net To Par / Hole", high: false, value: (b) => (b.holes ? b.netToPar / b.holes : null) },
+];
+
+/**
+ * Input: { tournament }
+ *
+ * Output: { players: { [playerId]: { playerId, overall, byDay: { [day]: block }, drives } }, leaders }
+ * - block: summarizeHoles over the player's scores (overall = every day)
+ * - drives: playerDriveCounts entry, { total: 0, byDay: {} } for players with no greensomes match
+ *   (a player with drives but no individual scores gets an empty overall block)
+ * - leaders: { [statKey]: [{ playerId, value }] } best first, top `limit` (ties at the cut included),
+ *   players with no value for the stat left out
+ */
+export function computePlayerStats({ tournament }, { limit = 5 } = {}) {
+  const scoredById = playerScoredHoles(tournament);
+  const drivesById = playerDriveCounts(tournament);
+  const players = {};
+  for (const playerId of new Set([...Object.keys(scoredById), ...Object.keys(drivesById)])) {
+    const scored = scoredById[playerId] || [];
+    const byDay = {};
+    for (const day of [...new Set(scored.map((h) => h.day))]) {
+      byDay[day] = summarizeHoles(scored.filter((h) => h.day === day));
+    }
+    players[playerId] = {
+      playerId,
+      overall: summarizeHoles(scored),
+      byDay,
+      drives: drivesById[playerId] || { total: 0, byDay: {} },
+    };
+  }
+
+  const leaders = {};
+  for (const stat of STAT_LEADERS) {
+    const ranked = Object.values(players)
+      .map((p) => ({ playerId: p.playerId, value: stat.value(p.overall) }))
+      .filter((r) => r.value != null && (!stat.high || r.value > 0))
+      .sort((a, b) => (stat.high ? b.value - a.value : a.value - b.value));
+    const cut = ranked[limit - 1]?.value;
+    leaders[stat.key] = ranked.filter((r, i) => i < limit || r.value === cut);
+  }
+
+  return { players, leaders };
+}
@@ -0,0 +1,192 @@
+// src/scoring/strokePlay.js
+// Stroke play (medal) days: individual leaderboard + team points (pure, no UI)
+//
+// A stroke play day is a day doc with type "STROKE_PLAY". Its matches are
+// playing groups (format "STROKE_PLAY"): sideA / sideB just list who is in the
+// group, and every player's scores live in singlesGrossByPlayer, the same
+// per-player storage singles uses. An admin can mark a player who won't finish
+// as withdrawn (group.withdrawn: [playerId] — WD / DNF).
+
+import { playingHcp, strokesReceivedOnHole, netScore } from "./handicap.js";
+import { resolveMaxScore, holeGross } from "./maxScore.js";
+import { resolveRound, roundHoles } from "./round.js";
+import { matchParticipants } from "./lineup.js";
+
+export const STROKE_PLAY_SCORING = ["NET", "GROSS"];
+export const STROKE_PLAY_METHODS = ["POSITION", "BEST_N"];
+
+// POSITION: positionPoints[i] goes to the team of the player finishing i+1 (ties share)
+// BEST_N: each team's best N scores are added up; the lower total takes bestNPoints (ties split)
+export const DEFAULT_STROKE_PLAY = {
+  scoring: "NET",
+  method: "POSITION",
+  allowancePct: 100,
+  positionPoints: [3, 2, 1],
+  bestN: 3,
+  bestNPoints: 2,
+};
+
+export function isStrokePlayDay(day) {
+  return day?.type === "STROKE_PLAY";
+}
+
+/**
+ * Fill in a full stroke play config from partial / missing data.
+ */
+export function normalizeStrokePlay(cfg) {
+  const d = DEFAULT_STROKE_PLAY;
+  const num = (v, fallback) => (Number.isFinite(Number(v)) && v !== null && v !== "" ? Number(v) : fallback);
+  const points = Array.isArray(cfg?.positionPoints) ? cfg.positionPoints.map((p) => num(p, 0)) : d.positionPoints;
+
+  return {
+    scoring: STROKE_PLAY_SCORING.includes(cfg?.scoring) ? cfg.scoring : d.scoring,
+    method: STROKE_PLAY_METHODS.includes(cfg?.method) ? cfg.method : d.method,
+    allowancePct: num(cfg?.allowancePct, d.allowancePct),
+    positionPoints: points,
+    bestN: Math.max(1, Math.round(num(cfg?.bestN, d.bestN))),
+    bestNPoints: num(cfg?.bestNPoints, d.bestNPoints),
+  };
+}
+
+export function resolveStrokePlay(day) {
+  return normalizeStrokePlay(day?.strokePlay ?? null);
+}
+
+/**
+ * Input: { day, holes (course scorecard), playersById (day course handicaps) }
+ *
+ * Output: { rows, points, projectedPoints, available, isFinal, config }
+ * - row: { playerId, teamId, groupId, playingHcp, gross, net, grossToPar, netToPar, toPar,
+ *   thru, holesInRound, startHole, complete, withdrawn, position, tied }
+ *   (toPar is the scored one — net or gross per config; thru counts holes completed)
+ * - withdrawn players are listed last with no position: they don't hold the day open,
+ *   take points or count toward the places on offer
+ * - points: { [teamId]: points } — zeroes until every player still in has finished
+ * - projectedPoints: { [teamId]: points } as the leaderboard stands right now
+ * - available: total points on offer for the day (see strokePlayAvailablePoints)
+ */
+export function computeStrokePlayDay({ day, holes, playersById }) {
+  const config = resolveStrokePlay(day);
+  const rows = [];
+
+  for (const group of day?.matches || []) {
+    const order = roundHoles(holes, resolveRound(day, group));
+    const maxScore = resolveMaxScore(day, group);
+
+    for (const pid of matchParticipants(group)) {
+      const p = playersById[pid];
+      if (!p || rows.some((r) => r.playerId === pid)) continue;
+
+      const hcp = playingHcp(p.courseHcp ?? 0, config.allowancePct);
+      let gross = 0;
+      let net = 0;
+      let par = 0;
+      let thru = 0;
+
+      for (const h of order) {
+        const strokes = strokesReceivedOnHole(hcp, h.hcpRank);
+        const g = holeGross(group.singlesGrossByPlayer?.[pid]?.[h.hole], maxScore, { par: h.par, strokes });
+        if (g == null) continue;
+        thru += 1;
+        gross += g;
+        net += netScore(g, hcp, h.hcpRank);
+        par += h.par;
+      }
+
+      const grossToPar = thru ? gross - par : null;
+      const netToPar = thru ? net - par : null;
+
+      rows.push({
+        playerId: pid,
+        teamId: p.teamId,
+        groupId: group.id,
+        playingHcp: hcp,
+        gross: thru ? gross : null,
+        net: thru ? net : null,
+        grossToPar,
+        netToPar,
+        toPar: config.scoring === "GROSS" ? grossToPar : netToPar,
+        thru,
+        holesInRound: order.length,
+        startHole: order[0]?.hole ?? 1,
+        complete: order.length > 0 && thru === order.length,
+        withdrawn: (group.withdrawn || []).includes(pid),
+      });
+    }
+  }
+
+  // Lowest to par first; players yet to start, then withdrawn players, go last. Ties share a position.
+  rows.sort((a, b) => {
+    if (a.withdrawn !== b.withdrawn) return a.withdrawn ? 1 : -1;
+    const at = a.toPar ?? Number.POSITIVE_INFINITY;
+    const bt = b.toPar ?? Number.POSITIVE_INFINITY;
+    if (at !== bt) return at - bt;
+    return b.thru - a.thru;
+  });
+  const field = rows.filter((r) => !r.withdrawn);
+  for (const r of rows) {
+    const ranked = r.toPar != null && !r.withdrawn;
+    r.position = ranked ? field.findIndex((x) => x.toPar === r.toPar) + 1 : null;
+    r.tied = ranked && field.filter((x) => x.toPar === r.toPar).length > 1;
+  }
+
+  const teamIds = [...new Set(rows.map((r) => r.teamId))];
+  const isFinal = field.length > 0 && field.every((r) => r.complete);
+  const earned = strokePlayPoints(field, config, teamIds);
+  const points = Object.fromEntries(teamIds.map((t) => [t, isFinal ? earned[t] : 0]));
+
+  return {
+    rows,
+    points,
+    projectedPoints: earned,
+    available: strokePlayAvailablePoints(config, field.length),
+    isFinal,
+    config,
+  };
+}
+
+/**
+ * Points on offer: the position points there are players for, or the best-N prize.
+ */
+export function strokePlayAvailablePoints(config, playerCount) {
+  if (!playerCount) return 0;
+  if (config.method === "BEST_N") return config.bestNPoints;
+  return config.positionPoints.slice(0, playerCount).reduce((sum, p) => sum + p, 0);
+}
+
+/**
+ * Team points from ranked rows (as they stand — callers decide when they count).
+ */
+export function strokePlayPoints(rows, config, teamIds) {
+  const out = Object.fromEntries(teamIds.map((t) => [t, 0]));
+  const ranked = rows.filter((r) => r.toPar != null);
+
+  if (config.method === "BEST_N") {
+    // Short-handed teams: every team counts the same number of scores
+    const n = Math.min(config.bestN, ...teamIds.map((t) => rows.filter((r) => r.teamId === t).length));
+    const totals = teamIds.map((t) => {
+      const best = ranked.filter((r) => r.teamId === t).slice(0, n);
+      return { teamId: t, total: best.length ? best.reduce((sum, r) => sum + r.toPar, 0) : null };
+    });
+    const scored = totals.filter((x) => x.total != null);
+    if (!scored.length) return out;
+
+    const low = Math.min(...scored.map((x) => x.total));
+    const winners = scored.filter((x) => x.total === low);
+    for (const w of winners) out[w.teamId] += config.bestNPoints / winners.length;
+    return out;
+  }
+
+  // POSITION: tied players split the points for the places they occupy
+  let i = 0;
+  while (i < ranked.length) {
+    let j = i;
+    while (j + 1 < ranked.length && ranked[j + 1].toPar === ranked[i].toPar) j += 1;
+
+    const pool = config.positionPoints.slice(i, j + 1).reduce((sum, p) => sum + p, 0);
+    const share = pool / (j - i + 1);
+    for (let k = i; k <= j; k++) out[ranked[k].teamId] += share;
+    i = j + 1;
+  }
+  return out;
+}
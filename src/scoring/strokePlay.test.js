@@ -0,0 +1,95 @@
+// src/scoring/strokePlay.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeStrokePlayDay } from "./strokePlay.js";
+
+// A three-hole card of par 4s
+const holes = [1, 2, 3].map((hole) => ({ hole, par: 4, hcpRank: hole }));
+
+const playersById = {
+  a1: { id: "a1", teamId: "JC", courseHcp: 0 },
+  a2: { id: "a2", teamId: "JC", courseHcp: 0 },
+  b1: { id: "b1", teamId: "SG", courseHcp: 0 },
+  b2: { id: "b2", teamId: "SG", courseHcp: 0 },
+};
+
+// scores: { [playerId]: [gross per hole] }
+function day(strokePlay, scores, group = {}) {
+  const singlesGrossByPlayer = Object.fromEntries(
+    Object.entries(scores).map(([pid, list]) => [pid, Object.fromEntries(list.map((g, i) => [i + 1, g]))])
+  );
+  return {
+    day: 3,
+    type: "STROKE_PLAY",
+    strokePlay,
+    matches: [
+      {
+        id: "g1",
+        matchNo: 1,
+        format: "STROKE_PLAY",
+        sideA: { id: "g1-A", teamId: "JC", playerIds: ["a1", "a2"] },
+        sideB: { id: "g1-B", teamId: "SG", playerIds: ["b1", "b2"] },
+        singlesGrossByPlayer,
+        ...group,
+      },
+    ],
+  };
+}
+
+// b1 -1, a1 and b2 level par, a2 +1
+const finished = { a1: [4, 4, 4], a2: [4, 4, 5], b1: [3, 4, 4], b2: [4, 4, 4] };
+
+const sp = (d) => computeStrokePlayDay({ day: d, holes, playersById });
+
+test("POSITION: places score in order and tied players split theirs", () => {
+  const result = sp(day({ method: "POSITION", positionPoints: [3, 2, 1] }, finished));
+
+  assert.equal(result.isFinal, true);
+  assert.equal(result.available, 6);
+  assert.deepEqual(
+    result.rows.map((r) => [r.playerId, r.position, r.tied]),
+    [
+      ["b1", 1, false],
+      ["a1", 2, true],
+      ["b2", 2, true],
+      ["a2", 4, false],
+    ]
+  );
+  // 2nd and 3rd shared between a1 and b2
+  assert.deepEqual(result.points, { JC: 1.5, SG: 4.5 });
+});
+
+test("BEST_N: the lower total of each team's best scores takes the points, a tie splits them", () => {
+  const best = { method: "BEST_N", bestN: 2, bestNPoints: 2 };
+  assert.deepEqual(sp(day(best, finished)).points, { JC: 0, SG: 2 });
+
+  // a2 birdies the last instead: both teams on -1
+  const level = sp(day(best, { ...finished, a2: [4, 4, 3] }));
+  assert.deepEqual(level.points, { JC: 1, SG: 1 });
+  assert.equal(level.available, 2);
+});
+
+test("points wait for every player to finish", () => {
+  const live = sp(day({ method: "POSITION" }, { ...finished, a2: [4, 4] }));
+  assert.equal(live.isFinal, false);
+  assert.deepEqual(live.points, { JC: 0, SG: 0 });
+  // As it stands a2 is level par too: three share 2nd to 4th
+  assert.deepEqual(live.projectedPoints, { JC: 2, SG: 4 });
+});
+
+test("a withdrawn player doesn't hold the day open or take a place", () => {
+  const result = sp(day({ method: "POSITION", positionPoints: [3, 2, 1] }, { ...finished, a2: [4, 4] }, { withdrawn: ["a2"] }));
+
+  assert.equal(result.isFinal, true);
+  const a2 = result.rows.at(-1);
+  assert.equal(a2.playerId, "a2");
+  assert.equal(a2.withdrawn, true);
+  assert.equal(a2.position, null);
+  assert.deepEqual(result.points, { JC: 1.5, SG: 4.5 });
+
+  // With only two left, a third place is no longer on offer
+  const short = sp(day({ method: "POSITION", positionPoints: [3, 2, 1] }, finished, { withdrawn: ["a2", "b2"] }));
+  assert.equal(short.available, 5);
+  assert.deepEqual(short.points, { JC: 2, SG: 3 });
+});
@@ -0,0 +1,95 @@
+// src/scoring/teams.js
+// Teams as data (pure, no UI)
+//
+// tournament.teams: [{ id, name, abbr, color, logo? }] — order is display order
+// (first team on the left). Missing / empty falls back to the original two teams.
+// color is a palette key (see TEAM_COLORS); the UI maps it to its own classes.
+
+export const TEAM_COLORS = ["red", "yellow", "blue", "green", "purple", "orange"];
+
+export const DEFAULT_TEAMS = [
+  { id: "JC", name: "Jumping Chollas", abbr: "JCGC", color: "red", logo: "/jc-logo.png" },
+  { id: "SG", name: "Saguaros", abbr: "SGC", color: "yellow", logo: "/sg-logo.png" },
+];
+
+/**
+ * Fill in a full team list from partial / missing data (ids must be unique, no "/").
+ */
+export function normalizeTeams(teams) {
+  if (!Array.isArray(teams) || teams.length === 0) return DEFAULT_TEAMS;
+
+  const out = [];
+  for (const t of teams) {
+    const id = typeof t?.id === "string" ? t.id.trim() : "";
+    if (!id || id.includes("/") || out.some((x) => x.id === id)) continue;
+    out.push({
+      id,
+      name: t.name || id,
+      abbr: t.abbr || id,
+      color: TEAM_COLORS.includes(t.color) ? t.color : TEAM_COLORS[out.length % TEAM_COLORS.length],
+      logo: t.logo || null,
+    });
+  }
+  return out.length ? out : DEFAULT_TEAMS;
+}
+
+/**
+ * Team ids for a tournament: configured teams first, then any team a player or
+ * match side still points at (so renamed / removed teams never drop points).
+ */
+export function tournamentTeamIds(tournament) {
+  const ids = normalizeTeams(tournament?.teams).map((t) => t.id);
+  const seen = [
+    ...(tournament?.players || []).map((p) => p.teamId),
+    ...(tournament?.days || []).flatMap((d) => (d.matches || []).flatMap((m) => [m.sideA?.teamId, m.sideB?.teamId])),
+  ];
+  for (const id of seen) if (id && !ids.includes(id)) ids.push(id);
+  return ids;
+}
+
+/**
+ * { [teamId]: 0 } for every team.
+ */
+export function emptyTeamPoints(teamIds) {
+  return Object.fromEntries(teamIds.map((t) => [t, 0]));
+}
+
+/**
+ * Add one { [teamId]: n } map into another (in place).
+ */
+export function addTeamPoints(into, points) {
+  for (const [t, n] of Object.entries(points || {})) into[t] = (into[t] ?? 0) + (n ?? 0);
+  return into;
+}
+
+/**
+ * Teams with the most points (more than one = tied for the lead).
+ */
+export function leadingTeams(points) {
+  const ids = Object.keys(points || {});
+  if (!ids.length) return [];
+  const best = Math.max(...ids.map((t) => points[t]));
+  return ids.filter((t) => points[t] === best);
+}
+
+/**
+ * Round-robin sessions (circle method): [[[teamA, teamB], ...], ...] — every pair
+ * meets once. With an odd number of teams one team sits out each session.
+ */
+export function roundRobinSessions(teamIds) {
+  const ids = teamIds.length % 2 ? [...teamIds, null] : [...teamIds];
+  const sessions = [];
+
+  for (let r = 0; r < ids.length - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < ids.length / 2; i++) {
+      const a = ids[i];
+      const b = ids[ids.length - 1 - i];
+      if (a && b) pairs.push(r % 2 ? [b, a] : [a, b]);
+    }
+    sessions.push(pairs);
+    // Keep the first team fixed, rotate the rest
+    ids.splice(1, 0, ids.pop());
+  }
+  return sessions;
+}
@@ -0,0 +1,167 @@
+// src/scoring/totals.js
+// Tournament-wide standings (pure, no UI)
+
+import {
+  computeMatchHoles,
+  computeMatchStatus,
+  pointsForFinalMatch,
+  projectedMatchPoints,
+  resolveMustHaveWinner,
+} from "./matchPlay.js";
+import { resolveStablefordTable } from "./stableford.js";
+import { resolveAllowances } from "./handicap.js";
+import { dayPlayersById } from "./whs.js";
+import { resolveRound } from "./round.js";
+import { resolveMaxScore } from "./maxScore.js";
+import { isStrokePlayDay, computeStrokePlayDay } from "./strokePlay.js";
+import {
+  resolveMatchPoints,
+  resolveBonusPoints,
+  dayAggregate,
+  bonusPointsFromAggregate,
+  computeCupStatus,
+} from "./points.js";
+import { tournamentTeamIds, emptyTeamPoints, addTeamPoints } from "./teams.js";
+
+/**
+ * Every match (or stroke play group) of a day summary is over.
+ */
+export function isDayFinal(summary) {
+  if (summary?.strokePlay) return !!summary.strokePlay.isFinal;
+  return !!summary?.matchCards?.length && summary.matchCards.every((mc) => mc.status.isFinal);
+}
+
+/**
+ * Input:
+ * - tournament: { players: [{ id, teamId, courseHcp, handicapIndex?, courseHcpOverride? }], teams?, cup?,
+ *   courses: { [day]: { name, holes, tees?, teeId? } },
+ *   days: [{ day, title, courseName, type?, strokePlay?, matchPoints?, bonusPoints?, stablefordTable?, allowances?,
+ *   mustHaveWinner?, startHole?, holesToPlay?, maxScore?, matches: [match] }] }
+ *
+ * Output:
+ * - { daySummaries, teamIds, points, projected, available, remaining, open, cup (computeCupStatus) }
+ *   (points / projected: { [teamId]: n } for every team — see teams.js)
+ * - daySummary: { day, title, courseName, points, projected, available, remaining, matchCards, bonus?, strokePlay? }
+ *   (projected = "if it ended now": live matches to their current leader, halved when level)
+ *   (stroke play days: no matchCards; strokePlay = computeStrokePlayDay, groups = the day's matches)
+ * - bonus: { value, aggregate (dayAggregate), points, projectedPoints, isFinal } when the day has bonus points
+ * - matchCard: { match, holes (computeMatchHoles), status, points, projectedPoints, value, courseName }
+ * - open: undecided points and who can still win them (teamReach units) — a unit per open match
+ *   (its two teams), day bonus (the day's teams) and stroke play day (every team)
+ */
+export function computeTournamentTotals(tournament) {
+  const teamIds = tournamentTeamIds(tournament);
+
+  const daySummaries = (tournament.days || []).map((d) => {
+    const holes = tournament.courses?.[d.day]?.holes || [];
+    // Course handicaps are per day (tee slope / rating differ by course)
+    const playersById = dayPlayersById(tournament.players, tournament.courses?.[d.day]);
+    const points = emptyTeamPoints(teamIds);
+    const projected = emptyTeamPoints(teamIds);
+
+    if (isStrokePlayDay(d)) {
+      const strokePlay = computeStrokePlayDay({ day: d, holes, playersById });
+      return {
+        day: d.day,
+        title: d.title,
+        courseName: d.courseName,
+        points: addTeamPoints(points, strokePlay.points),
+        projected: addTeamPoints(projected, strokePlay.projectedPoints),
+        available: strokePlay.available,
+        remaining: strokePlay.isFinal ? 0 : strokePlay.available,
+        matchCards: [],
+        groups: d.matches || [],
+        strokePlay,
+      };
+    }
+
+    let available = 0;
+    let remaining = 0;
+
+    const matchCards = (d.matches || []).map((m) => {
+      const mh = computeMatchHoles(m, holes, playersById, {
+        stablefordTable: resolveStablefordTable(d, m),
+        allowances: resolveAllowances(d, m),
+        mustHaveWinner: resolveMustHaveWinner(d, m),
+        round: resolveRound(d, m),
+        maxScore: resolveMaxScore(d, m),
+      });
+      const status = computeMatchStatus(m, mh);
+      const value = resolveMatchPoints(d, m);
+      const pts = pointsForFinalMatch(status, m.sideA, m.sideB, value);
+      const projectedPoints = projectedMatchPoints(status, m.sideA, m.sideB, value);
+      addTeamPoints(points, pts);
+      addTeamPoints(projected, projectedPoints);
+      available += value;
+      if (!status.isFinal) remaining += value;
+
+      return {
+        match: m,
+        holes: mh,
+        status,
+        points: pts,
+        projectedPoints,
+        value,
+        courseName: tournament.courses?.[d.day]?.name || d.courseName,
+      };
+    });
+
+    // Day bonus: decided once every match of the day is final
+    const bonusValue = resolveBonusPoints(d);
+    let bonus = null;
+    if (bonusValue > 0 && matchCards.length) {
+      const aggregate = dayAggregate(matchCards);
+      const isFinal = matchCards.every((mc) => mc.status.isFinal);
+      const started = matchCards.some((mc) => mc.status.played > 0);
+      const bonusPoints = bonusPointsFromAggregate(aggregate, bonusValue, isFinal);
+      const projectedPoints = bonusPointsFromAggregate(aggregate, bonusValue, started);
+      addTeamPoints(points, bonusPoints);
+      addTeamPoints(projected, projectedPoints);
+      available += bonusValue;
+      if (!isFinal) remaining += bonusValue;
+      bonus = { value: bonusValue, aggregate, points: bonusPoints, projectedPoints, isFinal };
+    }
+
+    return {
+      day: d.day,
+      title: d.title,
+      courseName: d.courseName,
+      points,
+      projected,
+      available,
+      remaining,
+      matchCards,
+      bonus,
+    };
+  });
+
+  const points = emptyTeamPoints(teamIds);
+  const projected = emptyTeamPoints(teamIds);
+  for (const d of daySummaries) {
+    addTeamPoints(points, d.points);
+    addTeamPoints(projected, d.projected);
+  }
+  const available = daySummaries.reduce((s, d) => s + d.available, 0);
+  const remaining = daySummaries.reduce((s, d) => s + d.remaining, 0);
+  const open = openPointUnits(daySummaries, teamIds);
+  const cup = computeCupStatus({ points, available, remaining, open, cup: tournament.cup });
+
+  return { daySummaries, teamIds, points, projected, available, remaining, open, cup };
+}
+
+function openPointUnits(daySummaries, teamIds) {
+  const open = [];
+  for (const d of daySummaries) {
+    if (d.strokePlay && !d.strokePlay.isFinal && d.available > 0) {
+      open.push({ id: `strokePlay-${d.day}`, teamIds, value: d.available });
+    }
+    for (const mc of d.matchCards) {
+      if (mc.status.isFinal) continue;
+      open.push({ id: mc.match.id, teamIds: [mc.match.sideA.teamId, mc.match.sideB.teamId], value: mc.value });
+    }
+    if (d.bonus && !d.bonus.isFinal) {
+      open.push({ id: `bonus-${d.day}`, teamIds: Object.keys(d.bonus.aggregate.totals), value: d.bonus.value });
+    }
+  }
+  return open;
+}
@@ -0,0 +1,99 @@
+// src/scoring/totals.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeTournamentTotals } from "./totals.js";
+
+// Par 4s, stroke index = hole number
+const holes = Array.from({ length: 18 }, (_, i) => ({ hole: i + 1, par: 4, hcpRank: i + 1 }));
+
+const players = [
+  { id: "a1", teamId: "JC", courseHcp: 10 },
+  { id: "a2", teamId: "JC", courseHcp: 4 },
+  { id: "b1", teamId: "SG", courseHcp: 0 },
+  { id: "b2", teamId: "SG", courseHcp: 18 },
+];
+
+function singles(id, a, b, extra = {}) {
+  return {
+    id,
+    format: "SINGLES_NET",
+    sideA: { id: `${id}-A`, teamId: "JC", playerIds: [a] },
+    sideB: { id: `${id}-B`, teamId: "SG", playerIds: [b] },
+    ...extra,
+  };
+}
+
+const tournament = {
+  players,
+  courses: { 1: { name: "North", holes }, 2: { name: "South", holes } },
+  days: [
+    {
+      day: 1,
+      title: "Singles",
+      bonusPoints: 1,
+      matches: [
+        singles("m1", "a1", "b1", { forfeit: { type: "WALKOVER", toSideId: "m1-A" } }),
+        // a2 nets 3 to b2's 4 on stroke index 1
+        singles("m2", "a2", "b2", { singlesGrossByPlayer: { a2: { 1: 4 }, b2: { 1: 5 } } }),
+      ],
+    },
+    { day: 2, title: "Singles", matches: [singles("m3", "a1", "b2", { points: 2 })] },
+  ],
+};
+
+test("points count final matches only, projected takes live leaders", () => {
+  const totals = computeTournamentTotals(tournament);
+
+  assert.deepEqual(totals.teamIds, ["JC", "SG"]);
+  assert.deepEqual(totals.points, { JC: 1, SG: 0 });
+  // The live match and the day bonus (JC lead the holes won) go to JC if it ended now
+  assert.deepEqual(totals.projected, { JC: 3, SG: 0 });
+
+  const [day1, day2] = totals.daySummaries;
+  assert.equal(day1.matchCards[0].status.text, "Final • Walkover");
+  assert.equal(day1.matchCards[1].status.text, "1 Up Thru 1");
+  assert.deepEqual(day1.bonus.aggregate, { totals: { JC: 1, SG: 0 }, unit: "Holes" });
+  assert.equal(day1.bonus.isFinal, false);
+  assert.equal(day1.available, 3);
+  assert.equal(day1.remaining, 2);
+  assert.equal(day2.matchCards[0].value, 2);
+});
+
+test("available, remaining and the open units feed the Cup status", () => {
+  const totals = computeTournamentTotals(tournament);
+
+  assert.equal(totals.available, 5);
+  assert.equal(totals.remaining, 4);
+  assert.deepEqual(
+    totals.open.map((u) => [u.id, u.value]),
+    [
+      ["m2", 1],
+      ["bonus-1", 1],
+      ["m3", 2],
+    ]
+  );
+
+  // SG can still reach 4, so JC need 2 more (3 total); SG need 3 of the 4 left
+  assert.deepEqual(totals.cup.needed, { JC: 2, SG: 3 });
+  assert.deepEqual(totals.cup.target, { JC: 3, SG: 3 });
+  assert.equal(totals.cup.clinchedBy, null);
+});
+
+test("the Cup is clinched once every point is decided", () => {
+  const done = {
+    ...tournament,
+    days: tournament.days.map((d) => ({
+      ...d,
+      matches: d.matches.map((m) => ({ ...m, concededMatch: { toSideId: m.sideA.id, at: 1 } })),
+    })),
+  };
+  const totals = computeTournamentTotals(done);
+
+  // m1 keeps its walkover; the bonus is settled on holes won
+  assert.deepEqual(totals.points, { JC: 5, SG: 0 });
+  assert.equal(totals.remaining, 0);
+  assert.deepEqual(totals.open, []);
+  assert.equal(totals.cup.clinchedBy, "JC");
+  assert.equal(totals.cup.decided, true);
+});
@@ -0,0 +1,92 @@
+// src/scoring/whs.js
+// World Handicap System: Handicap Index -> course handicap per day (pure, no UI)
+
+// Halves round away from zero, so a plus handicap rounds like the same handicap
+// the other side of scratch (+2.5 -> +3, as 2.5 -> 3); Math.round(-2.5) would give -2
+function roundHalfAway(x) {
+  return Math.sign(x) * Math.round(Math.abs(x));
+}
+
+/**
+ * Course handicap = Index x (Slope / 113) + (Course Rating - Par), rounded (halves away from scratch).
+ */
+export function courseHandicapFromIndex(handicapIndex, { slope, rating, par }) {
+  const index = Number(handicapIndex);
+  if (!Number.isFinite(index)) return null;
+  return roundHalfAway(index * (Number(slope) / 113) + (Number(rating) - Number(par))) || 0;
+}
+
+function coursePar(course) {
+  return (course?.holes || []).reduce((sum, h) => sum + (Number(h.par) || 0), 0);
+}
+
+/**
+ * Tee set a player plays on a course: the player's tee if the course has it,
+ * else the course's active tee, else the first tee. Null when no tee data.
+ * - course: { holes, teeId?, tees?: [{ id, name, slope, rating, par? }] }
+ */
+export function resolveTeeSet(course, teeId = null) {
+  const tees = Array.isArray(course?.tees) ? course.tees : [];
+  const tee = tees.find((t) => t.id === teeId) || tees.find((t) => t.id === course?.teeId) || tees[0];
+  if (!tee) return null;
+
+  const slope = Number(tee.slope);
+  const rating = Number(tee.rating);
+  if (!Number.isFinite(slope) || slope <= 0 || !Number.isFinite(rating)) return null;
+
+  const par = Number(tee.par) || coursePar(course);
+  return { id: tee.id, name: tee.name || tee.id, slope, rating, par };
+}
+
+/**
+ * A player's course handicap on a course, with how it was derived.
+ *
+ * Output: { courseHcp, source, derivation }
+ * - source: "override" (courseHcpOverride), "whs" (index + tee), "stored" (legacy courseHcp)
+ * - derivation: { handicapIndex, tee } for "whs", else null
+ */
+export function playerCourseHcp(player, course) {
+  const override = player?.courseHcpOverride;
+  if (override != null && override !== "" && Number.isFinite(Number(override))) {
+    return { courseHcp: Number(override), source: "override", derivation: null };
+  }
+
+  const tee = resolveTeeSet(course, player?.teeId ?? null);
+  const index = player?.handicapIndex;
+  if (tee && index != null && index !== "" && Number.isFinite(Number(index))) {
+    return {
+      courseHcp: courseHandicapFromIndex(index, tee),
+      source: "whs",
+      derivation: { handicapIndex: Number(index), tee },
+    };
+  }
+
+  return { courseHcp: Number(player?.courseHcp) || 0, source: "stored", derivation: null };
+}
+
+/**
+ * Players for one day: courseHcp replaced by that day's computed value
+ * (original kept as storedCourseHcp, derivation attached as hcpSource / hcpDerivation).
+ */
+export function dayPlayers(players, course) {
+  return (players || []).map((p) => {
+    const r = playerCourseHcp(p, course);
+    return { ...p, storedCourseHcp: p.courseHcp, courseHcp: r.courseHcp, hcpSource: r.source, hcpDerivation: r.derivation };
+  });
+}
+
+export function dayPlayersById(players, course) {
+  return Object.fromEntries(dayPlayers(players, course).map((p) => [p.id, p]));
+}
+
+/**
+ * Human-readable derivation, e.g. "12.4 × 128/113 + (71.2 − 72) = 13".
+ */
+export function describeCourseHcp(player) {
+  if (player?.hcpSource === "override") return `Override ${player.courseHcp}`;
+  if (player?.hcpSource === "whs" && player.hcpDerivation) {
+    const { handicapIndex, tee } = player.hcpDerivation;
+    return `${handicapIndex} × ${tee.slope}/113 + (${tee.rating} − ${tee.par}) = ${player.courseHcp}`;
+  }
+  return `Course HCP ${player?.courseHcp ?? "—"}`;
+}
@@ -0,0 +1,56 @@
+// src/scoring/whs.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { courseHandicapFromIndex, playerCourseHcp, resolveTeeSet } from "./whs.js";
+
+const holes = Array.from({ length: 18 }, (_, i) => ({ hole: i + 1, par: 4, hcpRank: i + 1 }));
+const course = {
+  holes,
+  teeId: "white",
+  tees: [
+    { id: "blue", name: "Blue", slope: 135, rating: 74.1, par: 72 },
+    { id: "white", name: "White", slope: 128, rating: 71.2, par: 72 },
+  ],
+};
+
+test("course handicap: index x slope / 113 + rating - par, rounded", () => {
+  // 12.4 x 128 / 113 - 0.8 = 13.25
+  assert.equal(courseHandicapFromIndex(12.4, { slope: 128, rating: 71.2, par: 72 }), 13);
+  assert.equal(courseHandicapFromIndex("12.4", { slope: 128, rating: 71.2, par: 72 }), 13);
+  assert.equal(courseHandicapFromIndex(undefined, { slope: 128, rating: 71.2, par: 72 }), null);
+  assert.equal(courseHandicapFromIndex("abc", { slope: 128, rating: 71.2, par: 72 }), null);
+});
+
+test("halves round away from scratch, so a plus handicap matches its mirror", () => {
+  const neutral = { slope: 113, rating: 72, par: 72 };
+  assert.equal(courseHandicapFromIndex(2.5, neutral), 3);
+  assert.equal(courseHandicapFromIndex(-2.5, neutral), -3);
+  assert.equal(courseHandicapFromIndex(-2.4, neutral), -2);
+  assert.ok(Object.is(courseHandicapFromIndex(-0.3, neutral), 0));
+});
+
+test("the player's tee, else the course's, else none without slope and rating", () => {
+  assert.equal(resolveTeeSet(course, "blue").id, "blue");
+  assert.equal(resolveTeeSet(course, "red").id, "white");
+  assert.equal(resolveTeeSet({ holes, tees: [{ id: "x", slope: 120 }] }), null);
+  // No par on the tee: the card's par
+  assert.equal(resolveTeeSet({ holes, tees: [{ id: "x", slope: 120, rating: 70 }] }).par, 72);
+});
+
+test("an override beats the index, and the index beats the stored course handicap", () => {
+  const player = { handicapIndex: 12.4, courseHcp: 9, courseHcpOverride: 20 };
+
+  assert.deepEqual(playerCourseHcp(player, course), { courseHcp: 20, source: "override", derivation: null });
+
+  const whs = playerCourseHcp({ ...player, courseHcpOverride: "" }, course);
+  assert.equal(whs.courseHcp, 13);
+  assert.equal(whs.source, "whs");
+  assert.equal(whs.derivation.handicapIndex, 12.4);
+  assert.equal(whs.derivation.tee.id, "white");
+
+  // No tee data or no index: the stored value
+  const noOverride = { ...player, courseHcpOverride: null };
+  assert.deepEqual(playerCourseHcp(noOverride, { holes }), { courseHcp: 9, source: "stored", derivation: null });
+  assert.equal(playerCourseHcp({ courseHcp: 9, handicapIndex: "" }, course).source, "stored");
+});
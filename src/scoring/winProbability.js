@@ -0,0 +1,297 @@
+// src/scoring/winProbability.js
+// Live win probabilities per match and for the Cup (pure, no UI)
+//
+// Model: each ball's gross over par on a hole follows a discretised normal whose
+// mean and spread grow with the course handicap of whoever plays it (scratch
+// averages about +0.2 a hole, an 18 about +1.3). Net = gross − strokes received on
+// that hole, so the stroke allocation still to come is what moves the odds between
+// evenly matched sides. Remaining holes combine exactly into a final-margin
+// distribution for the match; the Cup is simulated (seeded, repeatable) over every
+// match still open.
+
+import {
+  strokesReceivedOnHole,
+  resolveAllowances,
+  matchPlayingHcps,
+  foursomesTeamHcp,
+  greensomesTeamHcp,
+  scrambleTeamHcp,
+} from "./handicap.js";
+import { stablefordFromDiff, resolveStablefordTable } from "./stableford.js";
+import { resolveMustHaveWinner } from "./matchPlay.js";
+import { normalizeCup } from "./points.js";
+import { dayPlayersById } from "./whs.js";
+import { emptyTeamPoints, addTeamPoints, leadingTeams } from "./teams.js";
+
+const MIN_DIFF = -3;
+const MAX_DIFF = 8;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(x) / Math.SQRT2));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Gross-over-par distribution for one ball: { [diff]: p }.
+ * - ability: the handicap the ball plays to (course handicap, or a team equivalent)
+ */
+export function holeScoreDistribution(ability) {
+  const h = Number(ability) || 0;
+  const mean = 0.2 + (1.1 * h) / 18;
+  const sd = 0.75 + (0.25 * Math.max(h, 0)) / 18;
+
+  const out = {};
+  let total = 0;
+  for (let k = MIN_DIFF; k <= MAX_DIFF; k++) {
+    const lo = k === MIN_DIFF ? 0 : normalCdf((k - 0.5 - mean) / sd);
+    const hi = k === MAX_DIFF ? 1 : normalCdf((k + 0.5 - mean) / sd);
+    out[k] = Math.max(hi - lo, 0);
+    total += out[k];
+  }
+  for (const k of Object.keys(out)) out[k] /= total;
+  return out;
+}
+
+function shift(dist, by) {
+  return Object.fromEntries(Object.entries(dist).map(([k, p]) => [Number(k) - by, p]));
+}
+
+// Distribution of the lowest of independent balls (fourball best net)
+function bestOf(dists) {
+  if (dists.length === 1) return dists[0];
+  const keys = [...new Set(dists.flatMap((d) => Object.keys(d).map(Number)))].sort((a, b) => a - b);
+  const atLeast = (d, k) => Object.entries(d).reduce((s, [x, p]) => (Number(x) >= k ? s + p : s), 0);
+
+  const out = {};
+  for (const k of keys) {
+    const here = dists.reduce((prod, d) => prod * atLeast(d, k), 1);
+    const above = dists.reduce((prod, d) => prod * atLeast(d, k + 1), 1);
+    if (here - above > 0) out[k] = here - above;
+  }
+  return out;
+}
+
+function addTo(out, key, p) {
+  out[key] = (out[key] ?? 0) + p;
+}
+
+// Balls per side for a match: [{ ability, hcp }] — ability drives the score, hcp the strokes
+function sideBalls(match, side, playersById, allowances) {
+  const courseHcp = (pid) => Number(playersById[pid]?.courseHcp) || 0;
+  const hcps = (side.playerIds || []).map(courseHcp).sort((a, b) => a - b);
+  const low = hcps[0] ?? 0;
+  const high = hcps[hcps.length - 1] ?? 0;
+
+  if (match.format === "FOURBALL_NET" || match.format === "SINGLES_NET") {
+    const playing = matchPlayingHcps(match, playersById, allowances);
+    return (side.playerIds || []).map((pid) => ({ ability: courseHcp(pid), hcp: playing[pid] ?? 0 }));
+  }
+  if (match.format === "FOURSOMES_NET") {
+    return [{ ability: (low + high) / 2, hcp: foursomesTeamHcp(side.playerIds, playersById, allowances) }];
+  }
+  if (match.format === "GREENSOMES_NET") {
+    return [{ ability: 0.6 * low + 0.4 * high, hcp: greensomesTeamHcp(side.playerIds, playersById, allowances) }];
+  }
+  // Scramble: a side plays its best shot every time, well below either player's handicap
+  return [{ ability: 0.35 * low + 0.15 * high, hcp: scrambleTeamHcp(side.playerIds, playersById, allowances) }];
+}
+
+/**
+ * Margin change (side A's view) on one hole: { [delta]: p }.
+ * Hole-by-hole formats move ±1 / 0; scramble moves by the Stableford points difference.
+ */
+export function holeMarginDistribution(match, hole, { aBalls, bBalls, stablefordTable }) {
+  const net = (balls) =>
+    bestOf(balls.map((b) => shift(holeScoreDistribution(b.ability), strokesReceivedOnHole(b.hcp, hole.hcpRank))));
+  const a = net(aBalls);
+  const b = net(bBalls);
+  const scramble = match.format === "SCRAMBLE_STABLEFORD";
+
+  const out = {};
+  for (const [x, pa] of Object.entries(a)) {
+    for (const [y, pb] of Object.entries(b)) {
+      const delta = scramble
+        ? stablefordFromDiff(Number(x), stablefordTable) - stablefordFromDiff(Number(y), stablefordTable)
+        : Math.sign(Number(y) - Number(x));
+      addTo(out, delta, pa * pb);
+    }
+  }
+  return out;
+}
+
+/**
+ * Win / halve / lose for one match: { aWin, halve, bWin, isFinal }.
+ *
+ * Input:
+ * - match, matchHoles (computeMatchHoles), status (computeMatchStatus)
+ * - opts: { holes (scorecard), playersById (day course handicaps), allowances, stablefordTable, mustHaveWinner }
+ *
+ * A halved match that must have a winner is split by sudden death on the round's first hole.
+ */
+export function matchWinProbability(match, matchHoles, status, opts) {
+  if (status.isFinal) {
+    if (status.isTied) return { aWin: 0, halve: 1, bWin: 0, isFinal: true };
+    const aWon = status.leaderSideId === match.sideA.id;
+    return { aWin: aWon ? 1 : 0, halve: 0, bWin: aWon ? 0 : 1, isFinal: true };
+  }
+
+  const scramble = match.format === "SCRAMBLE_STABLEFORD";
+  const ctx = {
+    aBalls: sideBalls(match, match.sideA, opts.playersById, opts.allowances),
+    bBalls: sideBalls(match, match.sideB, opts.playersById, opts.allowances),
+    stablefordTable: opts.stablefordTable,
+  };
+  const holeMeta = (holeNum) => opts.holes.find((h) => h.hole === holeNum) ?? { hole: holeNum, par: 4, hcpRank: 0 };
+
+  const regulation = matchHoles.filter((h) => !h.playoff);
+  let margin = 0;
+  if (scramble) margin = (status.aTotalPts ?? 0) - (status.bTotalPts ?? 0);
+  else {
+    for (const h of regulation) {
+      if (!h.played || !h.winnerSideId) continue;
+      margin += h.winnerSideId === match.sideA.id ? 1 : -1;
+    }
+  }
+
+  // Final-margin distribution over the holes still to play
+  let dist = { [margin]: 1 };
+  for (const h of regulation.filter((x) => !x.played)) {
+    const step = holeMarginDistribution(match, holeMeta(h.hole), ctx);
+    const next = {};
+    for (const [m, pm] of Object.entries(dist)) {
+      for (const [d, pd] of Object.entries(step)) addTo(next, Number(m) + Number(d), pm * pd);
+    }
+    dist = next;
+  }
+
+  let aWin = 0;
+  let halve = 0;
+  let bWin = 0;
+  for (const [m, p] of Object.entries(dist)) {
+    if (Number(m) > 0) aWin += p;
+    else if (Number(m) < 0) bWin += p;
+    else halve += p;
+  }
+
+  if (opts.mustHaveWinner && halve > 0 && regulation.length) {
+    const sd = holeMarginDistribution(match, holeMeta(regulation[0].hole), ctx);
+    const pA = Object.entries(sd).reduce((s, [d, p]) => (Number(d) > 0 ? s + p : s), 0);
+    const pB = Object.entries(sd).reduce((s, [d, p]) => (Number(d) < 0 ? s + p : s), 0);
+    const share = pA + pB > 0 ? pA / (pA + pB) : 0.5;
+    aWin += halve * share;
+    bWin += halve * (1 - share);
+    halve = 0;
+  }
+
+  return { aWin, halve, bWin, isFinal: false };
+}
+
+// Small seeded PRNG (mulberry32) so a simulation is repeatable
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * The parts of a tournament the odds depend on, as a string: while it doesn't change,
+ * neither do computeWinProbabilities' results (write timestamps, claims and admin settings
+ * don't count). JSON.parse it back for a tournament to run them on.
+ */
+export function winProbabilityKey(tournament) {
+  const { players, teams, cup, courses, days } = tournament;
+  return JSON.stringify({ players, teams, cup, courses, days }, (key, v) => (key === "updatedAt" ? undefined : v));
+}
+
+/**
+ * Input: { tournament, totals (computeTournamentTotals) }, opts: { simulations = 2000, seed = 1 }
+ *
+ * Output: { matches: { [matchId]: matchWinProbability }, cup: { [teamId]: p, shared } }
+ * - cup: share of simulations each team ends up with the Cup (holder retains on a tie
+ *   for the lead when the Cup says so; otherwise a tie is "shared")
+ * - open day bonuses go to the team that takes more of that day's match points in the run
+ * - open stroke play days count as they stand (or split evenly before anyone has scored)
+ */
+export function computeWinProbabilities({ tournament, totals }, { simulations = 2000, seed = 1 } = {}) {
+  const matches = {};
+  const open = [];
+  const fixed = { ...totals.points };
+  const openBonuses = [];
+
+  for (const summary of totals.daySummaries) {
+    const day = (tournament.days || []).find((d) => d.day === summary.day);
+    const holes = tournament.courses?.[summary.day]?.holes || [];
+    const playersById = dayPlayersById(tournament.players, tournament.courses?.[summary.day]);
+
+    if (summary.strokePlay) {
+      if (!summary.strokePlay.isFinal) {
+        const started = summary.strokePlay.rows.some((r) => r.thru > 0);
+        const playing = Object.keys(summary.strokePlay.projectedPoints);
+        if (started) addTeamPoints(fixed, summary.projected);
+        else for (const t of playing) fixed[t] += summary.available / playing.length;
+      }
+      continue;
+    }
+
+    for (const mc of summary.matchCards) {
+      const prob = matchWinProbability(mc.match, mc.holes, mc.status, {
+        holes,
+        playersById,
+        allowances: resolveAllowances(day, mc.match),
+        stablefordTable: resolveStablefordTable(day, mc.match),
+        mustHaveWinner: resolveMustHaveWinner(day, mc.match),
+      });
+      matches[mc.match.id] = prob;
+      if (!prob.isFinal) open.push({ mc, prob });
+    }
+
+    if (summary.bonus && !summary.bonus.isFinal) {
+      openBonuses.push({ value: summary.bonus.value, cards: summary.matchCards });
+    }
+  }
+
+  const cup = normalizeCup(tournament.cup);
+  const wins = { ...emptyTeamPoints(totals.teamIds), shared: 0 };
+  const random = seededRandom(seed);
+
+  for (let i = 0; i < simulations; i++) {
+    const pts = { ...fixed };
+    const byMatch = {};
+
+    for (const { mc, prob } of open) {
+      const { sideA, sideB } = mc.match;
+      const r = random();
+      const won = r < prob.aWin ? sideA.teamId : r < prob.aWin + prob.bWin ? sideB.teamId : null;
+      const share = won ? { [won]: mc.value } : { [sideA.teamId]: mc.value / 2, [sideB.teamId]: mc.value / 2 };
+      byMatch[mc.match.id] = share;
+      addTeamPoints(pts, share);
+    }
+
+    for (const { value, cards } of openBonuses) {
+      const day = {};
+      for (const c of cards) {
+        day[c.match.sideA.teamId] ??= 0;
+        day[c.match.sideB.teamId] ??= 0;
+        addTeamPoints(day, byMatch[c.match.id] ?? c.points);
+      }
+      const winners = leadingTeams(day);
+      for (const t of winners) pts[t] += value / winners.length;
+    }
+
+    const leaders = leadingTeams(pts);
+    if (leaders.length === 1) wins[leaders[0]] += 1;
+    else if (cup.holderRetains && leaders.includes(cup.holderTeamId)) wins[cup.holderTeamId] += 1;
+    else wins.shared += 1;
+  }
+
+  const n = Math.max(simulations, 1);
+  return { matches, cup: Object.fromEntries(Object.entries(wins).map(([t, w]) => [t, w / n])) };
+}
@@ -0,0 +1,100 @@
+// src/scoring/winProbability.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { matchWinProbability, computeWinProbabilities, winProbabilityKey } from "./winProbability.js";
+import { computeTournamentTotals } from "./totals.js";
+
+// Par 4s, stroke index = hole number
+const holes = Array.from({ length: 18 }, (_, i) => ({ hole: i + 1, par: 4, hcpRank: i + 1 }));
+
+// Two 10 handicaps: an even field
+function tournamentWith(day = {}, match = {}) {
+  return {
+    players: [
+      { id: "a1", teamId: "JC", courseHcp: 10 },
+      { id: "b1", teamId: "SG", courseHcp: 10 },
+    ],
+    courses: { 1: { name: "North", holes } },
+    days: [
+      {
+        day: 1,
+        title: "Singles",
+        ...day,
+        matches: [
+          {
+            id: "m1",
+            format: "SINGLES_NET",
+            sideA: { id: "A", teamId: "JC", playerIds: ["a1"] },
+            sideB: { id: "B", teamId: "SG", playerIds: ["b1"] },
+            singlesGrossByPlayer: { a1: { 1: 4, 2: 5 }, b1: { 1: 5, 2: 4 } },
+            ...match,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function odds(tournament, opts) {
+  return computeWinProbabilities({ tournament, totals: computeTournamentTotals(tournament) }, opts);
+}
+
+test("a decided match is certain", () => {
+  const match = { sideA: { id: "A" }, sideB: { id: "B" } };
+  assert.deepEqual(matchWinProbability(match, [], { isFinal: true, isTied: false, leaderSideId: "B" }, {}), {
+    aWin: 0,
+    halve: 0,
+    bWin: 1,
+    isFinal: true,
+  });
+  assert.deepEqual(matchWinProbability(match, [], { isFinal: true, isTied: true, leaderSideId: null }, {}), {
+    aWin: 0,
+    halve: 1,
+    bWin: 0,
+    isFinal: true,
+  });
+
+  // A walkover settles the Cup in every run
+  const result = odds(tournamentWith({}, { forfeit: { type: "WALKOVER", toSideId: "A" } }));
+  assert.deepEqual(result.cup, { JC: 1, SG: 0, shared: 0 });
+});
+
+test("all square in an even field is a coin flip", () => {
+  const result = odds(tournamentWith());
+  const m = result.matches.m1;
+
+  assert.equal(m.isFinal, false);
+  assert.ok(Math.abs(m.aWin - m.bWin) < 1e-9);
+  assert.ok(Math.abs(m.aWin + m.halve + m.bWin - 1) < 1e-9);
+  assert.ok(m.halve > 0);
+
+  assert.ok(Math.abs(result.cup.JC - result.cup.SG) < 0.05);
+  assert.ok(Math.abs(result.cup.shared - m.halve) < 0.05);
+});
+
+test("a match that must have a winner never ends shared", () => {
+  const result = odds(tournamentWith({ mustHaveWinner: true }));
+  const m = result.matches.m1;
+
+  assert.equal(m.halve, 0);
+  assert.ok(Math.abs(m.aWin - 0.5) < 1e-9);
+  assert.equal(result.cup.shared, 0);
+  assert.ok(Math.abs(result.cup.JC + result.cup.SG - 1) < 1e-9);
+  assert.ok(Math.abs(result.cup.JC - 0.5) < 0.05);
+});
+
+test("the simulation is repeatable for a seed", () => {
+  const t = tournamentWith();
+  assert.deepEqual(odds(t, { seed: 7 }), odds(t, { seed: 7 }));
+  assert.deepEqual(odds(t, { simulations: 500 }), odds(t, { simulations: 500, seed: 1 }));
+});
+
+test("the odds key ignores write timestamps but not scores", () => {
+  const t = tournamentWith();
+  const stamped = { ...t, claims: { u1: "a1" }, days: t.days.map((d) => ({ ...d, updatedAt: 123 })) };
+  assert.equal(winProbabilityKey(stamped), winProbabilityKey(t));
+
+  const scored = tournamentWith({}, { singlesGrossByPlayer: { a1: { 1: 4 }, b1: { 1: 4 } } });
+  assert.notEqual(winProbabilityKey(scored), winProbabilityKey(t));
+});
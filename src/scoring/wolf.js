@@ -0,0 +1,111 @@
+// src/scoring/wolf.js
+// Wolf: a rotating-partner group game for the four players of a fourball (pure, no UI)
+//
+// config (match.groupGame with type "WOLF"):
+// - order: the four player ids in tee order; the wolf rotates through it hole by hole
+// - choices: { [holeNum]: { type: "PARTNER", partnerId } | { type: "LONE" } | { type: "BLIND" } }
+//   (blind = lone wolf called before anyone tees off)
+// - points: see DEFAULT_WOLF_POINTS
+//
+// Each hole is best net ball of the wolf's side against the other side, on the nets
+// computeMatchHoles already works out. A hole counts once all four players have a net.
+
+export const WOLF_CHOICES = ["PARTNER", "LONE", "BLIND"];
+
+// *Win: to each player on the wolf's side when it wins the hole
+// *Loss: to each player on the other side when the wolf's side loses it (halved holes score nothing)
+export const DEFAULT_WOLF_POINTS = {
+  partnerWin: 2,
+  partnerLoss: 3,
+  loneWin: 4,
+  loneLoss: 1,
+  blindWin: 6,
+  blindLoss: 2,
+};
+
+const POINT_KEYS = { PARTNER: ["partnerWin", "partnerLoss"], LONE: ["loneWin", "loneLoss"], BLIND: ["blindWin", "blindLoss"] };
+
+/**
+ * Fill in a full Wolf config from partial data.
+ * - playerIds: the match's four players (the default tee order)
+ */
+export function normalizeWolf(cfg, playerIds) {
+  const order =
+    Array.isArray(cfg?.order) &&
+    cfg.order.length === playerIds.length &&
+    playerIds.every((pid) => cfg.order.includes(pid))
+      ? [...cfg.order]
+      : [...playerIds];
+
+  const choices = {};
+  for (const [holeNum, c] of Object.entries(cfg?.choices || {})) {
+    if (!WOLF_CHOICES.includes(c?.type)) continue;
+    if (c.type === "PARTNER") {
+      if (!playerIds.includes(c.partnerId)) continue;
+      choices[holeNum] = { type: "PARTNER", partnerId: c.partnerId };
+    } else choices[holeNum] = { type: c.type };
+  }
+
+  const points = {};
+  for (const [k, v] of Object.entries(DEFAULT_WOLF_POINTS)) {
+    const n = Number(cfg?.points?.[k]);
+    points[k] = cfg?.points?.[k] != null && Number.isFinite(n) ? n : v;
+  }
+
+  return { type: "WOLF", order, choices, points };
+}
+
+/**
+ * The wolf on the i-th hole of the round (0-based, in play order).
+ */
+export function wolfForHole(order, holeIdx) {
+  return order.length ? order[holeIdx % order.length] : null;
+}
+
+/**
+ * Input: config (normalizeWolf), matchHoles (computeMatchHoles), playerIds
+ *
+ * Output: { holes, totals: { [playerId]: points }, standings: [{ playerId, points }] (most first) }
+ * - hole: { hole, wolfId, choice, wolfSide, otherSide, result: "WOLF" | "OTHERS" | "HALVED" | null,
+ *   points: { [playerId]: n } }
+ *   (result null = no choice yet, the hole isn't finished, or it was conceded)
+ * - a partner call on the hole's own wolf (after the tee order changed) counts as no call
+ */
+export function computeWolf(config, matchHoles, playerIds) {
+  const totals = Object.fromEntries(playerIds.map((pid) => [pid, 0]));
+  const regulation = (matchHoles || []).filter((h) => !h.playoff);
+
+  const holes = regulation.map((h, idx) => {
+    const wolfId = wolfForHole(config.order, idx);
+    const called = config.choices[h.hole] ?? null;
+    const choice = called?.type === "PARTNER" && called.partnerId === wolfId ? null : called;
+    const wolfSide = !choice ? [wolfId] : choice.type === "PARTNER" ? [wolfId, choice.partnerId] : [wolfId];
+    const otherSide = playerIds.filter((pid) => !wolfSide.includes(pid));
+    const out = { hole: h.hole, wolfId, choice, wolfSide, otherSide, result: null, points: {} };
+
+    const nets = h.details?.nets || {};
+    if (!choice || h.conceded || !playerIds.every((pid) => nets[pid] != null)) return out;
+
+    const best = (side) => Math.min(...side.map((pid) => nets[pid]));
+    const w = best(wolfSide);
+    const o = best(otherSide);
+    const [winKey, lossKey] = POINT_KEYS[choice.type];
+
+    if (w < o) {
+      out.result = "WOLF";
+      for (const pid of wolfSide) out.points[pid] = config.points[winKey];
+    } else if (o < w) {
+      out.result = "OTHERS";
+      for (const pid of otherSide) out.points[pid] = config.points[lossKey];
+    } else out.result = "HALVED";
+
+    for (const [pid, n] of Object.entries(out.points)) totals[pid] += n;
+    return out;
+  });
+
+  const standings = playerIds
+    .map((pid) => ({ playerId: pid, points: totals[pid] }))
+    .sort((a, b) => b.points - a.points);
+
+  return { holes, totals, standings };
+}
@@ -0,0 +1,47 @@
+// src/scoring/wolf.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeWolf, computeWolf } from "./wolf.js";
+
+const playerIds = ["p1", "p2", "p3", "p4"];
+
+// Fourball holes with every player's net: nets[i] = { p1, p2, p3, p4 } for hole i + 1
+function holes(nets) {
+  return nets.map((n, i) => ({ hole: i + 1, played: true, details: { nets: n } }));
+}
+
+test("the wolf and a called partner take the hole on the better net", () => {
+  const config = normalizeWolf({ choices: { 1: { type: "PARTNER", partnerId: "p3" } } }, playerIds);
+  const wolf = computeWolf(config, holes([{ p1: 5, p2: 4, p3: 3, p4: 4 }]), playerIds);
+
+  assert.equal(wolf.holes[0].wolfId, "p1");
+  assert.deepEqual(wolf.holes[0].wolfSide, ["p1", "p3"]);
+  assert.equal(wolf.holes[0].result, "WOLF");
+  assert.deepEqual(wolf.totals, { p1: 2, p2: 0, p3: 2, p4: 0 });
+});
+
+test("a partner call on the hole's own wolf doesn't count after the tee order changes", () => {
+  // p2 was called as partner on the 1st, then moved to the top of the tee order
+  const choices = { 1: { type: "PARTNER", partnerId: "p2" }, 2: { type: "LONE" } };
+  const config = normalizeWolf({ order: ["p2", "p1", "p3", "p4"], choices }, playerIds);
+  const wolf = computeWolf(config, holes([{ p1: 4, p2: 3, p3: 5, p4: 5 }, { p1: 3, p2: 4, p3: 5, p4: 5 }]), playerIds);
+
+  const [h1, h2] = wolf.holes;
+  assert.equal(h1.wolfId, "p2");
+  assert.equal(h1.choice, null);
+  assert.deepEqual(h1.wolfSide, ["p2"]);
+  assert.equal(h1.result, null);
+  assert.deepEqual(h1.points, {});
+
+  // The next hole's call still stands
+  assert.equal(h2.wolfId, "p1");
+  assert.equal(h2.result, "WOLF");
+  assert.deepEqual(wolf.totals, { p1: 4, p2: 0, p3: 0, p4: 0 });
+});
+
+test("calls for players outside the match are dropped", () => {
+  const config = normalizeWolf({ choices: { 1: { type: "PARTNER", partnerId: "x" }, 2: { type: "NOPE" } } }, playerIds);
+  assert.deepEqual(config.choices, {});
+  assert.deepEqual(config.order, playerIds);
+});
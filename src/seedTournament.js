@@ -42,6 +42,8 @@ export async function seedTournament(tournamentId, tournament, opts = {}) {
       adminUserIds: Array.isArray(tournament.adminUserIds) ? tournament.adminUserIds : [],
       claims: tournament.claims || {},
       courses: tournament.courses || {},
+      cup: tournament.cup ?? null,
+      teams: Array.isArray(tournament.teams) ? tournament.teams : null,
       updatedAt: Date.now(),
     },
     { merge: true }
@@ -84,6 +86,10 @@ export async function seedTournament(tournamentId, tournament, opts = {}) {
       name: p.name ?? "",
       teamId: p.teamId ?? "",
       courseHcp: typeof p.courseHcp === "number" ? p.courseHcp : Number(p.courseHcp || 0),
+      handicapIndex: p.handicapIndex ?? null,
+      courseHcpOverride: p.courseHcpOverride ?? null,
+      // null = the day's active tee (see resolveTeeSet)
+      teeId: p.teeId ?? null,
       updatedAt: Date.now(),
     });
   });
@@ -98,6 +104,17 @@ export async function seedTournament(tournamentId, tournament, opts = {}) {
       date: d.date ?? "",
       title: d.title ?? "",
       courseName: d.courseName ?? "",
+      stablefordTable: d.stablefordTable ?? null,
+      allowances: d.allowances ?? null,
+      mustHaveWinner: !!d.mustHaveWinner,
+      startHole: d.startHole ?? 1,
+      holesToPlay: d.holesToPlay ?? null,
+      maxScore: d.maxScore ?? null,
+      type: d.type ?? null,
+      strokePlay: d.strokePlay ?? null,
+      matchPoints: d.matchPoints ?? null,
+      bonusPoints: d.bonusPoints ?? null,
+      skins: d.skins ?? null,
       updatedAt: Date.now(),
     });
 